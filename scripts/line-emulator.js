@@ -0,0 +1,131 @@
+/**
+ * LINE Emulator Runner
+ * Starts the local LINE platform emulator (src/dev/lineEmulator.js)
+ *
+ * Usage:
+ *   node scripts/line-emulator.js
+ *     Start the emulator only. Run the bot separately with
+ *     LINE_API_BASE_URL / LINE_DATA_API_BASE_URL pointing at it, then drive it
+ *     with the control API (POST /_emulator/events/:type, GET /_emulator/messages)
+ *
+ *   node scripts/line-emulator.js --smoke
+ *     Start the emulator AND the bot in-process, send follow / text / postback / group
+ *     events (one with an expired reply token), print what the bot sent, and exit
+ *
+ * Environment:
+ *   EMULATOR_PORT        - emulator port (default 4010)
+ *   EMULATOR_WEBHOOK_URL - bot webhook (default http://localhost:$PORT/webhook)
+ */
+
+require('dotenv').config();
+const { createLineEmulator } = require('../src/dev/lineEmulator');
+
+const EMULATOR_PORT = parseInt(process.env.EMULATOR_PORT, 10) || 4010;
+const BOT_PORT = parseInt(process.env.PORT, 10) || 3000;
+const WEBHOOK_URL = process.env.EMULATOR_WEBHOOK_URL || `http://localhost:${BOT_PORT}/webhook`;
+const CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || 'emulator-secret';
+
+const isSmoke = process.argv.includes('--smoke');
+
+/**
+ * Print captured messages
+ */
+function printMessages(messages) {
+    for (const entry of messages) {
+        const texts = (entry.messages || []).map(message => message.text || `[${message.type}]`);
+        console.log(`  ${entry.kind.padEnd(14)} ${texts.join(' | ').replace(/\n/g, ' ⏎ ').substring(0, 120)}`);
+    }
+}
+
+/**
+ * Wait until the bot answers /health
+ */
+async function waitForBot(timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        try {
+            const res = await fetch(`http://localhost:${BOT_PORT}/health`);
+            if (res.ok) return;
+        } catch (error) {
+            // Not up yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Bot did not start in time');
+}
+
+/**
+ * Send one command to the bot and print what it answers
+ * @param {Object} emulator - Running emulator (see src/dev/lineEmulator.js)
+ */
+async function runSmoke(emulator) {
+    const userId = 'Usmoketest';
+
+    // Point the bot at the emulator before its config is loaded
+    process.env.LINE_CHANNEL_SECRET = CHANNEL_SECRET;
+    process.env.LINE_CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN || 'emulator-token';
+    process.env.LINE_API_BASE_URL = emulator.baseUrl;
+    process.env.LINE_DATA_API_BASE_URL = emulator.baseUrl;
+    require('../src/index');
+    await waitForBot();
+
+    emulator.setProfile(userId, { displayName: 'Smoke Tester' });
+
+    console.log('\n▶ follow');
+    await emulator.sendFollow({ userId });
+    printMessages(await emulator.waitForMessages({ count: 1 }));
+
+    console.log('\n▶ text /cmd');
+    emulator.reset();
+    await emulator.sendText({ userId, text: '/cmd' });
+    printMessages(await emulator.waitForMessages({ count: 1 }));
+
+    console.log('\n▶ postback retry_ocr (nothing cached)');
+    emulator.reset();
+    await emulator.sendPostback({ userId, data: 'retry_ocr' });
+    printMessages(await emulator.waitForMessages({ count: 1 }));
+
+    console.log('\n▶ text /myid with an expired reply token');
+    emulator.reset();
+    await emulator.sendText({ userId, text: '/myid', expiredReplyToken: true });
+    printMessages(await emulator.waitForMessages({ filter: entry => entry.kind === 'rejected-reply' }));
+
+    console.log('\n▶ join group');
+    emulator.reset();
+    await emulator.sendJoin({ groupId: 'Csmokegroup' });
+    printMessages(await emulator.waitForMessages({ count: 1 }));
+
+    console.log('\n▶ group text @bot /myid');
+    emulator.reset();
+    await emulator.sendText({ groupId: 'Csmokegroup', userId, text: '/myid', mentionBot: true });
+    printMessages(await emulator.waitForMessages({ count: 1 }));
+}
+
+async function main() {
+    const emulator = createLineEmulator({
+        channelSecret: CHANNEL_SECRET,
+        webhookUrl: WEBHOOK_URL,
+        port: EMULATOR_PORT,
+    });
+
+    const baseUrl = await emulator.start();
+    console.log(`🧪 LINE emulator listening on ${baseUrl}`);
+    console.log(`   Webhooks go to ${WEBHOOK_URL}`);
+
+    if (isSmoke) {
+        await runSmoke(emulator);
+        console.log('\n✅ Smoke run complete');
+        process.exit(0);
+    }
+
+    console.log('\nStart the bot with:');
+    console.log(`   LINE_API_BASE_URL=${baseUrl} LINE_DATA_API_BASE_URL=${baseUrl} LINE_CHANNEL_SECRET=${CHANNEL_SECRET} npm run dev`);
+    console.log('\nSend events with e.g.:');
+    console.log(`   curl -X POST ${baseUrl}/_emulator/events/text -H 'Content-Type: application/json' -d '{"text":"/cmd"}'`);
+    console.log(`   curl ${baseUrl}/_emulator/messages`);
+}
+
+main().catch(error => {
+    console.error('❌ Emulator failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,142 @@
+/**
+ * Receipt ID Repair
+ * Finds Receipt IDs shared by more than one receipt (e.g. from the old in-memory
+ * counter, which restarted at 001 after every deploy) and gives every receipt but
+ * the first a new ID from the persistent sequence
+ *
+ * A receipt is the group of rows with the same Receipt ID, Image URL and Processed At.
+ * New IDs keep the original day (R250117-001 -> R250117-0xx) and never reuse an ID
+ * that is already in any company's sheet.
+ *
+ * Usage:
+ *   node scripts/repair-receipt-ids.js           - dry run: list the receipts that would be renumbered
+ *   node scripts/repair-receipt-ids.js --apply   - renumber them
+ */
+
+require('dotenv').config();
+const storageService = require('../src/services/storage');
+const companiesService = require('../src/services/companies');
+const receiptIdsService = require('../src/services/receiptIds');
+const { getSheetHeaders } = require('../src/services/invoice');
+
+const isApply = process.argv.includes('--apply');
+
+/**
+ * Every distinct storage target (default sheet + company sheets)
+ */
+function listTargets() {
+    const companies = [companiesService.getCompany(), ...companiesService.getCompanies()];
+    const targets = new Map();
+
+    for (const company of companies) {
+        const target = companiesService.getStorageTarget(company);
+        const key = `${target.spreadsheetId || ''}|${target.sheetName || ''}`;
+        if (!targets.has(key)) {
+            targets.set(key, { target, label: key === '|' ? 'default sheet' : `${company.id} (${key})` });
+        }
+    }
+
+    return [...targets.values()];
+}
+
+/**
+ * Group rows into receipts and find the Receipt IDs used by more than one
+ * @param {Array<Array>} rows - Rows from listReceiptRows
+ * @returns {Array<Object>} [{ receiptId, receipts: [[rowIndex, ...], ...] }]
+ */
+function findDuplicateIds(rows) {
+    const headers = getSheetHeaders();
+    const idIndex = headers.indexOf('Receipt ID');
+    const urlIndex = headers.indexOf('Image URL');
+    const processedIndex = headers.indexOf('Processed At');
+
+    // receiptId -> Map(receipt key -> row indexes), in sheet order
+    const byId = new Map();
+    rows.forEach((row, index) => {
+        const receiptId = row[idIndex];
+        if (!receiptId) return;
+
+        if (!byId.has(receiptId)) byId.set(receiptId, new Map());
+        const receipts = byId.get(receiptId);
+        const key = `${row[urlIndex] || ''}|${row[processedIndex] || ''}`;
+        if (!receipts.has(key)) receipts.set(key, []);
+        receipts.get(key).push(index);
+    });
+
+    return [...byId.entries()]
+        .filter(([, receipts]) => receipts.size > 1)
+        .map(([receiptId, receipts]) => ({ receiptId, receipts: [...receipts.values()] }));
+}
+
+/**
+ * Allocate a new ID for the same day that isn't used anywhere yet
+ */
+async function allocateId(receiptId, usedIds) {
+    const parsed = receiptIdsService.parseReceiptId(receiptId);
+    const options = parsed ? { sequenceKey: parsed.sequenceKey } : {};
+
+    let newId;
+    do {
+        newId = await receiptIdsService.nextReceiptId(options);
+    } while (usedIds.has(newId));
+
+    usedIds.add(newId);
+    return newId;
+}
+
+async function main() {
+    const storage = storageService.getBackend();
+    await storageService.initialize();
+
+    console.log(`🔎 Checking Receipt IDs in ${storage.rowsLabel}${isApply ? '' : ' (dry run)'}\n`);
+
+    // Read everything first - new IDs must not clash with any company's sheet
+    const targets = [];
+    const usedIds = new Set();
+    const idIndex = getSheetHeaders().indexOf('Receipt ID');
+
+    for (const { target, label } of listTargets()) {
+        const rows = await storageService.listReceiptRows(target);
+        rows.forEach(row => row[idIndex] && usedIds.add(row[idIndex]));
+        targets.push({ target, label, duplicates: findDuplicateIds(rows) });
+    }
+
+    let renumbered = 0;
+
+    for (const { target, label, duplicates } of targets) {
+        if (duplicates.length === 0) {
+            console.log(`✅ ${label}: no duplicate Receipt IDs`);
+            continue;
+        }
+
+        console.log(`⚠️  ${label}: ${duplicates.length} duplicate Receipt ID(s)`);
+        const updates = [];
+
+        for (const { receiptId, receipts } of duplicates) {
+            // Keep the first receipt, renumber the rest
+            for (const rowIndexes of receipts.slice(1)) {
+                const newId = isApply ? await allocateId(receiptId, usedIds) : '(new ID)';
+                console.log(`   ${receiptId} -> ${newId}  (sheet row(s) ${rowIndexes.map(i => i + 2).join(', ')})`);
+                updates.push(...rowIndexes.map(index => ({ index, values: { 'Receipt ID': newId } })));
+                renumbered++;
+            }
+        }
+
+        if (isApply) {
+            await storageService.updateReceiptRows(target, updates);
+        }
+    }
+
+    if (renumbered === 0) {
+        console.log('\n✅ Nothing to repair');
+    } else if (isApply) {
+        console.log(`\n✅ Renumbered ${renumbered} receipt(s)`);
+    } else {
+        console.log(`\n💡 ${renumbered} receipt(s) would be renumbered - run with --apply to save`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Repair failed:', error.message);
+    process.exit(1);
+});
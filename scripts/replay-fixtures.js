@@ -0,0 +1,140 @@
+/**
+ * OCR Fixture Replay
+ * Runs recorded Gemini responses through parseJsonResponse -> validateJsonSchema
+ * -> normalizeInvoiceData (-> recorded corrective re-prompt, if the numbers didn't add up)
+ * -> formatForSheets and compares with the recorded result
+ *
+ * Record a corpus first:
+ *   OCR_FIXTURE_MODE=record npm run dev   (then send receipts to the bot)
+ *
+ * Usage:
+ *   node scripts/replay-fixtures.js           - offline: replay stored raw responses
+ *   node scripts/replay-fixtures.js --live    - re-run the CURRENT prompt on stored images
+ *                                               (needs GOOGLE_GEMINI_API_KEY) to check a prompt change
+ *   node scripts/replay-fixtures.js --update  - save current results as the new expected output
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config/env');
+const gemini = require('../src/services/gemini');
+const fixtures = require('../src/services/fixtures');
+const arithmeticService = require('../src/services/arithmetic');
+const { formatForSheets } = require('../src/services/invoice');
+
+const isLive = process.argv.includes('--live');
+const isUpdate = process.argv.includes('--update');
+
+// Fields compared against the recorded result (tokenUsed changes run to run)
+const COMPARED_FIELDS = [
+    'documentType', 'invoiceNumber', 'invoiceDate', 'sellerName', 'sellerTaxId',
+    'expenseCategory', 'lineItems', 'subtotal', 'vatAmount', 'grandTotal',
+];
+
+/**
+ * List fields that differ between expected and actual results
+ */
+function diffInvoices(expected, actual) {
+    return COMPARED_FIELDS.filter(field =>
+        JSON.stringify(expected[field] ?? null) !== JSON.stringify(actual[field] ?? null)
+    );
+}
+
+async function main() {
+    const corpus = fixtures.listFixtures();
+
+    if (corpus.length === 0) {
+        console.log(`📂 No fixtures found in ${config.ocr.fixturesDir}`);
+        console.log('💡 Record some with OCR_FIXTURE_MODE=record');
+        return;
+    }
+
+    console.log(`🔁 ${isLive ? 'Live' : 'Offline'} replay of ${corpus.length} fixture(s)\n`);
+
+    let failed = 0;
+
+    for (const { hash, fixture, imagePath } of corpus) {
+        const label = hash.substring(0, 12);
+
+        try {
+            let raw = fixture;
+            let correction = fixture.correction || null;
+            if (isLive) {
+                if (!imagePath) {
+                    console.log(`⏭️  ${label}: no stored image, skipped`);
+                    continue;
+                }
+                raw = await gemini.generateRawResponse(fs.readFileSync(imagePath), fixture.mimeType);
+                correction = null;
+            }
+
+            const documents = gemini.parseRawDocuments(raw);
+            let actual = documents[0];
+            const issues = documents.length === 1 ? arithmeticService.checkInvoice(actual) : [];
+            if (issues.length > 0 && config.arithmetic.correctionEnabled) {
+                if (isLive) {
+                    correction = await gemini.requestCorrection(
+                        fs.readFileSync(imagePath), fixture.mimeType, gemini.buildInvoicePrompt(), raw, issues
+                    );
+                }
+                if (correction) {
+                    actual = gemini.applyCorrection(actual, correction, issues);
+                }
+            }
+
+            // A photo of several receipts is recorded as an array of results
+            const results = documents.length > 1 ? documents : [actual];
+            const expectedResults = [].concat(fixture.expected || []);
+            const rows = results.flatMap(result => formatForSheets(result, 'fixture', 'fixture'));
+            const diffs = expectedResults.length === results.length
+                ? results.map((result, index) => diffInvoices(expectedResults[index], result))
+                : null;
+
+            if (!fixture.expected) {
+                failed++;
+                console.log(`⚠️  ${label}: no recorded result to compare (run with --update)`);
+            } else if (!diffs) {
+                failed++;
+                console.log(`❌ ${label}: ${expectedResults.length} receipt(s) recorded, ${results.length} found`);
+            } else if (diffs.every(fields => fields.length === 0)) {
+                const summary = results.length > 1
+                    ? `${results.length} receipts`
+                    : `${actual.sellerName || '-'} ${actual.grandTotal}`;
+                console.log(`✅ ${label}: ${summary} (${rows.length} row(s))`);
+            } else {
+                failed++;
+                diffs.forEach((fields, index) => {
+                    if (fields.length === 0) return;
+                    const receipt = results.length > 1 ? ` (receipt ${index + 1})` : '';
+                    console.log(`❌ ${label}${receipt}: changed fields: ${fields.join(', ')}`);
+                    for (const field of fields.filter(f => f !== 'lineItems')) {
+                        console.log(`     ${field}: ${JSON.stringify(expectedResults[index][field])} -> ${JSON.stringify(results[index][field])}`);
+                    }
+                });
+            }
+
+            if (isUpdate) {
+                const expected = results.length > 1 ? results : actual;
+                const updated = isLive
+                    ? { ...fixture, ...raw, promptHash: gemini.getPromptHash(), correction: correction || undefined, expected }
+                    : { ...fixture, expected };
+                fs.writeFileSync(path.join(config.ocr.fixturesDir, `${hash}.json`), JSON.stringify(updated, null, 2));
+            }
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${label}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n📊 ${corpus.length - failed}/${corpus.length} matched${isUpdate ? ' (fixtures updated)' : ''}`);
+
+    if (failed > 0 && !isUpdate) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+});
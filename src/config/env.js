@@ -5,21 +5,56 @@
 
 require('dotenv').config();
 
+const path = require('path');
+
+// Local directory for runtime state (job queue journal, etc.)
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
 const requiredEnvVars = [
   'LINE_CHANNEL_ACCESS_TOKEN',
   'LINE_CHANNEL_SECRET',
-  'GOOGLE_GEMINI_API_KEY',
-  'GOOGLE_SERVICE_ACCOUNT_KEY',
-  'GOOGLE_OAUTH_CLIENT_ID',
-  'GOOGLE_OAUTH_CLIENT_SECRET',
-  'GOOGLE_OAUTH_REFRESH_TOKEN',
-  'GOOGLE_SHEET_ID',
-  'GOOGLE_DRIVE_FOLDER_ID',
 ];
 
+// Extra variables required by each OCR provider
+const providerEnvVars = {
+  gemini: ['GOOGLE_GEMINI_API_KEY'],
+  documentai: ['GOOGLE_SERVICE_ACCOUNT_KEY', 'GOOGLE_PROJECT_ID', 'GOOGLE_PROCESSOR_ID'],
+};
+
+// Extra variables required by each storage backend
+const storageEnvVars = {
+  google: [
+    'GOOGLE_SERVICE_ACCOUNT_KEY',
+    'GOOGLE_OAUTH_CLIENT_ID',
+    'GOOGLE_OAUTH_CLIENT_SECRET',
+    'GOOGLE_OAUTH_REFRESH_TOKEN',
+    'GOOGLE_SHEET_ID',
+    'GOOGLE_DRIVE_FOLDER_ID',
+  ],
+  local: [],
+};
+
+const ocrProvider = (process.env.OCR_PROVIDER || 'gemini').toLowerCase();
+const storageBackend = (process.env.STORAGE_BACKEND || 'google').toLowerCase();
+
 // Validate required environment variables
 function validateEnv() {
-  const missing = requiredEnvVars.filter((key) => !process.env[key]);
+  if (!providerEnvVars[ocrProvider]) {
+    throw new Error(`Unknown OCR_PROVIDER: ${ocrProvider} (expected: ${Object.keys(providerEnvVars).join(', ')})`);
+  }
+  if (!storageEnvVars[storageBackend]) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${storageBackend} (expected: ${Object.keys(storageEnvVars).join(', ')})`);
+  }
+
+  // Replayed OCR fixtures never call the provider
+  const isReplay = process.env.OCR_FIXTURE_MODE === 'replay';
+
+  const required = new Set([
+    ...requiredEnvVars,
+    ...(isReplay ? [] : providerEnvVars[ocrProvider]),
+    ...storageEnvVars[storageBackend],
+  ]);
+  const missing = [...required].filter((key) => !process.env[key]);
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
@@ -60,6 +95,11 @@ module.exports = {
   line: {
     channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
     channelSecret: process.env.LINE_CHANNEL_SECRET,
+    // Override only to point at a local emulator (defaults to api.line.me / api-data.line.me)
+    apiBaseUrl: process.env.LINE_API_BASE_URL || undefined,
+    dataApiBaseUrl: process.env.LINE_DATA_API_BASE_URL || undefined,
+    // Show saved receipts as a Flex Message card (false = plain text)
+    flexMessages: process.env.LINE_FLEX_ENABLED !== 'false',
   },
 
   // Gemini AI Configuration
@@ -68,9 +108,12 @@ module.exports = {
     model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
   },
 
-  // Google Service Account (for Sheets access)
+  // Google Service Account (for Sheets access) + Document AI processor
   google: {
     getCredentials: getServiceAccountCredentials,
+    projectId: process.env.GOOGLE_PROJECT_ID,
+    location: process.env.GOOGLE_LOCATION || 'us',
+    processorId: process.env.GOOGLE_PROCESSOR_ID,
   },
 
   // Google Drive Configuration
@@ -84,10 +127,118 @@ module.exports = {
     sheetName: process.env.GOOGLE_SHEET_NAME || 'Sheet1',
   },
 
-  // OCR Quota Configuration
+  // OCR Provider & Quota Configuration
   ocr: {
+    provider: ocrProvider,
+    fixtureMode: process.env.OCR_FIXTURE_MODE || null,
+    fixturesDir: process.env.OCR_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'gemini'),
     monthlyLimit: parseInt(process.env.OCR_MONTHLY_LIMIT) || 500,
     quotaMessage: process.env.OCR_QUOTA_MESSAGE || 'Monthly OCR quota exceeded. Please try again next month.',
+    // Several receipts in one photo are extracted as separate receipts (Gemini only)
+    multiReceipt: process.env.MULTI_RECEIPT_ENABLED !== 'false',
+  },
+
+  // Usage Ledger (tokens and estimated cost of every OCR call, see services/ledger.js)
+  ledger: {
+    // JSON prices in THB by model, merged over the defaults: { "gemini-2.5-flash": { "input": 10.5, "output": 87.5 } }
+    priceTable: process.env.OCR_PRICE_TABLE || null,
+    // Monthly OCR budget in THB (0 = no budget)
+    monthlyBudget: parseFloat(process.env.OCR_MONTHLY_BUDGET) || 0,
+  },
+
+  // Ensemble Extraction (cross-check with a second OCR provider)
+  ensemble: {
+    enabled: process.env.ENSEMBLE_ENABLED === 'true',
+    minAmount: parseFloat(process.env.ENSEMBLE_MIN_AMOUNT) || 10000,
+    confidenceThreshold: parseFloat(process.env.ENSEMBLE_CONFIDENCE_THRESHOLD) || 0.7,
+    secondaryProvider: process.env.ENSEMBLE_SECONDARY_PROVIDER || null,
+  },
+
+  // Multi-page PDFs (each page is extracted separately, then grouped into invoices)
+  pdf: {
+    splitPages: process.env.PDF_SPLIT_PAGES !== 'false',
+    maxPages: parseInt(process.env.PDF_MAX_PAGES) || 20,
+  },
+
+  // Image Preprocessing before OCR (rotate, downscale, re-encode - the original is stored)
+  preprocess: {
+    enabled: process.env.IMAGE_PREPROCESS_ENABLED !== 'false',
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 2048,
+    jpegQuality: parseInt(process.env.IMAGE_JPEG_QUALITY) || 85,
+    grayscale: process.env.IMAGE_GRAYSCALE === 'true',
+  },
+
+  // Arithmetic Reconciliation (corrective Gemini re-prompt when totals don't add up)
+  arithmetic: {
+    correctionEnabled: process.env.ARITHMETIC_CORRECTION_ENABLED !== 'false',
+  },
+
+  // Storage Backend (google = Sheets + Drive, local = SQLite + files)
+  storage: {
+    backend: storageBackend,
+    sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'receipts.db'),
+    filesDir: process.env.LOCAL_FILES_DIR || path.join(dataDir, 'files'),
+  },
+
+  // Receipt IDs (<prefix><YYMMDD>-<sequence>, allocated from a persistent sequence)
+  receiptIds: {
+    prefix: process.env.RECEIPT_ID_PREFIX || 'R',
+    padding: parseInt(process.env.RECEIPT_ID_PADDING) || 3,
+  },
+
+  // Duplicate Receipt Detection (file hash + seller Tax ID / invoice number / total)
+  duplicates: {
+    enabled: process.env.DUPLICATE_CHECK_ENABLED !== 'false',
+  },
+
+  // Low-confidence results wait for Confirm / Edit / Discard before they are saved
+  confirmations: {
+    // Confidence (0-1) below which a result must be confirmed - 0 turns the check off
+    threshold: parseFloat(process.env.CONFIRM_CONFIDENCE_THRESHOLD || '0.6'),
+    dir: process.env.CONFIRM_DIR || path.join(dataDir, 'confirmations'),
+    reminderMs: parseInt(process.env.CONFIRM_REMINDER_MS) || 4 * 60 * 60 * 1000,
+    expiryMs: parseInt(process.env.CONFIRM_EXPIRY_MS) || 24 * 60 * 60 * 1000,
+  },
+
+  // Approval Workflow (reviewers approve / reject saved receipts from LINE)
+  approvals: {
+    // LINE user IDs of the default company's reviewers (registry companies list their own)
+    reviewers: (process.env.REVIEWER_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // Receipts per review carousel page (LINE allows 12 bubbles)
+    pageSize: Math.min(parseInt(process.env.REVIEW_PAGE_SIZE) || 10, 12),
+  },
+
+  // Admin Commands (see services/admin.js)
+  admin: {
+    // LINE user IDs allowed to use the admin commands
+    userIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // Settings changed from chat (OCR pause, monthly limits)
+    settingsFile: process.env.ADMIN_SETTINGS_FILE || path.join(dataDir, 'settings.json'),
+  },
+
+  // Company Registry (maps LINE users/groups to per-company storage and quota)
+  companies: {
+    registryFile: process.env.COMPANY_REGISTRY_FILE || path.join(process.cwd(), 'companies.json'),
+  },
+
+  // Local runtime data directory
+  data: {
+    dir: dataDir,
+  },
+
+  // Webhook Job Queue Configuration
+  queue: {
+    file: process.env.QUEUE_FILE || path.join(dataDir, 'queue.jsonl'),
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 1,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+    backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS) || 15000,
+  },
+
+  // Photos sent together (LINE image sets) - processed in their own pool, one summary reply
+  imageSets: {
+    concurrency: parseInt(process.env.IMAGE_SET_CONCURRENCY) || 3,
+    // Send the summary with what has finished if the set is still incomplete after this long
+    timeoutMs: parseInt(process.env.IMAGE_SET_TIMEOUT_MS) || 120000,
   },
 
   // Server Configuration
@@ -0,0 +1,513 @@
+/**
+ * LINE Platform Emulator (development only)
+ * Local stand-in for the LINE Messaging API, for driving the bot end to end
+ *
+ * - Signs webhook payloads with the channel secret and POSTs them to the bot
+ * - Serves message content (blobClient.getMessageContent)
+ * - Captures every replyMessage / pushMessage / broadcast call
+ * - Simulates image, file, postback, follow and text events, and expired reply tokens
+ * - Simulates group chats (groupId / roomId on any event, @mentions of the bot,
+ *   join / leave / memberJoined / memberLeft events)
+ *
+ * Point the bot at it with:
+ *   LINE_API_BASE_URL=http://localhost:<port>
+ *   LINE_DATA_API_BASE_URL=http://localhost:<port>
+ *
+ * Control API (for driving the emulator from curl / other tools):
+ *   POST /_emulator/events/:type   - body: same options as the send* helpers
+ *   GET  /_emulator/messages       - captured replies and pushes
+ *   POST /_emulator/reset          - clear captured messages
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+// LINE reply tokens are single-use and short-lived
+const DEFAULT_REPLY_TOKEN_TTL = 60 * 1000;
+
+// Group used by join / leave / member events when none is given
+const DEFAULT_GROUP_ID = 'Cemulatorgroup';
+
+/**
+ * Create a LINE platform emulator
+ * @param {Object} options
+ * @param {string} options.channelSecret - Channel secret used to sign webhooks
+ * @param {string} options.webhookUrl - Bot webhook URL (e.g. http://localhost:3000/webhook)
+ * @param {number} options.port - Port to listen on (0 = random)
+ * @param {number} options.replyTokenTtl - Reply token lifetime in ms
+ * @returns {Object} Emulator
+ */
+function createLineEmulator({
+    channelSecret,
+    webhookUrl,
+    port = 0,
+    replyTokenTtl = DEFAULT_REPLY_TOKEN_TTL,
+} = {}) {
+    if (!channelSecret) {
+        throw new Error('channelSecret is required');
+    }
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    // Captured outgoing calls, in order: { kind: 'reply'|'push'|'broadcast', to, replyToken, messages, at }
+    const messages = [];
+
+    // Message content by message ID: { buffer, contentType }
+    const contents = new Map();
+
+    // Reply tokens: { [token]: { to, expiresAt, used } } - to is the user, group or room ID
+    const replyTokens = new Map();
+
+    // User profiles: { [userId]: { displayName, pictureUrl } }
+    const profiles = new Map();
+
+    // Waiters for waitForMessages()
+    let waiters = [];
+
+    let server = null;
+    let baseUrl = null;
+    let idCounter = 0;
+
+    /**
+     * Generate a LINE-style numeric ID (message IDs, sent message IDs)
+     * @returns {string}
+     */
+    function nextId() {
+        idCounter++;
+        return `${Date.now()}${String(idCounter).padStart(4, '0')}`;
+    }
+
+    /**
+     * Record an outgoing call and wake the waiters it satisfies
+     * @param {Object} entry - { kind, to, replyToken, messages }
+     */
+    function capture(entry) {
+        messages.push({ ...entry, at: Date.now() });
+        waiters = waiters.filter(waiter => !waiter.check());
+    }
+
+    /**
+     * Answer with a LINE API error body
+     * @param {Object} res - Express response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     */
+    function lineError(res, status, message) {
+        res.status(status).json({ message });
+    }
+
+    // ----- Messaging API -----
+
+    app.post('/v2/bot/message/reply', (req, res) => {
+        const { replyToken, messages: replyMessages } = req.body;
+        const token = replyTokens.get(replyToken);
+
+        if (!token || token.used || token.expiresAt <= Date.now()) {
+            capture({ kind: 'rejected-reply', replyToken, messages: replyMessages });
+            return lineError(res, 400, 'Invalid reply token');
+        }
+
+        token.used = true;
+        capture({ kind: 'reply', to: token.to, replyToken, messages: replyMessages });
+        res.json({ sentMessages: replyMessages.map(() => ({ id: nextId() })) });
+    });
+
+    app.post('/v2/bot/message/push', (req, res) => {
+        const { to, messages: pushMessages } = req.body;
+        capture({ kind: 'push', to, messages: pushMessages });
+        res.json({ sentMessages: pushMessages.map(() => ({ id: nextId() })) });
+    });
+
+    app.post('/v2/bot/message/broadcast', (req, res) => {
+        capture({ kind: 'broadcast', messages: req.body.messages });
+        res.json({});
+    });
+
+    /**
+     * Answer a profile request (user, group member or room member)
+     * @param {Object} req - Express request with params.userId
+     * @param {Object} res - Express response
+     */
+    function sendProfile(req, res) {
+        const profile = profiles.get(req.params.userId) || {};
+        res.json({
+            userId: req.params.userId,
+            displayName: profile.displayName || 'Test User',
+            pictureUrl: profile.pictureUrl || '',
+        });
+    }
+
+    app.get('/v2/bot/profile/:userId', sendProfile);
+    app.get('/v2/bot/group/:groupId/member/:userId', sendProfile);
+    app.get('/v2/bot/room/:roomId/member/:userId', sendProfile);
+
+    // ----- Data API (content download) -----
+
+    app.get('/v2/bot/message/:messageId/content', (req, res) => {
+        const content = contents.get(req.params.messageId);
+        if (!content) {
+            return lineError(res, 404, 'Not found');
+        }
+        res.set('Content-Type', content.contentType);
+        res.send(content.buffer);
+    });
+
+    // ----- Control API -----
+
+    app.post('/_emulator/events/:type', async (req, res) => {
+        const senders = {
+            image: sendImage,
+            file: sendFile,
+            text: sendText,
+            postback: sendPostback,
+            follow: sendFollow,
+            join: sendJoin,
+            leave: sendLeave,
+            memberJoined: sendMemberJoined,
+            memberLeft: sendMemberLeft,
+        };
+        const send = senders[req.params.type];
+        if (!send) {
+            return lineError(res, 400, `Unknown event type: ${req.params.type}`);
+        }
+
+        try {
+            const options = { ...req.body };
+            if (options.contentBase64) {
+                options.buffer = Buffer.from(options.contentBase64, 'base64');
+            }
+            const event = await send(options);
+            res.json({ event });
+        } catch (error) {
+            lineError(res, 500, error.message);
+        }
+    });
+
+    app.get('/_emulator/messages', (req, res) => {
+        res.json({ messages });
+    });
+
+    app.post('/_emulator/reset', (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+
+    // ----- Event builders -----
+
+    /**
+     * Build the event source - 1:1 chat, or a group / room when groupId / roomId is given
+     */
+    function buildSource({ userId, groupId, roomId }) {
+        if (groupId) {
+            return userId ? { type: 'group', groupId, userId } : { type: 'group', groupId };
+        }
+        if (roomId) {
+            return userId ? { type: 'room', roomId, userId } : { type: 'room', roomId };
+        }
+        return { type: 'user', userId };
+    }
+
+    /**
+     * Group / room options for bot-level group events (defaults to DEFAULT_GROUP_ID)
+     */
+    function groupOptions({ groupId, roomId }) {
+        return roomId ? { roomId } : { groupId: groupId || DEFAULT_GROUP_ID };
+    }
+
+    /**
+     * Build the common part of a webhook event
+     */
+    function baseEvent({ userId = 'Utestuser', groupId, roomId, type, expiredReplyToken = false }) {
+        const event = {
+            type,
+            mode: 'active',
+            timestamp: Date.now(),
+            source: buildSource({ userId, groupId, roomId }),
+            webhookEventId: nextId(),
+            deliveryContext: { isRedelivery: false },
+        };
+
+        if (type !== 'unfollow' && type !== 'leave' && type !== 'memberLeft') {
+            const replyToken = crypto.randomBytes(16).toString('hex');
+            replyTokens.set(replyToken, {
+                to: groupId || roomId || userId,
+                expiresAt: expiredReplyToken ? 0 : Date.now() + replyTokenTtl,
+                used: false,
+            });
+            event.replyToken = replyToken;
+        }
+
+        return event;
+    }
+
+    /**
+     * Sign and POST webhook events to the bot
+     * @param {Array<Object>} events - Webhook events
+     * @returns {Promise<Response>} Bot HTTP response
+     */
+    async function sendEvents(events) {
+        if (!webhookUrl) {
+            throw new Error('webhookUrl is not set');
+        }
+
+        const body = JSON.stringify({ destination: 'Uemulatorbot', events });
+        const signature = crypto.createHmac('sha256', channelSecret).update(body).digest('base64');
+
+        return fetch(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-line-signature': signature,
+            },
+            body,
+        });
+    }
+
+    /**
+     * Send an image message event
+     * @param {Object} options - { userId, groupId, roomId, buffer, contentType, imageSet, expiredReplyToken }
+     */
+    async function sendImage({ buffer, contentType = 'image/jpeg', imageSet, ...options } = {}) {
+        const event = baseEvent({ ...options, type: 'message' });
+        event.message = {
+            id: nextId(),
+            type: 'image',
+            contentProvider: { type: 'line' },
+        };
+        if (imageSet) {
+            event.message.imageSet = imageSet;
+        }
+
+        addContent(event.message.id, buffer || Buffer.alloc(0), contentType);
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a file message event
+     * @param {Object} options - { userId, groupId, roomId, buffer, fileName, contentType, expiredReplyToken }
+     */
+    async function sendFile({ buffer, fileName = 'receipt.pdf', contentType = 'application/pdf', ...options } = {}) {
+        const content = buffer || Buffer.alloc(0);
+        const event = baseEvent({ ...options, type: 'message' });
+        event.message = {
+            id: nextId(),
+            type: 'file',
+            fileName,
+            fileSize: content.length,
+        };
+
+        addContent(event.message.id, content, contentType);
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a text message event
+     * With mentionBot, "@<botName> " is prepended and marked as a mention of the bot
+     * @param {Object} options - { userId, groupId, roomId, text, mentionBot, botName, expiredReplyToken }
+     */
+    async function sendText({ text = '', mentionBot = false, botName = 'ReceiptBot', ...options } = {}) {
+        const event = baseEvent({ ...options, type: 'message' });
+        event.message = { id: nextId(), type: 'text', text };
+
+        if (mentionBot) {
+            const mentionText = `@${botName}`;
+            event.message.text = `${mentionText} ${text}`;
+            event.message.mention = {
+                mentionees: [{ index: 0, length: mentionText.length, type: 'user', userId: 'Uemulatorbot', isSelf: true }],
+            };
+        }
+
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a postback event (e.g. Quick Reply button tap)
+     * @param {Object} options - { userId, groupId, roomId, data, expiredReplyToken }
+     */
+    async function sendPostback({ data = '', ...options } = {}) {
+        const event = baseEvent({ ...options, type: 'postback' });
+        event.postback = { data };
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a follow event (user adds the bot as a friend)
+     * @param {Object} options - { userId, expiredReplyToken }
+     */
+    async function sendFollow(options = {}) {
+        const event = baseEvent({ ...options, type: 'follow' });
+        event.follow = { isUnblocked: false };
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a join event (bot added to a group / room)
+     * @param {Object} options - { groupId, roomId, expiredReplyToken }
+     */
+    async function sendJoin({ groupId, roomId, ...options } = {}) {
+        const event = baseEvent({ ...options, ...groupOptions({ groupId, roomId }), userId: null, type: 'join' });
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a leave event (bot removed from a group / room)
+     * @param {Object} options - { groupId, roomId }
+     */
+    async function sendLeave({ groupId, roomId } = {}) {
+        const event = baseEvent({ ...groupOptions({ groupId, roomId }), userId: null, type: 'leave' });
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a memberJoined event
+     * @param {Object} options - { groupId, roomId, userIds, expiredReplyToken }
+     */
+    async function sendMemberJoined({ groupId, roomId, userIds = ['Utestuser'], ...options } = {}) {
+        const event = baseEvent({ ...options, ...groupOptions({ groupId, roomId }), userId: null, type: 'memberJoined' });
+        event.joined = { members: userIds.map(userId => ({ type: 'user', userId })) };
+        await sendEvents([event]);
+        return event;
+    }
+
+    /**
+     * Send a memberLeft event
+     * @param {Object} options - { groupId, roomId, userIds }
+     */
+    async function sendMemberLeft({ groupId, roomId, userIds = ['Utestuser'] } = {}) {
+        const event = baseEvent({ ...groupOptions({ groupId, roomId }), userId: null, type: 'memberLeft' });
+        event.left = { members: userIds.map(userId => ({ type: 'user', userId })) };
+        await sendEvents([event]);
+        return event;
+    }
+
+    // ----- Helpers -----
+
+    /**
+     * Register downloadable content for a message ID
+     */
+    function addContent(messageId, buffer, contentType = 'application/octet-stream') {
+        contents.set(String(messageId), { buffer, contentType });
+    }
+
+    /**
+     * Set the profile returned for a user
+     */
+    function setProfile(userId, profile) {
+        profiles.set(userId, profile);
+    }
+
+    /**
+     * Expire a reply token now (simulates the bot replying too late)
+     */
+    function expireReplyToken(replyToken) {
+        const token = replyTokens.get(replyToken);
+        if (token) {
+            token.expiresAt = 0;
+        }
+    }
+
+    /**
+     * Wait until captured messages match a filter
+     * @param {Object} options
+     * @param {Function} options.filter - (entry) => boolean (default: replies and pushes)
+     * @param {number} options.count - Number of matching entries to wait for
+     * @param {number} options.timeout - Timeout in ms
+     * @returns {Promise<Array<Object>>} Matching entries
+     */
+    function waitForMessages({
+        filter = entry => entry.kind === 'reply' || entry.kind === 'push',
+        count = 1,
+        timeout = 30000,
+    } = {}) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                check() {
+                    const matches = messages.filter(filter);
+                    if (matches.length >= count) {
+                        clearTimeout(waiter.timer);
+                        resolve(matches);
+                        return true;
+                    }
+                    return false;
+                },
+            };
+
+            if (waiter.check()) return;
+
+            waiter.timer = setTimeout(() => {
+                waiters = waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out waiting for ${count} message(s), got ${messages.filter(filter).length}`));
+            }, timeout);
+            waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Clear captured messages (content and tokens are kept)
+     */
+    function reset() {
+        messages.length = 0;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} Base URL for LINE_API_BASE_URL / LINE_DATA_API_BASE_URL
+     */
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, () => {
+                baseUrl = `http://localhost:${server.address().port}`;
+                resolve(baseUrl);
+            });
+            server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    function stop() {
+        return new Promise(resolve => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server = null;
+        });
+    }
+
+    return {
+        app,
+        messages,
+        start,
+        stop,
+        get baseUrl() {
+            return baseUrl;
+        },
+        sendEvents,
+        sendImage,
+        sendFile,
+        sendText,
+        sendPostback,
+        sendFollow,
+        sendJoin,
+        sendLeave,
+        sendMemberJoined,
+        sendMemberLeft,
+        addContent,
+        setProfile,
+        expireReplyToken,
+        waitForMessages,
+        reset,
+    };
+}
+
+module.exports = {
+    createLineEmulator,
+};
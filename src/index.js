@@ -1,6 +1,7 @@
 /**
  * LINE OCR Receipt Processor
- * Single-Corp Version - Simple deployment for single customer
+ * Receipts are routed to each sender's company (spreadsheet, folder, quota)
+ * via the company registry - see services/companies.js
  */
 
 const express = require('express');
@@ -8,28 +9,104 @@ const config = require('./config/env');
 const logger = require('./utils/logger');
 const { formatDateTime } = require('./utils/date');
 const lineService = require('./services/line');
-const geminiService = require('./services/gemini');
-const driveService = require('./services/drive');
-const sheetsService = require('./services/sheets');
+const ocrProvider = require('./services/ocrProvider');
+const { formatForSheets } = require('./services/invoice');
+const ensembleService = require('./services/ensemble');
+const arithmeticService = require('./services/arithmetic');
+const taxIdService = require('./services/taxId');
+const storageService = require('./services/storage');
 const usageService = require('./services/usage');
+const companiesService = require('./services/companies');
+const reportsService = require('./services/reports');
+const duplicatesService = require('./services/duplicates');
+const receiptIdsService = require('./services/receiptIds');
+const pdfService = require('./services/pdf');
+const receiptsService = require('./services/receipts');
+const fileTypeService = require('./services/fileType');
+const imageSetsService = require('./services/imageSets');
+const receiptCardService = require('./services/receiptCard');
+const confirmationsService = require('./services/confirmations');
+const approvalsService = require('./services/approvals');
+const adminService = require('./services/admin');
+const ledgerService = require('./services/ledger');
+const queueService = require('./services/queue');
 
 const app = express();
 
-// In-memory cache for retry (stores last failed image per user)
-// Format: { [userId]: { imageBuffer, messageId, timestamp } }
+// In-memory cache for retry (stores last failed image per chat - user, group or room)
+// Format: { [chatId]: { fileBuffer, messageId, docType, mimeType, source, timestamp } }
 const retryCache = new Map();
 const RETRY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Receipts waiting for a "save anyway" / "discard" answer after a duplicate warning
+// Format: { [messageId]: { fileBuffer, messageId, docType, mimeType, source, invoices?, timestamp } }
+const pendingDuplicates = new Map();
+const PENDING_DUPLICATE_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Several receipts saved from one photo, waiting for the user to confirm the count
+// Format: { [messageId]: { receiptIds, target, timestamp } }
+const pendingCountChecks = new Map();
+const PENDING_COUNT_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Corrections waiting for the user to type the new value (see askForEditValue),
+// and review decisions waiting for the reviewer to type the reason (see askForReviewReason)
+// Format: { [chatId:userId]: { receiptId, field, timestamp } } or { [chatId:userId]: { receiptId, decision, timestamp } }
+const pendingEdits = new Map();
+const PENDING_EDIT_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Choices per quick reply when correcting a field - LINE shows 13 items, the last one pages
+// through longer lists (a company's own categories, see askForEditValue)
+const EDIT_CHOICES_PER_PAGE = 12;
+
+// Notices waiting for the admin to confirm the broadcast (see askToBroadcast)
+// Format: { [userId]: { text, timestamp } }
+const pendingBroadcasts = new Map();
+const PENDING_BROADCAST_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Commands only admins may use (see handleAdminCommand)
+const ADMIN_COMMANDS = ['/receipts', '/limit', '/pause', '/resume', '/broadcast', '/failed', '/reprocess'];
+
+// Review flag added when the user says the receipts found in a photo are wrong
+const COUNT_DISPUTED_FLAG = 'count:disputed';
+
+// Job type for queued image/file events
+const DOCUMENT_JOB = 'line-document';
+
+// Job type for photos of an image set (own worker pool, one summary per set - see imageSets.js)
+const IMAGE_SET_JOB = 'line-image-set-photo';
+
 /**
  * Clean up expired retry cache entries
  */
 function cleanupRetryCache() {
     const now = Date.now();
-    for (const [userId, data] of retryCache.entries()) {
+    for (const [chatId, data] of retryCache.entries()) {
         if (now - data.timestamp > RETRY_CACHE_TTL) {
-            retryCache.delete(userId);
+            retryCache.delete(chatId);
+        }
+    }
+    for (const [messageId, data] of pendingDuplicates.entries()) {
+        if (now - data.timestamp > PENDING_DUPLICATE_TTL) {
+            pendingDuplicates.delete(messageId);
+        }
+    }
+    for (const [messageId, data] of pendingCountChecks.entries()) {
+        if (now - data.timestamp > PENDING_COUNT_TTL) {
+            pendingCountChecks.delete(messageId);
+        }
+    }
+    for (const [editKey, data] of pendingEdits.entries()) {
+        if (now - data.timestamp > PENDING_EDIT_TTL) {
+            pendingEdits.delete(editKey);
+        }
+    }
+    for (const [userId, data] of pendingBroadcasts.entries()) {
+        if (now - data.timestamp > PENDING_BROADCAST_TTL) {
+            pendingBroadcasts.delete(userId);
         }
     }
+    imageSetsService.cleanupExpired();
+    confirmationsService.checkExpired();
 }
 
 // Clean up cache every minute
@@ -44,25 +121,53 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Usage stats endpoint
+// Usage stats endpoint (?company=<id> for a registered company, ?user=<id> / ?group=<id> for their own quota)
 app.get('/usage', async (req, res) => {
     try {
-        const stats = await usageService.getUsageStats();
+        const company = companiesService.getCompany(req.query.company);
+        if (!company) {
+            return res.status(404).json({ error: `Unknown company: ${req.query.company}` });
+        }
+        const stats = await usageService.getUsageStats(company, { userId: req.query.user, groupId: req.query.group });
         res.json(stats);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Job queue stats endpoint
+app.get('/queue', (req, res) => {
+    res.json(queueService.getStats());
+});
+
 // LINE webhook endpoint with signature verification
 app.post('/webhook', lineService.getMiddleware(), async (req, res) => {
-    // Respond immediately to LINE (required within a few seconds)
-    res.status(200).json({ success: true });
-
-    // Process events asynchronously
     const events = req.body.events || [];
+    const inlineEvents = [];
+
+    // Persist image/file events BEFORE acknowledging, so they survive a restart
+    try {
+        for (const event of events) {
+            if (imageSetsService.isImageSetEvent(event)) {
+                queueService.enqueue(IMAGE_SET_JOB, event);
+                imageSetsService.track(event);
+            } else if (isDocumentEvent(event)) {
+                queueService.enqueue(DOCUMENT_JOB, event);
+            } else {
+                inlineEvents.push(event);
+            }
+        }
+    } catch (error) {
+        logger.error('Failed to queue webhook events', { error: error.message });
+        // Non-2xx lets LINE redeliver the webhook (if redelivery is enabled)
+        return res.status(500).json({ error: 'Failed to queue events' });
+    }
 
-    for (const event of events) {
+    // Respond to LINE (required within a few seconds)
+    res.status(200).json({ success: true });
+
+    // Lightweight events (text, postback, follow) are handled inline
+    for (const event of inlineEvents) {
         try {
             await handleEvent(event);
         } catch (error) {
@@ -74,19 +179,57 @@ app.post('/webhook', lineService.getMiddleware(), async (req, res) => {
     }
 });
 
+/**
+ * Check if an event carries a document (image/file) that goes through the job queue
+ * @param {Object} event - LINE webhook event
+ * @returns {boolean}
+ */
+function isDocumentEvent(event) {
+    return event.type === 'message' &&
+        (event.message?.type === 'image' || event.message?.type === 'file');
+}
+
 /**
  * Handle a single webhook event
  * @param {Object} event - LINE webhook event
  */
 async function handleEvent(event) {
     const userId = event.source?.userId;
+    const isGroup = lineService.isGroupChat(event.source);
     
     logger.info('Received event', {
         type: event.type,
         messageType: event.message?.type,
         userId,
+        groupId: isGroup ? lineService.getChatId(event.source) : undefined,
     });
 
+    // Bot added to a group / multi-person chat
+    if (event.type === 'join') {
+        await handleJoinEvent(event);
+        return;
+    }
+
+    // Bot removed from a group (no reply token)
+    if (event.type === 'leave') {
+        logger.info('Bot left group', { groupId: lineService.getChatId(event.source) });
+        return;
+    }
+
+    // New members joined a group the bot is in
+    if (event.type === 'memberJoined') {
+        await handleMemberJoinedEvent(event);
+        return;
+    }
+
+    if (event.type === 'memberLeft') {
+        logger.info('Members left group', {
+            groupId: lineService.getChatId(event.source),
+            count: event.left?.members?.length || 0,
+        });
+        return;
+    }
+
     // Handle follow event (user adds bot as friend)
     if (event.type === 'follow') {
         await handleFollowEvent(event, userId);
@@ -100,62 +243,94 @@ async function handleEvent(event) {
     }
 
     // Handle text messages - check for commands
+    // In groups, only messages that @mention the bot are commands (ignore normal chatter)
     if (event.type === 'message' && event.message?.type === 'text') {
+        // The new value of a field being corrected (no @mention needed) - a command cancels the edit
+        const editKey = getEditKey(event.source, userId);
+        if (pendingEdits.has(editKey)) {
+            if (!lineService.stripMentions(event.message).startsWith('/')) {
+                await handleEditInput(event, userId);
+                return;
+            }
+            pendingEdits.delete(editKey);
+        }
+        if (isGroup && !lineService.isBotMentioned(event.message)) {
+            return;
+        }
         await handleTextMessage(event, userId);
         return;
     }
 
-    // Handle image messages
-    if (event.type === 'message' && event.message?.type === 'image') {
-        await processDocument(event, userId, 'image');
+    // Handle image and file messages (the real type is detected from the content)
+    if (isDocumentEvent(event)) {
+        await processDocument(event, userId);
         return;
     }
+}
 
-    // Handle file messages (PDF support)
-    if (event.type === 'message' && event.message?.type === 'file') {
-        const fileName = event.message.fileName || '';
-        const isPdf = fileName.toLowerCase().endsWith('.pdf');
-        
-        if (isPdf) {
-            await processDocument(event, userId, 'pdf');
-        } else {
-            await lineService.replyText(
-                event.replyToken,
-                `⚠️ ไฟล์ ${fileName} ไม่รองรับ\n\n✅ รองรับ: รูปภาพ (JPG, PNG) หรือไฟล์ PDF`
-            );
+/**
+ * Process one photo of an image set (queue handler for IMAGE_SET_JOB)
+ * The outcome goes into the set summary instead of a reply of its own
+ * @param {Object} event - Image event with message.imageSet
+ * @param {Object} job - Queue job (for the attempt count)
+ * @throws {Error} On failure while the queue still has attempts left
+ */
+async function handleImageSetPhoto(event, job) {
+    let outcome;
+    try {
+        outcome = await processDocument(event, event.source?.userId, { batch: true });
+    } catch (error) {
+        // Last attempt - report it in the summary rather than the dead-letter notification
+        if (job.attempts < config.queue.maxAttempts) {
+            throw error;
         }
-        return;
+        outcome = { status: 'failed', reason: error.message };
     }
+
+    imageSetsService.addResult(event, outcome);
 }
 
 /**
- * Process document (image or PDF)
+ * Process document (image or PDF, from an image or file message)
  * Optimized: Uses Reply for result, Push only as fallback (saves message quota)
  * @param {Object} event - LINE webhook event
  * @param {string} userId - User ID
- * @param {string} docType - 'image' or 'pdf'
+ * @param {Object} [options]
+ * @param {boolean} [options.batch] - Photo of an image set: nothing is sent to the chat,
+ *   the outcome is returned for the set summary
+ * @returns {Promise<Object|undefined>} Batch mode: { status: 'saved'|'skipped'|'failed', invoices?, reason?, retryable? }
+ * @throws {Error} On failure, so the job queue can retry it
  */
-async function processDocument(event, userId, docType) {
+async function processDocument(event, userId, options = {}) {
+    const { batch = false } = options;
     const messageId = event.message.id;
     const fileName = event.message.fileName || '';
     const timestamp = formatDateTime();
     const replyToken = event.replyToken;  // Save for later use
+    const chatId = lineService.getChatId(event.source);  // Push target (group or user)
+    const groupId = lineService.isGroupChat(event.source) ? chatId : null;
+    const company = companiesService.resolveCompany(event.source);
     let fileBuffer = null;
+    let fileType = null;
 
     try {
-        // Step 0: Check OCR availability (global quota limit)
-        const availability = await usageService.checkOCRAvailability();
+        // Step 0: Check OCR availability (company, group and personal quota)
+        const requester = { userId, groupId };
+        const availability = await usageService.checkOCRAvailability(company, requester);
 
         if (!availability.canUseOCR) {
             logger.warn('OCR quota limit reached', {
-                count: availability.count,
-                limit: availability.limit,
+                company: company.id,
+                limitHit: availability.limitHit,
+                paused: availability.paused,
+                userId,
+                groupId,
             });
 
-            await lineService.replyText(
-                replyToken,
-                `⚠️ ${availability.message}`
-            );
+            if (batch) {
+                return { status: 'failed', reason: availability.message.split('\n')[0] };
+            }
+            await replyOrPush(replyToken, chatId, `⚠️ ${availability.message}`);
             return;
         }
 
@@ -165,347 +340,1836 @@ async function processDocument(event, userId, docType) {
 
         // NOTE: We don't send "processing" message anymore to save replyToken for result
         // Only send processing notification in debug mode via push
-        const docLabel = docType === 'pdf' ? 'PDF' : 'image';
+        const docLabel = event.message.type === 'image' ? 'image' : 'file';
         if (isDebugMode) {
-            await lineService.pushText(userId, `🔄 Processing your ${docLabel}...`);
+            await lineService.pushText(chatId, `🔄 Processing your ${docLabel}...`);
         }
 
         // Step 1.5: Get user profile for logging
         logger.info('Getting user profile...');
-        const userInfo = await lineService.getUserProfile(userId);
+        const profile = await lineService.getUserProfile(userId, event.source);
+        const userInfo = { ...profile, groupId };
 
         // Step 2: Download file from LINE
         if (isDebugMode) {
-            await lineService.pushText(userId, `📥 Step 1/4: Downloading ${docLabel}...`);
+            await lineService.pushText(chatId, `📥 Step 1/4: Downloading ${docLabel}...`);
         }
-        logger.info(`Downloading ${docType}: ${messageId}`);
+        logger.info(`Downloading ${docLabel}: ${messageId}`);
         fileBuffer = await lineService.downloadImage(messageId);  // Same API for both
 
-        // Determine MIME type
-        const mimeType = docType === 'pdf' ? 'application/pdf' : 'image/jpeg';
+        // Step 2.1: Detect the real file type from its content
+        fileType = fileTypeService.detectFileType(fileBuffer);
+        if (!fileType) {
+            logger.info('Unsupported file type', { messageId, fileName, bytes: fileBuffer.length });
+            if (batch) {
+                return { status: 'skipped', reason: 'ไฟล์ไม่รองรับ', retryable: false };
+            }
+            // 1:1 only - other files shared in a group aren't receipts, so stay quiet there
+            if (!groupId) {
+                await replyOrPush(replyToken, chatId, fileTypeService.formatUnsupportedMessage(fileName));
+            }
+            return;
+        }
+        const { docType, mimeType } = fileType;
+
+        // Step 2.5: Duplicate check by file content (before spending OCR quota)
+        const target = companiesService.getStorageTarget(company);
+        const fileHash = duplicatesService.hashFile(fileBuffer);
+        const savedRows = await loadSavedRows(target);
+        const pending = { fileBuffer, messageId, docType, mimeType, source: event.source };
 
-        // Step 3: Process with Gemini AI (Vision)
-        if (isDebugMode) {
-            await lineService.pushText(userId, '🔍 Step 2/4: Processing with Gemini AI...');
+        const fileMatch = duplicatesService.findByFileHash(savedRows, fileHash);
+        if (fileMatch) {
+            if (batch) {
+                return { status: 'skipped', reason: `ซ้ำกับ ${fileMatch.receiptId}`, retryable: false };
+            }
+            await offerDuplicateChoice(replyToken, chatId, [fileMatch], pending);
+            return;
         }
-        logger.info(`Processing ${docType} with Gemini AI...`);
-        const ocrData = await geminiService.parseInvoice(fileBuffer, mimeType);
 
-        // Step 3.5: Increment usage counter AFTER successful OCR
-        await usageService.incrementUsage();
+        // Step 2.6: Page limit and quota (a multi-page PDF uses one OCR run per page)
+        const limitMessage = await checkPageLimits(fileBuffer, docType, availability);
+        if (limitMessage) {
+            if (batch) {
+                return { status: 'failed', reason: limitMessage.split('\n')[0], retryable: false };
+            }
+            await replyOrPush(replyToken, chatId, limitMessage);
+            return;
+        }
 
-        // Step 4: Upload to Google Drive
+        // Step 3: Extract invoice data with the configured OCR provider
+        // (a multi-page PDF can hold several invoices; the calls go in the usage ledger)
         if (isDebugMode) {
-            await lineService.pushText(userId, '📁 Step 3/4: Uploading to Google Drive...');
-        }
-        logger.info('Uploading to Google Drive...');
-        const ext = docType === 'pdf' ? 'pdf' : 'jpg';
-        const uploadFileName = docType === 'pdf' && fileName 
-            ? fileName 
-            : `receipt_${messageId}_${Date.now()}.${ext}`;
-        const uploadResult = await driveService.uploadImage(
-            fileBuffer,
-            uploadFileName,
-            mimeType
-        );
+            await lineService.pushText(chatId, `🔍 Step 2/4: Processing with ${ocrProvider.getProvider().label}...`);
+        }
+        const { invoices, ocrRuns } = await extractDocument(company, fileBuffer, mimeType, requester);
 
-        // Step 5: Append to Google Sheets
-        if (isDebugMode) {
-            await lineService.pushText(userId, '📊 Step 4/4: Saving to Google Sheets...');
+        // Step 3.5: Increment usage counters AFTER successful OCR
+        await usageService.incrementUsage(company, ocrRuns, requester);
+        invoices.forEach(invoice => { invoice.fileHash = fileHash; });
+
+        // Step 3.6: Duplicate check by invoice (same invoice sent as a different file)
+        const newInvoices = [];
+        const duplicates = [];
+        for (const invoice of invoices) {
+            const match = duplicatesService.findByInvoice(savedRows, invoice);
+            if (match) {
+                duplicates.push({ invoice, match });
+            } else {
+                newInvoices.push(invoice);
+            }
+        }
+        const duplicatePending = {
+            ...pending,
+            invoices: duplicates.map(duplicate => duplicate.invoice),
+        };
+
+        if (newInvoices.length === 0) {
+            if (batch) {
+                const receiptIds = duplicates.map(duplicate => duplicate.match.receiptId);
+                return { status: 'skipped', reason: `ซ้ำกับ ${receiptIds.join(', ')}`, retryable: false };
+            }
+            await offerDuplicateChoice(replyToken, chatId, duplicates.map(duplicate => duplicate.match), duplicatePending);
+            return;
+        }
+
+        const uploadFileName = fileName 
+            ? fileTypeService.withExtension(fileName, fileType) 
+            : `receipt_${messageId}_${Date.now()}.${fileType.extension}`;
+
+        // Step 3.7: Low-confidence results are only saved once the user confirms them
+        if (confirmationsService.needsConfirmation(newInvoices)) {
+            await askForConfirmation(batch ? null : replyToken, chatId, {
+                ...pending,
+                fileName: uploadFileName,
+                invoices: newInvoices,
+            });
+            if (batch) {
+                return { status: 'confirming' };
+            }
+            if (duplicates.length > 0) {
+                await offerDuplicateChoice(null, chatId, duplicates.map(duplicate => duplicate.match), duplicatePending);
+            }
+            retryCache.delete(chatId);
+            return;
         }
-        logger.info('Saving to Google Sheets...');
-        const rows = geminiService.formatForSheets(ocrData, uploadResult.url, timestamp, userInfo);
-        await sheetsService.appendRows(rows);
+
+        // Step 4-5: Store the original document and append receipt rows
+        const uploadResult = await saveReceipts(newInvoices, {
+            fileBuffer,
+            fileName: uploadFileName,
+            mimeType,
+            target,
+            timestamp,
+            userInfo,
+            chatId,
+            isDebugMode,
+        });
 
         // Step 6: Send success message - Try Reply first (FREE), fallback to Push
-        const successMessage = isReturnOutput 
-            ? formatSuccessMessage(ocrData, uploadResult.url)
-            : '✅ Invoice processed and saved!';
-        
-        // Try Reply first (saves push quota)
+        // (image set photos are reported together in the set summary)
+        // The receipts are saved now: a failed message is only logged, since a job retry would
+        // run the document again and find it as a duplicate of itself
         try {
-            await lineService.replyText(replyToken, successMessage);
-            logger.info('Success message sent via REPLY (free)');
-        } catch (replyError) {
-            // Reply token expired (>30s), fallback to Push
-            logger.warn('Reply token expired, using Push fallback');
-            await lineService.pushText(userId, successMessage);
-            logger.info('Success message sent via PUSH (uses quota)');
+            if (!batch) {
+                await sendSavedMessage(replyToken, chatId, {
+                    invoices: newInvoices,
+                    documentUrl: uploadResult.url,
+                    docType,
+                    messageId,
+                    target,
+                    isReturnOutput,
+                });
+            }
+
+            // Duplicates found next to new invoices (multi-page PDF) - ask about those separately
+            if (duplicates.length > 0 && !batch) {
+                await offerDuplicateChoice(null, chatId, duplicates.map(duplicate => duplicate.match), duplicatePending);
+            }
+        } catch (error) {
+            logger.error('Receipts saved, but the chat could not be notified', {
+                messageId,
+                chatId,
+                receiptIds: newInvoices.map(invoice => invoice.receiptId),
+                error: error.message,
+            });
         }
 
         logger.info('Document processed successfully', {
             messageId,
             docType,
-            invoiceNumber: ocrData.invoiceNumber,
-            seller: ocrData.sellerName,
-            total: ocrData.grandTotal,
-            lineItems: ocrData.lineItems?.length || 0,
+            company: company.id,
+            groupId,
+            receipts: newInvoices.map(invoice => ({
+                receiptId: invoice.receiptId,
+                invoiceNumber: invoice.invoiceNumber,
+                seller: invoice.sellerName,
+                total: invoice.grandTotal,
+                lineItems: invoice.lineItems?.length || 0,
+                sourceRef: invoice.sourceRef,
+            })),
+            duplicates: duplicates.length,
             user: userInfo.displayName || userInfo.userId,
         });
         
+        if (batch) {
+            return { status: 'saved', invoices: newInvoices };
+        }
+
         // Clear retry cache on success
-        retryCache.delete(userId);
+        retryCache.delete(chatId);
 
     } catch (error) {
         logger.error('Failed to process document', {
             messageId,
-            docType,
+            docType: fileType?.docType,
             error: error.message,
             stack: error.stack,
         });
 
         // Cache the file for retry (only if we have the buffer)
-        if (fileBuffer) {
-            retryCache.set(userId, {
+        // Image set photos are retried from the set summary instead
+        if (fileBuffer && fileType && !batch) {
+            retryCache.set(chatId, {
                 fileBuffer,
                 messageId,
-                docType,
-                mimeType: docType === 'pdf' ? 'application/pdf' : 'image/jpeg',
+                docType: fileType.docType,
+                mimeType: fileType.mimeType,
+                source: event.source,
                 timestamp: Date.now(),
             });
-            logger.info('Cached document for retry', { userId, messageId, docType });
+            logger.info('Cached document for retry', { chatId, messageId, docType: fileType.docType });
         }
 
-        // Notify user of error with retry button
-        try {
-            await lineService.replyWithQuickReply(
-                null, // No replyToken available in push context
-                `❌ ไม่สามารถประมวลผลใบเสร็จได้\n\nError: ${error.message}\n\n💡 กด Retry เพื่อลองใหม่`,
-                [
-                    {
-                        type: 'action',
-                        action: {
-                            type: 'postback',
-                            label: '🔄 Retry',
-                            data: 'retry_ocr',
-                            displayText: '🔄 Retry OCR',
-                        }
-                    }
-                ],
-                userId  // Use push instead of reply
-            );
-        } catch (notifyError) {
-            // Fallback to simple text if Quick Reply fails
-            try {
-                await lineService.pushText(
-                    userId,
-                    `❌ Sorry, I couldn't process your receipt.\n\nError: ${error.message}\n\n💡 Send the image again to retry.`
-                );
-            } catch (fallbackError) {
-                logger.error('Failed to notify user of error', fallbackError);
-            }
-        }
+        // Re-throw so the job queue retries with backoff
+        throw error;
     }
 }
 
 /**
- * Handle postback events (retry button, etc.)
+ * Reply (free), falling back to Push when the reply token has expired (>30s)
+ * @param {string|null} replyToken - Reply token from the webhook event (null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {string} text - Message text
  */
-async function handlePostbackEvent(event, userId) {
-    const data = event.postback?.data || '';
-    logger.info('Postback received', { userId, data });
-    
-    if (data === 'retry_ocr') {
-        // Check if we have cached image for this user
-        const cachedData = retryCache.get(userId);
-        
-        if (!cachedData) {
-            await lineService.replyText(
-                event.replyToken,
-                '⚠️ ไม่พบรูปภาพที่บันทึกไว้\n\n📷 กรุณาส่งรูปใบเสร็จใหม่อีกครั้ง'
-            );
-            return;
-        }
-        
-        // Process the cached document
-        await lineService.replyText(event.replyToken, '🔄 กำลังลองใหม่...');
-        
+async function replyOrPush(replyToken, chatId, text) {
+    if (replyToken) {
         try {
-            await processWithCachedBuffer(userId, cachedData);
-        } catch (error) {
-            logger.error('Retry failed', { userId, error: error.message });
-            await lineService.pushText(
-                userId,
-                `❌ การลองใหม่ล้มเหลว\n\nError: ${error.message}\n\n📷 กรุณาส่งไฟล์ใหม่`
-            );
+            await lineService.replyText(replyToken, text);
+            logger.info('Message sent via REPLY (free)');
+            return;
+        } catch (replyError) {
+            logger.warn('Reply token expired, using Push fallback');
         }
     }
+
+    await lineService.pushText(chatId, text);
+    logger.info('Message sent via PUSH (uses quota)');
 }
 
 /**
- * Process document with cached buffer (used for retry)
- * @param {string} userId - User ID
- * @param {Object} cachedData - Cached data from retry cache
+ * Reply with quick reply items, falling back to Push when the reply token has expired
+ * @param {string|null} replyToken - Reply token from the webhook event (null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {string} text - Message text
+ * @param {Array<Object>} items - Quick reply items
  */
-async function processWithCachedBuffer(userId, cachedData) {
-    const { fileBuffer, messageId, docType, mimeType } = cachedData;
-    const timestamp = formatDateTime();
-    const isDebugMode = process.env.VERBOSE_DEBUG_MODE === 'true';
-    const isReturnOutput = process.env.VERBOSE_RETURN_OUTPUT === 'true';
-    
-    // Get user profile
-    const userInfo = await lineService.getUserProfile(userId);
-    
-    // Process with Gemini AI
-    if (isDebugMode) {
-        await lineService.pushText(userId, '🔍 Processing with Gemini AI...');
-    }
-    const ocrData = await geminiService.parseInvoice(fileBuffer, mimeType);
-    
-    // Increment usage
-    await usageService.incrementUsage();
-    
-    // Upload to Google Drive
-    if (isDebugMode) {
-        await lineService.pushText(userId, '📁 Uploading to Google Drive...');
-    }
-    const ext = docType === 'pdf' ? 'pdf' : 'jpg';
-    const fileName = `receipt_${messageId}_retry_${Date.now()}.${ext}`;
-    const uploadResult = await driveService.uploadImage(fileBuffer, fileName, mimeType);
-    
-    // Save to Sheets
-    if (isDebugMode) {
-        await lineService.pushText(userId, '📊 Saving to Google Sheets...');
-    }
-    const rows = geminiService.formatForSheets(ocrData, uploadResult.url, timestamp, userInfo);
-    await sheetsService.appendRows(rows);
-    
-    // Send success message
-    if (isReturnOutput) {
-        const successMessage = formatSuccessMessage(ocrData, uploadResult.url);
-        await lineService.pushText(userId, successMessage);
-    } else {
-        await lineService.pushText(userId, '✅ Invoice processed and saved!');
+async function replyOrPushWithQuickReply(replyToken, chatId, text, items) {
+    try {
+        if (!replyToken) {
+            throw new Error('No reply token');
+        }
+        await lineService.replyWithQuickReply(replyToken, text, items);
+    } catch (replyError) {
+        // Reply token expired (or already used), fallback to Push
+        await lineService.replyWithQuickReply(null, text, items, chatId);
     }
-    
-    // Clear retry cache
-    retryCache.delete(userId);
-    
-    logger.info('Retry successful', { userId, messageId, docType });
 }
 
+/**
+ * Reply with a Flex Message, falling back to Push when the reply token has expired
+ * @param {string|null} replyToken - Reply token from the webhook event (null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {string} altText - Text for notifications and clients that can't render Flex
+ * @param {Object} contents - Flex bubble or carousel
+ * @param {Array<Object>} items - Quick reply items
+ */
+async function replyOrPushFlex(replyToken, chatId, altText, contents, items = []) {
+    try {
+        if (!replyToken) {
+            throw new Error('No reply token');
+        }
+        await lineService.replyWithFlex(replyToken, altText, contents, items);
+    } catch (replyError) {
+        // Reply token expired (or already used), fallback to Push
+        await lineService.replyWithFlex(null, altText, contents, items, chatId);
+    }
+}
 
 /**
- * Format success message for user
- * @param {Object} ocrData - Extracted OCR data
- * @param {string} imageUrl - Google Drive URL
- * @returns {string} Formatted message
+ * Send the summary of a finished image set
+ * Failed photos get one quick reply to retry them all (see handlePostbackEvent)
+ * @param {Object} summary - From imageSetsService: { setId, source, replyToken, items, pending, retryable }
  */
-function formatSuccessMessage(ocrData, imageUrl) {
-    const lines = ['✅ ใบกำกับภาษีถูกบันทึกแล้ว!', ''];
+async function sendImageSetSummary(summary) {
+    const chatId = lineService.getChatId(summary.source);
+    const text = imageSetsService.formatSummaryMessage(summary);
 
-    // Invoice header info
-    if (ocrData.invoiceNumber) {
-        lines.push(`🔢 เลขที่: ${ocrData.invoiceNumber}`);
-    }
-    if (ocrData.invoiceDate) {
-        lines.push(`📅 วันที่: ${ocrData.invoiceDate}`);
-    }
-    
-    // Seller info
-    if (ocrData.sellerName) {
-        lines.push(`🏪 ผู้ขาย: ${ocrData.sellerName}`);
-    }
-    if (ocrData.sellerTaxId) {
-        lines.push(`🏷️ Tax ID: ${ocrData.sellerTaxId}`);
-    }
+    logger.info('Image set processed', {
+        setId: summary.setId,
+        chatId,
+        saved: summary.items.filter(item => item.status === 'saved').length,
+        confirming: summary.items.filter(item => item.status === 'confirming').length,
+        failed: summary.items.filter(item => item.status === 'skipped' || item.status === 'failed').length,
+        pending: summary.pending,
+    });
 
-    // Line items
-    if (ocrData.lineItems && ocrData.lineItems.length > 0) {
-        lines.push('');
-        lines.push('📝 รายการ:');
-        for (const item of ocrData.lineItems.slice(0, 5)) { // Show max 5 items
-            let itemLine = `  • ${item.description || 'Item'}`;
-            if (item.quantity) itemLine += ` x${item.quantity}`;
-            if (item.amount) itemLine += ` = ${item.amount}`;
-            lines.push(itemLine);
-        }
-        if (ocrData.lineItems.length > 5) {
-            lines.push(`  ... และอีก ${ocrData.lineItems.length - 5} รายการ`);
-        }
+    if (summary.retryable === 0) {
+        await replyOrPush(summary.replyToken, chatId, text);
+        return;
     }
 
-    // Totals
-    lines.push('');
-    if (ocrData.subtotal) {
-        lines.push(`💵 ยอดก่อน VAT: ${ocrData.subtotal}`);
-    }
-    if (ocrData.vatAmount) {
-        lines.push(`📊 VAT 7%: ${ocrData.vatAmount}`);
-    }
-    if (ocrData.grandTotal) {
-        lines.push(`💰 ยอดรวม: ${ocrData.grandTotal}`);
-    }
+    const items = [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: `🔄 ลองใหม่ (${summary.retryable} รูป)`,
+                data: `retry_set:${summary.setId}`,
+                displayText: '🔄 ลองใหม่เฉพาะรูปที่ไม่สำเร็จ',
+            }
+        },
+    ];
 
-    lines.push('');
-    lines.push('📁 Image saved to Google Drive');
-    lines.push('📊 Data logged to Google Sheets');
-    
-    // Show confidence score
-    if (ocrData.confidence !== undefined) {
-        const confidencePercent = Math.round(ocrData.confidence * 100);
-        const confidenceEmoji = confidencePercent >= 80 ? '🟢' : confidencePercent >= 60 ? '🟡' : '🔴';
-        lines.push(`${confidenceEmoji} Confidence: ${confidencePercent}%`);
+    await replyOrPushWithQuickReply(summary.replyToken, chatId, text, items);
+}
+
+/**
+ * Send the success message for saved receipts
+ * As a Flex card with Edit / Delete buttons (LINE_FLEX_ENABLED), otherwise as text with Edit quick replies
+ * Several receipts found in one photo also get quick replies to confirm the count
+ * @param {string|null} replyToken - Reply token (null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {Object} saved - { invoices, documentUrl, docType, messageId, target, isReturnOutput }
+ */
+async function sendSavedMessage(replyToken, chatId, saved) {
+    const { invoices, documentUrl, docType, messageId, target, isReturnOutput } = saved;
+    const text = formatSavedMessage(invoices, documentUrl, isReturnOutput, docType);
+    const countItems = docType === 'image' && invoices.length > 1
+        ? getCountConfirmationItems(messageId, invoices, target)
+        : [];
+
+    const card = config.line.flexMessages
+        ? receiptCardService.buildReceiptCard(invoices, { documentUrl, reviewLines: formatReviewLines })
+        : null;
+
+    if (card) {
+        try {
+            // The text message is the altText - shown by clients that can't render Flex
+            await replyOrPushFlex(replyToken, chatId, text, card, countItems);
+            return;
+        } catch (error) {
+            logger.warn('Flex Message failed, sending text instead', { error: error.message });
+        }
     }
 
-    return lines.join('\n');
+    await replyOrPushWithQuickReply(replyToken, chatId, text, [...countItems, ...getEditItems(invoices)]);
 }
 
 /**
- * Handle follow event - user adds bot as friend
- * Simple welcome message for single-corp version
+ * Quick reply items that start correcting saved receipts (see handlePostbackEvent)
+ * @param {Array<Object>} invoices - Saved invoices (with receiptId)
+ * @returns {Array<Object>} Quick reply items (one per receipt)
  */
-async function handleFollowEvent(event, userId) {
-    logger.info('New user follow', { userId });
-    
-    try {
-        const profile = await lineService.getUserProfile(userId);
-        
-        await lineService.replyText(
-            event.replyToken,
-            `👋 Welcome ${profile.displayName || 'User'}!\n\n📷 ส่งรูปใบเสร็จ/ใบกำกับภาษี\n✅ ระบบจะบันทึกข้อมูลให้อัตโนมัติ\n\n💡 พิมพ์ /cmd หรือ help เพื่อดูคำสั่งทั้งหมด`
-        );
-    } catch (error) {
-        logger.error('Error handling follow event', { error: error.message });
-    }
+function getEditItems(invoices) {
+    return invoices.map(invoice => {
+        const label = invoices.length === 1 ? '✏️ แก้ไข' : `✏️ ${invoice.receiptId}`;
+        return {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label,
+                data: `edit:${invoice.receiptId}`,
+                displayText: `✏️ แก้ไข ${invoice.receiptId}`,
+            }
+        };
+    });
 }
 
 /**
- * Handle text messages - commands
+ * Quick reply items asking the user to confirm how many receipts were found in a photo
+ * The Receipt IDs are kept in pendingCountChecks until the user answers (see handlePostbackEvent)
+ * @param {string} messageId - LINE message ID of the photo
+ * @param {Array<Object>} invoices - Saved invoices (with receiptId)
+ * @param {Object} target - Storage target the receipts were saved to
+ * @returns {Array<Object>} Quick reply items
+ */
+function getCountConfirmationItems(messageId, invoices, target) {
+    pendingCountChecks.set(messageId, {
+        receiptIds: invoices.map(invoice => invoice.receiptId),
+        target,
+        timestamp: Date.now(),
+    });
+
+    return [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: `✅ ครบ ${invoices.length} ใบ`,
+                data: `count_ok:${messageId}`,
+                displayText: `✅ ครบ ${invoices.length} ใบ`,
+            }
+        },
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '❌ จำนวนไม่ถูกต้อง',
+                data: `count_wrong:${messageId}`,
+                displayText: '❌ จำนวนไม่ถูกต้อง',
+            }
+        },
+    ];
+}
+
+/**
+ * Count the pages of a PDF (1 if splitting is off or the PDF can't be read - it's then sent whole)
+ * @param {Buffer} fileBuffer - PDF data
+ * @returns {Promise<number>} Page count
+ */
+async function countPdfPages(fileBuffer) {
+    if (!config.pdf.splitPages) {
+        return 1;
+    }
+
+    try {
+        return await pdfService.getPageCount(fileBuffer);
+    } catch (error) {
+        logger.warn('Could not read PDF pages, processing it as one document', { error: error.message });
+        return 1;
+    }
+}
+
+/**
+ * Extract a document with the configured OCR provider and record its calls in the usage ledger
+ * Calls made before a failure are recorded too (error.ocrCalls) - they can still be billed
+ * @param {Object} company - Company (see companies.js)
+ * @param {Buffer} fileBuffer - File data
+ * @param {string} mimeType - MIME type
+ * @param {Object} requester - { userId, groupId }
+ * @returns {Promise<Object>} { invoices, ocrRuns, ocrCalls } (see ocrProvider.parseDocument)
+ */
+async function extractDocument(company, fileBuffer, mimeType, requester) {
+    let result;
+    try {
+        result = await ocrProvider.parseDocument(fileBuffer, mimeType, { categories: company.categories });
+    } catch (error) {
+        await ledgerService.recordCalls(company, error.ocrCalls, requester);
+        throw error;
+    }
+    await ledgerService.recordCalls(company, result.ocrCalls, requester);
+    return result;
+}
+
+/**
+ * Check a document against the PDF page limit and the remaining OCR quota
+ * @param {Buffer} fileBuffer - File data
+ * @param {string} docType - 'image' or 'pdf'
+ * @param {Object} availability - From usageService.checkOCRAvailability
+ * @returns {Promise<string|null>} Message for the user if it can't be processed, null if OK
+ */
+async function checkPageLimits(fileBuffer, docType, availability) {
+    const pageCount = docType === 'pdf' ? await countPdfPages(fileBuffer) : 1;
+
+    if (pageCount > config.pdf.maxPages) {
+        return `⚠️ PDF มี ${pageCount} หน้า เกินกว่าที่รองรับ (${config.pdf.maxPages} หน้า)\n\n💡 กรุณาแบ่งไฟล์แล้วส่งใหม่`;
+    }
+    if (pageCount > availability.remaining) {
+        return `⚠️ PDF มี ${pageCount} หน้า แต่โควต้า OCR เดือนนี้เหลือ ${availability.remaining} ครั้ง`;
+    }
+    return null;
+}
+
+/**
+ * Store the original document once and append the rows of every invoice in it
+ * Each invoice gets its own Receipt ID (set on the invoice)
+ * @param {Array<Object>} invoices - Extracted invoices
+ * @param {Object} context - { fileBuffer, fileName, mimeType, target, timestamp, userInfo, chatId, isDebugMode }
+ * @returns {Promise<Object>} Upload result { id, name, url }
+ */
+async function saveReceipts(invoices, context) {
+    const { fileBuffer, fileName, mimeType, target, timestamp, userInfo, chatId, isDebugMode } = context;
+    const storage = storageService.getBackend();
+
+    // Store the original document (Google Drive or local files)
+    if (isDebugMode) {
+        await lineService.pushText(chatId, `📁 Uploading to ${storage.documentsLabel}...`);
+    }
+    logger.info(`Uploading to ${storage.documentsLabel}...`, { fileName });
+    const uploadResult = await storageService.storeDocument(fileBuffer, fileName, mimeType, target);
+
+    // Append receipt rows (Google Sheets or local database)
+    if (isDebugMode) {
+        await lineService.pushText(chatId, `📊 Saving to ${storage.rowsLabel}...`);
+    }
+    logger.info(`Saving to ${storage.rowsLabel}...`, { receipts: invoices.length });
+    const rows = [];
+    for (const invoice of invoices) {
+        invoice.receiptId = await receiptIdsService.nextReceiptId();
+        rows.push(...formatForSheets(invoice, uploadResult.url, timestamp, userInfo));
+    }
+    await storageService.appendReceiptRows(rows, target);
+
+    return uploadResult;
+}
+
+/**
+ * Load saved receipt rows for duplicate checks
+ * Fails open - a storage read error shouldn't stop receipts from being saved
+ * @param {Object} target - Storage target (see storage.js)
+ * @returns {Promise<Array<Array>>} Saved rows (empty if disabled or unavailable)
+ */
+async function loadSavedRows(target) {
+    if (!config.duplicates.enabled) {
+        return [];
+    }
+
+    try {
+        return await storageService.listReceiptRows(target);
+    } catch (error) {
+        logger.warn('Duplicate check skipped - could not read saved receipts', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Warn about duplicate receipts and ask whether to save them anyway
+ * The receipts are kept in pendingDuplicates until the user answers (see handlePostbackEvent)
+ * @param {string|null} replyToken - Reply token (falls back to push if expired, null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {Array<Object>} matches - Matches from duplicatesService
+ * @param {Object} pending - { fileBuffer, messageId, docType, mimeType, source, invoices? }
+ */
+async function offerDuplicateChoice(replyToken, chatId, matches, pending) {
+    pendingDuplicates.set(pending.messageId, { ...pending, timestamp: Date.now() });
+
+    logger.info('Duplicate receipt detected', {
+        messageId: pending.messageId,
+        reason: matches[0].reason,
+        originalReceiptIds: matches.map(match => match.receiptId),
+    });
+
+    const text = duplicatesService.formatDuplicateMessage(matches);
+    const items = [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '💾 Save anyway',
+                data: `dup_save:${pending.messageId}`,
+                displayText: '💾 Save anyway',
+            }
+        },
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '🗑️ Discard',
+                data: `dup_discard:${pending.messageId}`,
+                displayText: '🗑️ Discard',
+            }
+        },
+    ];
+
+    try {
+        if (!replyToken) {
+            throw new Error('No reply token');
+        }
+        await lineService.replyWithQuickReply(replyToken, text, items);
+    } catch (replyError) {
+        // Reply token expired (or already used), fallback to Push
+        await lineService.replyWithQuickReply(null, text, items, chatId);
+    }
+}
+
+/**
+ * Show a low-confidence result and ask whether to save it
+ * The result is kept by confirmationsService (on disk) until the user answers (see handlePostbackEvent)
+ * @param {string|null} replyToken - Reply token (falls back to push if expired, null = push)
+ * @param {string} chatId - Push target (user, group or room)
+ * @param {Object} entry - { fileBuffer, messageId, docType, mimeType, source, fileName?, invoices }
+ */
+async function askForConfirmation(replyToken, chatId, entry) {
+    const stored = confirmationsService.add({ id: entry.messageId, ...entry });
+    const text = confirmationsService.formatConfirmationMessage(stored, { reviewLines: formatReviewLines });
+
+    await replyOrPushWithQuickReply(replyToken, chatId, text, getConfirmationItems(stored.id));
+}
+
+/**
+ * Quick reply items answering a low-confidence result
+ * @param {string} id - Confirmation ID
+ * @returns {Array<Object>} Quick reply items
+ */
+function getConfirmationItems(id) {
+    return [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '✅ ยืนยัน',
+                data: `confirm_save:${id}`,
+                displayText: '✅ ยืนยัน',
+            }
+        },
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '✏️ แก้ไข',
+                data: `confirm_edit:${id}`,
+                displayText: '✏️ แก้ไข',
+            }
+        },
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '🗑️ ทิ้ง',
+                data: `confirm_discard:${id}`,
+                displayText: '🗑️ ทิ้ง',
+            }
+        },
+    ];
+}
+
+/**
+ * Remind the chat of a low-confidence result that hasn't been answered
+ * @param {Object} entry - Pending confirmation
+ */
+async function sendConfirmationReminder(entry) {
+    const text = [
+        '⏰ ใบเสร็จนี้ยังรอการยืนยัน',
+        '',
+        confirmationsService.formatConfirmationMessage(entry, { reviewLines: formatReviewLines }),
+    ].join('\n');
+
+    await lineService.replyWithQuickReply(null, text, getConfirmationItems(entry.id), lineService.getChatId(entry.source));
+}
+
+/**
+ * Tell the chat a low-confidence result expired without being saved
+ * @param {Object} entry - Pending confirmation
+ */
+async function notifyConfirmationExpired(entry) {
+    const sellers = entry.invoices.map(invoice => invoice.sellerName || '-').join(', ');
+
+    await lineService.pushText(
+        lineService.getChatId(entry.source),
+        `⌛ หมดเวลายืนยัน - ไม่ได้บันทึกใบเสร็จ (${sellers})\n\n📷 หากต้องการบันทึก กรุณาส่งใบเสร็จใหม่อีกครั้ง`
+    );
+}
+
+/**
+ * Notify user that a document could not be processed (after all queue retries)
+ * @param {string} chatId - User ID, or group/room ID the document was sent in
+ * @param {Error} error - Last processing error
+ */
+async function notifyProcessingFailed(chatId, error) {
+    // Notify user of error with retry button
+    try {
+        await lineService.replyWithQuickReply(
+            null, // No replyToken available in push context
+            `❌ ไม่สามารถประมวลผลใบเสร็จได้\n\nError: ${error.message}\n\n💡 กด Retry เพื่อลองใหม่`,
+            [
+                {
+                    type: 'action',
+                    action: {
+                        type: 'postback',
+                        label: '🔄 Retry',
+                        data: 'retry_ocr',
+                        displayText: '🔄 Retry OCR',
+                    }
+                }
+            ],
+            chatId  // Use push instead of reply
+        );
+    } catch (notifyError) {
+        // Fallback to simple text if Quick Reply fails
+        try {
+            await lineService.pushText(
+                chatId,
+                `❌ Sorry, I couldn't process your receipt.\n\nError: ${error.message}\n\n💡 Send the image again to retry.`
+            );
+        } catch (fallbackError) {
+            logger.error('Failed to notify user of error', fallbackError);
+        }
+    }
+}
+
+/**
+ * Handle postback events (retry button, etc.)
+ */
+async function handlePostbackEvent(event, userId) {
+    const data = event.postback?.data || '';
+    logger.info('Postback received', { userId, data });
+    
+    if (data === 'retry_ocr') {
+        // Check if we have cached image for this chat (anyone in a group can retry)
+        const chatId = lineService.getChatId(event.source);
+        const cachedData = retryCache.get(chatId);
+        
+        if (!cachedData) {
+            await lineService.replyText(
+                event.replyToken,
+                '⚠️ ไม่พบรูปภาพที่บันทึกไว้\n\n📷 กรุณาส่งรูปใบเสร็จใหม่อีกครั้ง'
+            );
+            return;
+        }
+        
+        // Process the cached document
+        await lineService.replyText(event.replyToken, '🔄 กำลังลองใหม่...');
+        
+        try {
+            await processWithCachedBuffer(userId, cachedData);
+        } catch (error) {
+            logger.error('Retry failed', { userId, chatId, error: error.message });
+            await lineService.pushText(
+                chatId,
+                `❌ การลองใหม่ล้มเหลว\n\nError: ${error.message}\n\n📷 กรุณาส่งไฟล์ใหม่`
+            );
+        }
+        return;
+    }
+
+    // Correct a saved receipt: pick the receipt, then the field, then the value
+    if (data.startsWith('edit:')) {
+        await startReceiptEdit(event, userId, data.slice('edit:'.length));
+        return;
+    }
+
+    if (data.startsWith('edit_field:')) {
+        const [, receiptId, field, page] = data.split(':');
+        await askForEditValue(event, userId, receiptId, field, Number(page) || 0);
+        return;
+    }
+
+    if (data.startsWith('edit_set:')) {
+        const [, receiptId, field, ...value] = data.split(':');
+        await applyReceiptEdit(event, userId, receiptId, field, value.join(':'));
+        return;
+    }
+
+    // Delete a saved receipt (Delete button on the receipt card) - asks for confirmation first
+    if (data.startsWith('delete:')) {
+        const receiptId = data.slice('delete:'.length);
+        if (!await findChangeableReceipt(event, userId, receiptId)) {
+            return;
+        }
+        const items = [
+            {
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: '🗑️ ยืนยันลบ',
+                    data: `delete_confirm:${receiptId}`,
+                    displayText: `🗑️ ยืนยันลบ ${receiptId}`,
+                }
+            },
+            {
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: '❌ ยกเลิก',
+                    data: 'edit_cancel',
+                    displayText: '❌ ยกเลิก',
+                }
+            },
+        ];
+        await replyOrPushWithQuickReply(
+            event.replyToken,
+            lineService.getChatId(event.source),
+            `🗑️ ลบใบเสร็จ ${receiptId} ออกจาก ${storageService.getBackend().rowsLabel}?\n\n📁 ไฟล์ต้นฉบับจะยังเก็บไว้`,
+            items
+        );
+        return;
+    }
+
+    if (data.startsWith('delete_confirm:')) {
+        await deleteReceipt(event, userId, data.slice('delete_confirm:'.length));
+        return;
+    }
+
+    if (data === 'edit_cancel') {
+        pendingEdits.delete(getEditKey(event.source, userId));
+        await lineService.replyText(event.replyToken, '👌 ยกเลิกแล้ว');
+        return;
+    }
+
+    // Reviewer's queue (see sendReviewPage) - approve, or reject / ask for info with a reason
+    if (data.startsWith('review_')) {
+        const company = companiesService.resolveCompany(event.source);
+        if (!approvalsService.isReviewer(company, userId)) {
+            await lineService.replyText(event.replyToken, '⛔ เฉพาะผู้ตรวจสอบ (reviewer) เท่านั้น');
+            return;
+        }
+
+        const [action, receiptId, ...rest] = data.split(':');
+        if (action === 'review_page') {
+            await sendReviewPage(event, parseInt(receiptId, 10) || 0);
+        } else if (action === 'review_approve') {
+            await applyReviewDecision(event, userId, receiptId, 'approved', '');
+        } else if (action === 'review_reject' || action === 'review_info') {
+            await askForReviewReason(event, userId, receiptId, action === 'review_reject' ? 'rejected' : 'needs-info');
+        } else if (action === 'review_reason') {
+            // review_reason:<receiptId>:<status>:<preset index>
+            const [status, reasonIndex] = rest;
+            pendingEdits.delete(getEditKey(event.source, userId));
+            const reason = approvalsService.PRESET_REASONS[status]?.[parseInt(reasonIndex, 10)] || '';
+            await applyReviewDecision(event, userId, receiptId, status, reason);
+        }
+        return;
+    }
+
+    // Admin actions - broadcast confirmation (see askToBroadcast) and dead-letter retries (see sendDeadLetters)
+    if (data.startsWith('admin_')) {
+        if (!adminService.isAdmin(userId)) {
+            await lineService.replyText(event.replyToken, '⛔ เฉพาะผู้ดูแลระบบ (admin) เท่านั้น');
+            return;
+        }
+
+        const [action, jobId] = data.split(':');
+        if (action === 'admin_broadcast_send') {
+            await sendBroadcast(event, userId);
+        } else if (action === 'admin_broadcast_cancel') {
+            pendingBroadcasts.delete(userId);
+            await lineService.replyText(event.replyToken, '👌 ยกเลิกแล้ว');
+        } else if (action === 'admin_requeue') {
+            const jobIds = jobId === 'all'
+                ? queueService.getDeadLetters().map(job => job.id)
+                : [jobId];
+            const requeued = jobIds.filter(id => queueService.requeueDeadLetter(id)).length;
+            logger.info('Dead-letter jobs requeued by admin', { userId, requeued });
+            await lineService.replyText(
+                event.replyToken,
+                requeued > 0 ? `🔁 ส่งกลับเข้าคิวแล้ว ${requeued} งาน` : '⚠️ งานนี้ถูกจัดการไปแล้ว'
+            );
+        }
+        return;
+    }
+
+    // Retry the failed photos of an image set (see sendImageSetSummary)
+    // The new summary answers this postback, so nothing is replied here
+    if (data.startsWith('retry_set:')) {
+        const setId = data.slice('retry_set:'.length);
+        const events = imageSetsService.takeFailed(setId);
+
+        if (!events) {
+            await lineService.replyText(event.replyToken, '⚠️ รายการนี้หมดอายุหรือถูกจัดการไปแล้ว\n\n📷 กรุณาส่งรูปที่ไม่สำเร็จใหม่อีกครั้ง');
+            return;
+        }
+
+        logger.info('Retrying failed image set photos', { userId, setId, photos: events.length });
+        imageSetsService.trackRetry(setId, {
+            source: event.source,
+            expected: events.length,
+            replyToken: event.replyToken,
+        });
+        for (const photoEvent of events) {
+            queueService.enqueue(IMAGE_SET_JOB, photoEvent);
+        }
+        return;
+    }
+
+    // Answer to "N receipts found in this photo" (see getCountConfirmationItems)
+    if (data.startsWith('count_ok:') || data.startsWith('count_wrong:')) {
+        const [action, pendingId] = data.split(':');
+        const pending = pendingCountChecks.get(pendingId);
+
+        if (!pending) {
+            await lineService.replyText(event.replyToken, '⚠️ รายการนี้หมดอายุหรือถูกจัดการไปแล้ว');
+            return;
+        }
+        pendingCountChecks.delete(pendingId);
+
+        if (action === 'count_ok') {
+            logger.info('Receipt count confirmed', { userId, messageId: pendingId, receipts: pending.receiptIds.length });
+            await lineService.replyText(event.replyToken, `👍 ขอบคุณ - บันทึก ${pending.receiptIds.length} ใบเรียบร้อย`);
+            return;
+        }
+
+        try {
+            const rows = await receiptsService.addReviewFlag(pending.target, pending.receiptIds, COUNT_DISPUTED_FLAG);
+            logger.warn('Receipt count disputed, flagged for review', {
+                userId,
+                messageId: pendingId,
+                receiptIds: pending.receiptIds,
+                rows,
+            });
+            await lineService.replyText(
+                event.replyToken,
+                `⚠️ ทำเครื่องหมาย "ต้องตรวจสอบ" ให้ ${pending.receiptIds.length} ใบเสร็จแล้ว\n\n📷 ใบที่ขาดหรืออ่านผิด กรุณาถ่ายแยกทีละใบแล้วส่งใหม่`
+            );
+        } catch (error) {
+            logger.error('Flagging receipts failed', { userId, error: error.message });
+            await lineService.replyText(event.replyToken, `❌ ทำเครื่องหมายไม่สำเร็จ\n\nError: ${error.message}`);
+        }
+        return;
+    }
+
+    // Answer to a low-confidence result (see askForConfirmation)
+    if (data.startsWith('confirm_save:') || data.startsWith('confirm_edit:') || data.startsWith('confirm_discard:')) {
+        const [action, pendingId] = data.split(':');
+        const pending = confirmationsService.take(pendingId);
+
+        if (!pending) {
+            await lineService.replyText(
+                event.replyToken,
+                '⚠️ รายการนี้หมดอายุหรือถูกจัดการไปแล้ว\n\n📷 หากต้องการบันทึก กรุณาส่งใบเสร็จใหม่อีกครั้ง'
+            );
+            return;
+        }
+
+        if (action === 'confirm_discard') {
+            logger.info('Low-confidence result discarded', { userId, messageId: pendingId });
+            await lineService.replyText(event.replyToken, '🗑️ ยกเลิกแล้ว - ไม่ได้บันทึกใบเสร็จนี้');
+            return;
+        }
+
+        logger.info('Low-confidence result confirmed', { userId, messageId: pendingId, edit: action === 'confirm_edit' });
+        if (action === 'confirm_save') {
+            await lineService.replyText(event.replyToken, '💾 กำลังบันทึก...');
+        }
+
+        try {
+            await processWithCachedBuffer(userId, pending);
+        } catch (error) {
+            logger.error('Saving confirmed result failed', { userId, error: error.message });
+            await lineService.pushText(
+                lineService.getChatId(pending.source),
+                `❌ บันทึกไม่สำเร็จ\n\nError: ${error.message}\n\n📷 กรุณาส่งไฟล์ใหม่`
+            );
+            return;
+        }
+
+        // Saved - now open the editor (the reply token is still unused)
+        if (action === 'confirm_edit') {
+            if (pending.invoices.length === 1) {
+                await startReceiptEdit(event, userId, pending.invoices[0].receiptId);
+            } else {
+                await replyOrPushWithQuickReply(
+                    event.replyToken,
+                    lineService.getChatId(event.source),
+                    '✏️ เลือกใบเสร็จที่ต้องการแก้ไข',
+                    getEditItems(pending.invoices)
+                );
+            }
+        }
+        return;
+    }
+
+    // Answer to a duplicate warning (see offerDuplicateChoice)
+    if (data.startsWith('dup_save:') || data.startsWith('dup_discard:')) {
+        const [action, pendingId] = data.split(':');
+        const pending = pendingDuplicates.get(pendingId);
+
+        if (!pending) {
+            await lineService.replyText(
+                event.replyToken,
+                '⚠️ รายการนี้หมดอายุหรือถูกจัดการไปแล้ว\n\n📷 หากต้องการบันทึก กรุณาส่งใบเสร็จใหม่อีกครั้ง'
+            );
+            return;
+        }
+        pendingDuplicates.delete(pendingId);
+
+        if (action === 'dup_discard') {
+            logger.info('Duplicate receipt discarded', { userId, messageId: pendingId });
+            await lineService.replyText(event.replyToken, '🗑️ ยกเลิกแล้ว - ไม่ได้บันทึกใบเสร็จนี้');
+            return;
+        }
+
+        logger.info('Duplicate receipt saved anyway', { userId, messageId: pendingId });
+        await lineService.replyText(event.replyToken, '💾 กำลังบันทึก...');
+
+        try {
+            await processWithCachedBuffer(userId, pending);
+        } catch (error) {
+            logger.error('Save anyway failed', { userId, error: error.message });
+            await lineService.pushText(
+                lineService.getChatId(pending.source),
+                `❌ บันทึกไม่สำเร็จ\n\nError: ${error.message}\n\n📷 กรุณาส่งไฟล์ใหม่`
+            );
+        }
+    }
+}
+
+/**
+ * Key of a pending edit - per person and chat, so people in a group can edit at the same time
+ * @param {Object} source - Event source
+ * @param {string} userId - User ID
+ * @returns {string} Key for pendingEdits
+ */
+function getEditKey(source, userId) {
+    return `${lineService.getChatId(source)}:${userId}`;
+}
+
+/**
+ * Find a receipt the user may change - their own, or any receipt of the company for its
+ * reviewers and for admins. Everyone else (e.g. other members of a group) is refused.
+ * Replies in the chat when the receipt isn't found or the user may not change it
+ * @param {Object} event - Postback or text event
+ * @param {string} userId - User ID of the person making the change
+ * @param {string} receiptId - Receipt ID
+ * @returns {Promise<Object|null>} { company, target, rows } or null
+ */
+async function findChangeableReceipt(event, userId, receiptId) {
+    const company = companiesService.resolveCompany(event.source);
+    const target = companiesService.getStorageTarget(company);
+    const rows = await receiptsService.findReceiptRows(target, [receiptId]);
+
+    if (rows.length === 0) {
+        await lineService.replyText(event.replyToken, `⚠️ ไม่พบใบเสร็จ ${receiptId}`);
+        return null;
+    }
+
+    if (!adminService.canChangeReceipt(company, rows[0].record, userId)) {
+        logger.warn('Receipt change refused', { userId, receiptId, owner: rows[0].record['User ID'] });
+        await lineService.replyText(event.replyToken, `⛔ แก้ไข/ลบ ${receiptId} ได้เฉพาะผู้ส่งใบเสร็จ ผู้ตรวจสอบ หรือ admin`);
+        return null;
+    }
+
+    return { company, target, rows };
+}
+
+/**
+ * Show a receipt's current values with a quick reply per editable field
+ * @param {Object} event - Postback or text event
+ * @param {string} userId - User ID
+ * @param {string} receiptId - Receipt ID
+ */
+async function startReceiptEdit(event, userId, receiptId) {
+    const chatId = lineService.getChatId(event.source);
+    const found = await findChangeableReceipt(event, userId, receiptId);
+    if (!found) {
+        return;
+    }
+
+    const record = found.rows[0].record;
+    const fields = Object.entries(receiptsService.EDITABLE_FIELDS);
+    const text = [
+        `✏️ แก้ไข ${receiptId}`,
+        '',
+        ...fields.map(([, definition]) => `${definition.label}: ${record[definition.header] || '-'}`),
+        '',
+        '👇 เลือกช่องที่ต้องการแก้ไข',
+    ].join('\n');
+
+    const items = fields.map(([field, definition]) => ({
+        type: 'action',
+        action: {
+            type: 'postback',
+            label: definition.label,
+            data: `edit_field:${receiptId}:${field}`,
+            displayText: `${definition.label} (${receiptId})`,
+        }
+    }));
+
+    await replyOrPushWithQuickReply(event.replyToken, chatId, text, items);
+}
+
+/**
+ * Ask for the new value of a field
+ * Fields with fixed values get a quick reply per value (EDIT_CHOICES_PER_PAGE at a time, with a
+ * "more" item when there are more); the others wait for the user's next text message (see handleEditInput)
+ * @param {Object} event - Postback event
+ * @param {string} userId - User ID
+ * @param {string} receiptId - Receipt ID
+ * @param {string} field - Key of receiptsService.EDITABLE_FIELDS
+ * @param {number} page - Page of the choices (0 = first)
+ */
+async function askForEditValue(event, userId, receiptId, field, page = 0) {
+    const chatId = lineService.getChatId(event.source);
+    const definition = receiptsService.EDITABLE_FIELDS[field];
+
+    if (!definition) {
+        await lineService.replyText(event.replyToken, '⚠️ แก้ไขช่องนี้ไม่ได้');
+        return;
+    }
+
+    const found = await findChangeableReceipt(event, userId, receiptId);
+    if (!found) {
+        return;
+    }
+
+    if (definition.choices) {
+        const choices = definition.choices(found.company);
+        const pages = Math.ceil(choices.length / EDIT_CHOICES_PER_PAGE);
+        const current = Math.min(page, pages - 1);  // the list may have shrunk since the button was sent
+        const items = choices
+            .slice(current * EDIT_CHOICES_PER_PAGE, (current + 1) * EDIT_CHOICES_PER_PAGE)
+            .map(choice => ({
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: choice.substring(0, 20),  // LINE label limit
+                    data: `edit_set:${receiptId}:${field}:${choice}`,
+                    displayText: choice,
+                }
+            }));
+
+        // Next page, back to the first after the last one
+        if (pages > 1) {
+            items.push({
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: '➡️ เพิ่มเติม',
+                    data: `edit_field:${receiptId}:${field}:${(current + 1) % pages}`,
+                    displayText: '➡️ ตัวเลือกเพิ่มเติม',
+                }
+            });
+        }
+
+        const pageLabel = pages > 1 ? ` (${current + 1}/${pages})` : '';
+        await replyOrPushWithQuickReply(event.replyToken, chatId, `${definition.label} ของ ${receiptId}\n\n👇 เลือกค่าใหม่${pageLabel}`, items);
+        return;
+    }
+
+    pendingEdits.set(getEditKey(event.source, userId), { receiptId, field, timestamp: Date.now() });
+
+    const items = [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '❌ ยกเลิก',
+                data: 'edit_cancel',
+                displayText: '❌ ยกเลิก',
+            }
+        },
+    ];
+    await replyOrPushWithQuickReply(event.replyToken, chatId, `${definition.label} ของ ${receiptId}\n\n⌨️ ${definition.prompt}`, items);
+}
+
+/**
+ * Handle the text a user typed as the new value of a field (or the reason of a review decision)
+ * @param {Object} event - Text message event
+ * @param {string} userId - User ID
+ */
+async function handleEditInput(event, userId) {
+    const editKey = getEditKey(event.source, userId);
+    const { receiptId, field, decision } = pendingEdits.get(editKey);
+    const text = lineService.stripMentions(event.message);
+
+    if (['ยกเลิก', 'cancel'].includes(text.toLowerCase())) {
+        pendingEdits.delete(editKey);
+        await lineService.replyText(event.replyToken, '👌 ยกเลิกแล้ว');
+        return;
+    }
+
+    // Reason for a review decision
+    if (decision) {
+        pendingEdits.delete(editKey);
+        await applyReviewDecision(event, userId, receiptId, decision, text);
+        return;
+    }
+
+    const applied = await applyReceiptEdit(event, userId, receiptId, field, text);
+    if (applied) {
+        pendingEdits.delete(editKey);
+    }
+}
+
+/**
+ * Save a corrected value to every row of a receipt and confirm it in the chat
+ * @param {Object} event - Postback or text event (for the reply and the company)
+ * @param {string} userId - User ID of the person making the change
+ * @param {string} receiptId - Receipt ID
+ * @param {string} field - Key of receiptsService.EDITABLE_FIELDS
+ * @param {string} text - New value as typed or picked
+ * @returns {Promise<boolean>} True when the receipt was updated (or no longer exists)
+ */
+async function applyReceiptEdit(event, userId, receiptId, field, text) {
+    const chatId = lineService.getChatId(event.source);
+    const company = companiesService.resolveCompany(event.source);
+
+    const parsed = receiptsService.parseFieldValue(field, text, company);
+    if (parsed.error) {
+        // Keep waiting for a valid value
+        await lineService.replyText(event.replyToken, `⚠️ ${parsed.error}\n\n⌨️ พิมพ์ใหม่อีกครั้ง หรือพิมพ์ "ยกเลิก"`);
+        return false;
+    }
+
+    try {
+        const found = await findChangeableReceipt(event, userId, receiptId);
+        if (!found) {
+            return true;
+        }
+
+        const profile = await lineService.getUserProfile(userId, event.source);
+        const result = await receiptsService.editReceiptField(found.target, receiptId, field, parsed.value, profile);
+
+        if (!result) {
+            await lineService.replyText(event.replyToken, `⚠️ ไม่พบใบเสร็จ ${receiptId}`);
+            return true;
+        }
+
+        const definition = receiptsService.EDITABLE_FIELDS[field];
+        const items = [
+            {
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: '✏️ แก้ไขช่องอื่น',
+                    data: `edit:${receiptId}`,
+                    displayText: `✏️ แก้ไข ${receiptId}`,
+                }
+            },
+        ];
+        await replyOrPushWithQuickReply(
+            event.replyToken,
+            chatId,
+            `✅ แก้ไข ${receiptId} แล้ว\n\n${definition.label}: ${result.oldValue || '-'} → ${result.newValue}` +
+                (result.reopenedFrom ? `\n\n${approvalsService.STATUS_LABELS.pending} - ต้องตรวจสอบอีกครั้ง (เดิม ${approvalsService.STATUS_LABELS[result.reopenedFrom]})` : ''),
+            items
+        );
+        return true;
+    } catch (error) {
+        logger.error('Receipt edit failed', { userId, receiptId, field, error: error.message });
+        await lineService.replyText(event.replyToken, `❌ แก้ไขไม่สำเร็จ\n\nError: ${error.message}`);
+        return true;
+    }
+}
+
+/**
+ * Show a page of the receipts waiting for approval as a Flex carousel
+ * @param {Object} event - Text or postback event from a reviewer
+ * @param {number} page - Page number (0 = first)
+ */
+async function sendReviewPage(event, page) {
+    const chatId = lineService.getChatId(event.source);
+    const company = companiesService.resolveCompany(event.source);
+    const queue = await approvalsService.listReviewQueue(companiesService.getStorageTarget(company));
+
+    if (queue.length === 0) {
+        await lineService.replyText(event.replyToken, '🎉 ไม่มีใบเสร็จรออนุมัติ');
+        return;
+    }
+
+    const pageSize = config.approvals.pageSize;
+    const pageCount = Math.ceil(queue.length / pageSize);
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const receipts = queue.slice(current * pageSize, (current + 1) * pageSize);
+    const text = [
+        `📋 รออนุมัติ ${queue.length} ใบ (หน้า ${current + 1}/${pageCount})`,
+        '',
+        ...receipts.map(receipt =>
+            `• ${receipt.receiptId} ${receipt.invoice.sellerName || '-'} | 💰 ${receipt.invoice.grandTotal ?? '-'}` +
+            (receipt.status === 'needs-info' ? ' (❓)' : '')
+        ),
+    ].join('\n');
+
+    const pageItem = (label, target) => ({
+        type: 'action',
+        action: { type: 'postback', label, data: `review_page:${target}`, displayText: label },
+    });
+    const items = [
+        ...(current > 0 ? [pageItem('⬅️ หน้าก่อน', current - 1)] : []),
+        ...(current < pageCount - 1 ? [pageItem('➡️ หน้าถัดไป', current + 1)] : []),
+        pageItem('🔄 รีเฟรช', current),
+    ];
+
+    const card = receiptCardService.buildReviewCarousel(receipts, { details: approvalsService.formatReviewDetails });
+    if (card) {
+        await replyOrPushFlex(event.replyToken, chatId, text, card, items);
+        return;
+    }
+
+    // Too large for one Flex Message - the list still shows what is waiting
+    logger.warn('Review carousel too large, sending text', { receipts: receipts.length });
+    await replyOrPushWithQuickReply(event.replyToken, chatId, text, items);
+}
+
+/**
+ * Ask the reviewer why a receipt is rejected / needs more information
+ * Preset reasons are quick replies; a typed reason is picked up by handleEditInput
+ * @param {Object} event - Postback event
+ * @param {string} userId - Reviewer's user ID
+ * @param {string} receiptId - Receipt ID
+ * @param {string} status - 'rejected' or 'needs-info'
+ */
+async function askForReviewReason(event, userId, receiptId, status) {
+    pendingEdits.set(getEditKey(event.source, userId), { receiptId, decision: status, timestamp: Date.now() });
+
+    const items = [
+        ...approvalsService.PRESET_REASONS[status].map((reason, index) => ({
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: reason.substring(0, 20),  // LINE label limit
+                data: `review_reason:${receiptId}:${status}:${index}`,
+                displayText: reason,
+            }
+        })),
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '❌ ยกเลิก',
+                data: 'edit_cancel',
+                displayText: '❌ ยกเลิก',
+            }
+        },
+    ];
+
+    await replyOrPushWithQuickReply(
+        event.replyToken,
+        lineService.getChatId(event.source),
+        `${approvalsService.STATUS_LABELS[status]} ${receiptId}\n\n⌨️ พิมพ์เหตุผล หรือเลือกด้านล่าง`,
+        items
+    );
+}
+
+/**
+ * Save a review decision, confirm it to the reviewer and tell the submitter
+ * @param {Object} event - Postback or text event from the reviewer
+ * @param {string} userId - Reviewer's user ID
+ * @param {string} receiptId - Receipt ID
+ * @param {string} status - 'approved', 'rejected' or 'needs-info'
+ * @param {string} note - Reason ('' for approvals)
+ */
+async function applyReviewDecision(event, userId, receiptId, status, note) {
+    const chatId = lineService.getChatId(event.source);
+    const company = companiesService.resolveCompany(event.source);
+
+    try {
+        const profile = await lineService.getUserProfile(userId, event.source);
+        const result = await receiptsService.setApprovalStatus(
+            companiesService.getStorageTarget(company),
+            receiptId,
+            status,
+            note,
+            profile
+        );
+
+        if (!result) {
+            await lineService.replyText(event.replyToken, `⚠️ ไม่พบใบเสร็จ ${receiptId}`);
+            return;
+        }
+
+        const items = [
+            {
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: '📋 ใบถัดไป',
+                    data: 'review_page:0',
+                    displayText: '📋 รายการรออนุมัติ',
+                }
+            },
+        ];
+        await replyOrPushWithQuickReply(
+            event.replyToken,
+            chatId,
+            `${approvalsService.STATUS_LABELS[status]} ${receiptId} แล้ว${note ? `\n\n📝 ${note}` : ''}`,
+            items
+        );
+
+        await notifySubmitter(receiptId, result.record, status, note, userId);
+    } catch (error) {
+        logger.error('Review decision failed', { userId, receiptId, status, error: error.message });
+        await lineService.replyText(event.replyToken, `❌ บันทึกผลการตรวจไม่สำเร็จ\n\nError: ${error.message}`);
+    }
+}
+
+/**
+ * Tell the person who sent a receipt about the review decision
+ * Pushed to them directly, or to the group it was sent in if that fails (not a friend of the bot)
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} record - Receipt values keyed by sheet header
+ * @param {string} status - New status
+ * @param {string} note - Reason
+ * @param {string} reviewerId - Reviewer's user ID (not notified about their own receipts)
+ */
+async function notifySubmitter(receiptId, record, status, note, reviewerId) {
+    const submitterId = record['User ID'];
+    const groupId = record['Group ID'];
+    if (!submitterId || submitterId === reviewerId) {
+        return;
+    }
+
+    const text = approvalsService.formatDecisionNotice(receiptId, record, status, note);
+
+    for (const chatId of [submitterId, groupId].filter(Boolean)) {
+        try {
+            if (status === 'needs-info') {
+                await lineService.replyWithQuickReply(null, text, getEditItems([{ receiptId }]), chatId);
+            } else {
+                await lineService.pushText(chatId, text);
+            }
+            return;
+        } catch (error) {
+            logger.warn('Could not notify submitter', { receiptId, chatId, error: error.message });
+        }
+    }
+}
+
+/**
+ * Delete a saved receipt and confirm it in the chat
+ * @param {Object} event - Postback event
+ * @param {string} userId - User ID of the person deleting it
+ * @param {string} receiptId - Receipt ID
+ */
+async function deleteReceipt(event, userId, receiptId) {
+    try {
+        // Checked again - the confirmation button can be pressed by anyone in the chat
+        const found = await findChangeableReceipt(event, userId, receiptId);
+        if (!found) {
+            return;
+        }
+
+        const profile = await lineService.getUserProfile(userId, event.source);
+        const result = await receiptsService.deleteReceipt(found.target, receiptId, profile);
+
+        await lineService.replyText(
+            event.replyToken,
+            result ? `🗑️ ลบใบเสร็จ ${receiptId} แล้ว` : `⚠️ ไม่พบใบเสร็จ ${receiptId} (อาจถูกลบไปแล้ว)`
+        );
+    } catch (error) {
+        logger.error('Receipt delete failed', { userId, receiptId, error: error.message });
+        await lineService.replyText(event.replyToken, `❌ ลบไม่สำเร็จ\n\nError: ${error.message}`);
+    }
+}
+
+/**
+ * Process document with cached buffer (used for retry, "save anyway" and confirmed results)
+ * Skips the duplicate check; OCR is skipped too when cachedData already has invoices
+ * (a fresh OCR result can still need confirmation - see askForConfirmation)
+ * @param {string} userId - User ID
+ * @param {Object} cachedData - Cached data from retry cache / pendingDuplicates / confirmationsService
+ */
+async function processWithCachedBuffer(userId, cachedData) {
+    const { fileBuffer, messageId, docType, mimeType } = cachedData;
+    const source = cachedData.source || { type: 'user', userId };
+    const chatId = lineService.getChatId(source);
+    const groupId = lineService.isGroupChat(source) ? chatId : null;
+    const company = companiesService.resolveCompany(source);
+    const target = companiesService.getStorageTarget(company);
+    const timestamp = formatDateTime();
+    const isDebugMode = process.env.VERBOSE_DEBUG_MODE === 'true';
+    const isReturnOutput = process.env.VERBOSE_RETURN_OUTPUT === 'true';
+    
+    // Get the original sender's profile (the receipt is theirs, whoever pressed Retry)
+    const profile = await lineService.getUserProfile(source.userId || userId, source);
+    const userInfo = { ...profile, groupId };
+    
+    let invoices = cachedData.invoices;
+    if (!invoices) {
+        // Check OCR availability (company, group and the original sender's quota)
+        const requester = { userId: source.userId || userId, groupId };
+        const availability = await usageService.checkOCRAvailability(company, requester);
+        if (!availability.canUseOCR) {
+            await lineService.pushText(chatId, `⚠️ ${availability.message}`);
+            return;
+        }
+        const limitMessage = await checkPageLimits(fileBuffer, docType, availability);
+        if (limitMessage) {
+            await lineService.pushText(chatId, limitMessage);
+            return;
+        }
+
+        // Extract invoice data with the configured OCR provider
+        if (isDebugMode) {
+            await lineService.pushText(chatId, `🔍 Processing with ${ocrProvider.getProvider().label}...`);
+        }
+        const result = await extractDocument(company, fileBuffer, mimeType, requester);
+        const fileHash = duplicatesService.hashFile(fileBuffer);
+        invoices = result.invoices;
+        invoices.forEach(invoice => { invoice.fileHash = fileHash; });
+        
+        // Increment usage
+        await usageService.incrementUsage(company, result.ocrRuns, requester);
+
+        // Low-confidence results are only saved once the user confirms them
+        if (confirmationsService.needsConfirmation(invoices)) {
+            await askForConfirmation(null, chatId, { fileBuffer, messageId, docType, mimeType, source, invoices });
+            if (retryCache.get(chatId)?.messageId === messageId) {
+                retryCache.delete(chatId);
+            }
+            return;
+        }
+    }
+    
+    // Store the original document and save receipt rows
+    const uploadResult = await saveReceipts(invoices, {
+        fileBuffer,
+        fileName: cachedData.fileName || `receipt_${messageId}_retry_${Date.now()}.${fileTypeService.getExtension(mimeType)}`,
+        mimeType,
+        target,
+        timestamp,
+        userInfo,
+        chatId,
+        isDebugMode,
+    });
+    
+    // Send success message - only logged on failure, the receipts are saved
+    // (an error would leave the document in the retry cache and Retry would save it twice)
+    try {
+        await sendSavedMessage(null, chatId, {
+            invoices,
+            documentUrl: uploadResult.url,
+            docType,
+            messageId,
+            target,
+            isReturnOutput,
+        });
+    } catch (error) {
+        logger.error('Receipts saved, but the chat could not be notified', {
+            messageId,
+            chatId,
+            receiptIds: invoices.map(invoice => invoice.receiptId),
+            error: error.message,
+        });
+    }
+    
+    // Clear retry cache (if it still holds this document)
+    if (retryCache.get(chatId)?.messageId === messageId) {
+        retryCache.delete(chatId);
+    }
+    
+    logger.info('Cached document processed', {
+        userId,
+        chatId,
+        messageId,
+        docType,
+        company: company.id,
+        receiptIds: invoices.map(invoice => invoice.receiptId),
+    });
+}
+
+
+/**
+ * Format the reply for saved receipts
+ * One receipt keeps the usual message; several (multi-page PDF, photo of several receipts) get one summary
+ * @param {Array<Object>} invoices - Saved invoices
+ * @param {string} documentUrl - Stored document URL
+ * @param {boolean} isReturnOutput - Full details instead of the short confirmation
+ * @param {string} docType - 'image' or 'pdf'
+ * @returns {string} Formatted message
+ */
+function formatSavedMessage(invoices, documentUrl, isReturnOutput, docType) {
+    if (invoices.length === 1) {
+        return isReturnOutput
+            ? formatSuccessMessage(invoices[0], documentUrl)
+            : formatShortSuccessMessage(invoices[0]);
+    }
+    return formatMultiReceiptMessage(invoices, docType);
+}
+
+/**
+ * Format summary message for several receipts in one document
+ * @param {Array<Object>} invoices - Saved invoices (with receiptId, and sourcePages for PDFs)
+ * @param {string} docType - 'image' or 'pdf'
+ * @returns {string} Formatted message
+ */
+function formatMultiReceiptMessage(invoices, docType) {
+    const lines = [
+        `✅ บันทึกแล้ว ${invoices.length} ใบเสร็จ${docType === 'pdf' ? 'จาก PDF' : 'จากรูปเดียว'}`,
+        '',
+    ];
+    let total = 0;
+
+    invoices.forEach((invoice, index) => {
+        const pages = invoice.sourcePages || [];
+        const pageLabel = pages.length > 1
+            ? ` (หน้า ${pages[0]}-${pages[pages.length - 1]})`
+            : pages.length === 1 ? ` (หน้า ${pages[0]})` : '';
+        lines.push(`${index + 1}. 🧾 ${invoice.receiptId}${pageLabel}`);
+        lines.push(`   🏪 ${invoice.sellerName || '-'} | 💰 ${invoice.grandTotal ?? '-'}`);
+        if (invoice.reviewFlags && invoice.reviewFlags.length > 0) {
+            lines.push('   ⚠️ ต้องตรวจสอบ');
+        }
+        total += Number(invoice.grandTotal) || 0;
+    });
+
+    lines.push('');
+    lines.push(`💰 ยอดรวมทั้งหมด: ${total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+    if (docType === 'image') {
+        lines.push('');
+        lines.push(`💡 พบ ${invoices.length} ใบในรูปนี้ ถูกต้องหรือไม่?`);
+    }
+
+    return lines.join('\n');
+}
+
+
+/**
+ * Format success message for user
+ * @param {Object} ocrData - Extracted OCR data
+ * @param {string} imageUrl - Stored document URL
+ * @returns {string} Formatted message
+ */
+function formatSuccessMessage(ocrData, imageUrl) {
+    const lines = ['✅ ใบกำกับภาษีถูกบันทึกแล้ว!', ''];
+
+    // Invoice header info
+    if (ocrData.invoiceNumber) {
+        lines.push(`🔢 เลขที่: ${ocrData.invoiceNumber}`);
+    }
+    if (ocrData.invoiceDate) {
+        lines.push(`📅 วันที่: ${ocrData.invoiceDate}`);
+    }
+    
+    // Seller info
+    if (ocrData.sellerName) {
+        lines.push(`🏪 ผู้ขาย: ${ocrData.sellerName}`);
+    }
+    if (ocrData.sellerTaxId) {
+        lines.push(`🏷️ Tax ID: ${ocrData.sellerTaxId}`);
+    }
+
+    // Line items
+    if (ocrData.lineItems && ocrData.lineItems.length > 0) {
+        lines.push('');
+        lines.push('📝 รายการ:');
+        for (const item of ocrData.lineItems.slice(0, 5)) { // Show max 5 items
+            let itemLine = `  • ${item.description || 'Item'}`;
+            if (item.quantity) itemLine += ` x${item.quantity}`;
+            if (item.amount) itemLine += ` = ${item.amount}`;
+            lines.push(itemLine);
+        }
+        if (ocrData.lineItems.length > 5) {
+            lines.push(`  ... และอีก ${ocrData.lineItems.length - 5} รายการ`);
+        }
+    }
+
+    // Totals
+    lines.push('');
+    if (ocrData.subtotal) {
+        lines.push(`💵 ยอดก่อน VAT: ${ocrData.subtotal}`);
+    }
+    if (ocrData.vatAmount) {
+        lines.push(`📊 VAT 7%: ${ocrData.vatAmount}`);
+    }
+    if (ocrData.grandTotal) {
+        lines.push(`💰 ยอดรวม: ${ocrData.grandTotal}`);
+    }
+
+    lines.push(...formatReviewLines(ocrData));
+
+    lines.push('');
+    const storage = storageService.getBackend();
+    lines.push(`📁 Image saved to ${storage.documentsLabel}`);
+    lines.push(`📊 Data logged to ${storage.rowsLabel}`);
+    
+    // Show confidence score
+    if (ocrData.confidence !== undefined) {
+        const confidencePercent = Math.round(ocrData.confidence * 100);
+        const confidenceEmoji = confidencePercent >= 80 ? '🟢' : confidencePercent >= 60 ? '🟡' : '🔴';
+        lines.push(`${confidenceEmoji} Confidence: ${confidencePercent}%`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Format short success message (when full output is disabled)
+ * Review warnings are always shown
+ * @param {Object} ocrData - Extracted OCR data
+ * @returns {string} Formatted message
+ */
+function formatShortSuccessMessage(ocrData) {
+    return ['✅ Invoice processed and saved!', ...formatReviewLines(ocrData)].join('\n');
+}
+
+/**
+ * Format review warnings for a processed receipt
+ * @param {Object} ocrData - Extracted OCR data
+ * @returns {Array<string>} Message lines (empty if nothing to review)
+ */
+function formatReviewLines(ocrData) {
+    const lines = [
+        ...ensembleService.formatConflictLines(ocrData),
+        ...arithmeticService.formatIssueLines(ocrData),
+        ...taxIdService.formatTaxIdLines(ocrData),
+        ...formatDateLines(ocrData),
+    ];
+    return lines.length > 0 ? ['', ...lines] : [];
+}
+
+/**
+ * Format invoice date warnings (see utils/thaiDate.js)
+ * @param {Object} ocrData - Extracted OCR data
+ * @returns {Array<string>} Message lines (empty if the date looks right)
+ */
+function formatDateLines(ocrData) {
+    const flags = ocrData.reviewFlags || [];
+    const date = String(ocrData.invoiceDate || '').replace(/^'/, '');
+
+    if (flags.includes('date:unparsed')) return [`⚠️ อ่านวันที่ไม่ได้: ${date}`];
+    if (flags.includes('date:future')) return [`⚠️ วันที่ในใบเสร็จเป็นวันในอนาคต: ${date}`];
+    if (flags.includes('date:old')) return [`⚠️ วันที่ในใบเสร็จเก่ากว่า 1 ปี: ${date}`];
+    return [];
+}
+
+/**
+ * Handle follow event - user adds bot as friend
+ * Simple welcome message for 1:1 chats (groups get handleJoinEvent)
+ */
+async function handleFollowEvent(event, userId) {
+    logger.info('New user follow', { userId });
+    
+    try {
+        const profile = await lineService.getUserProfile(userId);
+        
+        await lineService.replyText(
+            event.replyToken,
+            `👋 Welcome ${profile.displayName || 'User'}!\n\n📷 ส่งรูปใบเสร็จ/ใบกำกับภาษี\n✅ ระบบจะบันทึกข้อมูลให้อัตโนมัติ\n\n💡 พิมพ์ /cmd หรือ help เพื่อดูคำสั่งทั้งหมด`
+        );
+    } catch (error) {
+        logger.error('Error handling follow event', { error: error.message });
+    }
+}
+
+/**
+ * Handle join event - bot is added to a group / multi-person chat
+ */
+async function handleJoinEvent(event) {
+    logger.info('Bot joined group', { groupId: lineService.getChatId(event.source) });
+
+    try {
+        await lineService.replyText(
+            event.replyToken,
+            `👋 สวัสดีทุกคน!
+
+📷 ส่งรูปใบเสร็จ/ใบกำกับภาษีในกลุ่มนี้
+✅ ระบบจะบันทึกข้อมูลให้อัตโนมัติ
+
+💡 แท็กบอท (@) ตามด้วยคำสั่ง เช่น /total หรือ /cmd`
+        );
+    } catch (error) {
+        logger.error('Error handling join event', { error: error.message });
+    }
+}
+
+/**
+ * Handle memberJoined event - new members added to a group the bot is in
+ */
+async function handleMemberJoinedEvent(event) {
+    const members = event.joined?.members || [];
+    logger.info('Members joined group', {
+        groupId: lineService.getChatId(event.source),
+        count: members.length,
+    });
+
+    try {
+        await lineService.replyText(
+            event.replyToken,
+            `👋 ยินดีต้อนรับสมาชิกใหม่!
+
+📷 ส่งรูปใบเสร็จในกลุ่มนี้ได้เลย ระบบจะบันทึกให้อัตโนมัติ`
+        );
+    } catch (error) {
+        logger.error('Error handling memberJoined event', { error: error.message });
+    }
+}
+
+/**
+ * Handle text messages - commands
+ * In groups the bot is @mentioned ("@Bot /usage"), so mentions are stripped first
  */
 async function handleTextMessage(event, userId) {
-    const text = event.message.text.trim();
+    const text = lineService.stripMentions(event.message);
     const textLower = text.toLowerCase();
+    const isGroup = lineService.isGroupChat(event.source);
     
     // Help command - list all available commands
     if (textLower === '/cmd' || textLower === 'cmd' || textLower === '/help' || textLower === 'help') {
+        const isReviewer = approvalsService.isReviewer(companiesService.resolveCompany(event.source), userId);
+        const adminHelp = `
+
+🛠️ Admin Commands:
+🔍 /receipts <User ID> [n] - A user's recent receipts
+📈 /limit [company | user <ID> | group <ID>] <n|reset> - Change a monthly OCR limit
+⏸️ /pause, ▶️ /resume - Pause / resume OCR
+📢 /broadcast <message> - Send a notice to everyone
+💀 /failed - Jobs that ran out of retries
+🔁 /reprocess <Receipt ID> - Run OCR again on a saved receipt`;
         const helpMessage = `📋 Available Commands:
 
 🆔 /myid - Get your LINE User ID
 📊 /usage - Check OCR quota
-❓ /cmd - Show this help message
-
+🧾 /total - This month's receipt totals${isGroup ? ' for this group' : ''}
+✏️ /edit <Receipt ID> - Correct a saved receipt${isReviewer ? '\n📋 /review - Approve receipts waiting for review' : ''}
+❓ /cmd - Show this help message${adminService.isAdmin(userId) ? adminHelp : ''}
+${isGroup ? '\n💬 In groups, @mention the bot before a command\n' : ''}
 📷 Or send a receipt image to process!`;
         await lineService.replyText(event.replyToken, helpMessage);
         return;
     }
     
-    // Get my LINE User ID command
+    // Get my LINE User ID command (and the group ID, for the company registry)
     if (textLower === '/myid' || textLower === 'myid') {
+        const groupLine = isGroup ? `\n\n👥 Group ID:\n\n${lineService.getChatId(event.source)}` : '';
         await lineService.replyText(
             event.replyToken,
-            `🆔 Your LINE User ID:\n\n${userId}\n\n📋 Copy this for reference.`
+            `🆔 Your LINE User ID:\n\n${userId}${groupLine}\n\n📋 Copy this for reference.`
         );
         return;
     }
+
+    // Monthly totals - per group in group chats, per sender in 1:1 chats
+    if (textLower === '/total' || textLower === 'total' || textLower === 'ยอดรวม') {
+        const company = companiesService.resolveCompany(event.source);
+        const filter = isGroup
+            ? { groupId: lineService.getChatId(event.source) }
+            : { userId };
+        const totals = await reportsService.getMonthlyTotals(companiesService.getStorageTarget(company), filter);
+        await lineService.replyText(event.replyToken, formatTotalsMessage(totals, isGroup));
+        return;
+    }
     
+    // Correct a saved receipt, e.g. "/edit R250117-004"
+    const editMatch = text.match(/^\/edit(?:\s+(\S+))?$/i);
+    if (editMatch) {
+        const receiptId = editMatch[1];
+        if (!receiptId) {
+            await lineService.replyText(event.replyToken, '💡 พิมพ์ /edit ตามด้วย Receipt ID เช่น /edit R250117-004');
+            return;
+        }
+        await startReceiptEdit(event, userId, receiptId);
+        return;
+    }
+
+    // Receipts waiting for approval (reviewers only)
+    if (textLower === '/review') {
+        const company = companiesService.resolveCompany(event.source);
+        if (!approvalsService.isReviewer(company, userId)) {
+            await lineService.replyText(event.replyToken, '⛔ เฉพาะผู้ตรวจสอบ (reviewer) เท่านั้น');
+            return;
+        }
+        await sendReviewPage(event, 0);
+        return;
+    }
+
     // Usage check command
     if (textLower === '/usage' || textLower === 'usage' || textLower === 'quota') {
-        const stats = await usageService.getUsageStats();
-        const message = formatUsageMessage(stats);
+        const company = companiesService.resolveCompany(event.source);
+        const stats = await usageService.getUsageStats(company, {
+            userId,
+            groupId: isGroup ? lineService.getChatId(event.source) : null,
+        });
+        const message = formatUsageMessage(stats, company);
         await lineService.replyText(event.replyToken, message);
         return;
     }
+
+    // Admin commands (admins only)
+    if (await handleAdminCommand(event, userId, text)) {
+        return;
+    }
     
     // Unknown text - prompt to send image
     await lineService.replyText(
@@ -514,24 +2178,406 @@ async function handleTextMessage(event, userId) {
     );
 }
 
+/**
+ * Handle the admin commands (see ADMIN_COMMANDS)
+ * @param {Object} event - Text event
+ * @param {string} userId - User ID
+ * @param {string} text - Message text without mentions
+ * @returns {Promise<boolean>} True if the text was an admin command
+ */
+async function handleAdminCommand(event, userId, text) {
+    const match = text.match(/^(\/\w+)(?:\s+([\s\S]*))?$/);
+    const command = match?.[1].toLowerCase();
+    if (!ADMIN_COMMANDS.includes(command)) {
+        return false;
+    }
+
+    if (!adminService.isAdmin(userId)) {
+        await lineService.replyText(event.replyToken, '⛔ เฉพาะผู้ดูแลระบบ (admin) เท่านั้น');
+        return true;
+    }
+
+    const rest = (match[2] || '').trim();
+    const args = rest.split(/\s+/).filter(Boolean);
+    const chatId = lineService.getChatId(event.source);
+
+    try {
+        // A user's recent receipts, e.g. "/receipts U1234... 5"
+        if (command === '/receipts') {
+            if (!args[0]) {
+                await lineService.replyText(event.replyToken, '💡 พิมพ์ /receipts ตามด้วย User ID เช่น /receipts U1234abcd 10');
+                return true;
+            }
+            const receipts = await adminService.listRecentReceipts(args[0], parseInt(args[1], 10) || 10);
+            await lineService.replyText(event.replyToken, adminService.formatRecentReceipts(args[0], receipts));
+            return true;
+        }
+
+        // Monthly limit of this chat's company, "/limit <company> ..." for another one,
+        // or "/limit user|group <ID> ..." for one sender / group
+        if (command === '/limit') {
+            const kind = ['user', 'group'].includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'company';
+            let company;
+            let id;
+
+            if (kind === 'company') {
+                const companyId = args.length > 0 && !/^(\d+|reset)$/i.test(args[0]) ? args.shift() : null;
+                company = companyId ? companiesService.getCompany(companyId) : companiesService.resolveCompany(event.source);
+                if (!company) {
+                    await lineService.replyText(event.replyToken, `⚠️ ไม่พบบริษัท ${companyId}`);
+                    return true;
+                }
+                id = company.id;
+            } else {
+                id = args.shift();
+                if (!id) {
+                    await lineService.replyText(event.replyToken, `💡 พิมพ์ /limit ${kind} ตามด้วย ${kind === 'user' ? 'User ID' : 'Group ID'} และจำนวนครั้งต่อเดือน`);
+                    return true;
+                }
+                // The sender's / group's own counter is kept under their company
+                company = companiesService.resolveCompany(kind === 'user' ? { userId: id } : { groupId: id });
+            }
+
+            const value = args[0]?.toLowerCase();
+            if (value === 'reset') {
+                adminService.setMonthlyLimit(kind, id, null, userId);
+            } else if (value !== undefined) {
+                if (!/^\d+$/.test(value)) {
+                    await lineService.replyText(event.replyToken, '💡 พิมพ์ /limit ตามด้วยจำนวนครั้งต่อเดือน เช่น /limit 1500 หรือ /limit reset');
+                    return true;
+                }
+                adminService.setMonthlyLimit(kind, id, parseInt(value, 10), userId);
+            }
+
+            const stats = await usageService.getUsageStats(company, kind === 'user' ? { userId: id } : kind === 'group' ? { groupId: id } : {});
+            const quota = kind === 'company' ? stats : stats[kind];
+            const name = kind === 'company' ? company.name : `${kind === 'user' ? '👤' : '👥'} ${id}`;
+            const isOverride = adminService.getMonthlyLimit(kind, id) !== null;
+            await lineService.replyText(
+                event.replyToken,
+                `${value !== undefined ? '✅' : '📈'} โควตา ${name}: ${quota.limit === null ? 'ไม่จำกัด' : `${quota.limit} ครั้ง/เดือน`}` +
+                `${isOverride ? ' (ตั้งโดย admin)' : ''}\n\n✅ ใช้ไปแล้ว: ${quota.used}` +
+                `${quota.remaining === null ? '' : `\n📉 คงเหลือ: ${quota.remaining}`}`
+            );
+            return true;
+        }
+
+        if (command === '/pause' || command === '/resume') {
+            const paused = command === '/pause';
+            adminService.setOcrPaused(paused, userId);
+            await lineService.replyText(
+                event.replyToken,
+                paused
+                    ? '⏸️ หยุดอ่านใบเสร็จแล้ว (ทุกบริษัท)\n\n📷 รูปที่ส่งมาจะได้รับแจ้งให้ส่งใหม่ภายหลัง\n▶️ พิมพ์ /resume เพื่อเปิดอีกครั้ง'
+                    : '▶️ เปิดอ่านใบเสร็จแล้ว'
+            );
+            return true;
+        }
+
+        if (command === '/broadcast') {
+            await askToBroadcast(event, userId, rest);
+            return true;
+        }
+
+        if (command === '/failed') {
+            await sendDeadLetters(event);
+            return true;
+        }
+
+        if (command === '/reprocess') {
+            if (!args[0]) {
+                await lineService.replyText(event.replyToken, '💡 พิมพ์ /reprocess ตามด้วย Receipt ID เช่น /reprocess R250117-004');
+                return true;
+            }
+            await reprocessReceipt(event, userId, args[0]);
+            return true;
+        }
+    } catch (error) {
+        logger.error('Admin command failed', { userId, command, error: error.message });
+        await replyOrPush(event.replyToken, chatId, `❌ คำสั่ง ${command} ไม่สำเร็จ\n\nError: ${error.message}`);
+    }
+    return true;
+}
+
+/**
+ * Show a notice before it is broadcast and ask the admin to confirm
+ * @param {Object} event - Text event
+ * @param {string} userId - Admin's user ID
+ * @param {string} text - Notice text
+ */
+async function askToBroadcast(event, userId, text) {
+    if (!text) {
+        await lineService.replyText(event.replyToken, '💡 พิมพ์ /broadcast ตามด้วยข้อความ เช่น /broadcast ระบบจะปิดปรับปรุงคืนนี้ 22:00');
+        return;
+    }
+    if (text.length > 4000) {
+        await lineService.replyText(event.replyToken, '⚠️ ข้อความยาวเกิน 4000 ตัวอักษร');
+        return;
+    }
+
+    pendingBroadcasts.set(userId, { text, timestamp: Date.now() });
+
+    const groups = adminService.getBroadcastGroups();
+    const items = [
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '📢 ส่งเลย',
+                data: 'admin_broadcast_send',
+                displayText: '📢 ส่งประกาศ',
+            }
+        },
+        {
+            type: 'action',
+            action: {
+                type: 'postback',
+                label: '❌ ยกเลิก',
+                data: 'admin_broadcast_cancel',
+                displayText: '❌ ยกเลิก',
+            }
+        },
+    ];
+
+    await replyOrPushWithQuickReply(
+        event.replyToken,
+        lineService.getChatId(event.source),
+        `📢 ส่งประกาศถึงผู้ใช้ทุกคน${groups.length > 0 ? ` และ ${groups.length} กลุ่ม` : ''}:\n\n${text}\n\n👇 ยืนยันการส่ง?`,
+        items
+    );
+}
+
+/**
+ * Broadcast the notice the admin confirmed
+ * Every friend of the bot gets it through a LINE broadcast; the groups in the company
+ * registry get a push each
+ * @param {Object} event - Postback event
+ * @param {string} userId - Admin's user ID
+ */
+async function sendBroadcast(event, userId) {
+    const pending = pendingBroadcasts.get(userId);
+    pendingBroadcasts.delete(userId);
+
+    if (!pending) {
+        await lineService.replyText(event.replyToken, '⚠️ ประกาศนี้หมดอายุหรือถูกส่งไปแล้ว');
+        return;
+    }
+
+    const notice = `📢 ประกาศ\n\n${pending.text}`;
+    try {
+        await lineService.broadcastText(notice);
+    } catch (error) {
+        await lineService.replyText(event.replyToken, `❌ ส่งประกาศไม่สำเร็จ\n\nError: ${error.message}`);
+        return;
+    }
+
+    const groups = adminService.getBroadcastGroups();
+    let failedGroups = 0;
+    for (const groupId of groups) {
+        try {
+            await lineService.pushText(groupId, notice);
+        } catch (error) {
+            failedGroups++;
+            logger.warn('Could not push notice to group', { groupId, error: error.message });
+        }
+    }
+
+    logger.info('Notice broadcast by admin', { userId, groups: groups.length, failedGroups });
+    await replyOrPush(
+        event.replyToken,
+        lineService.getChatId(event.source),
+        `✅ ส่งประกาศแล้ว (ผู้ใช้ทุกคน${groups.length > 0 ? ` + ${groups.length - failedGroups}/${groups.length} กลุ่ม` : ''})`
+    );
+}
+
+/**
+ * List the jobs that ran out of retries, with a quick reply to put each back in the queue
+ * @param {Object} event - Text event
+ */
+async function sendDeadLetters(event) {
+    const jobs = queueService.getDeadLetters();
+    const shown = jobs.slice(0, adminService.MAX_DEAD_LETTERS);
+    const text = adminService.formatDeadLetters(shown, jobs.length);
+
+    if (shown.length === 0) {
+        await lineService.replyText(event.replyToken, text);
+        return;
+    }
+
+    const requeueItem = (label, jobId) => ({
+        type: 'action',
+        action: { type: 'postback', label, data: `admin_requeue:${jobId}`, displayText: label },
+    });
+    const items = [
+        ...shown.map((job, index) => requeueItem(`🔁 #${index + 1}`, job.id)),
+        ...(jobs.length > 1 ? [requeueItem('🔁 ทั้งหมด', 'all')] : []),
+    ];
+
+    await replyOrPushWithQuickReply(event.replyToken, lineService.getChatId(event.source), text, items);
+}
+
+/**
+ * Run OCR again on a saved receipt's stored document and replace its rows
+ * The Receipt ID, sender and Processed At are kept; the approval status starts over
+ * @param {Object} event - Text event
+ * @param {string} userId - Admin's user ID
+ * @param {string} receiptId - Receipt ID
+ */
+async function reprocessReceipt(event, userId, receiptId) {
+    const chatId = lineService.getChatId(event.source);
+    const found = await adminService.findReceipt(receiptId);
+
+    if (!found) {
+        await lineService.replyText(event.replyToken, `⚠️ ไม่พบใบเสร็จ ${receiptId}`);
+        return;
+    }
+
+    const { company, target, rows } = found;
+    const record = rows[0].record;
+
+    const availability = await usageService.checkOCRAvailability(company);
+    if (!availability.canUseOCR) {
+        await lineService.replyText(event.replyToken, `⚠️ ${availability.message}`);
+        return;
+    }
+
+    const fileBuffer = await storageService.readDocument(record['Image URL']);
+    const fileType = fileTypeService.detectFileType(fileBuffer);
+    if (!fileType) {
+        throw new Error('Stored document is not a supported file type');
+    }
+    const limitMessage = await checkPageLimits(fileBuffer, fileType.docType, availability);
+    if (limitMessage) {
+        await replyOrPush(event.replyToken, chatId, limitMessage);
+        return;
+    }
+
+    const { invoices, ocrRuns } = await extractDocument(company, fileBuffer, fileType.mimeType, { userId });
+    await usageService.incrementUsage(company, ocrRuns);
+
+    // A document with several receipts - take the one this Receipt ID was saved from
+    const invoice = invoices.length === 1
+        ? invoices[0]
+        : invoices.find(candidate => candidate.sourceRef && candidate.sourceRef === record['Source Ref']);
+    if (!invoice) {
+        await replyOrPush(event.replyToken, chatId, `⚠️ อ่านเอกสารได้ ${invoices.length} ใบเสร็จ - ไม่พบใบที่ตรงกับ ${receiptId}`);
+        return;
+    }
+
+    invoice.receiptId = receiptId;
+    invoice.fileHash = record['File Hash'] || duplicatesService.hashFile(fileBuffer);
+    const newRows = formatForSheets(
+        invoice,
+        String(record['Image URL']).replace(/#page=\d+$/, ''),
+        record['Processed At'],
+        { userId: record['User ID'], displayName: record['User Name'], groupId: record['Group ID'] }
+    );
+
+    const profile = await lineService.getUserProfile(userId, event.source);
+    await receiptsService.replaceReceipt(target, receiptId, newRows, profile);
+
+    const lines = [
+        `🔁 อ่านใบเสร็จ ${receiptId} ใหม่แล้ว`,
+        '',
+        `ก่อน: 🏪 ${record['Seller Name'] || '-'} | 💰 ${record['Grand Total'] || '-'}`,
+        `หลัง: 🏪 ${invoice.sellerName || '-'} | 💰 ${invoice.grandTotal ?? '-'}`,
+        ...formatReviewLines(invoice),
+        '',
+        `${approvalsService.STATUS_LABELS.pending} - ต้องตรวจสอบอีกครั้ง`,
+    ];
+    await replyOrPush(event.replyToken, chatId, lines.join('\n'));
+}
+
+/**
+ * Format monthly totals message
+ * @param {Object} totals - Totals from reportsService.getMonthlyTotals
+ * @param {boolean} isGroup - Whether to show the per-sender breakdown
+ * @returns {string} Formatted message
+ */
+function formatTotalsMessage(totals, isGroup) {
+    const formatAmount = amount => amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const lines = [
+        `🧾 สรุปยอดเดือน ${totals.month}${isGroup ? ' (กลุ่มนี้)' : ''}`,
+        '',
+        `📄 ใบเสร็จ: ${totals.receipts}`,
+        `💰 ยอดรวม: ${formatAmount(totals.total)}`,
+    ];
+
+    if (isGroup && totals.bySender.length > 0) {
+        lines.push('');
+        lines.push('👥 แยกตามผู้ส่ง:');
+        for (const sender of totals.bySender.slice(0, 10)) {
+            lines.push(`  • ${sender.displayName || sender.userId}: ${sender.receipts} ใบ, ${formatAmount(sender.total)}`);
+        }
+        if (totals.bySender.length > 10) {
+            lines.push(`  ... และอีก ${totals.bySender.length - 10} คน`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
 /**
  * Format usage statistics message
+ * The company quota, then the group's and the sender's own quota when they are in the stats
  * @param {Object} stats - Usage statistics
+ * @param {Object} company - Company the stats belong to
  * @returns {string} Formatted message
  */
-function formatUsageMessage(stats) {
+function formatUsageMessage(stats, company) {
     const lines = [
         '📊 OCR Usage Statistics',
         '',
+    ];
+
+    if (company && company.id !== companiesService.DEFAULT_COMPANY_ID) {
+        lines.push(`🏢 Company: ${company.name}`);
+    }
+
+    lines.push(
         `📅 Month: ${stats.monthDisplay}`,
         `✅ Used: ${stats.used}/${stats.limit}`,
         `📉 Remaining: ${stats.remaining}`,
         `📈 Usage: ${stats.percentUsed}%`,
-    ];
+    );
+
+    const formatQuota = (label, quota) => quota.limit === null
+        ? `${label}: ${quota.used} this month (no limit of its own)`
+        : `${label}: ${quota.used}/${quota.limit} (${quota.remaining} left)`;
+    if (stats.group || stats.user) {
+        lines.push('');
+    }
+    if (stats.group) {
+        lines.push(formatQuota('👥 This group', stats.group));
+    }
+    if (stats.user) {
+        lines.push(formatQuota('👤 You', stats.user));
+    }
+
+    const { spend } = stats;
+    const money = ledgerService.formatMoney;
+    lines.push('');
+    lines.push(spend.budget === null
+        ? `💸 Spent: ${money(spend.spent)}`
+        : `💸 Spent: ${money(spend.spent)}/${money(spend.budget)} (${money(spend.remaining)} left)`);
+    lines.push(`🔮 Projected month-end: ${money(spend.projected)}${spend.budget !== null && spend.projected > spend.budget ? ' ⚠️ over budget' : ''}`);
+    lines.push(`🔢 Tokens: ${spend.promptTokens.toLocaleString('en-US')} in / ${spend.outputTokens.toLocaleString('en-US')} out (${spend.calls} call${spend.calls === 1 ? '' : 's'})`);
 
-    if (stats.isQuotaExceeded) {
+    if (stats.isPaused) {
+        lines.push('');
+        lines.push('⏸️ OCR paused by admin.');
+    } else if (stats.isQuotaExceeded) {
         lines.push('');
         lines.push('⚠️ Quota exceeded - OCR paused until next month.');
+    } else if (spend.isBudgetExceeded) {
+        lines.push('');
+        lines.push('⚠️ Budget used up - OCR paused until next month.');
+    } else if (stats.group?.isQuotaExceeded) {
+        lines.push('');
+        lines.push('⚠️ Group quota used up - OCR paused for this group until next month.');
+    } else if (stats.user?.isQuotaExceeded) {
+        lines.push('');
+        lines.push('⚠️ Personal quota used up - OCR paused for you until next month.');
     }
 
     return lines.join('\n');
@@ -556,26 +2602,37 @@ async function startServer() {
             config.validateEnv();
         }
 
-        // Initialize Google Sheets headers
+        // Initialize storage (sheet headers + Usage sheet, or local database)
         try {
-            await sheetsService.initializeHeaders();
+            await storageService.initialize();
         } catch (error) {
-            logger.warn('Could not initialize sheet headers', error.message);
+            logger.warn('Could not initialize storage', error.message);
         }
 
-        // Initialize Usage tracking sheet
-        try {
-            await usageService.initializeUsageSheet();
-        } catch (error) {
-            logger.warn('Could not initialize usage sheet', error.message);
-        }
+        // Load low-confidence results still waiting for an answer
+        confirmationsService.init();
+        confirmationsService.onTimeout({
+            onReminder: sendConfirmationReminder,
+            onExpire: notifyConfirmationExpired,
+        });
+
+        // Start job queue worker (resumes jobs left over from the last run)
+        queueService.registerHandler(DOCUMENT_JOB, handleEvent);
+        queueService.registerHandler(IMAGE_SET_JOB, handleImageSetPhoto, {
+            concurrency: config.imageSets.concurrency,
+        });
+        imageSetsService.onComplete(sendImageSetSummary);
+        queueService.onDeadLetter((job, error) =>
+            notifyProcessingFailed(lineService.getChatId(job.payload.source), error)
+        );
+        queueService.start();
 
         // Start server
         const port = config.server.port;
         app.listen(port, () => {
             logger.info(`Server started on port ${port}`);
             logger.info(`Environment: ${config.server.nodeEnv}`);
-            logger.info('Single-Corp OCR Bot ready!');
+            logger.info('OCR Bot ready!');
         });
 
     } catch (error) {
@@ -0,0 +1,275 @@
+/**
+ * Admin Service
+ * Admin allowlist and the settings admins change from chat (see the admin commands in index.js)
+ *
+ * Admins are LINE user IDs (ADMIN_USER_IDS). Unlike reviewers they are not tied to a
+ * company - they can look up any user's receipts and change any company's quota.
+ *
+ * Runtime settings are kept in ADMIN_SETTINGS_FILE so they survive a restart:
+ *   { ocrPaused: { by, at } | null, monthlyLimits: { [companyId]: number },
+ *     userLimits: { [userId]: number }, groupLimits: { [groupId]: number } }
+ * A monthly limit set here wins over the registry / environment until it is reset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const storageService = require('./storage');
+const companiesService = require('./companies');
+const receiptsService = require('./receipts');
+const { STATUS_LABELS, isReviewer } = require('./approvals');
+const { getSheetHeaders } = require('./invoice');
+
+// Most receipts /receipts lists at once
+const MAX_RECENT_RECEIPTS = 20;
+
+// Dead-letter jobs listed by /failed (one retry quick reply each, LINE allows 13)
+const MAX_DEAD_LETTERS = 10;
+
+// Settings key of the limits for each quota kind (see usage.js)
+const LIMIT_SETTINGS = {
+    company: 'monthlyLimits',
+    user: 'userLimits',
+    group: 'groupLimits',
+};
+
+// Loaded from ADMIN_SETTINGS_FILE on first use
+let settings = null;
+
+/**
+ * Check if a user is an admin
+ * @param {string} userId - LINE user ID
+ * @returns {boolean}
+ */
+function isAdmin(userId) {
+    return Boolean(userId) && config.admin.userIds.includes(userId);
+}
+
+/**
+ * Check if a user may change (edit / delete) a saved receipt - their own, or any receipt of
+ * the company for its reviewers and for admins
+ * @param {Object} company - Company (see companies.js)
+ * @param {Object} record - Cell values keyed by sheet header
+ * @param {string} userId - LINE user ID of the person making the change
+ * @returns {boolean}
+ */
+function canChangeReceipt(company, record, userId) {
+    return (Boolean(userId) && record['User ID'] === userId) ||
+        isReviewer(company, userId) ||
+        isAdmin(userId);
+}
+
+/**
+ * Get the runtime settings, loading ADMIN_SETTINGS_FILE on first use
+ * Missing or unreadable files fall back to the defaults (nothing paused, no limits)
+ * @returns {Object} Settings - changes are written back by saveSettings
+ */
+function getSettings() {
+    if (settings) {
+        return settings;
+    }
+
+    settings = { ocrPaused: null, monthlyLimits: {}, userLimits: {}, groupLimits: {} };
+    try {
+        if (fs.existsSync(config.admin.settingsFile)) {
+            const saved = JSON.parse(fs.readFileSync(config.admin.settingsFile, 'utf-8'));
+            settings = {
+                ...settings,
+                ...saved,
+                monthlyLimits: { ...saved.monthlyLimits },
+                userLimits: { ...saved.userLimits },
+                groupLimits: { ...saved.groupLimits },
+            };
+        }
+    } catch (error) {
+        logger.warn('Could not read admin settings, using defaults', { error: error.message });
+    }
+    return settings;
+}
+
+/**
+ * Write the settings (tmp file + rename so a crash never leaves half a file)
+ */
+function saveSettings() {
+    const file = config.admin.settingsFile;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(getSettings(), null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Check if OCR has been paused by an admin
+ * @returns {Object|null} { by, at } or null when OCR is running
+ */
+function getOcrPause() {
+    return getSettings().ocrPaused;
+}
+
+/**
+ * Pause or resume OCR for every company
+ * @param {boolean} paused - True to pause
+ * @param {string} adminId - Admin's user ID
+ */
+function setOcrPaused(paused, adminId) {
+    getSettings().ocrPaused = paused ? { by: adminId, at: new Date().toISOString() } : null;
+    saveSettings();
+    logger.info(paused ? 'OCR paused by admin' : 'OCR resumed by admin', { adminId });
+}
+
+/**
+ * Get a monthly limit set from chat
+ * @param {string} kind - 'company', 'user' or 'group'
+ * @param {string} id - Company ID, LINE user ID or group ID
+ * @returns {number|null} Limit, or null when none is set
+ */
+function getMonthlyLimit(kind, id) {
+    return getSettings()[LIMIT_SETTINGS[kind]][id] ?? null;
+}
+
+/**
+ * Set or reset a monthly limit
+ * @param {string} kind - 'company', 'user' or 'group'
+ * @param {string} id - Company ID, LINE user ID or group ID
+ * @param {number|null} limit - New limit, null to go back to the configured one
+ * @param {string} adminId - Admin's user ID
+ */
+function setMonthlyLimit(kind, id, limit, adminId) {
+    const limits = getSettings()[LIMIT_SETTINGS[kind]];
+    if (limit === null) {
+        delete limits[id];
+    } else {
+        limits[id] = limit;
+    }
+    saveSettings();
+    logger.info('Monthly limit changed by admin', { kind, id, limit, adminId });
+}
+
+/**
+ * Storage targets of every company (companies sharing a sheet are read once)
+ * @returns {Array<Object>} [{ company, target }]
+ */
+function getStorageTargets() {
+    const companies = [companiesService.getCompany(companiesService.DEFAULT_COMPANY_ID), ...companiesService.getCompanies()];
+    const seen = new Set();
+
+    return companies
+        .map(company => ({ company, target: companiesService.getStorageTarget(company) }))
+        .filter(({ target }) => {
+            const key = `${target.spreadsheetId || ''}/${target.sheetName || ''}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * List a user's most recent receipts across all companies
+ * @param {string} userId - LINE user ID of the sender
+ * @param {number} limit - Most receipts to return
+ * @returns {Promise<Array<Object>>} [{ receiptId, companyId, record }], newest first
+ */
+async function listRecentReceipts(userId, limit) {
+    const headers = getSheetHeaders();
+    const receipts = new Map();
+
+    for (const { company, target } of getStorageTargets()) {
+        const rows = await storageService.listReceiptRows(target);
+        for (const row of rows) {
+            const record = Object.fromEntries(headers.map((header, column) => [header, row[column] ?? '']));
+            const receiptId = record['Receipt ID'];
+            if (record['User ID'] !== userId || !receiptId || receipts.has(receiptId)) continue;
+            receipts.set(receiptId, { receiptId, companyId: company.id, record });
+        }
+    }
+
+    return [...receipts.values()]
+        .sort((a, b) => String(b.record['Processed At']).localeCompare(String(a.record['Processed At'])))
+        .slice(0, Math.min(limit, MAX_RECENT_RECEIPTS));
+}
+
+/**
+ * Find which company's storage holds a receipt
+ * @param {string} receiptId - Receipt ID
+ * @returns {Promise<Object|null>} { company, target, rows } or null if no company has it
+ */
+async function findReceipt(receiptId) {
+    for (const { company, target } of getStorageTargets()) {
+        const rows = await receiptsService.findReceiptRows(target, [receiptId]);
+        if (rows.length > 0) {
+            return { company, target, rows };
+        }
+    }
+    return null;
+}
+
+/**
+ * Groups a broadcast is also pushed to (LINE broadcasts only reach 1:1 friends)
+ * @returns {Array<string>} Group / room IDs listed in the company registry
+ */
+function getBroadcastGroups() {
+    return [...new Set(companiesService.getCompanies().flatMap(company => company.members.groups))];
+}
+
+/**
+ * Format a user's recent receipts
+ * @param {string} userId - LINE user ID
+ * @param {Array<Object>} receipts - From listRecentReceipts
+ * @returns {string} Formatted message
+ */
+function formatRecentReceipts(userId, receipts) {
+    if (receipts.length === 0) {
+        return `🔍 ไม่พบใบเสร็จของ ${userId}`;
+    }
+
+    const name = receipts[0].record['User Name'];
+    const lines = [`🧾 ใบเสร็จล่าสุด ${receipts.length} ใบ - ${name || userId}`];
+
+    for (const { receiptId, companyId, record } of receipts) {
+        const status = STATUS_LABELS[record['Approval Status'] || 'pending'] || record['Approval Status'];
+        lines.push('');
+        lines.push(`• ${receiptId} (${record['Processed At']})`);
+        lines.push(`  🏪 ${record['Seller Name'] || '-'} | 💰 ${record['Grand Total'] || '-'}`);
+        lines.push(`  ${status}${companyId !== companiesService.DEFAULT_COMPANY_ID ? ` | 🏢 ${companyId}` : ''}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format the dead-letter list
+ * @param {Array<Object>} jobs - Dead jobs (queueService.getDeadLetters), already cut to MAX_DEAD_LETTERS
+ * @param {number} total - Number of dead jobs in the queue
+ * @returns {string} Formatted message
+ */
+function formatDeadLetters(jobs, total) {
+    if (jobs.length === 0) {
+        return '🎉 ไม่มีงานที่ล้มเหลว';
+    }
+
+    const lines = [`💀 งานที่ล้มเหลว ${total} งาน${total > jobs.length ? ` (แสดง ${jobs.length} ล่าสุด)` : ''}`];
+
+    jobs.forEach((job, index) => {
+        const source = job.payload?.source || {};
+        lines.push('');
+        lines.push(`#${index + 1} ${job.type} • ${job.attempts} ครั้ง • ${job.failedAt || '-'}`);
+        lines.push(`  👤 ${source.userId || '-'}${source.groupId || source.roomId ? ` | 👥 ${source.groupId || source.roomId}` : ''}`);
+        lines.push(`  ❌ ${job.lastError || '-'}`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    MAX_RECENT_RECEIPTS,
+    MAX_DEAD_LETTERS,
+    isAdmin,
+    canChangeReceipt,
+    getOcrPause,
+    setOcrPaused,
+    getMonthlyLimit,
+    setMonthlyLimit,
+    listRecentReceipts,
+    findReceipt,
+    getBroadcastGroups,
+    formatRecentReceipts,
+    formatDeadLetters,
+};
@@ -0,0 +1,177 @@
+/**
+ * Approval Service
+ * Accountant review of saved receipts before they count as booked expenses
+ *
+ * Every receipt is saved with Approval Status 'pending'. A reviewer works through the
+ * review queue from LINE (/review) and approves it, rejects it or asks the submitter
+ * for more information - rejected and needs-info decisions carry a reason (Approval Note).
+ * The submitter is told the outcome, and rejected receipts are left out of the
+ * monthly totals (see reports.js).
+ *
+ * Reviewers are LINE user IDs: the company's "reviewers" in the registry (REVIEWER_USER_IDS for
+ * the default company).
+ */
+
+const storageService = require('./storage');
+const { getSheetHeaders, parseNumber } = require('./invoice');
+
+// How each status is shown in chat
+const STATUS_LABELS = {
+    'pending': '⏳ รออนุมัติ',
+    'approved': '✅ อนุมัติ',
+    'rejected': '❌ ไม่อนุมัติ',
+    'needs-info': '❓ ขอข้อมูลเพิ่ม',
+};
+
+// Statuses waiting for a reviewer (needs-info stays in the queue until it is decided)
+const QUEUE_STATUSES = ['pending', 'needs-info'];
+
+// Reasons offered as quick replies (the reviewer can also type one)
+const PRESET_REASONS = {
+    'rejected': ['ไม่ใช่ค่าใช้จ่ายของบริษัท', 'ใบเสร็จซ้ำ', 'เกินวงเงินที่อนุมัติ', 'ไม่ใช่ใบกำกับภาษีเต็มรูป'],
+    'needs-info': ['รูปไม่ชัด', 'ขอใบกำกับภาษีเต็มรูป', 'ระบุวัตถุประสงค์การใช้จ่าย', 'ยอดไม่ตรงกับใบเสร็จ'],
+};
+
+/**
+ * Check if a user reviews a company's receipts
+ * @param {Object} company - Company (see companies.js)
+ * @param {string} userId - LINE user ID
+ * @returns {boolean}
+ */
+function isReviewer(company, userId) {
+    return Boolean(userId) && (company.reviewers || []).includes(userId);
+}
+
+/**
+ * Approval status of a saved receipt (rows from before the column existed are pending)
+ * @param {Object} record - Cell values keyed by sheet header
+ * @returns {string} Status
+ */
+function getStatus(record) {
+    return record['Approval Status'] || 'pending';
+}
+
+/**
+ * Rebuild a receipt from its rows (one per line item) for the review card
+ * @param {Array<Object>} records - Cell values keyed by sheet header
+ * @returns {Object} Invoice fields used by receiptCard.js
+ */
+function toInvoice(records) {
+    const first = records[0];
+    const confidence = parseFloat(first['Confidence']);
+
+    return {
+        receiptId: first['Receipt ID'],
+        documentType: first['Document Type'],
+        invoiceDate: String(first['Invoice Date'] || '').replace(/^'/, ''),
+        invoiceNumber: first['Invoice Number'],
+        sellerName: first['Seller Name'],
+        subtotal: parseNumber(first['Subtotal']),
+        grandTotal: parseNumber(first['Grand Total']),
+        confidence: Number.isFinite(confidence) ? confidence : undefined,
+        lineItems: records
+            .filter(record => record['Description'] || record['Amount'] !== '')
+            .map(record => ({
+                description: record['Description'],
+                quantity: parseNumber(record['Quantity']),
+                amount: parseNumber(record['Amount']),
+            })),
+    };
+}
+
+/**
+ * List the receipts waiting for a reviewer, oldest first
+ * @param {Object} target - Storage target (see storage.js)
+ * @returns {Promise<Array<Object>>} [{ receiptId, status, note, processedAt, documentUrl, reviewFlags, submitter, invoice }]
+ */
+async function listReviewQueue(target) {
+    const headers = getSheetHeaders();
+    const rows = await storageService.listReceiptRows(target);
+    const receipts = new Map();
+
+    for (const row of rows) {
+        const record = Object.fromEntries(headers.map((header, column) => [header, row[column] ?? '']));
+        const receiptId = record['Receipt ID'];
+        if (!receiptId || !QUEUE_STATUSES.includes(getStatus(record))) continue;
+
+        if (!receipts.has(receiptId)) {
+            receipts.set(receiptId, []);
+        }
+        receipts.get(receiptId).push(record);
+    }
+
+    return [...receipts.values()].map(records => {
+        const first = records[0];
+        return {
+            receiptId: first['Receipt ID'],
+            status: getStatus(first),
+            note: first['Approval Note'],
+            processedAt: first['Processed At'],
+            documentUrl: first['Image URL'],
+            reviewFlags: String(first['Review Flags'] || '').split(';').map(flag => flag.trim()).filter(Boolean),
+            submitter: {
+                userId: first['User ID'],
+                displayName: first['User Name'],
+                groupId: first['Group ID'],
+            },
+            invoice: toInvoice(records),
+        };
+    });
+}
+
+/**
+ * Format what the reviewer sees about a receipt besides its contents
+ * @param {Object} receipt - From listReviewQueue
+ * @returns {Array<string>} Lines
+ */
+function formatReviewDetails(receipt) {
+    const lines = [`👤 ${receipt.submitter.displayName || receipt.submitter.userId || '-'} • ${receipt.processedAt}`];
+
+    if (receipt.status === 'needs-info') {
+        lines.push(`${STATUS_LABELS['needs-info']}: ${receipt.note || '-'}`);
+    }
+    if (receipt.reviewFlags.length > 0) {
+        lines.push(`⚠️ ${receipt.reviewFlags.join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * Format the message telling the submitter about a decision
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} record - Receipt values keyed by sheet header (before the decision)
+ * @param {string} status - New status
+ * @param {string} note - Reason, '' for none
+ * @returns {string} Formatted message
+ */
+function formatDecisionNotice(receiptId, record, status, note) {
+    const lines = [
+        `${STATUS_LABELS[status]} - ใบเสร็จ ${receiptId}`,
+        '',
+        `🏪 ผู้ขาย: ${record['Seller Name'] || '-'}`,
+        `💰 ยอดรวม: ${record['Grand Total'] || '-'}`,
+    ];
+
+    if (note) {
+        lines.push(`📝 เหตุผล: ${note}`);
+    }
+    if (status === 'needs-info') {
+        lines.push('');
+        lines.push('💡 แก้ไขใบเสร็จ หรือส่งข้อมูลเพิ่มให้ผู้ตรวจสอบ');
+    }
+    if (status === 'rejected') {
+        lines.push('');
+        lines.push('🚫 ใบเสร็จนี้จะไม่ถูกนับในยอดรวม');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    STATUS_LABELS,
+    PRESET_REASONS,
+    isReviewer,
+    getStatus,
+    listReviewQueue,
+    formatReviewDetails,
+    formatDecisionNotice,
+};
@@ -0,0 +1,216 @@
+/**
+ * Arithmetic Reconciliation Service
+ * Checks that the numbers on an extracted invoice add up
+ *
+ * Checks (each one is skipped when the values it needs are missing):
+ * - lineItemsTotal: line item amounts sum to the grand total
+ * - subtotalVat:    subtotal (+ service charge / discounts) + VAT = grand total
+ * - vatRate:        VAT is about 7% of the pre-VAT amount
+ * - lineAmount:     quantity × unit price = amount on every line
+ *
+ * Gemini results that fail are re-extracted once with a corrective prompt (gemini.js);
+ * whatever still fails is flagged for review ("arithmetic:<check>" review flags)
+ */
+
+// Thai VAT rate
+const VAT_RATE = 0.07;
+
+// Rounding allowance per amount (baht) - sums allow this much per summed amount
+const AMOUNT_TOLERANCE = 0.01;
+
+// VAT may be computed per line or on a VAT-inclusive price, so "about 7%" is ± 1 baht
+const VAT_TOLERANCE = 1;
+
+/**
+ * Round to satang for display
+ */
+function formatAmount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Add up the amounts of line items (missing amounts count as 0)
+ */
+function sumAmounts(items) {
+    return items.reduce((sum, item) => sum + (item.amount || 0), 0);
+}
+
+/**
+ * Check if two amounts agree, allowing one rounding tolerance per term that was added up
+ */
+function amountsMatch(a, b, terms = 1) {
+    return Math.abs(a - b) <= AMOUNT_TOLERANCE * terms + 1e-9;
+}
+
+/**
+ * Get the invoice's VAT amount (a separate field, or a "vat" line item)
+ */
+function getVatAmount(invoice, lineItems) {
+    if (invoice.vatAmount > 0) return invoice.vatAmount;
+    return sumAmounts(lineItems.filter(item => item.lineType === 'vat'));
+}
+
+/**
+ * Run all arithmetic checks on a normalized invoice
+ * @param {Object} invoice - Normalized invoice data (see invoice.js)
+ * @returns {Array<Object>} Issues: [{ check, expected, actual, ... }] - empty if everything adds up
+ */
+function checkInvoice(invoice) {
+    const issues = [];
+    const lineItems = invoice.lineItems || [];
+    const grandTotal = invoice.grandTotal || 0;
+    const vat = getVatAmount(invoice, lineItems);
+
+    if (!grandTotal) {
+        return issues;
+    }
+
+    // Line items sum to the grand total (VAT may be a separate field instead of a line)
+    if (lineItems.length > 0) {
+        const sum = sumAmounts(lineItems);
+        const terms = lineItems.length;
+        const separateVat = invoice.vatAmount > 0 ? invoice.vatAmount : 0;
+
+        if (!amountsMatch(sum, grandTotal, terms) && !amountsMatch(sum + separateVat, grandTotal, terms + 1)) {
+            issues.push({ check: 'lineItemsTotal', expected: grandTotal, actual: sum });
+        }
+    }
+
+    if (vat > 0) {
+        // Subtotal + VAT = grand total ("subtotal" may or may not include service charge / discounts)
+        if (invoice.subtotal !== null && invoice.subtotal !== undefined) {
+            const adjustments = lineItems.filter(item => item.lineType !== 'item' && item.lineType !== 'vat');
+            const candidates = [
+                invoice.subtotal,
+                invoice.subtotal + sumAmounts(adjustments.filter(item => item.lineType === 'service')),
+                invoice.subtotal + sumAmounts(adjustments),
+            ];
+
+            if (!candidates.some(base => amountsMatch(base + vat, grandTotal, 3))) {
+                issues.push({ check: 'subtotalVat', expected: grandTotal, actual: invoice.subtotal + vat });
+            }
+        }
+
+        // VAT is 7% of the pre-VAT amount
+        const base = grandTotal - vat;
+        const expectedVat = base * VAT_RATE;
+        if (Math.abs(vat - expectedVat) > VAT_TOLERANCE) {
+            issues.push({ check: 'vatRate', expected: expectedVat, actual: vat, base });
+        }
+    }
+
+    // Quantity × unit price = amount (unit prices are printed rounded, so allow half a satang per unit)
+    for (const item of lineItems) {
+        if (item.unitPrice === null || item.unitPrice === undefined) continue;
+
+        const computed = item.quantity * item.unitPrice;
+        const tolerance = Math.max(AMOUNT_TOLERANCE, Math.abs(item.quantity) * 0.005);
+        if (Math.abs(computed - item.amount) > tolerance + 1e-9) {
+            issues.push({
+                check: 'lineAmount',
+                expected: item.amount,
+                actual: computed,
+                itemNumber: item.itemNumber,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Describe an issue for the corrective Gemini prompt
+ * @param {Object} issue - Issue from checkInvoice
+ * @returns {string} English description
+ */
+function describeIssue(issue) {
+    switch (issue.check) {
+        case 'lineItemsTotal':
+            return `The sum of all lineItems amounts is ${formatAmount(issue.actual)} but grandTotal is ${formatAmount(issue.expected)}`;
+        case 'subtotalVat':
+            return `subtotal + VAT is ${formatAmount(issue.actual)} but grandTotal is ${formatAmount(issue.expected)}`;
+        case 'vatRate':
+            return `VAT is ${formatAmount(issue.actual)}, but 7% of the pre-VAT amount ${formatAmount(issue.base)} is ${formatAmount(issue.expected)}`;
+        case 'lineAmount':
+            return `Line item ${issue.itemNumber}: quantity ${issue.quantity} × unitPrice ${issue.unitPrice} = ${formatAmount(issue.actual)} but amount is ${formatAmount(issue.expected)}`;
+        default:
+            return issue.check;
+    }
+}
+
+/**
+ * Build the follow-up prompt that asks Gemini to fix its own answer
+ * @param {Array<Object>} issues - Issues from checkInvoice
+ * @returns {string} Prompt
+ */
+function buildCorrectionPrompt(issues) {
+    return `Your JSON does not add up:
+${issues.map(issue => `- ${describeIssue(issue)}`).join('\n')}
+
+Look at the image again. Fix misread numbers and add any line items you missed
+(discounts, service charge, VAT). Only change values that are wrong on the document.
+Return the complete corrected JSON in the same format - ONLY valid JSON, no markdown.`;
+}
+
+/**
+ * Re-check the final invoice and flag it for review if it still doesn't add up
+ * Sets invoice.arithmetic = { issues, corrected } and adds "arithmetic:<check>" review flags
+ * @param {Object} invoice - Normalized invoice data (modified in place)
+ * @returns {Object} The same invoice
+ */
+function applyReviewFlags(invoice) {
+    const issues = checkInvoice(invoice);
+    const checks = [...new Set(issues.map(issue => issue.check))];
+
+    invoice.arithmetic = {
+        issues,
+        corrected: Boolean(invoice.arithmetic?.corrected),
+    };
+    invoice.reviewFlags = [
+        ...(invoice.reviewFlags || []).filter(flag => !flag.startsWith('arithmetic:')),
+        ...checks.map(check => `arithmetic:${check}`),
+    ];
+
+    return invoice;
+}
+
+/**
+ * Format arithmetic issues for the LINE reply
+ * @param {Object} invoice - Invoice after applyReviewFlags
+ * @returns {Array<string>} Message lines (empty if everything adds up)
+ */
+function formatIssueLines(invoice) {
+    const issues = invoice.arithmetic?.issues || [];
+    if (issues.length === 0) return [];
+
+    const lines = ['⚠️ ต้องตรวจสอบ: ยอดเงินไม่สมดุล'];
+    for (const issue of issues.slice(0, 5)) {
+        switch (issue.check) {
+            case 'lineItemsTotal':
+                lines.push(`  • รวมรายการ ${formatAmount(issue.actual)} ≠ ยอดรวม ${formatAmount(issue.expected)}`);
+                break;
+            case 'subtotalVat':
+                lines.push(`  • ยอดก่อน VAT + VAT ${formatAmount(issue.actual)} ≠ ยอดรวม ${formatAmount(issue.expected)}`);
+                break;
+            case 'vatRate':
+                lines.push(`  • VAT ${formatAmount(issue.actual)} ไม่ใช่ 7% (ควรเป็น ~${formatAmount(issue.expected)})`);
+                break;
+            case 'lineAmount':
+                lines.push(`  • รายการ #${issue.itemNumber}: ${issue.quantity} × ${issue.unitPrice} ≠ ${formatAmount(issue.expected)}`);
+                break;
+        }
+    }
+    if (issues.length > 5) {
+        lines.push(`  ... และอีก ${issues.length - 5} จุด`);
+    }
+    return lines;
+}
+
+module.exports = {
+    checkInvoice,
+    buildCorrectionPrompt,
+    applyReviewFlags,
+    formatIssueLines,
+};
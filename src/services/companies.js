@@ -0,0 +1,205 @@
+/**
+ * Company Registry Service
+ * Maps LINE user IDs / group IDs to a company with its own storage and quota
+ *
+ * Registry file (COMPANY_REGISTRY_FILE, see companies.example.json):
+ * {
+ *   "companies": [{
+ *     "id": "acme",
+ *     "name": "ACME Co., Ltd.",
+ *     "spreadsheetId": "...", "sheetName": "Receipts", "driveFolderId": "...",
+ *     "monthlyLimit": 300, "monthlyBudget": 500,
+ *     "userLimit": 50, "groupLimit": 150,
+ *     "userLimits": { "U...": 100 }, "groupLimits": { "C...": 0 },
+ *     "categories": ["Food", "Travel", "Fuel", "Other"],
+ *     "members": { "users": ["U..."], "groups": ["C..."] },
+ *     "reviewers": ["U..."]
+ *   }]
+ * }
+ *
+ * Senders not listed in any company use the default company (the env settings).
+ * Reviewers approve the company's receipts (see approvals.js); the default company's are REVIEWER_USER_IDS.
+ * userLimit / groupLimit are the monthly OCR quota of each member / group (see usage.js);
+ * userLimits / groupLimits override them for single users / groups.
+ * monthlyBudget is the company's OCR budget in THB (see ledger.js).
+ * The file is re-read when it changes, so companies can be added without a restart.
+ */
+
+const fs = require('fs');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { DEFAULT_CATEGORIES } = require('./invoice');
+
+const DEFAULT_COMPANY_ID = 'default';
+
+// Loaded registry + file mtime for change detection
+let registry = { companies: [], loadedAt: null, mtimeMs: null };
+
+/**
+ * Build the default company from env settings
+ * @returns {Object} Company
+ */
+function getDefaultCompany() {
+    return {
+        id: DEFAULT_COMPANY_ID,
+        name: 'Default',
+        spreadsheetId: null,  // null = storage backend default
+        sheetName: null,
+        driveFolderId: null,
+        monthlyLimit: null,  // null = OCR_MONTHLY_LIMIT
+        monthlyBudget: null,  // null = OCR_MONTHLY_BUDGET
+        userLimit: null,  // null = OCR_USER_MONTHLY_LIMIT
+        groupLimit: null,  // null = OCR_GROUP_MONTHLY_LIMIT
+        userLimits: {},
+        groupLimits: {},
+        categories: DEFAULT_CATEGORIES,
+        members: { users: [], groups: [] },
+        reviewers: config.approvals.reviewers,
+    };
+}
+
+/**
+ * Read a { [id]: limit } map from the registry (entries that aren't numbers are dropped)
+ * @param {Object} limits - Raw map
+ * @returns {Object} { [id]: number }
+ */
+function normalizeLimits(limits) {
+    return Object.fromEntries(
+        Object.entries(limits || {})
+            .map(([id, limit]) => [String(id), parseInt(limit, 10)])
+            .filter(([, limit]) => Number.isFinite(limit) && limit >= 0)
+    );
+}
+
+/**
+ * Validate and fill defaults for a company entry
+ * @param {Object} entry - Raw registry entry
+ * @returns {Object} Company
+ */
+function normalizeCompany(entry) {
+    if (!entry.id) {
+        throw new Error('Company entry is missing "id"');
+    }
+
+    const categories = Array.isArray(entry.categories) && entry.categories.length > 0
+        ? entry.categories.map(String)
+        : DEFAULT_CATEGORIES;
+
+    return {
+        id: String(entry.id),
+        name: entry.name || String(entry.id),
+        spreadsheetId: entry.spreadsheetId || null,
+        sheetName: entry.sheetName || null,
+        driveFolderId: entry.driveFolderId || null,
+        monthlyLimit: parseInt(entry.monthlyLimit, 10) || null,  // null = OCR_MONTHLY_LIMIT
+        monthlyBudget: parseFloat(entry.monthlyBudget) || null,  // null = OCR_MONTHLY_BUDGET
+        userLimit: parseInt(entry.userLimit, 10) || null,  // null = OCR_USER_MONTHLY_LIMIT
+        groupLimit: parseInt(entry.groupLimit, 10) || null,  // null = OCR_GROUP_MONTHLY_LIMIT
+        userLimits: normalizeLimits(entry.userLimits),
+        groupLimits: normalizeLimits(entry.groupLimits),
+        categories,
+        members: {
+            users: entry.members?.users || [],
+            groups: entry.members?.groups || [],
+        },
+        reviewers: (entry.reviewers || []).map(String),
+    };
+}
+
+/**
+ * Load the registry file (only if it changed since the last load)
+ * @returns {Array<Object>} Companies
+ */
+function loadCompanies() {
+    const filePath = config.companies.registryFile;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+        registry = { companies: [], loadedAt: Date.now(), mtimeMs: null };
+        return registry.companies;
+    }
+
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        if (registry.mtimeMs === mtimeMs) {
+            return registry.companies;
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        const companies = (data.companies || []).map(normalizeCompany);
+
+        registry = { companies, loadedAt: Date.now(), mtimeMs };
+        logger.info(`Loaded company registry: ${companies.length} company(ies)`, { filePath });
+    } catch (error) {
+        // Keep the last good registry rather than routing everything to default
+        logger.error('Failed to load company registry', { filePath, error: error.message });
+    }
+
+    return registry.companies;
+}
+
+/**
+ * List registered companies (excluding the default)
+ * @returns {Array<Object>} Companies
+ */
+function getCompanies() {
+    return loadCompanies();
+}
+
+/**
+ * Get a company by ID
+ * @param {string} companyId - Company ID
+ * @returns {Object|null} Company (default company for 'default')
+ */
+function getCompany(companyId) {
+    if (!companyId || companyId === DEFAULT_COMPANY_ID) {
+        return getDefaultCompany();
+    }
+    return loadCompanies().find(company => company.id === companyId) || null;
+}
+
+/**
+ * Resolve the company for a LINE event source
+ * Group membership wins over user membership (a user may post in several groups)
+ * @param {Object} source - LINE event source { type, userId, groupId, roomId }
+ * @returns {Object} Company
+ */
+function resolveCompany(source = {}) {
+    const companies = loadCompanies();
+    const chatId = source.groupId || source.roomId;
+
+    if (chatId) {
+        const byGroup = companies.find(company => company.members.groups.includes(chatId));
+        if (byGroup) return byGroup;
+    }
+
+    // A company's reviewers work in it too (e.g. the accountant's 1:1 chat with the bot)
+    if (source.userId) {
+        const byUser = companies.find(company =>
+            company.members.users.includes(source.userId) || company.reviewers.includes(source.userId)
+        );
+        if (byUser) return byUser;
+    }
+
+    return getDefaultCompany();
+}
+
+/**
+ * Get the storage target for a company (see storage.js)
+ * @param {Object} company - Company
+ * @returns {Object} { spreadsheetId, sheetName, folderId }
+ */
+function getStorageTarget(company) {
+    return {
+        spreadsheetId: company.spreadsheetId,
+        sheetName: company.sheetName,
+        folderId: company.driveFolderId,
+    };
+}
+
+module.exports = {
+    DEFAULT_COMPANY_ID,
+    getCompanies,
+    getCompany,
+    resolveCompany,
+    getStorageTarget,
+};
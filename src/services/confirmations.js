@@ -0,0 +1,259 @@
+/**
+ * Confirmation Service
+ * Low-confidence OCR results wait here for the user to Confirm / Edit / Discard -
+ * nothing is written to the sheet until they answer
+ *
+ * Pending confirmations are kept on disk (CONFIRM_DIR) so they survive a restart:
+ *   <id>.json - { id, messageId, docType, mimeType, fileName, source, invoices, createdAt, remindedAt }
+ *   <id>.bin  - the original document
+ *
+ * A reminder is pushed CONFIRM_REMINDER_MS after the question, and the result is
+ * dropped CONFIRM_EXPIRY_MS after it (see checkExpired).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// Pending confirmations without the file data (loaded from disk on demand)
+// Format: { [id]: { id, messageId, docType, mimeType, fileName, source, invoices, createdAt, remindedAt } }
+const pending = new Map();
+
+let reminderHandler = null;
+let expireHandler = null;
+let initialized = false;
+
+/**
+ * Get the files of a pending confirmation
+ * @param {string} id - Confirmation ID (LINE message ID)
+ * @returns {Object} { json, bin } - metadata and document paths
+ */
+function getPaths(id) {
+    // IDs are LINE message IDs - keep anything else out of the file names
+    const safeId = String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+    return {
+        json: path.join(config.confirmations.dir, `${safeId}.json`),
+        bin: path.join(config.confirmations.dir, `${safeId}.bin`),
+    };
+}
+
+/**
+ * Write a confirmation's metadata (tmp file + rename so a crash never leaves half a file)
+ * @param {Object} entry - Pending confirmation (without fileBuffer)
+ */
+function writeEntry(entry) {
+    const { json } = getPaths(entry.id);
+    fs.writeFileSync(`${json}.tmp`, JSON.stringify(entry));
+    fs.renameSync(`${json}.tmp`, json);
+}
+
+/**
+ * Delete the files of a pending confirmation
+ * @param {string} id - Confirmation ID
+ */
+function removeFiles(id) {
+    const { json, bin } = getPaths(id);
+    fs.rmSync(json, { force: true });
+    fs.rmSync(bin, { force: true });
+}
+
+/**
+ * Load the pending confirmations left over from the last run
+ */
+function init() {
+    if (initialized) return;
+
+    fs.mkdirSync(config.confirmations.dir, { recursive: true });
+
+    for (const name of fs.readdirSync(config.confirmations.dir)) {
+        if (!name.endsWith('.json')) continue;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(path.join(config.confirmations.dir, name), 'utf-8'));
+            if (fs.existsSync(getPaths(entry.id).bin)) {
+                pending.set(entry.id, entry);
+            } else {
+                removeFiles(entry.id);
+            }
+        } catch (error) {
+            logger.warn('Skipping corrupt pending confirmation', { file: name, error: error.message });
+        }
+    }
+
+    initialized = true;
+    logger.info('Pending confirmations loaded', { pending: pending.size });
+}
+
+/**
+ * Register the callbacks for reminders and expired confirmations
+ * @param {Object} handlers - { onReminder: async (entry) => void, onExpire: async (entry) => void }
+ */
+function onTimeout({ onReminder, onExpire }) {
+    reminderHandler = onReminder;
+    expireHandler = onExpire;
+}
+
+/**
+ * Lowest confidence of the extracted invoices
+ * @param {Array<Object>} invoices - Extracted invoices
+ * @returns {number} Confidence 0-1
+ */
+function getLowestConfidence(invoices) {
+    return Math.min(...invoices.map(invoice => invoice.confidence ?? 1));
+}
+
+/**
+ * Check if extracted invoices must be confirmed before they are saved
+ * @param {Array<Object>} invoices - Extracted invoices
+ * @returns {boolean}
+ */
+function needsConfirmation(invoices) {
+    return config.confirmations.threshold > 0 &&
+        invoices.length > 0 &&
+        getLowestConfidence(invoices) < config.confirmations.threshold;
+}
+
+/**
+ * Keep a result until the user answers
+ * @param {Object} entry - { id, fileBuffer, messageId, docType, mimeType, fileName, source, invoices }
+ * @returns {Object} The stored entry (without fileBuffer)
+ */
+function add(entry) {
+    const { fileBuffer, ...fields } = entry;
+    const stored = { ...fields, createdAt: Date.now(), remindedAt: null };
+
+    fs.mkdirSync(config.confirmations.dir, { recursive: true });
+    fs.writeFileSync(getPaths(stored.id).bin, fileBuffer);
+    writeEntry(stored);
+    pending.set(stored.id, stored);
+
+    logger.info('Low-confidence result waiting for confirmation', {
+        id: stored.id,
+        receipts: stored.invoices.length,
+        confidence: getLowestConfidence(stored.invoices),
+    });
+    return stored;
+}
+
+/**
+ * Take a pending confirmation to answer it (removed from memory and disk)
+ * @param {string} id - Confirmation ID
+ * @returns {Object|null} Entry with fileBuffer, or null if it expired or was already answered
+ */
+function take(id) {
+    const entry = pending.get(id);
+    if (!entry) {
+        return null;
+    }
+
+    let fileBuffer;
+    try {
+        fileBuffer = fs.readFileSync(getPaths(id).bin);
+    } catch (error) {
+        logger.warn('Pending confirmation file is missing', { id, error: error.message });
+        return null;
+    } finally {
+        pending.delete(id);
+        removeFiles(id);
+    }
+
+    return { ...entry, fileBuffer };
+}
+
+/**
+ * Send due reminders and drop expired confirmations
+ */
+function checkExpired() {
+    if (!initialized) return;
+
+    const now = Date.now();
+    const { expiryMs, reminderMs } = config.confirmations;
+
+    for (const entry of [...pending.values()]) {
+        const age = now - entry.createdAt;
+
+        if (age > expiryMs) {
+            pending.delete(entry.id);
+            removeFiles(entry.id);
+            logger.info('Pending confirmation expired', { id: entry.id });
+            notify(expireHandler, entry);
+        } else if (!entry.remindedAt && reminderMs < expiryMs && age > reminderMs) {
+            entry.remindedAt = now;
+            writeEntry(entry);
+            notify(reminderHandler, entry);
+        }
+    }
+}
+
+/**
+ * Call a reminder / expiry handler without waiting for it (errors are logged)
+ * @param {Function|null} handler - Registered handler
+ * @param {Object} entry - Pending confirmation
+ */
+function notify(handler, entry) {
+    if (!handler) return;
+    Promise.resolve()
+        .then(() => handler(entry))
+        .catch(error => logger.error('Confirmation notification failed', { id: entry.id, error: error.message }));
+}
+
+/**
+ * Format a duration for chat messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "30 นาที" or "2 ชม."
+ */
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60 ? `${Math.round(minutes / 60)} ชม.` : `${minutes} นาที`;
+}
+
+/**
+ * Format the question shown for a low-confidence result
+ * @param {Object} entry - Pending confirmation
+ * @param {Object} options
+ * @param {Function} [options.reviewLines] - invoice => Array<string> review warnings to show
+ * @returns {string} Formatted message
+ */
+function formatConfirmationMessage(entry, options = {}) {
+    const { reviewLines = () => [] } = options;
+    const { invoices } = entry;
+    const percent = Math.round(getLowestConfidence(invoices) * 100);
+    const lines = [`🔴 ความมั่นใจต่ำ (${percent}%) - ยังไม่ได้บันทึก`];
+
+    invoices.forEach((invoice, index) => {
+        lines.push('');
+        if (invoices.length > 1) {
+            lines.push(`🧾 ใบที่ ${index + 1}`);
+        }
+        if (invoice.invoiceNumber) {
+            lines.push(`🔢 เลขที่: ${invoice.invoiceNumber}`);
+        }
+        lines.push(`📅 วันที่: ${invoice.invoiceDate || '-'}`);
+        lines.push(`🏪 ผู้ขาย: ${invoice.sellerName || '-'}`);
+        lines.push(`💰 ยอดรวม: ${invoice.grandTotal ?? '-'}`);
+        if (invoice.lineItems?.length > 0) {
+            lines.push(`📝 ${invoice.lineItems.length} รายการ`);
+        }
+        lines.push(...reviewLines(invoice).filter(Boolean));
+    });
+
+    lines.push('');
+    lines.push('👇 ตรวจสอบกับใบเสร็จแล้วเลือก:');
+    lines.push('✅ ยืนยัน - บันทึกตามนี้');
+    lines.push('✏️ แก้ไข - บันทึกแล้วแก้ไขช่องที่ผิด');
+    lines.push('🗑️ ทิ้ง - ไม่บันทึก');
+    lines.push(`⏳ หากไม่ตอบภายใน ${formatDuration(config.confirmations.expiryMs)} จะไม่บันทึกใบเสร็จนี้`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    init,
+    onTimeout,
+    needsConfirmation,
+    add,
+    take,
+    checkExpired,
+    formatConfirmationMessage,
+};
@@ -144,6 +144,27 @@ async function uploadImage(imageBuffer, fileName, mimeType = 'image/jpeg', corpF
     }
 }
 
+/**
+ * Download a file's content
+ * @param {string} fileId - The file ID
+ * @returns {Promise<Buffer>} File data
+ */
+async function downloadFile(fileId) {
+    const drive = getClient();
+
+    try {
+        const response = await drive.files.get(
+            { fileId, alt: 'media' },
+            { responseType: 'arraybuffer' }
+        );
+        logger.info(`Downloaded file: ${fileId}`);
+        return Buffer.from(response.data);
+    } catch (error) {
+        logger.error(`Failed to download file: ${fileId}`, error);
+        throw error;
+    }
+}
+
 /**
  * Make a file publicly accessible (optional)
  * @param {string} fileId - The file ID
@@ -170,5 +191,6 @@ async function makePublic(fileId) {
 module.exports = {
     getOrCreateDateFolder,
     uploadImage,
+    downloadFile,
     makePublic,
 };
@@ -0,0 +1,160 @@
+/**
+ * Duplicate Detection Service
+ * Finds receipts that were already saved, so they aren't stored (or billed) twice
+ *
+ * Two checks against the rows already in storage:
+ * 1. File hash (before OCR) - the exact same file was sent again
+ * 2. Seller Tax ID + Invoice Number + Grand Total (after OCR) - the same invoice
+ *    sent as a different file (e.g. a photo and the PDF)
+ *
+ * Rejected receipts (Approval Status, see approvals.js) are not booked and never count as the
+ * saved copy - the corrected receipt can be sent again.
+ */
+
+const crypto = require('crypto');
+const { getSheetHeaders, parseNumber } = require('./invoice');
+
+/**
+ * Content hash of a file (stored in the File Hash column)
+ * @param {Buffer} buffer - File data
+ * @returns {string} sha256 hex digest
+ */
+function hashFile(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Normalize an invoice number for comparison ("inv 001/2" == "INV001/2")
+ * Sheets turns all-digit values into numbers, so leading zeros are ignored for those
+ * @param {string} value - Invoice number
+ * @returns {string} Normalized invoice number
+ */
+function normalizeInvoiceNumber(value) {
+    const normalized = String(value || '').replace(/\s+/g, '').toUpperCase();
+    return /^\d+$/.test(normalized) ? normalized.replace(/^0+(?=\d)/, '') : normalized;
+}
+
+/**
+ * Normalize a Tax ID read back from a sheet (leading zero may have been dropped)
+ * @param {string|number} value - Tax ID cell
+ * @returns {string} 13-digit Tax ID, or '' if empty
+ */
+function normalizeTaxId(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits ? digits.padStart(13, '0') : '';
+}
+
+/**
+ * Saved rows that can be duplicated (everything but rejected receipts)
+ * @param {Array<Array>} rows - Saved rows (storageService.listReceiptRows)
+ * @returns {Array<Array>} Rows
+ */
+function getBookedRows(rows) {
+    const index = getSheetHeaders().indexOf('Approval Status');
+    return rows.filter(row => row[index] !== 'rejected');
+}
+
+/**
+ * Describe the matching saved receipt
+ * @param {Array} row - Matching row
+ * @param {string} reason - 'file' or 'invoice'
+ * @returns {Object} { reason, receiptId, processedAt, invoiceNumber, sellerName, grandTotal }
+ */
+function toMatch(row, reason) {
+    const headers = getSheetHeaders();
+    const col = name => row[headers.indexOf(name)] || '';
+
+    return {
+        reason,
+        receiptId: col('Receipt ID'),
+        processedAt: col('Processed At'),
+        invoiceNumber: col('Invoice Number'),
+        sellerName: col('Seller Name'),
+        grandTotal: col('Grand Total'),
+    };
+}
+
+/**
+ * Find a saved receipt with the same file content
+ * @param {Array<Array>} rows - Saved rows (storageService.listReceiptRows)
+ * @param {string} fileHash - Hash from hashFile()
+ * @returns {Object|null} Match (see toMatch) or null
+ */
+function findByFileHash(rows, fileHash) {
+    const index = getSheetHeaders().indexOf('File Hash');
+    const row = getBookedRows(rows).find(r => r[index] && r[index] === fileHash);
+    return row ? toMatch(row, 'file') : null;
+}
+
+/**
+ * Find a saved receipt for the same invoice (seller Tax ID + invoice number + grand total)
+ * Receipts without a Tax ID or invoice number are never matched - too many false positives
+ * @param {Array<Array>} rows - Saved rows (storageService.listReceiptRows)
+ * @param {Object} invoice - Normalized invoice data
+ * @returns {Object|null} Match (see toMatch) or null
+ */
+function findByInvoice(rows, invoice) {
+    if (!invoice.sellerTaxId || !invoice.invoiceNumber) {
+        return null;
+    }
+
+    const headers = getSheetHeaders();
+    const taxIdIndex = headers.indexOf('Seller Tax ID');
+    const numberIndex = headers.indexOf('Invoice Number');
+    const totalIndex = headers.indexOf('Grand Total');
+
+    const invoiceNumber = normalizeInvoiceNumber(invoice.invoiceNumber);
+    const grandTotal = parseNumber(invoice.grandTotal) || 0;
+
+    const row = getBookedRows(rows).find(r =>
+        normalizeTaxId(r[taxIdIndex]) === invoice.sellerTaxId &&
+        normalizeInvoiceNumber(r[numberIndex]) === invoiceNumber &&
+        Math.abs((parseNumber(r[totalIndex]) || 0) - grandTotal) < 0.01
+    );
+
+    return row ? toMatch(row, 'invoice') : null;
+}
+
+/**
+ * Format the duplicate warning for the LINE reply
+ * @param {Array<Object>} matches - Matches from findByFileHash / findByInvoice
+ *   (several when more than one receipt split from a PDF is a duplicate)
+ * @returns {string} Message
+ */
+function formatDuplicateMessage(matches) {
+    if (matches.length > 1) {
+        const lines = [`⚠️ ใบเสร็จ ${matches.length} ใบในไฟล์นี้อาจซ้ำกับที่บันทึกไว้แล้ว`, ''];
+        for (const match of matches) {
+            lines.push(`🧾 ${match.receiptId}${match.sellerName ? ` | 🏪 ${match.sellerName}` : ''}${match.grandTotal ? ` | 💰 ${match.grandTotal}` : ''}`);
+        }
+        lines.push('');
+        lines.push('💡 ต้องการบันทึกซ้ำหรือไม่?');
+        return lines.join('\n');
+    }
+
+    const [match] = matches;
+    const lines = [
+        match.reason === 'file'
+            ? '⚠️ ไฟล์นี้เคยถูกบันทึกแล้ว'
+            : '⚠️ ใบเสร็จนี้อาจซ้ำกับที่บันทึกไว้แล้ว',
+        '',
+        `🧾 Receipt ID: ${match.receiptId}`,
+    ];
+
+    if (match.processedAt) lines.push(`🕒 บันทึกเมื่อ: ${match.processedAt}`);
+    if (match.invoiceNumber) lines.push(`🔢 เลขที่: ${match.invoiceNumber}`);
+    if (match.sellerName) lines.push(`🏪 ผู้ขาย: ${match.sellerName}`);
+    if (match.grandTotal) lines.push(`💰 ยอดรวม: ${match.grandTotal}`);
+
+    lines.push('');
+    lines.push('💡 ต้องการบันทึกซ้ำหรือไม่?');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    hashFile,
+    findByFileHash,
+    findByInvoice,
+    formatDuplicateMessage,
+};
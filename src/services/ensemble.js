@@ -0,0 +1,232 @@
+/**
+ * Ensemble Extraction Service
+ * Runs a second OCR provider on high-value or low-confidence invoices and
+ * reconciles both results field by field
+ *
+ * - Fields both providers agree on get a confidence boost
+ * - A disagreement on invoice number, tax ID or grand total flags the receipt for review
+ * - Only runs above ENSEMBLE_MIN_AMOUNT or below ENSEMBLE_CONFIDENCE_THRESHOLD
+ *   so we don't pay for two extractions on every receipt
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// Fields compared between providers
+const COMPARED_FIELDS = ['invoiceNumber', 'invoiceDate', 'sellerName', 'sellerTaxId', 'subtotal', 'vatAmount', 'grandTotal'];
+
+// Disagreement on any of these flags the receipt for review
+const CRITICAL_FIELDS = ['invoiceNumber', 'sellerTaxId', 'grandTotal'];
+
+// Numeric fields are compared with a tolerance (baht)
+const NUMERIC_FIELDS = ['subtotal', 'vatAmount', 'grandTotal'];
+const AMOUNT_TOLERANCE = 0.01;
+
+// Display labels for conflict messages
+const FIELD_LABELS = {
+    invoiceNumber: 'เลขที่',
+    invoiceDate: 'วันที่',
+    sellerName: 'ผู้ขาย',
+    sellerTaxId: 'Tax ID',
+    subtotal: 'ยอดก่อน VAT',
+    vatAmount: 'VAT',
+    grandTotal: 'ยอดรวม',
+};
+
+/**
+ * Check if an invoice should be cross-checked with a second provider
+ * @param {Object} invoice - Normalized invoice from the primary provider
+ * @returns {boolean}
+ */
+function shouldRunEnsemble(invoice) {
+    if (!config.ensemble.enabled) return false;
+
+    return (invoice.grandTotal || 0) >= config.ensemble.minAmount ||
+        (invoice.confidence || 0) < config.ensemble.confidenceThreshold;
+}
+
+/**
+ * Get the provider name used to cross-check the primary one
+ * @param {string} primaryName - Primary provider name
+ * @returns {string} Secondary provider name
+ */
+function getSecondaryProviderName(primaryName) {
+    if (config.ensemble.secondaryProvider) {
+        return config.ensemble.secondaryProvider;
+    }
+    return primaryName === 'documentai' ? 'gemini' : 'documentai';
+}
+
+/**
+ * Normalize a field value for comparison
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*} Comparable value (null if empty)
+ */
+function toComparable(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (NUMERIC_FIELDS.includes(field)) {
+        const num = parseFloat(value);
+        return isNaN(num) ? null : num;
+    }
+
+    // Ignore case, spaces and separators ("INV-001" == "inv 001")
+    return String(value).toUpperCase().replace(/[\s\-\/.]/g, '');
+}
+
+/**
+ * Check if two comparable values agree
+ */
+function valuesAgree(field, a, b) {
+    if (NUMERIC_FIELDS.includes(field)) {
+        return Math.abs(a - b) <= AMOUNT_TOLERANCE;
+    }
+    return a === b;
+}
+
+/**
+ * Merge two normalized invoices field by field
+ * @param {Object} primary - Invoice from the primary provider
+ * @param {Object} secondary - Invoice from the secondary provider
+ * @returns {Object} Merged invoice with ensemble details and conflicts
+ */
+function reconcile(primary, secondary) {
+    const merged = { ...primary };
+    const fieldConfidence = {};
+    const conflicts = [];
+
+    for (const field of COMPARED_FIELDS) {
+        const a = toComparable(field, primary[field]);
+        const b = toComparable(field, secondary[field]);
+
+        if (a === null && b === null) continue;
+
+        if (a === null) {
+            // Only the secondary provider found it
+            merged[field] = secondary[field];
+            fieldConfidence[field] = secondary.confidence;
+            if (field === 'sellerTaxId') {
+                merged.sellerTaxIdStatus = secondary.sellerTaxIdStatus;
+            }
+        } else if (b === null) {
+            fieldConfidence[field] = primary.confidence;
+        } else if (field === 'sellerTaxId' && primary.sellerTaxIdStatus !== 'valid' && secondary.sellerTaxIdStatus === 'valid') {
+            // Only the secondary's Tax ID passes the check digit (see taxId.js)
+            merged.sellerTaxId = secondary.sellerTaxId;
+            merged.sellerTaxIdStatus = secondary.sellerTaxIdStatus;
+            fieldConfidence[field] = secondary.confidence;
+        } else if (valuesAgree(field, a, b)) {
+            // Both wrong at once is unlikely - combine as independent estimates
+            fieldConfidence[field] = 1 - (1 - primary.confidence) * (1 - secondary.confidence);
+        } else {
+            // Keep the primary value, but trust it less
+            fieldConfidence[field] = Math.min(primary.confidence, secondary.confidence) / 2;
+
+            if (CRITICAL_FIELDS.includes(field)) {
+                conflicts.push({
+                    field,
+                    values: {
+                        [primary.provider]: primary[field],
+                        [secondary.provider]: secondary[field],
+                    },
+                });
+            }
+        }
+    }
+
+    // Line items: keep the primary's (better line typing), fall back to the secondary's
+    if ((!primary.lineItems || primary.lineItems.length === 0) && secondary.lineItems?.length > 0) {
+        merged.lineItems = secondary.lineItems;
+    }
+
+    const scores = Object.values(fieldConfidence);
+    if (scores.length > 0) {
+        merged.confidence = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+
+    merged.ensemble = {
+        providers: [primary.provider, secondary.provider],
+        fieldConfidence,
+        conflicts,
+    };
+    merged.reviewFlags = [
+        // Drop the primary's seller Tax ID flag if the ID was replaced by a valid one
+        ...(primary.reviewFlags || []).filter(flag =>
+            !(flag.startsWith('taxId:seller') && merged.sellerTaxIdStatus === 'valid')
+        ),
+        ...conflicts.map(conflict => `conflict:${conflict.field}`),
+    ];
+
+    return merged;
+}
+
+/**
+ * Run the secondary provider and reconcile it with the primary result
+ * Best effort - if the secondary provider fails, the primary result is returned
+ * @param {Buffer} fileBuffer - Image/PDF data
+ * @param {string} mimeType - MIME type
+ * @param {Object} primary - Normalized invoice from the primary provider
+ * @param {Function} getProvider - Provider lookup (ocrProvider.getProvider)
+ * @param {Object} options - Provider options (see ocrProvider.parseInvoice)
+ * @returns {Promise<Object>} Reconciled invoice
+ */
+async function runEnsemble(fileBuffer, mimeType, primary, getProvider, options = {}) {
+    const secondaryName = getSecondaryProviderName(primary.provider);
+
+    try {
+        const secondaryProvider = getProvider(secondaryName);
+        logger.info(`Ensemble: cross-checking with ${secondaryProvider.label}`, {
+            grandTotal: primary.grandTotal,
+            confidence: primary.confidence,
+        });
+
+        const secondary = await secondaryProvider.parseInvoice(fileBuffer, mimeType, options);
+        secondary.provider = secondaryProvider.name;
+
+        const merged = reconcile(primary, secondary);
+        // Both extractions are paid for (usage ledger)
+        merged.ocrCalls = [...(primary.ocrCalls || []), ...(secondary.ocrCalls || [])];
+
+        logger.info('Ensemble reconciliation complete', {
+            providers: merged.ensemble.providers,
+            conflicts: merged.ensemble.conflicts.map(conflict => conflict.field),
+            confidence: merged.confidence,
+        });
+
+        return merged;
+    } catch (error) {
+        logger.warn(`Ensemble: ${secondaryName} failed, keeping ${primary.provider} result`, {
+            error: error.message,
+        });
+        // A failed cross-check can still be billed (usage ledger)
+        return { ...primary, ocrCalls: [...(primary.ocrCalls || []), ...(error.ocrCalls || [])] };
+    }
+}
+
+/**
+ * Format ensemble conflicts for the LINE reply
+ * @param {Object} invoice - Reconciled invoice
+ * @returns {Array<string>} Message lines (empty if no conflicts)
+ */
+function formatConflictLines(invoice) {
+    const conflicts = invoice.ensemble?.conflicts || [];
+    if (conflicts.length === 0) return [];
+
+    const lines = ['⚠️ ต้องตรวจสอบ: ผลการอ่านไม่ตรงกัน'];
+    for (const conflict of conflicts) {
+        const values = Object.entries(conflict.values)
+            .map(([provider, value]) => `${provider}=${value ?? '-'}`)
+            .join(', ');
+        lines.push(`  • ${FIELD_LABELS[conflict.field] || conflict.field}: ${values}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    CRITICAL_FIELDS,
+    shouldRunEnsemble,
+    reconcile,
+    runEnsemble,
+    formatConflictLines,
+};
@@ -0,0 +1,187 @@
+/**
+ * File Type Service
+ * Detects the real type of an upload from its first bytes (magic numbers) - LINE image
+ * messages aren't always JPEG and file names can't be trusted - and converts the
+ * formats the OCR providers can't read
+ *
+ * Supported uploads:
+ * - JPEG, PNG, WebP, PDF: sent to OCR as they are
+ * - HEIC/HEIF (iPhone photos): converted to JPEG for OCR
+ * - TIFF, GIF: converted to JPEG for OCR (first page / frame)
+ *
+ * The original file is what gets stored, with the extension of its real type.
+ */
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+// ISO-BMFF brands of HEIC/HEIF images (the "ftyp" box)
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+// JPEG quality of converted images (before preprocessing, which may re-encode again)
+const CONVERSION_QUALITY = 92;
+
+/**
+ * Check for a byte signature at an offset
+ * @param {Buffer} buffer - File data
+ * @param {number} offset - Position of the signature
+ * @param {number[]} bytes - Expected bytes
+ * @returns {boolean}
+ */
+function hasBytes(buffer, offset, bytes) {
+    return buffer.length >= offset + bytes.length &&
+        bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Check for an ASCII signature at an offset
+ * @param {Buffer} buffer - File data
+ * @param {number} offset - Position of the signature
+ * @param {string} text - Expected text
+ * @returns {boolean}
+ */
+function hasText(buffer, offset, text) {
+    return buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+// PDF is checked last: its header may appear anywhere in the first 1 KB, even inside image metadata
+const FILE_TYPES = [
+    {
+        mimeType: 'image/jpeg', extension: 'jpg', label: 'JPG', docType: 'image',
+        matches: buffer => hasBytes(buffer, 0, [0xFF, 0xD8, 0xFF]),
+    },
+    {
+        mimeType: 'image/png', extension: 'png', label: 'PNG', docType: 'image',
+        matches: buffer => hasBytes(buffer, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    },
+    {
+        mimeType: 'image/webp', extension: 'webp', label: 'WebP', docType: 'image',
+        matches: buffer => hasText(buffer, 0, 'RIFF') && hasText(buffer, 8, 'WEBP'),
+    },
+    {
+        mimeType: 'image/heic', extension: 'heic', label: 'HEIC', docType: 'image', convert: 'heic',
+        matches: buffer => hasText(buffer, 4, 'ftyp') && HEIF_BRANDS.includes(buffer.toString('latin1', 8, 12)),
+    },
+    {
+        mimeType: 'image/tiff', extension: 'tiff', label: 'TIFF', docType: 'image', convert: 'sharp',
+        matches: buffer => hasText(buffer, 0, 'II*\0') || hasText(buffer, 0, 'MM\0*'),
+    },
+    {
+        mimeType: 'image/gif', extension: 'gif', label: 'GIF', docType: 'image', convert: 'sharp',
+        matches: buffer => hasText(buffer, 0, 'GIF87a') || hasText(buffer, 0, 'GIF89a'),
+    },
+    {
+        // Some generators put a few bytes of junk before the header - readers accept it within 1 KB
+        mimeType: 'application/pdf', extension: 'pdf', label: 'PDF', docType: 'pdf',
+        matches: buffer => buffer.subarray(0, 1024).includes('%PDF-'),
+    },
+];
+
+// Other spellings of the extensions above
+const EXTENSION_ALIASES = {
+    jpeg: 'jpg',
+    jpe: 'jpg',
+    tif: 'tiff',
+    heif: 'heic',
+};
+
+/**
+ * Detect the type of a file from its content
+ * @param {Buffer} buffer - File data
+ * @returns {Object|null} { mimeType, extension, label, docType: 'image'|'pdf' } or null if unsupported
+ */
+function detectFileType(buffer) {
+    const fileType = FILE_TYPES.find(type => type.matches(buffer));
+    if (!fileType) {
+        return null;
+    }
+
+    const { mimeType, extension, label, docType } = fileType;
+    return { mimeType, extension, label, docType };
+}
+
+/**
+ * File extension for a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Extension without the dot ('bin' if unknown)
+ */
+function getExtension(mimeType) {
+    return FILE_TYPES.find(type => type.mimeType === mimeType)?.extension || 'bin';
+}
+
+/**
+ * Make a file name end with the extension of its real type
+ * @param {string} fileName - Name from the upload (e.g. "receipt", "scan.jpg" that is really a PNG)
+ * @param {Object} fileType - From detectFileType
+ * @returns {string} File name
+ */
+function withExtension(fileName, fileType) {
+    const match = fileName.match(/\.([a-z0-9]+)$/i);
+    const current = match ? match[1].toLowerCase() : '';
+
+    if (current === fileType.extension || EXTENSION_ALIASES[current] === fileType.extension) {
+        return fileName;
+    }
+    // Replace a wrong extension of a supported type, otherwise keep the name and append
+    const isKnown = FILE_TYPES.some(type => type.extension === current) || current in EXTENSION_ALIASES;
+    const baseName = isKnown ? fileName.slice(0, -match[0].length) : fileName;
+    return `${baseName}.${fileType.extension}`;
+}
+
+/**
+ * Convert a file the OCR providers can't read (HEIC, TIFF, GIF) to JPEG
+ * Other types are returned unchanged
+ * @param {Buffer} buffer - File data
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Promise<Object>} { buffer, mimeType }
+ */
+async function convertForOcr(buffer, mimeType) {
+    const fileType = FILE_TYPES.find(type => type.mimeType === mimeType);
+    if (!fileType?.convert) {
+        return { buffer, mimeType };
+    }
+
+    const startTime = Date.now();
+    let output;
+    if (fileType.convert === 'heic') {
+        // HEVC decoding isn't in sharp's prebuilt libvips - libheif (wasm), loaded only when needed
+        const heicConvert = require('heic-convert');
+        output = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: CONVERSION_QUALITY / 100 }));
+    } else {
+        output = await sharp(buffer)
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: CONVERSION_QUALITY })
+            .toBuffer();
+    }
+
+    logger.info(`Converted ${fileType.label} to JPEG for OCR`, {
+        originalBytes: buffer.length,
+        convertedBytes: output.length,
+        durationMs: Date.now() - startTime,
+    });
+
+    return { buffer: output, mimeType: 'image/jpeg' };
+}
+
+/**
+ * Format the reply for an unsupported file
+ * @param {string} fileName - Name of the upload ('' for image messages)
+ * @returns {string} Message listing the supported formats
+ */
+function formatUnsupportedMessage(fileName = '') {
+    const imageLabels = FILE_TYPES.filter(type => type.docType === 'image').map(type => type.label);
+
+    return [
+        fileName ? `⚠️ ไฟล์ ${fileName} ไม่รองรับ` : '⚠️ ไฟล์นี้ไม่รองรับ',
+        '',
+        `✅ รองรับ: รูปภาพ (${imageLabels.join(', ')}) หรือไฟล์ PDF`,
+    ].join('\n');
+}
+
+module.exports = {
+    detectFileType,
+    getExtension,
+    withExtension,
+    convertForOcr,
+    formatUnsupportedMessage,
+};
@@ -0,0 +1,181 @@
+/**
+ * OCR Fixture Service
+ * Records raw Gemini responses keyed by image hash, and replays them offline
+ *
+ * OCR_FIXTURE_MODE:
+ * - record: call Gemini as usual, save image + raw response + parsed result
+ * - replay: never call Gemini, return the recorded raw response for the image
+ *
+ * Fixture layout (OCR_FIXTURES_DIR, default ./fixtures/gemini):
+ *   <sha256>.json  - { mimeType, model, promptHash, text, usageMetadata, correction?, expected, recordedAt }
+ *                    correction: raw response to the corrective re-prompt (gemini.js), if one was sent
+ *   <sha256>.<ext> - source image/PDF (lets scripts/replay-fixtures.js re-run a changed prompt)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// File extension for stored source documents
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+};
+
+/**
+ * Get the current fixture mode
+ * @returns {string|null} 'record', 'replay' or null (live)
+ */
+function getMode() {
+    const mode = config.ocr.fixtureMode;
+    return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+/**
+ * Hash a document buffer (fixture key)
+ * @param {Buffer} buffer - Image/PDF data
+ * @returns {string} SHA-256 hex digest
+ */
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Get the fixture file of a document
+ * @param {string} hash - Document hash (see hashBuffer)
+ * @returns {string} Path of the JSON fixture
+ */
+function getFixturePath(hash) {
+    return path.join(config.ocr.fixturesDir, `${hash}.json`);
+}
+
+/**
+ * Save a raw response (and the source document) for an image
+ * @param {Buffer} buffer - Image/PDF data
+ * @param {string} mimeType - MIME type
+ * @param {Object} fixture - { text, usageMetadata, model, promptHash, correction, expected }
+ */
+function saveResponse(buffer, mimeType, fixture) {
+    const hash = hashBuffer(buffer);
+    const dir = config.ocr.fixturesDir;
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+
+        const ext = EXTENSIONS[mimeType] || 'bin';
+        fs.writeFileSync(path.join(dir, `${hash}.${ext}`), buffer);
+        fs.writeFileSync(getFixturePath(hash), JSON.stringify({
+            mimeType,
+            ...fixture,
+            recordedAt: new Date().toISOString(),
+        }, null, 2));
+
+        logger.info(`Recorded OCR fixture: ${hash.substring(0, 12)}`, { dir });
+    } catch (error) {
+        // Recording must never break real processing
+        logger.error('Failed to record OCR fixture', { hash, error: error.message });
+    }
+}
+
+/**
+ * Load the recorded raw response for an image
+ * @param {Buffer} buffer - Image/PDF data
+ * @param {string} promptHash - Current prompt hash (warns if the recording is older)
+ * @returns {Object} Raw response { text, usageMetadata, model }
+ */
+function loadResponse(buffer, promptHash = null) {
+    const hash = hashBuffer(buffer);
+    const fixture = readFixture(hash);
+
+    if (!fixture) {
+        throw new Error(`No recorded OCR response for image ${hash.substring(0, 12)} (OCR_FIXTURE_MODE=replay)`);
+    }
+
+    if (promptHash && fixture.promptHash && fixture.promptHash !== promptHash) {
+        logger.warn(`Fixture ${hash.substring(0, 12)} was recorded with a different prompt`, {
+            recorded: fixture.promptHash,
+            current: promptHash,
+        });
+    }
+
+    logger.info(`Replaying OCR fixture: ${hash.substring(0, 12)}`);
+    return {
+        text: fixture.text,
+        usageMetadata: fixture.usageMetadata || {},
+        model: fixture.model,
+    };
+}
+
+/**
+ * Load the recorded response to the corrective re-prompt for an image
+ * @param {Buffer} buffer - Image/PDF data
+ * @returns {Object|null} Raw response { text, usageMetadata, model } or null if none was recorded
+ */
+function loadCorrection(buffer) {
+    const hash = hashBuffer(buffer);
+    const correction = readFixture(hash)?.correction;
+
+    if (!correction) {
+        logger.info(`No recorded correction for fixture ${hash.substring(0, 12)}, keeping the first result`);
+        return null;
+    }
+
+    logger.info(`Replaying OCR correction: ${hash.substring(0, 12)}`);
+    return {
+        text: correction.text,
+        usageMetadata: correction.usageMetadata || {},
+        model: correction.model,
+    };
+}
+
+/**
+ * Read a fixture file by hash
+ * @param {string} hash - Image hash
+ * @returns {Object|null} Fixture or null if not recorded
+ */
+function readFixture(hash) {
+    const fixturePath = getFixturePath(hash);
+    if (!fs.existsSync(fixturePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+}
+
+/**
+ * List all recorded fixtures
+ * @returns {Array<Object>} [{ hash, fixture, imagePath }]
+ */
+function listFixtures() {
+    const dir = config.ocr.fixturesDir;
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const hash = path.basename(file, '.json');
+            const fixture = readFixture(hash);
+            const ext = EXTENSIONS[fixture.mimeType] || 'bin';
+            const imagePath = path.join(dir, `${hash}.${ext}`);
+            return {
+                hash,
+                fixture,
+                imagePath: fs.existsSync(imagePath) ? imagePath : null,
+            };
+        });
+}
+
+module.exports = {
+    getMode,
+    hashBuffer,
+    saveResponse,
+    loadResponse,
+    loadCorrection,
+    readFixture,
+    listFixtures,
+};
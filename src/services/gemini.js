@@ -1,11 +1,18 @@
 /**
  * Gemini AI Service - Invoice Parser
  * Uses Gemini Vision to extract structured data from invoice images
- * Features: Model fallback, JSON validation, configurable model
+ * Features: Model fallback, JSON validation, configurable model, record/replay fixtures,
+ *           corrective re-prompt when the numbers don't add up (arithmetic.js),
+ *           several receipts in one photo (MULTI_RECEIPT_ENABLED)
  */
 
+const crypto = require('crypto');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../config/env');
 const logger = require('../utils/logger');
+const arithmeticService = require('./arithmetic');
+const { DEFAULT_CATEGORIES, normalizeInvoiceData, parseNumber } = require('./invoice');
+const fixtures = require('./fixtures');
 
 // Initialize Gemini client
 let genAI = null;
@@ -36,16 +43,43 @@ function getModelName() {
 }
 
 /**
- * The invoice parsing prompt - instructs Gemini to extract structured data
- * Output: 18 columns (A-R) for Google Sheets
+ * Hints for the default expense categories (custom categories are listed by name only)
  */
-const INVOICE_PROMPT = `You are a Thai invoice/receipt parser. Analyze this image and extract ALL data accurately.
+const CATEGORY_HINTS = {
+    Food: 'restaurants, cafes, groceries',
+    Travel: 'transport, fuel, parking, hotels',
+    Office: 'supplies, equipment, furniture',
+    Marketing: 'advertising, promotions',
+    Utilities: 'phone, internet, electricity',
+    Other: 'if unsure',
+};
+
+/**
+ * Build the invoice parsing prompt - instructs Gemini to extract structured data
+ * (one JSON object per document, normalized by invoice.js and saved as the 30-column A-AD layout)
+ * @param {Array<string>} categories - Allowed expense categories (company-specific)
+ * @returns {string} Prompt
+ */
+function buildInvoicePrompt(categories = DEFAULT_CATEGORIES) {
+    const categoryLines = categories
+        .map(category => CATEGORY_HINTS[category] ? `- "${category}" = ${CATEGORY_HINTS[category]}` : `- "${category}"`)
+        .join('\n');
+    const multipleDocuments = config.ocr.multiReceipt ? `
+
+MULTIPLE DOCUMENTS:
+If the image shows more than one separate receipt/invoice (e.g. taxi and parking receipts side by side),
+return { "documents": [ ... ] } with one object per document in the format below, ordered left to right,
+top to bottom. Each document has its own header, lineItems and totals - never mix items between documents.
+If there is only one document, return the single object.` : '';
+
+    return `You are a Thai invoice/receipt parser. Analyze this image and extract ALL data accurately.
 
 CRITICAL RULES:
 1. Extract ALL line items including: products, services, discounts, service charges, and VAT
 2. SUM of all lineItems amounts MUST EQUAL grandTotal
 3. For Thai text, preserve the original Thai characters
-4. For dates, use ISO format YYYY-MM-DD (e.g., "2026-01-11")
+4. Copy dates exactly as printed (e.g., "11/01/69", "11 ม.ค. 2569", "๑๑/๐๑/๒๕๖๙") - do NOT convert
+   Buddhist Era years, Thai month names or Thai numerals, and do not reorder day and month
 
 DOCUMENT TYPE - Classify the document:
 - "Tax Invoice" = ใบกำกับภาษี (has Tax ID, formal)
@@ -54,12 +88,7 @@ DOCUMENT TYPE - Classify the document:
 - "Quotation" = ใบเสนอราคา (not yet paid)
 
 EXPENSE CATEGORY - Suggest based on content:
-- "Food" = restaurants, cafes, groceries
-- "Travel" = transport, fuel, parking, hotels
-- "Office" = supplies, equipment, furniture
-- "Marketing" = advertising, promotions
-- "Utilities" = phone, internet, electricity
-- "Other" = if unsure
+${categoryLines}
 
 LINE TYPE CLASSIFICATION:
 - "item" = regular product/service (positive amount)
@@ -78,10 +107,12 @@ OUTPUT FORMAT - Return ONLY valid JSON, no markdown:
 {
   "documentType": "Tax Invoice | Receipt | Credit Note | Quotation",
   "invoiceNumber": "string or null",
-  "invoiceDate": "YYYY-MM-DD or null",
+  "invoiceDate": "date as printed on the document, or null",
   "sellerName": "string or null",
   "sellerTaxId": "13-digit string or null",
-  "expenseCategory": "Food | Travel | Office | Marketing | Utilities | Other",
+  "buyerTaxId": "13-digit string or null - the customer's Tax ID (ผู้ซื้อ / ลูกค้า), if printed",
+  "taxIdCandidates": ["every other 13-digit number printed on the document, copied as printed"],
+  "expenseCategory": "${categories.join(' | ')}",
   "lineItems": [
     {
       "lineType": "item | discount | credit | service | vat",
@@ -101,9 +132,11 @@ EXAMPLE:
 {
   "documentType": "Receipt",
   "invoiceNumber": "SMT006P1290016186",
-  "invoiceDate": "2026-01-11",
+  "invoiceDate": "11/01/69",
   "sellerName": "SSamthing Together",
   "sellerTaxId": "0107566000453",
+  "buyerTaxId": null,
+  "taxIdCandidates": ["0-1075-66000-45-3"],
   "expenseCategory": "Food",
   "lineItems": [
     { "lineType": "item", "description": "Signature Set", "quantity": 1, "unitPrice": 699, "amount": 699 },
@@ -115,14 +148,15 @@ EXAMPLE:
   "vatAmount": 0,
   "grandTotal": 882.53,
   "confidence": 0.92
-}`;
+}${multipleDocuments}`;
+}
 
 /**
  * Required fields for JSON validation
  */
 const REQUIRED_FIELDS = ['grandTotal', 'confidence'];
 const OPTIONAL_FIELDS = ['documentType', 'invoiceNumber', 'invoiceDate', 'sellerName', 
-                          'sellerTaxId', 'expenseCategory', 'lineItems', 'subtotal', 'vatAmount'];
+                          'sellerTaxId', 'buyerTaxId', 'taxIdCandidates', 'expenseCategory', 'lineItems', 'subtotal', 'vatAmount'];
 
 /**
  * Validate JSON schema from Gemini response
@@ -174,18 +208,152 @@ function isDebugMode() {
 
 /**
  * Process an invoice image with Gemini Vision
- * Features: Model fallback chain, retries, JSON validation
+ * Features: Model fallback chain, retries, JSON validation, record/replay fixtures
+ * If the result doesn't add up, Gemini is asked once to correct it (ARITHMETIC_CORRECTION_ENABLED)
+ * @param {Buffer} imageBuffer - The image data
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Optional { categories } - allowed expense categories
+ * @returns {Promise<Array<Object>>} Parsed invoice data, one per receipt in the image
+ */
+async function parseInvoices(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const fixtureMode = fixtures.getMode();
+    const prompt = buildInvoicePrompt(options.categories);
+
+    // Replay mode: no network, use the recorded raw response for this image
+    const raw = fixtureMode === 'replay'
+        ? fixtures.loadResponse(imageBuffer, getPromptHash(prompt))
+        : await generateRawResponse(imageBuffer, mimeType, prompt);
+
+    let invoices = null;
+    let correction = null;
+    try {
+        invoices = parseRawDocuments(raw, options);
+
+        // The follow-up prompt can't say which receipt of a photo is off - single receipts only
+        const issues = invoices.length === 1 ? arithmeticService.checkInvoice(invoices[0]) : [];
+        if (issues.length > 0 && config.arithmetic.correctionEnabled) {
+            try {
+                correction = fixtureMode === 'replay'
+                    ? fixtures.loadCorrection(imageBuffer)
+                    : await requestCorrection(imageBuffer, mimeType, prompt, raw, issues);
+            } catch (error) {
+                // Best effort - keep the first result (the failed call still goes in the ledger)
+                logger.warn('Corrective re-prompt failed, keeping the first result', { error: error.message });
+                invoices[0].ocrCalls.push(...(error.ocrCalls || []));
+            }
+
+            if (correction) {
+                invoices = [applyCorrection(invoices[0], correction, issues, options)];
+            }
+        }
+
+        if (invoices.length > 1) {
+            logger.info(`Found ${invoices.length} receipts in one image`);
+        }
+        return invoices;
+    } catch (error) {
+        // The response was paid for even if it couldn't be used
+        error.ocrCalls = [getCallUsage(raw), ...(correction ? [getCallUsage(correction)] : [])];
+        throw error;
+    } finally {
+        if (fixtureMode === 'record') {
+            fixtures.saveResponse(imageBuffer, mimeType, {
+                ...raw,
+                promptHash: getPromptHash(prompt),
+                ...(correction && { correction }),
+                expected: invoices && invoices.length > 1 ? invoices : (invoices?.[0] || null),
+            });
+        }
+    }
+}
+
+/**
+ * Process an invoice image, returning the first receipt only (OCR provider interface)
  * @param {Buffer} imageBuffer - The image data
  * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Optional { categories } - allowed expense categories
  * @returns {Promise<Object>} Parsed invoice data
  */
-async function parseInvoice(imageBuffer, mimeType = 'image/jpeg') {
+async function parseInvoice(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const [invoice] = await parseInvoices(imageBuffer, mimeType, options);
+    return invoice;
+}
+
+/**
+ * Send the arithmetic issues back to Gemini as a follow-up turn and get a corrected answer
+ * @param {Buffer} imageBuffer - The image data
+ * @param {string} mimeType - Image MIME type
+ * @param {string} prompt - Original prompt
+ * @param {Object} raw - Original raw response
+ * @param {Array<Object>} issues - Issues from arithmeticService.checkInvoice
+ * @returns {Promise<Object>} Raw response { text, usageMetadata, model, retries, fallbackFrom }
+ */
+async function requestCorrection(imageBuffer, mimeType, prompt, raw, issues) {
+    logger.info('Arithmetic check failed, asking Gemini to correct', {
+        checks: issues.map(issue => issue.check),
+    });
+
+    return generateRawResponse(imageBuffer, mimeType, prompt, [
+        { role: 'model', text: raw.text },
+        { role: 'user', text: arithmeticService.buildCorrectionPrompt(issues) },
+    ]);
+}
+
+/**
+ * Use the corrected answer if it has fewer arithmetic issues than the first one
+ * Tokens (and ledger calls) of both calls are counted either way
+ * @param {Object} original - Normalized data from the first response
+ * @param {Object} correction - Raw corrected response
+ * @param {Array<Object>} issues - Issues of the first response
+ * @param {Object} options - Optional { categories }
+ * @returns {Object} Normalized invoice data
+ */
+function applyCorrection(original, correction, issues, options = {}) {
+    let corrected;
+    try {
+        corrected = parseRawResponse(correction, options);
+    } catch (error) {
+        logger.warn('Corrected response could not be parsed, keeping the first result', { error: error.message });
+        return { ...original, ocrCalls: [...(original.ocrCalls || []), getCallUsage(correction)] };
+    }
+
+    const tokenUsed = (original.tokenUsed || 0) + (corrected.tokenUsed || 0);
+    const ocrCalls = [...(original.ocrCalls || []), ...(corrected.ocrCalls || [])];
+    const remaining = arithmeticService.checkInvoice(corrected);
+
+    logger.info('Corrective re-prompt complete', {
+        before: issues.map(issue => issue.check),
+        after: remaining.map(issue => issue.check),
+    });
+
+    if (remaining.length >= issues.length) {
+        return { ...original, tokenUsed, ocrCalls };
+    }
+
+    return { ...corrected, tokenUsed, ocrCalls, arithmetic: { issues: remaining, corrected: true } };
+}
+
+/**
+ * Call Gemini and return the raw response (no parsing)
+ * Tries the model fallback chain, retrying rate-limit errors with backoff
+ * @param {Buffer} imageBuffer - The image data
+ * @param {string} mimeType - Image MIME type
+ * @param {string} prompt - Prompt (defaults to the default-category prompt)
+ * @param {Array<Object>} history - Optional follow-up turns after prompt + image: [{ role: 'model'|'user', text }]
+ * @returns {Promise<Object>} Raw response { text, usageMetadata, model, retries, fallbackFrom }
+ *   retries: failed attempts before the answer, fallbackFrom: the preferred model if another one answered
+ * @throws The last error, with ocrCalls - the failed call for the usage ledger (no tokens reported)
+ */
+async function generateRawResponse(imageBuffer, mimeType, prompt = buildInvoicePrompt(), history = []) {
     const maxRetries = 3;
     const modelsToTry = [getModelName(), ...MODEL_FALLBACK_CHAIN.filter(m => m !== getModelName())];
     let lastError;
+    let lastModel;
+    let retries = 0;
 
     for (const modelName of modelsToTry) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            lastModel = modelName;
             try {
                 const client = getClient();
                 const model = client.getGenerativeModel({ model: modelName });
@@ -202,49 +370,27 @@ async function parseInvoice(imageBuffer, mimeType = 'image/jpeg') {
                     },
                 };
 
-                // Generate content
-                const result = await model.generateContent([INVOICE_PROMPT, imagePart]);
-                const response = await result.response;
-                const text = response.text();
-                
-                // Get token usage from response
-                const usageMetadata = response.usageMetadata || {};
-                const tokenUsed = usageMetadata.totalTokenCount || 
-                                  (usageMetadata.promptTokenCount || 0) + (usageMetadata.candidatesTokenCount || 0);
-
-                if (isDebugMode()) {
-                    logger.info(`[DEBUG] Gemini raw response length: ${text.length}, tokens: ${tokenUsed}`);
-                }
-
-                // Parse JSON from response
-                const jsonData = parseJsonResponse(text);
-                
-                // Validate JSON schema
-                const validation = validateJsonSchema(jsonData);
-                if (!validation.isValid) {
-                    logger.warn('JSON validation warnings', { errors: validation.errors });
-                    // Continue anyway but log the issues
-                }
-                
-                // Normalize data
-                const normalizedData = normalizeInvoiceData(jsonData);
-                
-                // Add token usage to normalized data
-                normalizedData.tokenUsed = tokenUsed;
-
-                if (isDebugMode()) {
-                    logger.info('[DEBUG] Invoice parsed successfully', {
-                        model: modelName,
-                        itemCount: normalizedData.lineItems.length,
-                        grandTotal: normalizedData.grandTotal,
-                        confidence: normalizedData.confidence,
-                        tokenUsed: tokenUsed,
+                // Generate content (multi-turn when there are follow-up turns)
+                const result = history.length === 0
+                    ? await model.generateContent([prompt, imagePart])
+                    : await model.generateContent({
+                        contents: [
+                            { role: 'user', parts: [{ text: prompt }, imagePart] },
+                            ...history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+                        ],
                     });
-                }
+                const response = await result.response;
 
-                return normalizedData;
+                return {
+                    text: response.text(),
+                    usageMetadata: response.usageMetadata || {},
+                    model: modelName,
+                    retries,
+                    fallbackFrom: modelName !== modelsToTry[0] ? modelsToTry[0] : null,
+                };
             } catch (error) {
                 lastError = error;
+                retries++;
                 
                 // Check if rate limit error - retry with backoff
                 if (error.message && error.message.includes('429')) {
@@ -265,309 +411,189 @@ async function parseInvoice(imageBuffer, mimeType = 'image/jpeg') {
                 }
                 
                 // Other error - throw immediately
-                throw error;
+                throw withFailedCall(error, lastModel, modelsToTry[0], retries);
             }
         }
     }
 
     logger.error('Failed to parse invoice after all models and retries', lastError);
-    throw lastError;
+    throw withFailedCall(lastError, lastModel, modelsToTry[0], retries);
 }
 
 /**
- * Parse JSON from Gemini response (handles markdown code blocks)
+ * Attach a failed call to the error, for the usage ledger (ledger.js)
+ * Gemini reports no tokens for failed requests - the call is recorded with none
+ * @param {Error} error - Last error
+ * @param {string} model - Model of the last attempt
+ * @param {string} preferredModel - First model of the fallback chain
+ * @param {number} failures - Failed attempts, the last one included
+ * @returns {Error} The error
  */
-function parseJsonResponse(text) {
-    let jsonStr = text.trim();
-    
-    // Handle ```json ... ``` format
-    if (jsonStr.startsWith('```')) {
-        jsonStr = jsonStr.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-    }
-    
-    try {
-        return JSON.parse(jsonStr);
-    } catch (error) {
-        logger.error('Failed to parse JSON response', { text: jsonStr.substring(0, 500) });
-        throw new Error('Invalid JSON response from Gemini');
-    }
+function withFailedCall(error, model, preferredModel, failures) {
+    error.ocrCalls = [{
+        provider: 'gemini',
+        model,
+        promptTokens: 0,
+        outputTokens: 0,
+        pages: 0,
+        retries: failures - 1,
+        fallbackFrom: model !== preferredModel ? preferredModel : null,
+    }];
+    return error;
 }
 
 /**
- * Normalize and validate invoice data for 18-column layout
+ * Get the document objects of a parsed response
+ * Accepts { documents: [...] }, a bare array, or a single document object
  */
-function normalizeInvoiceData(data) {
-    const lineItems = normalizeLineItems(data.lineItems || []);
-    
-    // Check if VAT is a separate line item
-    const hasVatLineItem = lineItems.some(item => item.lineType === 'vat');
-    
-    // Validate/default document type
-    const validDocTypes = ['Tax Invoice', 'Receipt', 'Credit Note', 'Quotation'];
-    let documentType = data.documentType || 'Receipt';
-    if (!validDocTypes.includes(documentType)) {
-        documentType = 'Receipt';
+function getDocuments(jsonData) {
+    const documents = Array.isArray(jsonData)
+        ? jsonData
+        : Array.isArray(jsonData?.documents) ? jsonData.documents : [jsonData];
+    const objects = documents.filter(document => document && typeof document === 'object');
+
+    if (objects.length === 0) {
+        throw new Error('No documents in Gemini response');
     }
-    
-    // Validate/default expense category
-    const validCategories = ['Food', 'Travel', 'Office', 'Marketing', 'Utilities', 'Other'];
-    let expenseCategory = data.expenseCategory || 'Other';
-    if (!validCategories.includes(expenseCategory)) {
-        expenseCategory = 'Other';
-    }
-    
-    return {
-        documentType: documentType,
-        invoiceNumber: data.invoiceNumber || null,
-        invoiceDate: normalizeDate(data.invoiceDate),
-        sellerName: data.sellerName || null,
-        sellerTaxId: extractTaxId(data.sellerTaxId),
-        expenseCategory: expenseCategory,
-        lineItems: lineItems,
-        subtotal: parseNumber(data.subtotal),
-        vatAmount: hasVatLineItem ? 0 : parseNumber(data.vatAmount),  // 0 if VAT is a line item
-        grandTotal: parseNumber(data.grandTotal) || 0,
-        confidence: Math.min(1, Math.max(0, parseFloat(data.confidence) || 0.5)),
-    };
+    return objects;
 }
 
 /**
- * Normalize date to YYYY-MM-DD format (prevents Excel serial number issue)
+ * Turn a raw Gemini response into normalized invoice data
+ * Pure function - no network, used for both live and replayed responses
+ * @param {Object} raw - Raw response { text, usageMetadata, model }
+ * @param {Object} options - Optional { categories } - allowed expense categories
+ * @returns {Object} Normalized invoice data (the first receipt if the image has several)
  */
-function normalizeDate(dateStr) {
-    if (!dateStr) return null;
-    
-    // If already in ISO format, return as-is
-    if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        return dateStr;
-    }
-    
-    // Try to parse various date formats
-    const parsed = new Date(dateStr);
-    if (!isNaN(parsed.getTime())) {
-        // Return as YYYY-MM-DD string (prevents Excel auto-conversion)
-        return parsed.toISOString().split('T')[0];
-    }
-    
-    // If can't parse, return original string prefixed with apostrophe (forces text in Excel)
-    return `'${dateStr}`;
+function parseRawResponse(raw, options = {}) {
+    return parseRawDocuments(raw, options)[0];
 }
 
 /**
- * Normalize line items - includes all types: item, discount, credit, service, vat
+ * Turn a raw Gemini response into normalized invoice data for every receipt in it
+ * One call covers the whole image - its tokens are counted on the first receipt only
+ * @param {Object} raw - Raw response { text, usageMetadata, model }
+ * @param {Object} options - Optional { categories } - allowed expense categories
+ * @returns {Array<Object>} Normalized invoice data, one per receipt
  */
-function normalizeLineItems(items) {
-    if (!Array.isArray(items)) return [];
-    
-    return items.map((item, index) => {
-        const rawAmount = parseNumber(item.amount);
-        const rawUnitPrice = parseNumber(item.unitPrice);
-        const rawQuantity = parseNumber(item.quantity) || 1;  // Default qty to 1
-        
-        // Calculate missing values
-        let quantity = rawQuantity;
-        let unitPrice = rawUnitPrice;
-        let amount = rawAmount;
-        
-        // Fill in missing values based on what we have
-        if (amount !== null && unitPrice === null && quantity) {
-            // Have amount, missing unitPrice: calculate unitPrice = amount / quantity
-            unitPrice = amount / quantity;
-        } else if (unitPrice !== null && amount === null && quantity) {
-            // Have unitPrice, missing amount: calculate amount = unitPrice * quantity
-            amount = unitPrice * quantity;
-        } else if (unitPrice === null && amount === null) {
-            // Both missing, skip this item
-            amount = 0;
-        }
-        
-        // Determine line type (default to 'item' if not specified)
-        let lineType = item.lineType?.toLowerCase() || 'item';
-        
-        // Validate line type
-        const validTypes = ['item', 'discount', 'credit', 'service', 'vat'];
-        if (!validTypes.includes(lineType)) {
-            lineType = 'item';
+function parseRawDocuments(raw, options = {}) {
+    const { text, model: modelName } = raw;
+
+    // Get token usage from response
+    const usageMetadata = raw.usageMetadata || {};
+    const tokenUsed = usageMetadata.totalTokenCount || 
+                      (usageMetadata.promptTokenCount || 0) + (usageMetadata.candidatesTokenCount || 0);
+
+    if (isDebugMode()) {
+        logger.info(`[DEBUG] Gemini raw response length: ${text.length}, tokens: ${tokenUsed}`);
+    }
+
+    // Parse JSON from response
+    const documents = getDocuments(parseJsonResponse(text));
+
+    return documents.map((jsonData, index) => {
+        // Validate JSON schema
+        const validation = validateJsonSchema(jsonData);
+        if (!validation.isValid) {
+            logger.warn('JSON validation warnings', { errors: validation.errors });
+            // Continue anyway but log the issues
         }
-        
-        // Auto-detect type from amount and description if not specified correctly
-        if (lineType === 'item' && amount < 0) {
-            const desc = (item.description || '').toLowerCase();
-            if (desc.includes('cn') || desc.includes('credit') || desc.includes('refund')) {
-                lineType = 'credit';
-            } else {
-                lineType = 'discount';
-            }
+
+        // Normalize data (the other 13-digit numbers Gemini saw are searched for a valid Tax ID
+        // if the extracted one fails the check digit)
+        const normalizedData = normalizeInvoiceData(jsonData, { ...options, documentText: getTaxIdText(jsonData) });
+
+        // Add token usage to normalized data
+        normalizedData.tokenUsed = index === 0 ? tokenUsed : 0;
+        normalizedData.ocrCalls = index === 0 ? [getCallUsage(raw)] : [];
+
+        if (isDebugMode()) {
+            logger.info('[DEBUG] Invoice parsed successfully', {
+                model: modelName,
+                document: `${index + 1}/${documents.length}`,
+                itemCount: normalizedData.lineItems.length,
+                grandTotal: normalizedData.grandTotal,
+                confidence: normalizedData.confidence,
+                tokenUsed: normalizedData.tokenUsed,
+            });
         }
-        
-        return {
-            itemNumber: index + 1,
-            lineType: lineType,
-            description: item.description || '',
-            quantity: quantity,
-            unitPrice: unitPrice,
-            amount: amount || 0,
-        };
-    }).filter(item => item.description && item.amount !== 0);
-}
 
-/**
- * Extract 13-digit Thai Tax ID
- */
-function extractTaxId(text) {
-    if (!text) return null;
-    const match = String(text).match(/\d{13}/);
-    return match ? match[0] : null;
+        return normalizedData;
+    });
 }
 
 /**
- * Parse number from various formats
+ * The document's 13-digit numbers as text, for the Tax ID fallback (taxId.verifyTaxId)
+ * Gemini returns structured data only - taxIdCandidates stands in for the document text
+ * @param {Object} jsonData - One parsed document
+ * @returns {string} Candidates, one per line
  */
-function parseNumber(value) {
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number') return value;
-    
-    const cleaned = String(value).replace(/[^0-9.-]/g, '');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
+function getTaxIdText(jsonData) {
+    const candidates = Array.isArray(jsonData.taxIdCandidates) ? jsonData.taxIdCandidates : [];
+    return candidates.map(candidate => String(candidate)).join('\n');
 }
 
 /**
- * Extract Invoice Month in YYYYMM format from invoice date
+ * Describe one Gemini call for the usage ledger (ledger.js)
+ * Thinking tokens are billed as output
+ * @param {Object} raw - Raw response { text, usageMetadata, model, retries, fallbackFrom }
+ * @returns {Object} { provider, model, promptTokens, outputTokens, pages, retries, fallbackFrom }
  */
-function getInvoiceMonth(invoiceDate) {
-    if (!invoiceDate) return '';
-    // Expected format: YYYY-MM-DD
-    const match = String(invoiceDate).match(/^(\d{4})-(\d{2})/);
-    if (match) {
-        return match[1] + match[2];  // YYYYMM
-    }
-    return '';
-}
+function getCallUsage(raw) {
+    const usageMetadata = raw.usageMetadata || {};
+    const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    const promptTokens = usageMetadata.promptTokenCount ?? Math.max(0, (usageMetadata.totalTokenCount || 0) - outputTokens);
 
-// Receipt ID counter (resets on server restart, increments per request)
-let receiptCounter = 0;
-let lastReceiptDate = '';
+    return {
+        provider: 'gemini',
+        model: raw.model || getModelName(),
+        promptTokens,
+        outputTokens,
+        pages: 0,
+        retries: raw.retries || 0,
+        fallbackFrom: raw.fallbackFrom || null,
+    };
+}
 
 /**
- * Generate unique Receipt ID
- * Format: RYYMMDD-NNN (e.g., R250117-001)
+ * Short hash of a prompt (stored with fixtures to spot stale recordings)
+ * @param {string} prompt - Prompt (defaults to the default-category prompt)
+ * @returns {string} Prompt hash
  */
-function generateReceiptId() {
-    const now = new Date();
-    const dateStr = now.toISOString().slice(2, 10).replace(/-/g, ''); // YYMMDD
-    
-    // Reset counter if new day
-    if (dateStr !== lastReceiptDate) {
-        receiptCounter = 0;
-        lastReceiptDate = dateStr;
-    }
-    
-    receiptCounter++;
-    const seq = String(receiptCounter).padStart(3, '0');
-    return `R${dateStr}-${seq}`;
+function getPromptHash(prompt = buildInvoicePrompt()) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 12);
 }
 
 /**
- * Format parsed invoice data for Google Sheets
- * 22-column layout: A-V (Receipt ID, Invoice Month, Token Used)
+ * Parse JSON from Gemini response (handles markdown code blocks)
  */
-function formatForSheets(data, imageUrl, timestamp, userInfo = {}) {
-    // Generate unique Receipt ID
-    const receiptId = generateReceiptId();
+function parseJsonResponse(text) {
+    let jsonStr = text.trim();
     
-    // Get invoice month YYYYMM
-    const invoiceMonth = getInvoiceMonth(data.invoiceDate);
+    // Handle ```json ... ``` format
+    if (jsonStr.startsWith('```')) {
+        jsonStr = jsonStr.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+    }
     
-    // Header data (columns A-I)
-    const headerData = [
-        timestamp,                          // A: Processed At
-        receiptId,                          // B: Receipt ID
-        data.invoiceDate || '',             // C: Invoice Date
-        invoiceMonth,                       // D: Invoice Month (YYYYMM)
-        data.invoiceNumber || '',           // E: Invoice Number
-        data.documentType || 'Receipt',     // F: Document Type
-        data.sellerName || '',              // G: Seller Name
-        data.sellerTaxId || '',             // H: Seller Tax ID
-        data.expenseCategory || 'Other',    // I: Expense Category
-    ];
-
-    // Totals data (columns P-V)
-    const totalsData = [
-        data.subtotal || '',                // P: Subtotal
-        data.grandTotal || '',              // Q: Grand Total
-        imageUrl || '',                     // R: Image URL
-        data.confidence?.toFixed(2) || '',  // S: Confidence
-        data.tokenUsed || '',               // T: Token Used
-        userInfo.userId || '',              // U: User ID
-        userInfo.displayName || '',         // V: User Name
-    ];
-
-    const rows = [];
-
-    if (data.lineItems.length === 0) {
-        rows.push([
-            ...headerData,
-            '',                             // J: Item #
-            '',                             // K: Line Type
-            '',                             // L: Description
-            '',                             // M: Quantity
-            '',                             // N: Unit Price
-            '',                             // O: Amount
-            ...totalsData,
-        ]);
-    } else {
-        data.lineItems.forEach(item => {
-            rows.push([
-                ...headerData,
-                String(item.itemNumber),    // J: Item #
-                item.lineType || 'item',    // K: Line Type
-                item.description || '',     // L: Description
-                item.quantity || 1,         // M: Quantity
-                item.unitPrice || '',       // N: Unit Price
-                item.amount || '',          // O: Amount
-                ...totalsData,
-            ]);
-        });
+    try {
+        return JSON.parse(jsonStr);
+    } catch (error) {
+        logger.error('Failed to parse JSON response', { text: jsonStr.substring(0, 500) });
+        throw new Error('Invalid JSON response from Gemini');
     }
-
-    return rows;
-}
-
-/**
- * Get sheet headers (22 columns: A-V)
- */
-function getSheetHeaders() {
-    return [
-        'Processed At',      // A
-        'Receipt ID',        // B
-        'Invoice Date',      // C
-        'Invoice Month',     // D (YYYYMM)
-        'Invoice Number',    // E
-        'Document Type',     // F
-        'Seller Name',       // G
-        'Seller Tax ID',     // H
-        'Expense Category',  // I
-        'Item #',            // J
-        'Line Type',         // K
-        'Description',       // L
-        'Quantity',          // M
-        'Unit Price',        // N
-        'Amount',            // O
-        'Subtotal',          // P
-        'Grand Total',       // Q
-        'Image URL',         // R
-        'Confidence',        // S
-        'Token Used',        // T
-        'User ID',           // U
-        'User Name',         // V
-    ];
 }
 
 module.exports = {
+    name: 'gemini',
+    label: 'Gemini AI',
     parseInvoice,
-    formatForSheets,
-    getSheetHeaders,
+    parseInvoices,
+    buildInvoicePrompt,
+    generateRawResponse,
+    requestCorrection,
+    parseRawResponse,
+    parseRawDocuments,
+    applyCorrection,
+    getPromptHash,
     isDebugMode,
 };
-
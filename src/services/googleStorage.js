@@ -0,0 +1,518 @@
+/**
+ * Google Storage Backend
+ * Receipt rows in Google Sheets, documents in Google Drive,
+ * usage counters in the "Usage" tab, the cost of every OCR call in the "Ledger" tab,
+ * Receipt ID sequences in the "Sequences" tab and corrections made from chat in the
+ * "Edits" tab of the same spreadsheet
+ *
+ * Implements the storage backend interface (see storage.js)
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const sheetsService = require('./sheets');
+const driveService = require('./drive');
+const companiesService = require('./companies');
+
+const USAGE_SHEET = 'Usage';
+const SEQUENCES_SHEET = 'Sequences';
+// Rows read at a time when looking back for a sequence key's first claim
+const SEQUENCE_SCAN_ROWS = 500;
+const EDITS_SHEET = 'Edits';
+const EDITS_HEADERS = ['Edited At', 'Receipt ID', 'Field', 'Old Value', 'New Value', 'User ID', 'User Name'];
+const LEDGER_SHEET = 'Ledger';
+const LEDGER_HEADERS = [
+    'Called At', 'Month', 'Company', 'User ID', 'Group ID', 'Provider', 'Model',
+    'Prompt Tokens', 'Output Tokens', 'Pages', 'Retries', 'Fallback From', 'Cost (THB)',
+];
+
+/**
+ * Create sheet headers (default sheet + every company sheet) and the Usage / Sequences / Edits / Ledger tabs if missing
+ */
+async function initialize() {
+    await sheetsService.initializeHeaders();
+
+    for (const company of companiesService.getCompanies()) {
+        if (company.spreadsheetId || company.sheetName) {
+            await sheetsService.initializeHeaders(company.spreadsheetId, company.sheetName);
+        }
+    }
+
+    try {
+        await initializeUsageSheet();
+        await initializeSequencesSheet();
+        await initializeEditsSheet();
+        await initializeLedgerSheet();
+    } catch (error) {
+        logger.warn('Could not initialize Usage/Sequences/Edits/Ledger sheets', error.message);
+    }
+}
+
+/**
+ * Append receipt rows to the sheet
+ * @param {Array<Array>} rows - Rows from formatForSheets
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ */
+async function appendReceiptRows(rows, target = {}) {
+    return sheetsService.appendRows(rows, target.spreadsheetId, target.sheetName);
+}
+
+/**
+ * Read receipt rows from the sheet
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @returns {Promise<Array<Array>>} Rows in the formatForSheets layout
+ */
+async function listReceiptRows(target = {}) {
+    return sheetsService.getRows(target.spreadsheetId, target.sheetName);
+}
+
+/**
+ * Update cells of saved rows
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @param {Array<Object>} updates - [{ index, values: { [header]: value } }] (see storage.js)
+ */
+async function updateReceiptRows(target = {}, updates) {
+    return sheetsService.updateCells(updates, target.spreadsheetId, target.sheetName);
+}
+
+/**
+ * Delete saved rows
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @param {Array<number>} indexes - Row positions in listReceiptRows()
+ */
+async function deleteReceiptRows(target = {}, indexes) {
+    return sheetsService.deleteRows(indexes, target.spreadsheetId, target.sheetName);
+}
+
+/**
+ * Upload a document to Drive (in a YYYYMMDD folder)
+ * @param {Buffer} buffer - File data
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ * @param {Object} target - Optional { folderId }
+ * @returns {Promise<Object>} { id, name, url }
+ */
+async function storeDocument(buffer, fileName, mimeType, target = {}) {
+    return driveService.uploadImage(buffer, fileName, mimeType, target.folderId);
+}
+
+/**
+ * Download a document from Drive
+ * @param {string} url - Drive URL from storeDocument (https://drive.google.com/file/d/<id>/view)
+ * @returns {Promise<Buffer>} File data
+ */
+async function readDocument(url) {
+    const match = String(url).match(/\/file\/d\/([^/?#]+)/);
+    if (!match) {
+        throw new Error(`Not a Drive file URL: ${url}`);
+    }
+    return driveService.downloadFile(match[1]);
+}
+
+/**
+ * Get a usage counter from the Usage tab
+ * @param {string} key - Counter key (e.g. YYYYMM)
+ * @returns {Promise<number>} Current count
+ */
+async function getUsageCount(key) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${USAGE_SHEET}!A:B`,
+        });
+
+        const rows = response.data.values || [];
+        const row = rows.find(r => r[0] === key);
+        return row ? parseInt(row[1], 10) || 0 : 0;
+    } catch (error) {
+        // If Usage sheet doesn't exist, try to create it
+        if (error.message?.includes('Unable to parse range')) {
+            await initializeUsageSheet();
+            return 0;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Increment a usage counter in the Usage tab (one read and one write, whatever the amount)
+ * @param {string} key - Counter key (e.g. YYYYMM)
+ * @param {number} amount - Amount to add (e.g. pages of a split PDF)
+ * @returns {Promise<number>} New count
+ */
+async function incrementUsage(key, amount = 1) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    // Get current count
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${USAGE_SHEET}!A:B`,
+    });
+
+    const rows = response.data.values || [];
+    let rowIndex = -1;
+    let currentCount = 0;
+
+    // Find this key's row
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i][0] === key) {
+            rowIndex = i + 1; // Sheets are 1-indexed
+            currentCount = parseInt(rows[i][1], 10) || 0;
+            break;
+        }
+    }
+
+    const newCount = currentCount + amount;
+
+    if (rowIndex > 0) {
+        // Update existing row
+        await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${USAGE_SHEET}!B${rowIndex}`,
+            valueInputOption: 'RAW',
+            requestBody: {
+                values: [[newCount]],
+            },
+        });
+    } else {
+        // Append new row for this key
+        await sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range: `${USAGE_SHEET}!A:B`,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            requestBody: {
+                values: [[key, newCount]],
+            },
+        });
+    }
+
+    return newCount;
+}
+
+// Row of the first claim of each sequence key seen by this instance (claims are never moved)
+const sequenceStarts = new Map();
+
+/**
+ * Get the next value of a sequence from the Sequences tab
+ *
+ * Every call appends a claim row [key, timestamp]. Appends are applied one at a time
+ * by Sheets, so the number of claims for the key up to (and including) our own row
+ * is a value no other caller can get - even from another instance.
+ * Only the rows from the key's first claim on are read - a day's worth for a daily key.
+ * Claims are kept rather than pruned: deleting rows would shift the rows other instances count.
+ * @param {string} key - Sequence key (e.g. R250117)
+ * @returns {Promise<number>} Next value, starting at 1
+ */
+async function nextSequence(key) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    const claim = () => sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${SEQUENCES_SHEET}!A:B`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+            values: [[key, new Date().toISOString()]],
+        },
+    });
+
+    let response;
+    try {
+        response = await claim();
+    } catch (error) {
+        // If Sequences sheet doesn't exist, create it and claim again
+        if (!error.message?.includes('Unable to parse range')) {
+            throw error;
+        }
+        await initializeSequencesSheet();
+        response = await claim();
+    }
+
+    // e.g. "Sequences!A42:B42"
+    const claimRow = parseInt(response.data.updates.updatedRange.match(/!A(\d+)/)[1], 10);
+
+    const startRow = sequenceStarts.get(key) || await findSequenceStart(key, claimRow);
+    sequenceStarts.set(key, startRow);
+
+    const claims = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${SEQUENCES_SHEET}!A${startRow}:A${claimRow}`,
+    });
+
+    return (claims.data.values || []).filter(row => row[0] === key).length;
+}
+
+/**
+ * Find the row of a sequence key's first claim, reading back from one of its claims
+ * Claims are appended in time order and a daily key is first claimed on its own day, so the
+ * search stops at a block of claims that are all for earlier days
+ * @param {string} key - Sequence key (e.g. R250117)
+ * @param {number} claimRow - Row of a claim of this key
+ * @returns {Promise<number>} Row of the first claim
+ */
+async function findSequenceStart(key, claimRow) {
+    const sheets = sheetsService.getClient();
+    const day = getSequenceDay(key);
+    let startRow = claimRow;
+
+    // Row 1 holds the headers
+    for (let end = claimRow; end >= 2; end -= SEQUENCE_SCAN_ROWS) {
+        const start = Math.max(2, end - SEQUENCE_SCAN_ROWS + 1);
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.sheets.spreadsheetId,
+            range: `${SEQUENCES_SHEET}!A${start}:A${end}`,
+        });
+        const keys = (response.data.values || []).map(row => row[0]);
+
+        const index = keys.indexOf(key);
+        if (index !== -1) {
+            startRow = start + index;
+        } else if (day && keys.every(other => (getSequenceDay(other) || day) < day)) {
+            break;
+        }
+    }
+
+    return startRow;
+}
+
+/**
+ * Day of a sequence key, comparable as a string
+ * @param {string} key - Sequence key (e.g. R250117)
+ * @returns {string|null} YYMMDD, or null for keys that don't end in a date
+ */
+function getSequenceDay(key) {
+    const match = String(key || '').match(/(\d{6})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Append a correction to the Edits tab
+ * @param {Object} entry - { editedAt, receiptId, field, oldValue, newValue, userId, userName }
+ */
+async function appendEditLog(entry) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    const append = () => sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${EDITS_SHEET}!A:G`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+            values: [[
+                entry.editedAt,
+                entry.receiptId,
+                entry.field,
+                entry.oldValue,
+                entry.newValue,
+                entry.userId || '',
+                entry.userName || '',
+            ]],
+        },
+    });
+
+    try {
+        await append();
+    } catch (error) {
+        // If Edits sheet doesn't exist, create it and append again
+        if (!error.message?.includes('Unable to parse range')) {
+            throw error;
+        }
+        await initializeEditsSheet();
+        await append();
+    }
+}
+
+/**
+ * Append OCR calls to the Ledger tab
+ * @param {Array<Object>} entries - Ledger entries (see storage.js)
+ */
+async function appendUsageLedger(entries) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    const append = () => sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${LEDGER_SHEET}!A:M`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+            values: entries.map(entry => [
+                entry.calledAt,
+                entry.month,
+                entry.companyId,
+                entry.userId || '',
+                entry.groupId || '',
+                entry.provider || '',
+                entry.model || '',
+                entry.promptTokens,
+                entry.outputTokens,
+                entry.pages,
+                entry.retries,
+                entry.fallbackFrom || '',
+                entry.cost,
+            ]),
+        },
+    });
+
+    try {
+        await append();
+    } catch (error) {
+        // If Ledger sheet doesn't exist, create it and append again
+        if (!error.message?.includes('Unable to parse range')) {
+            throw error;
+        }
+        await initializeLedgerSheet();
+        await append();
+    }
+}
+
+/**
+ * Read the ledger entries of a month from the Ledger tab
+ * @param {string} month - YYYYMM
+ * @returns {Promise<Array<Object>>} Ledger entries (see storage.js)
+ */
+async function listUsageLedger(month) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    let rows;
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${LEDGER_SHEET}!A2:M`,
+        });
+        rows = response.data.values || [];
+    } catch (error) {
+        // If Ledger sheet doesn't exist, try to create it
+        if (error.message?.includes('Unable to parse range')) {
+            await initializeLedgerSheet();
+            return [];
+        }
+        throw error;
+    }
+
+    return rows
+        .filter(row => String(row[1]) === month)
+        .map(row => ({
+            calledAt: row[0],
+            month: String(row[1]),
+            companyId: row[2],
+            userId: row[3] || null,
+            groupId: row[4] || null,
+            provider: row[5] || null,
+            model: row[6] || null,
+            promptTokens: parseInt(row[7], 10) || 0,
+            outputTokens: parseInt(row[8], 10) || 0,
+            pages: parseInt(row[9], 10) || 0,
+            retries: parseInt(row[10], 10) || 0,
+            fallbackFrom: row[11] || null,
+            cost: parseFloat(row[12]) || 0,
+        }));
+}
+
+/**
+ * Add a tab with a header row to the main spreadsheet if it doesn't exist
+ * @param {string} title - Tab name
+ * @param {Array<string>} headers - Header row
+ */
+async function initializeTab(title, headers) {
+    const sheets = sheetsService.getClient();
+    const spreadsheetId = config.sheets.spreadsheetId;
+
+    try {
+        // First, check if the sheet already exists
+        const spreadsheet = await sheets.spreadsheets.get({
+            spreadsheetId,
+        });
+
+        const sheetExists = spreadsheet.data.sheets?.some(
+            (sheet) => sheet.properties?.title === title
+        );
+
+        if (!sheetExists) {
+            await sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                requestBody: {
+                    requests: [
+                        {
+                            addSheet: {
+                                properties: {
+                                    title,
+                                },
+                            },
+                        },
+                    ],
+                },
+            });
+
+            // Add header row
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${title}!A1`,
+                valueInputOption: 'RAW',
+                requestBody: {
+                    values: [headers],
+                },
+            });
+
+            logger.info(`Created ${title} sheet`);
+        }
+    } catch (error) {
+        logger.error(`Failed to initialize ${title} sheet`, error);
+        throw error;
+    }
+}
+
+/**
+ * Initialize the Usage sheet if it doesn't exist
+ */
+async function initializeUsageSheet() {
+    return initializeTab(USAGE_SHEET, ['Month', 'Count']);
+}
+
+/**
+ * Initialize the Sequences sheet (Receipt ID claims) if it doesn't exist
+ */
+async function initializeSequencesSheet() {
+    return initializeTab(SEQUENCES_SHEET, ['Key', 'Claimed At']);
+}
+
+/**
+ * Initialize the Edits sheet (corrections made from chat) if it doesn't exist
+ */
+async function initializeEditsSheet() {
+    return initializeTab(EDITS_SHEET, EDITS_HEADERS);
+}
+
+/**
+ * Initialize the Ledger sheet (cost of every OCR call) if it doesn't exist
+ */
+async function initializeLedgerSheet() {
+    return initializeTab(LEDGER_SHEET, LEDGER_HEADERS);
+}
+
+module.exports = {
+    name: 'google',
+    rowsLabel: 'Google Sheets',
+    documentsLabel: 'Google Drive',
+    initialize,
+    appendReceiptRows,
+    listReceiptRows,
+    updateReceiptRows,
+    deleteReceiptRows,
+    storeDocument,
+    readDocument,
+    getUsageCount,
+    incrementUsage,
+    nextSequence,
+    appendEditLog,
+    appendUsageLedger,
+    listUsageLedger,
+};
@@ -0,0 +1,87 @@
+/**
+ * Image Preprocessing Service
+ * Prepares photos before OCR: smaller images cost fewer tokens, upright images extract better
+ *
+ * Steps (IMAGE_PREPROCESS_ENABLED):
+ * 1. Auto-rotate from the EXIF orientation (phones store sideways pixels + a rotation tag)
+ * 2. Downscale so the longest side is at most IMAGE_MAX_DIMENSION pixels
+ * 3. Optional grayscale (IMAGE_GRAYSCALE)
+ * 4. Re-encode as JPEG (IMAGE_JPEG_QUALITY), dropping EXIF/GPS metadata
+ *
+ * Only the OCR input changes - the original file is what gets stored.
+ */
+
+const sharp = require('sharp');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+const OUTPUT_MIME_TYPE = 'image/jpeg';
+
+/**
+ * Preprocess an image for OCR
+ * Never throws: if the image can't be read the original is returned unchanged
+ * @param {Buffer} buffer - Original image data
+ * @param {string} mimeType - Original MIME type
+ * @returns {Promise<Object>} { buffer, mimeType, originalBytes, processedBytes, preprocessed }
+ */
+async function preprocessImage(buffer, mimeType = 'image/jpeg') {
+    const unchanged = {
+        buffer,
+        mimeType,
+        originalBytes: buffer.length,
+        processedBytes: buffer.length,
+        preprocessed: false,
+    };
+
+    if (!config.preprocess.enabled || !mimeType.startsWith('image/')) {
+        return unchanged;
+    }
+
+    try {
+        const startTime = Date.now();
+        const metadata = await sharp(buffer).metadata();
+        const maxDimension = config.preprocess.maxDimension;
+        const needsRotation = Boolean(metadata.orientation && metadata.orientation !== 1);
+        const needsResize = Math.max(metadata.width || 0, metadata.height || 0) > maxDimension;
+
+        let pipeline = sharp(buffer)
+            .rotate()
+            .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' });  // transparent screenshots would turn black as JPEG
+        if (config.preprocess.grayscale) {
+            pipeline = pipeline.grayscale();
+        }
+        const output = await pipeline.jpeg({ quality: config.preprocess.jpegQuality }).toBuffer();
+
+        // Already small and upright - re-encoding would only lose quality
+        if (!needsRotation && !needsResize && !config.preprocess.grayscale && output.length >= buffer.length) {
+            logger.info('Image preprocessing skipped, original is already small', { bytes: buffer.length });
+            return unchanged;
+        }
+
+        logger.info('Image preprocessed', {
+            originalBytes: buffer.length,
+            processedBytes: output.length,
+            original: `${metadata.width}x${metadata.height}`,
+            rotated: needsRotation,
+            resized: needsResize,
+            grayscale: config.preprocess.grayscale,
+            durationMs: Date.now() - startTime,
+        });
+
+        return {
+            buffer: output,
+            mimeType: OUTPUT_MIME_TYPE,
+            originalBytes: buffer.length,
+            processedBytes: output.length,
+            preprocessed: true,
+        };
+    } catch (error) {
+        logger.warn('Image preprocessing failed, using the original', { error: error.message });
+        return unchanged;
+    }
+}
+
+module.exports = {
+    preprocessImage,
+};
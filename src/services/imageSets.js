@@ -0,0 +1,265 @@
+/**
+ * Image Set Service
+ * Collects the results of photos sent together (a LINE image set - the user picked several
+ * photos at once) so the chat gets one summary instead of a reply per photo
+ *
+ * LINE delivers each photo of a set as its own image event with
+ * message.imageSet = { id, index, total }. Every photo is still its own queue job
+ * (durable, retried); the set is finished when all `total` results are in, or
+ * IMAGE_SET_TIMEOUT_MS after the latest activity - photos that finish later get a
+ * summary of their own.
+ *
+ * Photos that failed are kept for RETRY_TTL so one "retry failed" action can
+ * send them through the queue again.
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// How long the failed photos of a finished set can be retried
+const RETRY_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Sets still collecting results
+// Format: { [setId]: { setId, source, expected, replyToken, keepReplyToken, results: Map(index → { event, outcome }), timer } }
+const sets = new Map();
+
+// Failed photos of finished sets
+// Format: { [setId]: { events, timestamp } }
+const failedSets = new Map();
+
+let completeHandler = null;
+
+/**
+ * Check if an event is one photo of an image set
+ * @param {Object} event - LINE webhook event
+ * @returns {boolean}
+ */
+function isImageSetEvent(event) {
+    return event.type === 'message' &&
+        event.message?.type === 'image' &&
+        Boolean(event.message.imageSet?.id);
+}
+
+/**
+ * Register the callback for finished sets
+ * @param {Function} handler - async (summary) => void, see finish() for the summary format
+ */
+function onComplete(handler) {
+    completeHandler = handler;
+}
+
+/**
+ * Get a set, creating it on its first photo
+ * @param {string} setId - LINE image set ID
+ * @param {Object} defaults - { source, expected } for a new set
+ * @returns {Object} Set
+ */
+function getSet(setId, defaults) {
+    let set = sets.get(setId);
+    if (!set) {
+        set = {
+            setId,
+            source: defaults.source,
+            expected: defaults.expected || null,
+            replyToken: null,
+            keepReplyToken: false,
+            results: new Map(),
+            timer: null,
+        };
+        sets.set(setId, set);
+    }
+    return set;
+}
+
+/**
+ * (Re)start the timeout that sends the summary of a set whose photos stopped arriving
+ * @param {Object} set - Set
+ */
+function restartTimer(set) {
+    clearTimeout(set.timer);
+    set.timer = setTimeout(() => finish(set.setId), config.imageSets.timeoutMs);
+}
+
+/**
+ * Start tracking a photo as soon as its webhook arrives
+ * Each photo has its own reply token - the latest one is the most likely to still be valid
+ * when the summary is sent
+ * @param {Object} event - Image event with message.imageSet
+ */
+function track(event) {
+    const { id, total } = event.message.imageSet;
+    const set = getSet(id, { source: event.source, expected: total });
+
+    if (event.replyToken && !set.keepReplyToken) {
+        set.replyToken = event.replyToken;
+    }
+    restartTimer(set);
+}
+
+/**
+ * Start tracking a retry of failed photos (the summary answers the retry postback)
+ * @param {string} setId - Image set ID
+ * @param {Object} retry - { source, expected, replyToken }
+ */
+function trackRetry(setId, { source, expected, replyToken }) {
+    const set = getSet(setId, { source, expected });
+    set.expected = expected;
+    set.replyToken = replyToken;
+    set.keepReplyToken = true;
+    restartTimer(set);
+}
+
+/**
+ * Record the outcome of one photo
+ * @param {Object} event - Image event with message.imageSet
+ * @param {Object} outcome - { status: 'saved'|'confirming'|'skipped'|'failed', invoices?, reason?, retryable? }
+ */
+function addResult(event, outcome) {
+    const { id, index, total } = event.message.imageSet;
+    const set = getSet(id, { source: event.source, expected: total });
+
+    set.results.set(index ?? set.results.size + 1, { event, outcome });
+    logger.info('Image set photo finished', {
+        setId: id,
+        index,
+        status: outcome.status,
+        done: set.results.size,
+        expected: set.expected,
+    });
+
+    if (set.expected && set.results.size >= set.expected) {
+        finish(id);
+    } else {
+        restartTimer(set);
+    }
+}
+
+/**
+ * Finish a set and hand its summary to the completion handler
+ * @param {string} setId - Image set ID
+ */
+function finish(setId) {
+    const set = sets.get(setId);
+    if (!set) return;
+
+    clearTimeout(set.timer);
+    sets.delete(setId);
+
+    const items = [...set.results.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([index, { event, outcome }]) => ({ index, event, ...outcome }));
+
+    const retryable = items.filter(item => item.status === 'failed' && item.retryable !== false);
+    if (retryable.length > 0) {
+        failedSets.set(setId, { events: retryable.map(item => item.event), timestamp: Date.now() });
+    }
+
+    const summary = {
+        setId,
+        source: set.source,
+        replyToken: set.replyToken,
+        items,
+        pending: set.expected ? Math.max(set.expected - items.length, 0) : 0,
+        retryable: retryable.length,
+    };
+
+    if (summary.pending > 0) {
+        logger.warn('Image set timed out, sending partial summary', { setId, done: items.length, expected: set.expected });
+    }
+
+    if (!completeHandler) return;
+    Promise.resolve()
+        .then(() => completeHandler(summary))
+        .catch(error => logger.error('Image set summary failed', { setId, error: error.message }));
+}
+
+/**
+ * Take the failed photos of a finished set for a retry
+ * @param {string} setId - Image set ID
+ * @returns {Array<Object>|null} Image events, or null if none are waiting (or they expired)
+ */
+function takeFailed(setId) {
+    const failed = failedSets.get(setId);
+    failedSets.delete(setId);
+
+    if (!failed || Date.now() - failed.timestamp > RETRY_TTL) {
+        return null;
+    }
+    return failed.events;
+}
+
+/**
+ * Drop expired retry entries
+ */
+function cleanupExpired() {
+    const now = Date.now();
+    for (const [setId, failed] of failedSets.entries()) {
+        if (now - failed.timestamp > RETRY_TTL) {
+            failedSets.delete(setId);
+        }
+    }
+}
+
+/**
+ * Format the summary message of a finished set
+ * @param {Object} summary - From finish(): { items, pending, retryable }
+ * @returns {string} Formatted message
+ */
+function formatSummaryMessage(summary) {
+    const { items, pending, retryable } = summary;
+    const saved = items.filter(item => item.status === 'saved');
+    const confirming = items.filter(item => item.status === 'confirming');
+    const problems = items.filter(item => item.status === 'skipped' || item.status === 'failed');
+    const invoices = saved.flatMap(item => item.invoices);
+    const total = invoices.reduce((sum, invoice) => sum + (Number(invoice.grandTotal) || 0), 0);
+    const photoCount = items.length + pending;
+
+    const lines = [`📸 บันทึกสำเร็จ ${saved.length}/${photoCount} รูป`];
+
+    if (invoices.length > 0) {
+        lines.push(`🧾 ${invoices.length} ใบเสร็จ: ${invoices.map(invoice => invoice.receiptId).join(', ')}`);
+        lines.push(`💰 ยอดรวมทั้งหมด: ${total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+    }
+
+    const toReview = invoices.filter(invoice => invoice.reviewFlags && invoice.reviewFlags.length > 0);
+    if (toReview.length > 0) {
+        lines.push('');
+        lines.push(`⚠️ ต้องตรวจสอบ: ${toReview.map(invoice => invoice.receiptId).join(', ')}`);
+    }
+
+    if (confirming.length > 0) {
+        lines.push('');
+        lines.push(`🔴 รอยืนยัน ${confirming.length} รูป (ความมั่นใจต่ำ): ${confirming.map(item => `รูปที่ ${item.index}`).join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+        lines.push('');
+        lines.push(`❌ ไม่สำเร็จ ${problems.length} รูป:`);
+        for (const item of problems) {
+            lines.push(`• รูปที่ ${item.index}: ${item.reason}`);
+        }
+    }
+
+    if (pending > 0) {
+        lines.push('');
+        lines.push(`⏳ ยังไม่เสร็จ ${pending} รูป - จะแจ้งผลแยกเมื่อเสร็จ`);
+    }
+
+    if (retryable > 0) {
+        lines.push('');
+        lines.push(`💡 กด "ลองใหม่" เพื่อประมวลผลเฉพาะ ${retryable} รูปที่ไม่สำเร็จ`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    isImageSetEvent,
+    onComplete,
+    track,
+    trackRetry,
+    addResult,
+    takeFailed,
+    cleanupExpired,
+    formatSummaryMessage,
+};
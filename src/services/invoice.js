@@ -0,0 +1,377 @@
+/**
+ * Invoice Data Model
+ * Normalized invoice shape shared by all OCR providers, and its Google Sheets layout
+ *
+ * Every provider's parseInvoice() resolves to:
+ * {
+ *   documentType, invoiceNumber, invoiceDate (YYYY-MM-DD),
+ *   sellerName, sellerTaxId, sellerBranch, buyerName, buyerTaxId,
+ *   sellerTaxIdStatus, buyerTaxIdStatus: 'valid' | 'corrected' | 'invalid' | null (see taxId.js)
+ *   expenseCategory,
+ *   lineItems: [{ itemNumber, lineType, description, quantity, unitPrice, amount }],
+ *   subtotal, vatAmount, grandTotal,
+ *   confidence (0-1), tokenUsed, provider,
+ *   reviewFlags: ['conflict:grandTotal', 'arithmetic:vatRate', 'date:future', ...]  - reasons a human should check this receipt
+ *   arithmetic: { issues, corrected } - arithmetic check result (set by ocrProvider, see arithmetic.js)
+ *   fileHash: sha256 of the source file (set by the caller, see duplicates.js)
+ *   receiptId: e.g. R250117-001 (set by the caller, see receiptIds.js)
+ *   sourcePages, sourceRef: pages of a multi-page PDF, e.g. [1, 2] / "pages 1-2 of 5" (see segmentation.js)
+ * }
+ */
+
+const { verifyInvoiceTaxIds, formatStatusCell } = require('./taxId');
+const { parseThaiDate, checkDateRange } = require('../utils/thaiDate');
+
+// Expense categories used when a company does not define its own (see companies.js)
+const DEFAULT_CATEGORIES = ['Food', 'Travel', 'Office', 'Marketing', 'Utilities', 'Other'];
+
+// Document types an invoice can have (anything else is saved as 'Receipt')
+const DOCUMENT_TYPES = ['Tax Invoice', 'Receipt', 'Credit Note', 'Quotation'];
+
+// Approval Status values - every receipt is saved as 'pending' (see approvals.js)
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'needs-info'];
+
+/**
+ * Normalize raw provider output into the shared invoice shape
+ * @param {Object} data - Raw invoice fields from an OCR provider
+ * @param {Object} options - Optional { categories, documentText, referenceDate }
+ *   categories: allowed expense categories
+ *   documentText: full text of the document - searched for the right Tax ID when the extracted one is invalid
+ *   referenceDate: processing date the invoice date is checked against (default now)
+ * @returns {Object} Normalized invoice data
+ */
+function normalizeInvoiceData(data, options = {}) {
+    const lineItems = normalizeLineItems(data.lineItems || []);
+    
+    // Check if VAT is a separate line item
+    const hasVatLineItem = lineItems.some(item => item.lineType === 'vat');
+    
+    // Validate/default document type
+    let documentType = data.documentType || 'Receipt';
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+        documentType = 'Receipt';
+    }
+    
+    // Validate/default expense category
+    const validCategories = options.categories || DEFAULT_CATEGORIES;
+    const fallbackCategory = validCategories.includes('Other') ? 'Other' : validCategories[validCategories.length - 1];
+    let expenseCategory = data.expenseCategory || fallbackCategory;
+    if (!validCategories.includes(expenseCategory)) {
+        expenseCategory = fallbackCategory;
+    }
+
+    // Check digit validation (a phone or card number is often picked up instead)
+    const taxIds = verifyInvoiceTaxIds(
+        extractTaxId(data.sellerTaxId),
+        extractTaxId(data.buyerTaxId),
+        options.documentText
+    );
+
+    // Invoice date: Thai formats, then a sanity check against the processing date
+    const referenceDate = options.referenceDate || new Date();
+    const invoiceDate = normalizeDate(data.invoiceDate, referenceDate);
+    const dateRange = checkDateRange(invoiceDate, referenceDate);
+    const dateFlags = [];
+    if (invoiceDate && invoiceDate.startsWith("'")) {
+        dateFlags.push('date:unparsed');
+    } else if (dateRange) {
+        dateFlags.push(`date:${dateRange}`);
+    }
+    
+    return {
+        documentType: documentType,
+        invoiceNumber: data.invoiceNumber || null,
+        invoiceDate: invoiceDate,
+        sellerName: data.sellerName || null,
+        sellerTaxId: taxIds.sellerTaxId,
+        sellerTaxIdStatus: taxIds.sellerTaxIdStatus,
+        sellerBranch: data.sellerBranch || null,
+        buyerName: data.buyerName || null,
+        buyerTaxId: taxIds.buyerTaxId,
+        buyerTaxIdStatus: taxIds.buyerTaxIdStatus,
+        expenseCategory: expenseCategory,
+        lineItems: lineItems,
+        subtotal: parseNumber(data.subtotal),
+        vatAmount: hasVatLineItem ? 0 : parseNumber(data.vatAmount),  // 0 if VAT is a line item
+        grandTotal: parseNumber(data.grandTotal) || 0,
+        confidence: Math.min(1, Math.max(0, parseFloat(data.confidence) || 0.5)),
+        reviewFlags: [...taxIds.reviewFlags, ...dateFlags],
+    };
+}
+
+/**
+ * Normalize date to YYYY-MM-DD format (prevents Excel serial number issue)
+ * Thai receipt dates (Buddhist Era years, Thai month names/numerals) are handled by thaiDate.js
+ * @param {string} dateStr - Date as extracted
+ * @param {Date} referenceDate - Processing date (resolves 2-digit years)
+ * @returns {string|null} YYYY-MM-DD, or the original text prefixed with an apostrophe
+ */
+function normalizeDate(dateStr, referenceDate = new Date()) {
+    if (!dateStr) return null;
+
+    const thaiDate = parseThaiDate(dateStr, referenceDate);
+    if (thaiDate) {
+        return thaiDate;
+    }
+    
+    // Try to parse other date formats
+    const parsed = new Date(dateStr);
+    if (!isNaN(parsed.getTime())) {
+        // Return as YYYY-MM-DD string (prevents Excel auto-conversion)
+        return [
+            parsed.getFullYear(),
+            String(parsed.getMonth() + 1).padStart(2, '0'),
+            String(parsed.getDate()).padStart(2, '0'),
+        ].join('-');
+    }
+    
+    // If can't parse, return original string prefixed with apostrophe (forces text in Excel)
+    return `'${dateStr}`;
+}
+
+/**
+ * Normalize line items - includes all types: item, discount, credit, service, vat
+ */
+function normalizeLineItems(items) {
+    if (!Array.isArray(items)) return [];
+    
+    return items.map((item, index) => {
+        const rawAmount = parseNumber(item.amount);
+        const rawUnitPrice = parseNumber(item.unitPrice);
+        const rawQuantity = parseNumber(item.quantity) || 1;  // Default qty to 1
+        
+        // Calculate missing values
+        let quantity = rawQuantity;
+        let unitPrice = rawUnitPrice;
+        let amount = rawAmount;
+        
+        // Fill in missing values based on what we have
+        if (amount !== null && unitPrice === null && quantity) {
+            // Have amount, missing unitPrice: calculate unitPrice = amount / quantity
+            unitPrice = amount / quantity;
+        } else if (unitPrice !== null && amount === null && quantity) {
+            // Have unitPrice, missing amount: calculate amount = unitPrice * quantity
+            amount = unitPrice * quantity;
+        } else if (unitPrice === null && amount === null) {
+            // Both missing, skip this item
+            amount = 0;
+        }
+        
+        // Determine line type (default to 'item' if not specified)
+        let lineType = item.lineType?.toLowerCase() || 'item';
+        
+        // Validate line type
+        const validTypes = ['item', 'discount', 'credit', 'service', 'vat'];
+        if (!validTypes.includes(lineType)) {
+            lineType = 'item';
+        }
+        
+        // Auto-detect type from amount and description if not specified correctly
+        if (lineType === 'item' && amount < 0) {
+            const desc = (item.description || '').toLowerCase();
+            if (desc.includes('cn') || desc.includes('credit') || desc.includes('refund')) {
+                lineType = 'credit';
+            } else {
+                lineType = 'discount';
+            }
+        }
+        
+        return {
+            itemNumber: index + 1,
+            lineType: lineType,
+            description: item.description || '',
+            quantity: quantity,
+            unitPrice: unitPrice,
+            amount: amount || 0,
+        };
+    }).filter(item => item.description && item.amount !== 0);
+}
+
+/**
+ * Extract 13-digit Thai Tax ID (also from the printed 0-1055-12345-67-8 form)
+ */
+function extractTaxId(text) {
+    if (!text) return null;
+    const match = String(text).replace(/[\s.-]/g, '').match(/\d{13}/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Parse number from various formats
+ */
+function parseNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value;
+    
+    const cleaned = String(value).replace(/[^0-9.-]/g, '');
+    const num = parseFloat(cleaned);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Extract Invoice Month in YYYYMM format from invoice date
+ */
+function getInvoiceMonth(invoiceDate) {
+    if (!invoiceDate) return '';
+    // Expected format: YYYY-MM-DD
+    const match = String(invoiceDate).match(/^(\d{4})-(\d{2})/);
+    if (match) {
+        return match[1] + match[2];  // YYYYMM
+    }
+    return '';
+}
+
+/**
+ * Format parsed invoice data for Google Sheets
+ * 30-column layout: A-AD (Receipt ID, Invoice Month, Token Used, Review Flags, Group ID, File Hash,
+ * Needs Review, Tax ID Status, Source Ref, Approval Status, Approval Note)
+ * Image URL points at the invoice's first page when it came from a multi-page PDF
+ * data.receiptId must be allocated first (receiptIds.nextReceiptId)
+ * userInfo: { userId, displayName, groupId } - groupId is the LINE group/room the receipt was sent in
+ */
+function formatForSheets(data, imageUrl, timestamp, userInfo = {}) {
+    const receiptId = data.receiptId || '';
+    const documentUrl = imageUrl && data.sourcePages ? `${imageUrl}#page=${data.sourcePages[0]}` : imageUrl;
+    
+    // Get invoice month YYYYMM
+    const invoiceMonth = getInvoiceMonth(data.invoiceDate);
+    
+    // Header data (columns A-I)
+    const headerData = [
+        timestamp,                          // A: Processed At
+        receiptId,                          // B: Receipt ID
+        data.invoiceDate || '',             // C: Invoice Date
+        invoiceMonth,                       // D: Invoice Month (YYYYMM)
+        data.invoiceNumber || '',           // E: Invoice Number
+        data.documentType || 'Receipt',     // F: Document Type
+        data.sellerName || '',              // G: Seller Name
+        data.sellerTaxId || '',             // H: Seller Tax ID
+        data.expenseCategory || 'Other',    // I: Expense Category
+    ];
+
+    // Totals data (columns P-AD)
+    const totalsData = [
+        data.subtotal || '',                // P: Subtotal
+        data.grandTotal || '',              // Q: Grand Total
+        documentUrl || '',                  // R: Image URL
+        data.confidence?.toFixed(2) || '',  // S: Confidence
+        data.tokenUsed || '',               // T: Token Used
+        userInfo.userId || '',              // U: User ID
+        userInfo.displayName || '',         // V: User Name
+        (data.reviewFlags || []).join('; '),  // W: Review Flags
+        userInfo.groupId || '',             // X: Group ID
+        data.fileHash || '',                // Y: File Hash
+        data.reviewFlags?.length > 0 ? 'Yes' : '',  // Z: Needs Review
+        formatStatusCell(data.sellerTaxIdStatus, data.buyerTaxIdStatus),  // AA: Tax ID Status (seller / buyer)
+        data.sourceRef || '',               // AB: Source Ref
+        'pending',                          // AC: Approval Status
+        '',                                 // AD: Approval Note
+    ];
+
+    const rows = [];
+
+    if (data.lineItems.length === 0) {
+        rows.push([
+            ...headerData,
+            '',                             // J: Item #
+            '',                             // K: Line Type
+            '',                             // L: Description
+            '',                             // M: Quantity
+            '',                             // N: Unit Price
+            '',                             // O: Amount
+            ...totalsData,
+        ]);
+    } else {
+        data.lineItems.forEach(item => {
+            rows.push([
+                ...headerData,
+                String(item.itemNumber),    // J: Item #
+                item.lineType || 'item',    // K: Line Type
+                item.description || '',     // L: Description
+                item.quantity || 1,         // M: Quantity
+                item.unitPrice || '',       // N: Unit Price
+                item.amount || '',          // O: Amount
+                ...totalsData,
+            ]);
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Get sheet headers (30 columns: A-AD)
+ */
+function getSheetHeaders() {
+    return [
+        'Processed At',      // A
+        'Receipt ID',        // B
+        'Invoice Date',      // C
+        'Invoice Month',     // D (YYYYMM)
+        'Invoice Number',    // E
+        'Document Type',     // F
+        'Seller Name',       // G
+        'Seller Tax ID',     // H
+        'Expense Category',  // I
+        'Item #',            // J
+        'Line Type',         // K
+        'Description',       // L
+        'Quantity',          // M
+        'Unit Price',        // N
+        'Amount',            // O
+        'Subtotal',          // P
+        'Grand Total',       // Q
+        'Image URL',         // R
+        'Confidence',        // S
+        'Token Used',        // T
+        'User ID',           // U
+        'User Name',         // V
+        'Review Flags',      // W
+        'Group ID',          // X
+        'File Hash',         // Y
+        'Needs Review',      // Z
+        'Tax ID Status',     // AA
+        'Source Ref',        // AB
+        'Approval Status',   // AC
+        'Approval Note',     // AD
+    ];
+}
+
+/**
+ * Get the last sheet column letter for the current layout (e.g. 'V')
+ * @returns {string} Column letter
+ */
+function getLastColumn() {
+    return getColumnLetter(getSheetHeaders().length - 1);
+}
+
+/**
+ * Convert a 0-based column index to a sheet column letter (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letter = String.fromCharCode(65 + rem) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    DOCUMENT_TYPES,
+    APPROVAL_STATUSES,
+    normalizeInvoiceData,
+    normalizeDate,
+    extractTaxId,
+    parseNumber,
+    getInvoiceMonth,
+    formatForSheets,
+    getSheetHeaders,
+    getLastColumn,
+    getColumnLetter,
+};
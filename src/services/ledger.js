@@ -0,0 +1,243 @@
+/**
+ * Usage Ledger Service
+ * Records every OCR call (tokens, model, retries, fallback model) with its estimated cost in THB,
+ * and adds up what a company has spent this month against its monthly budget
+ *
+ * Calls reach the ledger as invoice.ocrCalls (set by the providers) and are collected by
+ * ocrProvider.parseDocument(). Each call: { provider, model, promptTokens, outputTokens,
+ * pages, retries, fallbackFrom } - fallbackFrom is the preferred model when another one answered.
+ *
+ * Prices (OCR_PRICE_TABLE, JSON, merged over DEFAULT_PRICES):
+ *   { "<model>": { "input": THB per 1M prompt tokens, "output": THB per 1M output tokens,
+ *                  "page": THB per page } }
+ * The cost is estimated when the call is recorded, so changing prices doesn't rewrite past months.
+ *
+ * Budget: registry monthlyBudget > OCR_MONTHLY_BUDGET (THB, 0 = no budget)
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { formatDateTime } = require('../utils/date');
+const storageService = require('./storage');
+const { DEFAULT_COMPANY_ID } = require('./companies');
+
+// List prices converted at ~35 THB/USD - override with OCR_PRICE_TABLE
+const DEFAULT_PRICES = {
+    'gemini-2.5-flash': { input: 10.5, output: 87.5 },
+    'gemini-2.0-flash': { input: 3.5, output: 14 },
+    'gemini-2.0-flash-001': { input: 3.5, output: 14 },
+    'documentai': { page: 0.35 },
+};
+
+const TOKENS_PER_PRICE = 1000000;
+
+// Ledger entries of the current month, re-read from storage after a minute
+// { month, entries, lastUpdated }
+let ledgerCache = null;
+
+// Parsed once from OCR_PRICE_TABLE
+let priceTable = null;
+
+// Models already warned about (no price)
+const unpricedModels = new Set();
+
+/**
+ * Get current month key in YYYYMM format
+ * @returns {string} Month key
+ */
+function getCurrentMonthKey() {
+    const now = new Date();
+    return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the price table (defaults + OCR_PRICE_TABLE)
+ * @returns {Object} Prices by model
+ */
+function getPriceTable() {
+    if (priceTable) {
+        return priceTable;
+    }
+
+    priceTable = { ...DEFAULT_PRICES };
+    if (config.ledger.priceTable) {
+        try {
+            Object.assign(priceTable, JSON.parse(config.ledger.priceTable));
+        } catch (error) {
+            logger.warn('Invalid OCR_PRICE_TABLE, using the default prices', { error: error.message });
+        }
+    }
+    return priceTable;
+}
+
+/**
+ * Estimate the cost of one OCR call
+ * @param {Object} call - { model, promptTokens, outputTokens, pages }
+ * @returns {number} Cost in THB (0 if the model has no price)
+ */
+function estimateCost(call) {
+    const price = getPriceTable()[call.model];
+    if (!price) {
+        if (!unpricedModels.has(call.model)) {
+            unpricedModels.add(call.model);
+            logger.warn(`No price for OCR model ${call.model} - add it to OCR_PRICE_TABLE`);
+        }
+        return 0;
+    }
+
+    const cost = (call.promptTokens || 0) * (price.input || 0) / TOKENS_PER_PRICE +
+        (call.outputTokens || 0) * (price.output || 0) / TOKENS_PER_PRICE +
+        (call.pages || 0) * (price.page || 0);
+    return Math.round(cost * 10000) / 10000;
+}
+
+/**
+ * Get a company's monthly budget
+ * @param {Object} company - Company (see companies.js)
+ * @returns {number|null} Budget in THB, or null for no budget
+ */
+function getMonthlyBudget(company) {
+    return company?.monthlyBudget || config.ledger.monthlyBudget || null;
+}
+
+/**
+ * Read this month's ledger entries (all companies)
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function getMonthEntries() {
+    const month = getCurrentMonthKey();
+
+    if (ledgerCache && ledgerCache.month === month && Date.now() - ledgerCache.lastUpdated < 60000) {
+        return ledgerCache.entries;
+    }
+
+    try {
+        const entries = await storageService.listUsageLedger(month);
+        ledgerCache = { month, entries, lastUpdated: Date.now() };
+        return entries;
+    } catch (error) {
+        logger.error('Failed to read usage ledger', { error: error.message });
+        // Fail open, like the usage counters
+        return ledgerCache?.month === month ? ledgerCache.entries : [];
+    }
+}
+
+/**
+ * Record the OCR calls behind a document
+ * Best effort - a ledger failure never stops the receipt from being saved
+ * @param {Object} company - Company (see companies.js)
+ * @param {Array<Object>} calls - From ocrProvider.parseDocument()
+ * @param {Object} requester - { userId, groupId }
+ * @returns {Promise<number>} Cost of the calls in THB
+ */
+async function recordCalls(company, calls = [], requester = {}) {
+    if (calls.length === 0) {
+        return 0;
+    }
+
+    const month = getCurrentMonthKey();
+    const entries = calls.map(call => ({
+        calledAt: formatDateTime(),
+        month,
+        companyId: company?.id || DEFAULT_COMPANY_ID,
+        userId: requester.userId || null,
+        groupId: requester.groupId || null,
+        provider: call.provider,
+        model: call.model,
+        promptTokens: call.promptTokens || 0,
+        outputTokens: call.outputTokens || 0,
+        pages: call.pages || 0,
+        retries: call.retries || 0,
+        fallbackFrom: call.fallbackFrom || null,
+        cost: estimateCost(call),
+    }));
+    const cost = entries.reduce((sum, entry) => sum + entry.cost, 0);
+
+    try {
+        await storageService.appendUsageLedger(entries);
+        if (ledgerCache?.month === month) {
+            ledgerCache.entries.push(...entries);
+        }
+    } catch (error) {
+        logger.error('Failed to write usage ledger', { error: error.message, calls: entries.length, cost });
+    }
+
+    logger.info('OCR calls recorded', {
+        company: company?.id || DEFAULT_COMPANY_ID,
+        calls: entries.length,
+        models: [...new Set(entries.map(entry => entry.model))],
+        cost,
+    });
+    return cost;
+}
+
+/**
+ * Project this month's spend to the end of the month at the current daily rate
+ * (at least one day is counted, so the first hours of a month don't blow it up)
+ * @param {number} spent - Spent so far
+ * @param {Date} now - Current time
+ * @returns {number} Projected month-end spend
+ */
+function projectMonthEnd(spent, now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    const elapsed = Math.max(now - start, 24 * 60 * 60 * 1000);
+    return spent * (end - start) / elapsed;
+}
+
+/**
+ * Get a company's spend this month
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @returns {Promise<Object>} { currency, spent, budget, remaining, projected, isBudgetExceeded,
+ *   calls, promptTokens, outputTokens, retries, fallbacks, byModel: { [model]: { calls, promptTokens, outputTokens, cost } } }
+ */
+async function getSpendSummary(company) {
+    const companyId = company?.id || DEFAULT_COMPANY_ID;
+    const entries = (await getMonthEntries()).filter(entry => entry.companyId === companyId);
+    const budget = getMonthlyBudget(company);
+    const round = amount => Math.round(amount * 100) / 100;
+
+    const byModel = {};
+    for (const entry of entries) {
+        const model = byModel[entry.model] || (byModel[entry.model] = { calls: 0, promptTokens: 0, outputTokens: 0, cost: 0 });
+        model.calls += 1;
+        model.promptTokens += entry.promptTokens;
+        model.outputTokens += entry.outputTokens;
+        model.cost = round(model.cost + entry.cost);
+    }
+
+    const spent = entries.reduce((sum, entry) => sum + entry.cost, 0);
+    return {
+        currency: 'THB',
+        spent: round(spent),
+        budget,
+        remaining: budget === null ? null : round(Math.max(0, budget - spent)),
+        projected: round(projectMonthEnd(spent)),
+        isBudgetExceeded: budget !== null && spent >= budget,
+        calls: entries.length,
+        promptTokens: entries.reduce((sum, entry) => sum + entry.promptTokens, 0),
+        outputTokens: entries.reduce((sum, entry) => sum + entry.outputTokens, 0),
+        retries: entries.reduce((sum, entry) => sum + entry.retries, 0),
+        fallbacks: entries.filter(entry => entry.fallbackFrom).length,
+        byModel,
+    };
+}
+
+/**
+ * Format an amount of money for chat
+ * @param {number} amount - THB
+ * @returns {string} e.g. "฿1,234.50"
+ */
+function formatMoney(amount) {
+    return `฿${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    estimateCost,
+    getMonthlyBudget,
+    recordCalls,
+    projectMonthEnd,
+    getSpendSummary,
+    formatMoney,
+};
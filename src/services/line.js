@@ -8,13 +8,16 @@ const config = require('../config/env');
 const logger = require('../utils/logger');
 
 // Initialize LINE client
+// baseURL is only overridden for the local emulator (src/dev/lineEmulator.js)
 const client = new line.messagingApi.MessagingApiClient({
     channelAccessToken: config.line.channelAccessToken,
+    baseURL: config.line.apiBaseUrl,
 });
 
 // Initialize blob client for downloading content
 const blobClient = new line.messagingApi.MessagingApiBlobClient({
     channelAccessToken: config.line.channelAccessToken,
+    baseURL: config.line.dataApiBaseUrl,
 });
 
 /**
@@ -62,7 +65,7 @@ async function replyText(replyToken, text) {
 
 /**
  * Send push message to user (when reply token expired)
- * @param {string} userId - User ID to send message to
+ * @param {string} userId - User, group or room ID to send message to
  * @param {string} text - Message text to send
  */
 async function pushText(userId, text) {
@@ -78,6 +81,22 @@ async function pushText(userId, text) {
     }
 }
 
+/**
+ * Send a message to every user who has added the bot as a friend (not to groups)
+ * @param {string} text - Message text to send
+ */
+async function broadcastText(text) {
+    try {
+        await client.broadcast({
+            messages: [{ type: 'text', text }],
+        });
+        logger.info(`Broadcast message: ${text.substring(0, 50)}...`);
+    } catch (error) {
+        logger.error('Failed to broadcast message', error);
+        throw error;
+    }
+}
+
 /**
  * Get LINE middleware for signature verification
  */
@@ -87,14 +106,66 @@ function getMiddleware() {
     });
 }
 
+/**
+ * Get the chat an event came from (where replies and pushes should go)
+ * @param {Object} source - LINE event source { type, userId, groupId, roomId }
+ * @returns {string} Group ID, room ID, or user ID for 1:1 chats
+ */
+function getChatId(source = {}) {
+    return source.groupId || source.roomId || source.userId;
+}
+
+/**
+ * Check if an event came from a group or multi-person chat
+ * @param {Object} source - LINE event source
+ * @returns {boolean}
+ */
+function isGroupChat(source = {}) {
+    return source.type === 'group' || source.type === 'room';
+}
+
+/**
+ * Check if a text message mentions the bot (@BotName)
+ * @param {Object} message - LINE text message
+ * @returns {boolean}
+ */
+function isBotMentioned(message = {}) {
+    return (message.mention?.mentionees || []).some(mentionee => mentionee.isSelf);
+}
+
+/**
+ * Remove @mentions from a text message (so "@Bot /usage" reads as "/usage")
+ * @param {Object} message - LINE text message
+ * @returns {string} Text without mentions
+ */
+function stripMentions(message = {}) {
+    const text = message.text || '';
+    const mentionees = [...(message.mention?.mentionees || [])].sort((a, b) => b.index - a.index);
+
+    let stripped = text;
+    for (const { index, length } of mentionees) {
+        stripped = stripped.slice(0, index) + stripped.slice(index + length);
+    }
+    return stripped.trim();
+}
+
 /**
  * Get user profile from LINE
+ * Group/room members who aren't friends of the bot need the member profile API
  * @param {string} userId - LINE User ID
+ * @param {Object} source - Optional LINE event source (for group/room members)
  * @returns {Promise<Object>} User profile with displayName, pictureUrl, userId
  */
-async function getUserProfile(userId) {
+async function getUserProfile(userId, source = {}) {
     try {
-        const profile = await client.getProfile(userId);
+        let profile;
+        if (source.groupId) {
+            profile = await client.getGroupMemberProfile(source.groupId, userId);
+        } else if (source.roomId) {
+            profile = await client.getRoomMemberProfile(source.roomId, userId);
+        } else {
+            profile = await client.getProfile(userId);
+        }
         logger.debug(`Got profile for user: ${profile.displayName}`);
         return {
             userId: profile.userId,
@@ -152,13 +223,59 @@ async function replyWithQuickReply(replyToken, text, items, userId = null) {
     }
 }
 
+/**
+ * Reply with a Flex Message (optionally with Quick Reply buttons)
+ * @param {string} replyToken - Reply token from webhook event (null for push mode)
+ * @param {string} altText - Shown in notifications and by clients that can't render Flex (max 400 chars)
+ * @param {Object} contents - Flex bubble or carousel
+ * @param {Array} items - Quick Reply items array
+ * @param {string} userId - User, group or room ID (for push mode when replyToken is null)
+ */
+async function replyWithFlex(replyToken, altText, contents, items = [], userId = null) {
+    const message = {
+        type: 'flex',
+        altText: altText.length > 400 ? `${altText.substring(0, 399)}…` : altText,
+        contents,
+    };
+    if (items.length > 0) {
+        message.quickReply = { items: items.slice(0, 13) }; // LINE limits to 13 items
+    }
+
+    try {
+        if (replyToken) {
+            await client.replyMessage({
+                replyToken,
+                messages: [message],
+            });
+            logger.debug('Replied with Flex Message');
+        } else if (userId) {
+            await client.pushMessage({
+                to: userId,
+                messages: [message],
+            });
+            logger.debug(`Pushed Flex Message to ${userId}`);
+        } else {
+            throw new Error('Either replyToken or userId is required');
+        }
+    } catch (error) {
+        logger.error('Failed to send Flex Message', error);
+        throw error;
+    }
+}
+
 module.exports = {
     client,
     blobClient,
     downloadImage,
     replyText,
     pushText,
+    broadcastText,
     replyWithQuickReply,
+    replyWithFlex,
     getMiddleware,
     getUserProfile,
+    getChatId,
+    isGroupChat,
+    isBotMentioned,
+    stripMentions,
 };
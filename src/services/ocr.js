@@ -7,11 +7,15 @@
  * - Invoice number and date
  * - Line items with qty, unit price, amount
  * - Subtotal, VAT 7%, Grand Total
+ *
+ * Implements the OCR provider interface (see ocrProvider.js)
  */
 
 const { DocumentProcessorServiceClient } = require('@google-cloud/documentai').v1;
 const config = require('../config/env');
 const logger = require('../utils/logger');
+const { normalizeInvoiceData } = require('./invoice');
+const { findTaxIdCandidates } = require('./taxId');
 
 // Initialize Document AI client with credentials
 let client = null;
@@ -34,6 +38,7 @@ function getClient() {
  * @returns {Promise<Object>} Extracted invoice data
  */
 async function processReceipt(imageBuffer, mimeType = 'image/jpeg') {
+    let document = null;
     try {
         const documentAiClient = getClient();
 
@@ -50,10 +55,11 @@ async function processReceipt(imageBuffer, mimeType = 'image/jpeg') {
         };
 
         const [result] = await documentAiClient.processDocument(request);
-        const { document } = result;
+        document = result.document;
 
         // Extract Thai invoice data
         const extractedData = parseThaiInvoice(document);
+        extractedData.pageCount = document.pages?.length || 1;
 
         logger.info('Invoice processed successfully', {
             textLength: document.text?.length || 0,
@@ -64,6 +70,10 @@ async function processReceipt(imageBuffer, mimeType = 'image/jpeg') {
         return extractedData;
     } catch (error) {
         logger.error('Failed to process invoice with Document AI', error);
+        // Pages that were read are billed even if they couldn't be parsed (usage ledger)
+        if (document) {
+            error.ocrCalls = [getCallUsage(document.pages?.length || 1)];
+        }
         throw error;
     }
 }
@@ -318,10 +328,11 @@ function extractFromRawText(data) {
         if (taxIdMatch) {
             data.sellerTaxId = extractTaxId(taxIdMatch[1]);
         } else {
-            // Look for standalone 13-digit number
-            const standaloneMatch = text.match(/(?<!\d)\d{13}(?!\d)/);
-            if (standaloneMatch) {
-                data.sellerTaxId = standaloneMatch[0];
+            // Look for a standalone 13-digit number with a valid check digit
+            // (skips phone / card numbers that happen to be 13 digits long)
+            const [candidate] = findTaxIdCandidates(text);
+            if (candidate) {
+                data.sellerTaxId = candidate;
             }
         }
     }
@@ -343,12 +354,14 @@ function extractFromRawText(data) {
         }
     }
     
-    // Date patterns
+    // Date patterns (parsed by thaiDate.js - Thai numerals, month names and BE years are fine)
     if (!data.invoiceDate) {
+        const thaiMonths = 'ม\\.ค\\.|ก\\.พ\\.|มี\\.ค\\.|เม\\.ย\\.|พ\\.ค\\.|มิ\\.ย\\.|ก\\.ค\\.|ส\\.ค\\.|ก\\.ย\\.|ต\\.ค\\.|พ\\.ย\\.|ธ\\.ค\\.|' +
+            'มกราคม|กุมภาพันธ์|มีนาคม|เมษายน|พฤษภาคม|มิถุนายน|กรกฎาคม|สิงหาคม|กันยายน|ตุลาคม|พฤศจิกายน|ธันวาคม';
         const datePatterns = [
-            /วันที่[:\s]*(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4})/,
-            /(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4})/,
-            /(\d{1,2}\s+(?:ม\.ค\.|ก\.พ\.|มี\.ค\.|เม\.ย\.|พ\.ค\.|มิ\.ย\.|ก\.ค\.|ส\.ค\.|ก\.ย\.|ต\.ค\.|พ\.ย\.|ธ\.ค\.)\s+\d{2,4})/,
+            /วันที่[:\s]*([\d๐-๙]{1,2}[\/.][\d๐-๙]{1,2}[\/.][\d๐-๙]{2,4})/,
+            /([\d๐-๙]{1,2}[\/.][\d๐-๙]{1,2}[\/.][\d๐-๙]{2,4})/,
+            new RegExp(`([\\d๐-๙]{1,2}\\s*(?:${thaiMonths})\\s*(?:พ\\.ศ\\.\\s*)?[\\d๐-๙]{2,4})`),
         ];
         
         for (const pattern of datePatterns) {
@@ -444,122 +457,95 @@ function filterValidLineItems(lineItems) {
 
 
 /**
- * Format extracted data for Google Sheets
- * - 0 items: 1 row with invoice header + totals
- * - 1 item: 1 row with invoice header + item + totals (all together)
- * - N items: N rows, each with invoice header + one item + totals
- * 
- * @param {Object} data - Extracted invoice data
- * @param {string} imageUrl - URL of the saved image
- * @param {string} timestamp - Processing timestamp
- * @param {Object} userInfo - LINE user info {userId, displayName}
- * @returns {Array<Array>} Array of rows for sheets
+ * Process an invoice with Document AI and return the shared invoice shape
+ * OCR provider interface - same contract as gemini.parseInvoice()
+ * @param {Buffer} imageBuffer - The image/PDF data
+ * @param {string} mimeType - The MIME type of the document
+ * @param {Object} options - Optional { categories } - allowed expense categories
+ * @returns {Promise<Object>} Normalized invoice data
  */
-function formatForSheets(data, imageUrl, timestamp, userInfo = {}) {
-    // Filter valid line items
-    const validItems = filterValidLineItems(data.lineItems);
-    
-    // Common invoice header data (columns A-H)
-    const headerData = [
-        timestamp,                          // A: Processed At
-        data.invoiceNumber || '',           // B: Invoice Number
-        data.invoiceDate || '',             // C: Invoice Date
-        data.sellerName || '',              // D: Seller Name
-        data.sellerTaxId || '',             // E: Seller Tax ID
-        data.sellerBranch || '',            // F: Seller Branch
-        data.buyerName || '',               // G: Buyer Name
-        data.buyerTaxId || '',              // H: Buyer Tax ID
-    ];
-    
-    // Common totals data (columns N-T)
-    const totalsData = [
-        data.subtotal || '',                // N: Subtotal
-        data.vatAmount || '',               // O: VAT 7%
-        data.grandTotal || '',              // P: Grand Total
-        imageUrl || '',                     // Q: Image URL
-        '',                                 // R: Status
-        userInfo.userId || '',              // S: User ID
-        userInfo.displayName || '',         // T: User Name
-    ];
-    
-    const rows = [];
-    
-    if (validItems.length === 0) {
-        // No items: 1 row with header + empty item columns + totals
-        rows.push([
-            ...headerData,
-            '',                             // I: Item #
-            '',                             // J: Item Description
-            '',                             // K: Quantity
-            '',                             // L: Unit Price
-            '',                             // M: Line Amount
-            ...totalsData,
-        ]);
-    } else if (validItems.length === 1) {
-        // 1 item: 1 row with everything combined
-        const item = validItems[0];
-        rows.push([
-            ...headerData,
-            '1',                            // I: Item #
-            item.description || '',         // J: Item Description
-            item.quantity || '',            // K: Quantity
-            item.unitPrice || '',           // L: Unit Price
-            item.amount || '',              // M: Line Amount
-            ...totalsData,
-        ]);
-    } else {
-        // Multiple items: N rows, each with header + item + totals
-        validItems.forEach((item, index) => {
-            rows.push([
-                ...headerData,
-                String(index + 1),          // I: Item #
-                item.description || '',     // J: Item Description
-                item.quantity || '',        // K: Quantity
-                item.unitPrice || '',       // L: Unit Price
-                item.amount || '',          // M: Line Amount
-                ...totalsData,
-            ]);
-        });
-    }
-    
-    return rows;
+async function parseInvoice(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const data = await processReceipt(imageBuffer, mimeType);
+    return toInvoiceData(data, options);
 }
 
+/**
+ * Map parseThaiInvoice() output to the normalized invoice shape
+ * @param {Object} data - Parsed Thai invoice data
+ * @param {Object} options - Optional { categories } - allowed expense categories
+ * @returns {Object} Normalized invoice data
+ */
+function toInvoiceData(data, options = {}) {
+    const lineItems = filterValidLineItems(data.lineItems).map(item => ({
+        lineType: 'item',
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.amount,
+    }));
+
+    const invoice = normalizeInvoiceData({
+        // Document AI has no document type - a seller Tax ID means it's a tax invoice
+        documentType: data.sellerTaxId ? 'Tax Invoice' : 'Receipt',
+        invoiceNumber: data.invoiceNumber,
+        invoiceDate: data.invoiceDate,
+        sellerName: data.sellerName,
+        sellerTaxId: data.sellerTaxId,
+        sellerBranch: data.sellerBranch,
+        buyerName: data.buyerName,
+        buyerTaxId: data.buyerTaxId,
+        expenseCategory: null,  // Document AI can't classify - falls back to "Other"
+        lineItems,
+        subtotal: data.subtotal,
+        vatAmount: data.vatAmount,
+        grandTotal: data.grandTotal,
+        confidence: getAverageConfidence(data.entities),
+    }, { ...options, documentText: data.rawText });
+
+    invoice.tokenUsed = null;
+    invoice.ocrCalls = [getCallUsage(data.pageCount || 1)];
+    return invoice;
+}
 
 /**
- * Get the header row for sheets initialization
- * @returns {Array} Header row
+ * Describe one Document AI call for the usage ledger (ledger.js)
+ * Document AI is billed per page, not per token
+ * @param {number} pages - Pages processed
+ * @returns {Object} { provider, model, promptTokens, outputTokens, pages, retries, fallbackFrom }
  */
-function getSheetHeaders() {
-    return [
-        'Processed At',      // A
-        'Invoice Number',    // B
-        'Invoice Date',      // C
-        'Seller Name',       // D
-        'Seller Tax ID',     // E
-        'Seller Branch',     // F
-        'Buyer Name',        // G
-        'Buyer Tax ID',      // H
-        'Item #',            // I - Item number (1, 2, 3... or blank)
-        'Item Description',  // J
-        'Quantity',          // K
-        'Unit Price',        // L
-        'Line Amount',       // M - Amount for this line item
-        'Subtotal',          // N - Invoice subtotal
-        'VAT 7%',            // O
-        'Grand Total',       // P - Invoice total
-        'Image URL',         // Q
-        'Status',            // R
-        'User ID',           // S - LINE User ID
-        'User Name',         // T - LINE Display Name
-    ];
+function getCallUsage(pages) {
+    return {
+        provider: 'documentai',
+        model: 'documentai',
+        promptTokens: 0,
+        outputTokens: 0,
+        pages,
+        retries: 0,
+        fallbackFrom: null,
+    };
+}
+
+/**
+ * Average entity confidence (Document AI scores each entity separately)
+ * @param {Array} entities - Raw entities from parseThaiInvoice
+ * @returns {number} Confidence 0-1
+ */
+function getAverageConfidence(entities) {
+    const scores = (entities || [])
+        .map(entity => entity.confidence)
+        .filter(score => typeof score === 'number');
+
+    if (scores.length === 0) return 0.5;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
 }
 
 module.exports = {
+    name: 'documentai',
+    label: 'Document AI',
+    parseInvoice,
     processReceipt,
     parseThaiInvoice,
-    formatForSheets,
-    getSheetHeaders,
+    toInvoiceData,
     extractTaxId,
     extractAmount,
 };
@@ -0,0 +1,178 @@
+/**
+ * OCR Provider Service
+ * Selects the OCR backend used to extract invoice data (OCR_PROVIDER setting)
+ *
+ * Provider interface - every provider module exports:
+ * - name: provider key (e.g. 'gemini')
+ * - label: display name for logs/messages
+ * - parseInvoice(buffer, mimeType, options): Promise<Object> - normalized invoice (see invoice.js)
+ *   options: { categories } - allowed expense categories (per company, see companies.js)
+ * - parseInvoices(buffer, mimeType, options): Promise<Array<Object>> - optional, every receipt
+ *   in the image (several receipts photographed side by side)
+ * The first invoice of each extraction carries ocrCalls - the provider calls it took, for the
+ * usage ledger (see ledger.js). A provider that fails after calling out sets error.ocrCalls
+ *
+ * parseDocument() sits on top: a multi-page PDF is split into pages, each page goes
+ * through parseReceipts(), and the pages are grouped into invoices (segmentation.js)
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const ensembleService = require('./ensemble');
+const arithmeticService = require('./arithmetic');
+const pdfService = require('./pdf');
+const segmentationService = require('./segmentation');
+const imagePreprocessService = require('./imagePreprocess');
+const fileTypeService = require('./fileType');
+
+// Providers are loaded lazily so unused SDKs are never initialized
+const PROVIDERS = {
+    gemini: () => require('./gemini'),
+    documentai: () => require('./ocr'),
+};
+
+/**
+ * Get an OCR provider by name
+ * @param {string} name - Provider key (defaults to OCR_PROVIDER)
+ * @returns {Object} Provider module
+ */
+function getProvider(name = config.ocr.provider) {
+    const key = String(name || '').toLowerCase();
+    const loadProvider = PROVIDERS[key];
+
+    if (!loadProvider) {
+        throw new Error(`Unknown OCR provider: ${name} (available: ${getProviderNames().join(', ')})`);
+    }
+
+    return loadProvider();
+}
+
+/**
+ * List registered provider keys
+ * @returns {Array<string>} Provider names
+ */
+function getProviderNames() {
+    return Object.keys(PROVIDERS);
+}
+
+/**
+ * Extract invoice data with the configured provider
+ * High-value / low-confidence results are cross-checked by a second provider (ensemble.js),
+ * and results whose numbers don't add up are flagged for review (arithmetic.js)
+ * @param {Buffer} fileBuffer - Image/PDF data
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - Optional { categories }
+ * @returns {Promise<Object>} Normalized invoice data (the first receipt if the image has several)
+ */
+async function parseInvoice(fileBuffer, mimeType = 'image/jpeg', options = {}) {
+    const [invoice] = await parseReceipts(fileBuffer, mimeType, options);
+    return invoice;
+}
+
+/**
+ * Extract every receipt in one image (or one PDF page)
+ * Providers without parseInvoices() always return a single receipt
+ * @param {Buffer} fileBuffer - Image/PDF data
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - Optional { categories }
+ * @returns {Promise<Array<Object>>} Normalized invoice data, one per receipt
+ */
+async function parseReceipts(fileBuffer, mimeType = 'image/jpeg', options = {}) {
+    const provider = getProvider();
+    logger.info(`Processing with ${provider.label}...`);
+
+    const invoices = provider.parseInvoices && config.ocr.multiReceipt
+        ? await provider.parseInvoices(fileBuffer, mimeType, options)
+        : [await provider.parseInvoice(fileBuffer, mimeType, options)];
+    invoices.forEach(invoice => { invoice.provider = provider.name; });
+
+    // The second provider reads the whole image as one receipt - only single receipts are cross-checked
+    if (invoices.length === 1 && ensembleService.shouldRunEnsemble(invoices[0])) {
+        invoices[0] = await ensembleService.runEnsemble(fileBuffer, mimeType, invoices[0], getProvider, options);
+    }
+
+    return invoices.map(invoice => arithmeticService.applyReviewFlags(invoice));
+}
+
+/**
+ * Extract every invoice in a document
+ * A multi-page PDF may hold several receipts - each page is extracted on its own and
+ * consecutive pages of the same invoice are merged (PDF_SPLIT_PAGES=false sends the whole file).
+ * A photo of several receipts gives one invoice per receipt (sourceRef "receipt 2 of 3").
+ * Photos are converted if needed (HEIC/TIFF/GIF, see fileType.js), then auto-rotated and
+ * downscaled (imagePreprocess.js)
+ * @param {Buffer} fileBuffer - Image/PDF data
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - Optional { categories }
+ * @returns {Promise<Object>} { invoices, ocrRuns, ocrCalls } - ocrRuns is what counts against the quota,
+ *   ocrCalls every provider call made (for the usage ledger)
+ * @throws The provider's error - error.ocrCalls holds the calls made before it failed (earlier pages included)
+ */
+async function parseDocument(fileBuffer, mimeType = 'image/jpeg', options = {}) {
+    if (mimeType === 'application/pdf' && config.pdf.splitPages) {
+        const pages = await pdfService.splitPages(fileBuffer).catch(error => {
+            // Unreadable by pdf-lib - the provider may still read it as a whole
+            logger.warn('Could not split PDF, processing it as one document', { error: error.message });
+            return [];
+        });
+
+        if (pages.length > 1) {
+            logger.info(`Splitting PDF into ${pages.length} pages`);
+
+            // One page at a time - keeps memory low and stays under provider rate limits
+            const pageResults = [];
+            for (const [index, page] of pages.entries()) {
+                try {
+                    const receipts = await parseReceipts(page, mimeType, options);
+                    pageResults.push(...receipts.map(invoice => ({ page: index + 1, invoice })));
+                } catch (error) {
+                    error.ocrCalls = [...getOcrCalls(pageResults.map(result => result.invoice)), ...(error.ocrCalls || [])];
+                    throw error;
+                }
+            }
+
+            const invoices = segmentationService.groupPages(pageResults, pages.length);
+            logger.info(`Found ${invoices.length} invoice(s) in ${pages.length} pages`, {
+                pages: invoices.map(invoice => invoice.sourceRef),
+            });
+            return { invoices, ocrRuns: pages.length, ocrCalls: getOcrCalls(pageResults.map(result => result.invoice)) };
+        }
+    }
+
+    const converted = await fileTypeService.convertForOcr(fileBuffer, mimeType);
+    const input = await imagePreprocessService.preprocessImage(converted.buffer, converted.mimeType);
+    const invoices = await parseReceipts(input.buffer, input.mimeType, options);
+
+    // Before/after sizes next to the tokens spent, to measure what preprocessing saves
+    logger.info('OCR input', {
+        preprocessed: input.preprocessed,
+        originalBytes: fileBuffer.length,
+        processedBytes: input.processedBytes,
+        tokenUsed: invoices.reduce((sum, invoice) => sum + (invoice.tokenUsed || 0), 0),
+    });
+
+    if (invoices.length > 1) {
+        invoices.forEach((invoice, index) => {
+            invoice.sourceRef = `receipt ${index + 1} of ${invoices.length}`;
+        });
+    }
+    return { invoices, ocrRuns: 1, ocrCalls: getOcrCalls(invoices) };
+}
+
+/**
+ * Collect the provider calls behind extracted invoices
+ * Taken before pages are merged, so no call is lost or counted twice
+ * @param {Array<Object>} invoices - Extracted invoices
+ * @returns {Array<Object>} Calls (see ledger.js)
+ */
+function getOcrCalls(invoices) {
+    return invoices.flatMap(invoice => invoice.ocrCalls || []);
+}
+
+module.exports = {
+    getProvider,
+    getProviderNames,
+    parseInvoice,
+    parseReceipts,
+    parseDocument,
+};
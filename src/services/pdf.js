@@ -0,0 +1,49 @@
+/**
+ * PDF Service
+ * Page-level helpers for multi-page PDFs (a stack of receipts scanned into one file)
+ */
+
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Load a PDF (encrypted scans are common - their pages can still be copied)
+ */
+async function loadPdf(buffer) {
+    return PDFDocument.load(buffer, { ignoreEncryption: true });
+}
+
+/**
+ * Count the pages of a PDF
+ * @param {Buffer} buffer - PDF data
+ * @returns {Promise<number>} Page count
+ */
+async function getPageCount(buffer) {
+    const pdf = await loadPdf(buffer);
+    return pdf.getPageCount();
+}
+
+/**
+ * Split a PDF into single-page PDFs
+ * Output is byte-for-byte stable (no creation date / producer metadata),
+ * so recorded OCR fixtures keep matching the same page
+ * @param {Buffer} buffer - PDF data
+ * @returns {Promise<Array<Buffer>>} One PDF per page, in page order
+ */
+async function splitPages(buffer) {
+    const source = await loadPdf(buffer);
+    const pages = [];
+
+    for (let index = 0; index < source.getPageCount(); index++) {
+        const pagePdf = await PDFDocument.create({ updateMetadata: false });
+        const [page] = await pagePdf.copyPages(source, [index]);
+        pagePdf.addPage(page);
+        pages.push(Buffer.from(await pagePdf.save()));
+    }
+
+    return pages;
+}
+
+module.exports = {
+    getPageCount,
+    splitPages,
+};
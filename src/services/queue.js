@@ -0,0 +1,398 @@
+/**
+ * Job Queue Service
+ * Durable queue for webhook processing, backed by an append-only journal file
+ *
+ * Every job is written to the journal before the webhook is acknowledged, so
+ * receipts that are still downloading / in Gemini / uploading survive a restart.
+ * Failed jobs are retried with exponential backoff and moved to a dead-letter
+ * list once they run out of attempts.
+ *
+ * Journal format (one JSON object per line):
+ *   { op: 'enqueue', job }                  - new job
+ *   { op: 'update', id, ...fields }         - status/attempt change
+ *   { op: 'done', id }                      - job finished, drop it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// Compact the journal after this many finished jobs
+const COMPACT_THRESHOLD = 200;
+
+// Poll interval for delayed (backoff) jobs
+const POLL_INTERVAL = 1000;
+
+// In-memory view of the journal
+// Format: { [jobId]: { id, type, payload, status, attempts, nextRunAt, lastError, createdAt } }
+const jobs = new Map();
+
+// Job handlers by type
+const handlers = new Map();
+
+// Job types with their own worker pool (registerHandler options.concurrency)
+// Format: { [type]: concurrency }
+const poolLimits = new Map();
+
+// Running jobs by pool ('default' for types without their own pool)
+const runningByPool = new Map();
+
+let deadLetterHandler = null;
+let finishedSinceCompact = 0;
+let pollTimer = null;
+let initialized = false;
+
+/**
+ * Get the journal file (QUEUE_FILE)
+ * @returns {string}
+ */
+function getJournalPath() {
+    return config.queue.file;
+}
+
+/**
+ * Append a record to the journal (sync so ordering is guaranteed)
+ * @param {Object} record - Journal record
+ */
+function writeRecord(record) {
+    fs.appendFileSync(getJournalPath(), `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Load the journal from disk and rebuild the in-memory job list
+ * Jobs that were running when the process died are put back in the queue
+ */
+function init() {
+    if (initialized) return;
+
+    const journalPath = getJournalPath();
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+
+    if (fs.existsSync(journalPath)) {
+        const lines = fs.readFileSync(journalPath, 'utf-8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // Torn write from a crash - skip it
+                logger.warn('Skipping corrupt queue journal line', { line: line.substring(0, 100) });
+                continue;
+            }
+
+            if (record.op === 'enqueue') {
+                jobs.set(record.job.id, record.job);
+            } else if (record.op === 'update' && jobs.has(record.id)) {
+                const { op, id, ...fields } = record;
+                Object.assign(jobs.get(id), fields);
+            } else if (record.op === 'done') {
+                jobs.delete(record.id);
+            }
+        }
+    }
+
+    // Anything that was mid-flight is picked up again
+    for (const job of jobs.values()) {
+        if (job.status === 'running') {
+            job.status = 'queued';
+            job.nextRunAt = Date.now();
+        }
+    }
+
+    compact();
+    initialized = true;
+
+    const stats = getStats();
+    logger.info('Job queue loaded', stats);
+}
+
+/**
+ * Rewrite the journal with only the live jobs
+ */
+function compact() {
+    const journalPath = getJournalPath();
+    const tmpPath = `${journalPath}.tmp`;
+    const content = [...jobs.values()]
+        .map(job => JSON.stringify({ op: 'enqueue', job }))
+        .join('\n');
+
+    fs.writeFileSync(tmpPath, content ? `${content}\n` : '');
+    fs.renameSync(tmpPath, journalPath);
+    finishedSinceCompact = 0;
+}
+
+/**
+ * Update a job in memory and in the journal
+ * @param {Object} job - Job object
+ * @param {Object} fields - Fields to change
+ */
+function updateJob(job, fields) {
+    Object.assign(job, fields);
+    writeRecord({ op: 'update', id: job.id, ...fields });
+}
+
+/**
+ * Add a job to the queue (persisted before returning)
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - JSON-serializable job data
+ * @returns {Object} The queued job
+ */
+function enqueue(type, payload) {
+    if (!initialized) {
+        init();
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        nextRunAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+    };
+
+    writeRecord({ op: 'enqueue', job });
+    jobs.set(job.id, job);
+
+    logger.info('Job queued', { id: job.id, type });
+
+    // Kick the worker without waiting for the next poll
+    setImmediate(processNext);
+
+    return job;
+}
+
+/**
+ * Register a handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => void, throw to retry
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Run this type in its own pool of workers
+ *   instead of sharing QUEUE_CONCURRENCY with the other types
+ */
+function registerHandler(type, handler, options = {}) {
+    handlers.set(type, handler);
+    if (options.concurrency) {
+        poolLimits.set(type, options.concurrency);
+    }
+}
+
+/**
+ * Register a callback for jobs that have used up all attempts
+ * @param {Function} handler - async (job, error) => void
+ */
+function onDeadLetter(handler) {
+    deadLetterHandler = handler;
+}
+
+/**
+ * Get the worker pool of a job type
+ * @param {string} type - Job type
+ * @returns {string} The type itself if it has its own pool, otherwise 'default'
+ */
+function getPool(type) {
+    return poolLimits.has(type) ? type : 'default';
+}
+
+/**
+ * Check if a pool can start another job
+ * @param {string} pool - Pool name (see getPool)
+ * @returns {boolean}
+ */
+function hasFreeWorker(pool) {
+    const limit = pool === 'default' ? config.queue.concurrency : poolLimits.get(pool);
+    return (runningByPool.get(pool) || 0) < limit;
+}
+
+/**
+ * Pick the next due job (oldest first) whose pool has a free worker
+ * @returns {Object|null} Job or null
+ */
+function getNextDueJob() {
+    const now = Date.now();
+    let next = null;
+
+    for (const job of jobs.values()) {
+        if (job.status !== 'queued' || job.nextRunAt > now) continue;
+        if (!hasFreeWorker(getPool(job.type))) continue;
+        if (!next || job.nextRunAt < next.nextRunAt) {
+            next = job;
+        }
+    }
+
+    return next;
+}
+
+/**
+ * Run due jobs up to the configured concurrency of each pool
+ */
+function processNext() {
+    let job;
+    while ((job = getNextDueJob())) {
+        const pool = getPool(job.type);
+
+        runningByPool.set(pool, (runningByPool.get(pool) || 0) + 1);
+        runJob(job).finally(() => {
+            runningByPool.set(pool, runningByPool.get(pool) - 1);
+            setImmediate(processNext);
+        });
+    }
+}
+
+/**
+ * Run a single job and record the outcome
+ * @param {Object} job - Job to run
+ */
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+    updateJob(job, { status: 'running', attempts: job.attempts + 1 });
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type: ${job.type}`);
+        }
+
+        await handler(job.payload, job);
+
+        writeRecord({ op: 'done', id: job.id });
+        jobs.delete(job.id);
+        logger.info('Job completed', { id: job.id, type: job.type, attempts: job.attempts });
+
+        if (++finishedSinceCompact >= COMPACT_THRESHOLD) {
+            compact();
+        }
+    } catch (error) {
+        if (job.attempts >= config.queue.maxAttempts) {
+            updateJob(job, {
+                status: 'dead',
+                lastError: error.message,
+                failedAt: new Date().toISOString(),
+            });
+            logger.error('Job moved to dead-letter list', {
+                id: job.id,
+                type: job.type,
+                attempts: job.attempts,
+                error: error.message,
+            });
+
+            if (deadLetterHandler) {
+                try {
+                    await deadLetterHandler(job, error);
+                } catch (handlerError) {
+                    logger.error('Dead-letter handler failed', { id: job.id, error: handlerError.message });
+                }
+            }
+            return;
+        }
+
+        // Exponential backoff: base, 2x base, 4x base...
+        const delay = config.queue.backoffMs * Math.pow(2, job.attempts - 1);
+        updateJob(job, {
+            status: 'queued',
+            lastError: error.message,
+            nextRunAt: Date.now() + delay,
+        });
+        logger.warn(`Job failed, retrying in ${delay / 1000}s`, {
+            id: job.id,
+            type: job.type,
+            attempt: job.attempts,
+            maxAttempts: config.queue.maxAttempts,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Start the worker loop
+ */
+function start() {
+    init();
+
+    if (!pollTimer) {
+        pollTimer = setInterval(processNext, POLL_INTERVAL);
+    }
+    processNext();
+}
+
+/**
+ * Stop polling for new jobs (running jobs are left to finish)
+ */
+function stop() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+/**
+ * Get queue counts for monitoring
+ * @returns {Object} Counts by state
+ */
+function getStats() {
+    const now = Date.now();
+    const stats = {
+        queued: 0,
+        retrying: 0,
+        running: 0,
+        deadLetter: 0,
+    };
+
+    for (const job of jobs.values()) {
+        if (job.status === 'running') {
+            stats.running++;
+        } else if (job.status === 'dead') {
+            stats.deadLetter++;
+        } else if (job.attempts > 0 && job.nextRunAt > now) {
+            stats.retrying++;
+        } else {
+            stats.queued++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * List dead-letter jobs (most recent failure first)
+ * @returns {Array<Object>} Dead jobs
+ */
+function getDeadLetters() {
+    return [...jobs.values()]
+        .filter(job => job.status === 'dead')
+        .sort((a, b) => String(b.failedAt).localeCompare(String(a.failedAt)));
+}
+
+/**
+ * Put a dead-letter job back in the queue with a fresh attempt count
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True if the job was requeued
+ */
+function requeueDeadLetter(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || job.status !== 'dead') {
+        return false;
+    }
+
+    updateJob(job, { status: 'queued', attempts: 0, nextRunAt: Date.now() });
+    setImmediate(processNext);
+    return true;
+}
+
+module.exports = {
+    init,
+    enqueue,
+    registerHandler,
+    onDeadLetter,
+    start,
+    stop,
+    getStats,
+    getDeadLetters,
+    requeueDeadLetter,
+};
@@ -0,0 +1,401 @@
+/**
+ * Receipt Card Service
+ * Builds the LINE Flex Message shown when receipts are saved (LINE_FLEX_ENABLED):
+ * seller, date, document type badge, line items, totals, a confidence bar and
+ * Open in Drive / Edit / Change category / Delete buttons
+ *
+ * Flex bubbles don't scroll, so a long item list continues on more bubbles of a
+ * carousel (swiped sideways). Several receipts from one document get a bubble each.
+ * The plain-text message is still sent as altText for clients that can't render Flex.
+ *
+ * The reviewer's queue (/review, see approvals.js) uses the same cards with
+ * Approve / Reject / Needs info buttons instead.
+ */
+
+// Line items per bubble - the rest continue on the next bubble
+const ITEMS_PER_BUBBLE = 15;
+
+// Bubbles for one receipt's items (LINE rejects carousels over 50 KB)
+const MAX_ITEM_BUBBLES = 5;
+
+// Line items on each bubble when a document has several receipts (one bubble each)
+const ITEMS_PER_RECEIPT = 3;
+
+// LINE limits: bubbles per carousel, size of the Flex contents
+const MAX_BUBBLES = 12;
+const MAX_CONTENTS_BYTES = 50 * 1024;
+
+const DOCUMENT_TYPE_COLORS = {
+    'Tax Invoice': '#1E88E5',
+    'Receipt': '#757575',
+    'Credit Note': '#8E24AA',
+    'Quotation': '#00897B',
+};
+
+const MUTED_COLOR = '#888888';
+const NEGATIVE_COLOR = '#E53935';
+const WARNING_COLOR = '#F57C00';
+
+/**
+ * Format an amount with thousands separators
+ * @param {number|string|null} value - Amount
+ * @returns {string} e.g. "1,070.00", "-" when missing
+ */
+function formatAmount(value) {
+    const amount = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(amount)) {
+        return '-';
+    }
+    return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Get the confidence bar color (green / amber / red)
+ * @param {number} percent - Confidence 0-100
+ * @returns {string} Hex color
+ */
+function getConfidenceColor(percent) {
+    return percent >= 80 ? '#06C755' : percent >= 60 ? '#F5A623' : NEGATIVE_COLOR;
+}
+
+/**
+ * Build a Flex text component
+ * @param {*} value - Text ("-" when empty)
+ * @param {Object} options - Extra Flex properties
+ * @returns {Object}
+ */
+function text(value, options = {}) {
+    // Flex rejects empty text components
+    return { type: 'text', text: String(value ?? '') || '-', size: 'sm', wrap: true, ...options };
+}
+
+/**
+ * Build a label / value row
+ * @param {string} label - Muted label on the left
+ * @param {*} value - Value on the right
+ * @param {Object} options - Extra Flex properties of the value
+ * @returns {Object}
+ */
+function row(label, value, options = {}) {
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        contents: [
+            text(label, { color: MUTED_COLOR, flex: 3 }),
+            text(value, { align: 'end', flex: 4, ...options }),
+        ],
+    };
+}
+
+/**
+ * Build a link button
+ * @param {string} label - Button label
+ * @param {Object} action - Flex action without its label
+ * @returns {Object}
+ */
+function button(label, action) {
+    return { type: 'button', style: 'link', height: 'sm', action: { label, ...action } };
+}
+
+/**
+ * Build the seller, document type, date and Receipt ID block
+ * @param {Object} invoice - Saved invoice
+ * @param {boolean} continued - True on the bubbles that continue the items
+ * @returns {Object}
+ */
+function buildHeader(invoice, continued) {
+    const documentType = invoice.documentType || 'Receipt';
+    const subtitle = [invoice.invoiceDate, invoice.invoiceNumber && `#${invoice.invoiceNumber}`]
+        .filter(Boolean)
+        .join('  ');
+
+    return {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'xs',
+        contents: [
+            {
+                type: 'box',
+                layout: 'horizontal',
+                spacing: 'sm',
+                contents: [
+                    text(invoice.sellerName || 'ไม่ทราบผู้ขาย', { size: 'md', weight: 'bold', flex: 1 }),
+                    {
+                        type: 'box',
+                        layout: 'vertical',
+                        flex: 0,
+                        cornerRadius: 'md',
+                        paddingStart: 'sm',
+                        paddingEnd: 'sm',
+                        paddingTop: 'xs',
+                        paddingBottom: 'xs',
+                        backgroundColor: DOCUMENT_TYPE_COLORS[documentType] || DOCUMENT_TYPE_COLORS.Receipt,
+                        contents: [text(documentType, { size: 'xxs', color: '#FFFFFF', wrap: false })],
+                    },
+                ],
+            },
+            text(subtitle || 'ไม่พบวันที่', { size: 'xs', color: MUTED_COLOR }),
+            text(`🧾 ${invoice.receiptId}${continued ? ' (ต่อ)' : ''}`, { size: 'xs', color: MUTED_COLOR }),
+        ],
+    };
+}
+
+/**
+ * Build the line item rows
+ * @param {Array<Object>} items - Line items shown on this bubble
+ * @param {number} firstNumber - Number of the first item
+ * @returns {Array<Object>}
+ */
+function buildItemTable(items, firstNumber) {
+    if (items.length === 0) {
+        return [text('ไม่พบรายการสินค้า', { size: 'xs', color: MUTED_COLOR })];
+    }
+
+    return [
+        {
+            type: 'box',
+            layout: 'horizontal',
+            contents: [
+                text('รายการ', { size: 'xs', color: MUTED_COLOR, flex: 5 }),
+                text('จำนวน', { size: 'xs', color: MUTED_COLOR, flex: 1, align: 'end' }),
+                text('ยอด', { size: 'xs', color: MUTED_COLOR, flex: 2, align: 'end' }),
+            ],
+        },
+        ...items.map((item, index) => {
+            const color = item.amount < 0 ? NEGATIVE_COLOR : undefined;
+            return {
+                type: 'box',
+                layout: 'horizontal',
+                contents: [
+                    text(`${firstNumber + index}. ${item.description}`, { size: 'xs', flex: 5, color }),
+                    text(`x${item.quantity || 1}`, { size: 'xs', flex: 1, align: 'end', color }),
+                    text(formatAmount(item.amount), { size: 'xs', flex: 2, align: 'end', color }),
+                ],
+            };
+        }),
+    ];
+}
+
+/**
+ * Build the subtotal, VAT and grand total rows
+ * @param {Object} invoice - Saved invoice
+ * @returns {Array<Object>}
+ */
+function buildTotals(invoice) {
+    const totals = [];
+    if (invoice.subtotal) {
+        totals.push(row('ยอดก่อน VAT', formatAmount(invoice.subtotal)));
+    }
+    if (invoice.vatAmount) {
+        totals.push(row('VAT', formatAmount(invoice.vatAmount)));
+    }
+    totals.push(row('ยอดรวม', formatAmount(invoice.grandTotal), { size: 'lg', weight: 'bold' }));
+    return totals;
+}
+
+/**
+ * Build the confidence bar (nothing when the OCR gave no confidence)
+ * @param {Object} invoice - Saved invoice
+ * @returns {Array<Object>}
+ */
+function buildConfidenceBar(invoice) {
+    if (invoice.confidence === undefined || invoice.confidence === null) {
+        return [];
+    }
+    const percent = Math.round(invoice.confidence * 100);
+
+    return [
+        {
+            type: 'box',
+            layout: 'vertical',
+            margin: 'lg',
+            spacing: 'xs',
+            contents: [
+                text(`Confidence ${percent}%`, { size: 'xxs', color: MUTED_COLOR }),
+                {
+                    type: 'box',
+                    layout: 'vertical',
+                    height: '6px',
+                    cornerRadius: 'sm',
+                    backgroundColor: '#EEEEEE',
+                    contents: [
+                        {
+                            type: 'box',
+                            layout: 'vertical',
+                            height: '6px',
+                            width: `${Math.max(percent, 1)}%`,
+                            cornerRadius: 'sm',
+                            backgroundColor: getConfidenceColor(percent),
+                            contents: [],
+                        },
+                    ],
+                },
+            ],
+        },
+    ];
+}
+
+/**
+ * Build the submitter's buttons (open, edit, change category, delete)
+ * @param {Object} invoice - Saved invoice
+ * @param {string} documentUrl - Stored document URL
+ * @returns {Object}
+ */
+function buildFooter(invoice, documentUrl) {
+    const buttons = [];
+
+    // LINE only opens http(s) links - local storage has file:// URLs
+    if (documentUrl && /^https:\/\//.test(documentUrl)) {
+        const url = invoice.sourcePages ? `${documentUrl}#page=${invoice.sourcePages[0]}` : documentUrl;
+        buttons.push(button('Open in Drive', { type: 'uri', uri: url }));
+    }
+    buttons.push(
+        button('Edit', { type: 'postback', data: `edit:${invoice.receiptId}`, displayText: `✏️ แก้ไข ${invoice.receiptId}` }),
+        button('Change category', {
+            type: 'postback',
+            data: `edit_field:${invoice.receiptId}:expenseCategory`,
+            displayText: `🗂️ เปลี่ยนหมวดหมู่ ${invoice.receiptId}`,
+        }),
+        button('Delete', { type: 'postback', data: `delete:${invoice.receiptId}`, displayText: `🗑️ ลบ ${invoice.receiptId}` })
+    );
+
+    return { type: 'box', layout: 'vertical', spacing: 'none', contents: buttons };
+}
+
+/**
+ * Build the reviewer's buttons (open, approve, reject, needs info)
+ * @param {Object} invoice - Saved invoice
+ * @param {string} documentUrl - Stored document URL
+ * @returns {Object}
+ */
+function buildReviewFooter(invoice, documentUrl) {
+    const { receiptId } = invoice;
+    const buttons = [];
+
+    if (documentUrl && /^https:\/\//.test(documentUrl)) {
+        buttons.push(button('Open in Drive', { type: 'uri', uri: documentUrl }));
+    }
+    buttons.push(
+        button('Approve', { type: 'postback', data: `review_approve:${receiptId}`, displayText: `✅ อนุมัติ ${receiptId}` }),
+        button('Reject', { type: 'postback', data: `review_reject:${receiptId}`, displayText: `❌ ไม่อนุมัติ ${receiptId}` }),
+        button('Needs info', { type: 'postback', data: `review_info:${receiptId}`, displayText: `❓ ขอข้อมูลเพิ่ม ${receiptId}` })
+    );
+
+    return { type: 'box', layout: 'vertical', spacing: 'none', contents: buttons };
+}
+
+/**
+ * Build the bubbles of one receipt
+ * @param {Object} invoice - Saved invoice (with receiptId)
+ * @param {Object} options - { documentUrl, reviewLines, footer, maxBubbles, itemsPerBubble }
+ * @returns {Array<Object>} Bubbles - the first has the totals and buttons, the rest continue the items
+ */
+function buildReceiptBubbles(invoice, options) {
+    const {
+        documentUrl,
+        reviewLines = () => [],
+        footer = buildFooter,
+        maxBubbles = MAX_ITEM_BUBBLES,
+        itemsPerBubble = ITEMS_PER_BUBBLE,
+    } = options;
+    const items = invoice.lineItems || [];
+    const pageCount = Math.min(Math.max(Math.ceil(items.length / itemsPerBubble), 1), maxBubbles);
+    const shown = Math.min(items.length, pageCount * itemsPerBubble);
+
+    const bubbles = [];
+    for (let page = 0; page < pageCount; page++) {
+        const start = page * itemsPerBubble;
+        const body = buildItemTable(items.slice(start, start + itemsPerBubble), start + 1);
+
+        if (page === pageCount - 1 && shown < items.length) {
+            body.push(text(`... และอีก ${items.length - shown} รายการ (ดูในชีต)`, { size: 'xs', color: MUTED_COLOR }));
+        }
+
+        if (page === 0) {
+            const warnings = reviewLines(invoice).filter(Boolean);
+            body.push({ type: 'separator', margin: 'md' }, ...buildTotals(invoice));
+            if (warnings.length > 0) {
+                body.push(text(warnings.join('\n'), { size: 'xs', color: WARNING_COLOR, margin: 'md' }));
+            }
+            body.push(...buildConfidenceBar(invoice));
+        }
+
+        const bubble = {
+            type: 'bubble',
+            size: 'mega',
+            header: buildHeader(invoice, page > 0),
+            body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: body },
+        };
+        if (page === 0) {
+            bubble.footer = footer(invoice, documentUrl);
+        }
+        bubbles.push(bubble);
+    }
+
+    return bubbles;
+}
+
+/**
+ * Build the Flex contents for saved receipts
+ * @param {Array<Object>} invoices - Saved invoices (with receiptId)
+ * @param {Object} options
+ * @param {string} [options.documentUrl] - Stored document URL
+ * @param {Function} [options.reviewLines] - invoice => Array<string> review warnings to show
+ * @returns {Object|null} Flex bubble, or carousel when there is more than one bubble -
+ *   null when the receipts don't fit in one Flex Message (send plain text instead)
+ */
+function buildReceiptCard(invoices, options = {}) {
+    if (invoices.length === 0 || invoices.length > MAX_BUBBLES) {
+        return null;
+    }
+
+    const bubbles = invoices.length === 1
+        ? buildReceiptBubbles(invoices[0], options)
+        : invoices.map(invoice => buildReceiptBubbles(invoice, {
+            ...options,
+            maxBubbles: 1,
+            itemsPerBubble: ITEMS_PER_RECEIPT,
+        })[0]);
+
+    return fitContents(bubbles.length === 1
+        ? bubbles[0]
+        : { type: 'carousel', contents: bubbles });
+}
+
+/**
+ * Build the reviewer's carousel of receipts waiting for approval
+ * @param {Array<Object>} receipts - From approvalsService.listReviewQueue (one page)
+ * @param {Object} options
+ * @param {Function} [options.details] - receipt => Array<string> lines shown above the totals (submitter, status)
+ * @returns {Object|null} Flex carousel - null when the page doesn't fit in one Flex Message
+ */
+function buildReviewCarousel(receipts, options = {}) {
+    const { details = () => [] } = options;
+    if (receipts.length === 0 || receipts.length > MAX_BUBBLES) {
+        return null;
+    }
+
+    const bubbles = receipts.map(receipt => buildReceiptBubbles(receipt.invoice, {
+        documentUrl: receipt.documentUrl,
+        reviewLines: () => details(receipt),
+        footer: buildReviewFooter,
+        maxBubbles: 1,
+        itemsPerBubble: ITEMS_PER_RECEIPT,
+    })[0]);
+
+    return fitContents({ type: 'carousel', contents: bubbles });
+}
+
+/**
+ * Check the Flex contents against LINE's size limit
+ * @param {Object} contents - Bubble or carousel
+ * @returns {Object|null} The contents, or null when too big to send
+ */
+function fitContents(contents) {
+    return Buffer.byteLength(JSON.stringify(contents)) <= MAX_CONTENTS_BYTES ? contents : null;
+}
+
+module.exports = {
+    buildReceiptCard,
+    buildReviewCarousel,
+};
@@ -0,0 +1,60 @@
+/**
+ * Receipt ID Service
+ * Allocates Receipt IDs (column B) from a persistent sequence in the storage backend,
+ * so IDs survive restarts and stay unique across instances
+ *
+ * Format: <prefix><YYMMDD>-<sequence> (e.g. R250117-001)
+ * - prefix: RECEIPT_ID_PREFIX (default "R")
+ * - sequence: zero-padded to RECEIPT_ID_PADDING digits (default 3), restarts every day
+ */
+
+const config = require('../config/env');
+const storageService = require('./storage');
+const { formatDateFolder } = require('../utils/date');
+
+/**
+ * Sequence key for a day - one counter per prefix + date
+ * @param {Date} date - Day (local time, same as Processed At)
+ * @returns {string} Sequence key (e.g. R250117)
+ */
+function getSequenceKey(date = new Date()) {
+    return `${config.receiptIds.prefix}${formatDateFolder(date).substring(2)}`;
+}
+
+/**
+ * Format a Receipt ID
+ * @param {string} sequenceKey - Key from getSequenceKey (prefix + YYMMDD)
+ * @param {number} sequence - Sequence number
+ * @returns {string} Receipt ID
+ */
+function formatReceiptId(sequenceKey, sequence) {
+    return `${sequenceKey}-${String(sequence).padStart(config.receiptIds.padding, '0')}`;
+}
+
+/**
+ * Split a Receipt ID into its sequence key and number
+ * @param {string} receiptId - e.g. R250117-001
+ * @returns {Object|null} { sequenceKey, sequence } or null if not in the expected format
+ */
+function parseReceiptId(receiptId) {
+    const match = String(receiptId || '').match(/^(.+\d{6})-(\d+)$/);
+    if (!match) return null;
+    return { sequenceKey: match[1], sequence: parseInt(match[2], 10) };
+}
+
+/**
+ * Allocate the next Receipt ID (atomic in the storage backend)
+ * @param {Object} options - { date, sequenceKey } - sequenceKey overrides the date-based key
+ * @returns {Promise<string>} Receipt ID
+ */
+async function nextReceiptId({ date = new Date(), sequenceKey = getSequenceKey(date) } = {}) {
+    const sequence = await storageService.nextSequence(sequenceKey);
+    return formatReceiptId(sequenceKey, sequence);
+}
+
+module.exports = {
+    getSequenceKey,
+    formatReceiptId,
+    parseReceiptId,
+    nextReceiptId,
+};
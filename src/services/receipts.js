@@ -0,0 +1,354 @@
+/**
+ * Receipts Service
+ * Finds saved receipts by Receipt ID and updates their rows
+ * (a receipt has one row per line item - every row is updated)
+ *
+ * Also applies corrections, deletions, reprocessed results and approval decisions made from chat (see EDITABLE_FIELDS).
+ * Every change is written to the edit log with who made it and the old and new value.
+ */
+
+const logger = require('../utils/logger');
+const { formatDateTime } = require('../utils/date');
+const storageService = require('./storage');
+const { getStatus } = require('./approvals');
+const {
+    DEFAULT_CATEGORIES,
+    DOCUMENT_TYPES,
+    APPROVAL_STATUSES,
+    getSheetHeaders,
+    normalizeDate,
+    parseNumber,
+    getInvoiceMonth,
+} = require('./invoice');
+
+// Fields that can be corrected from chat
+// - header: sheet column
+// - choices: fixed values (picked from quick replies) instead of typed text
+// - clears: review flags that no longer apply once a person has set the value
+const EDITABLE_FIELDS = {
+    invoiceDate: {
+        header: 'Invoice Date',
+        label: '📅 วันที่',
+        prompt: 'พิมพ์วันที่ใหม่ เช่น 2025-01-17 หรือ 17/01/2568',
+        clears: flag => flag === 'conflict:invoiceDate' || flag.startsWith('date:'),
+    },
+    sellerName: {
+        header: 'Seller Name',
+        label: '🏪 ผู้ขาย',
+        prompt: 'พิมพ์ชื่อผู้ขายใหม่',
+        clears: flag => flag === 'conflict:sellerName',
+    },
+    grandTotal: {
+        header: 'Grand Total',
+        label: '💰 ยอดรวม',
+        prompt: 'พิมพ์ยอดรวมใหม่ เช่น 1070.00',
+        clears: flag => flag === 'conflict:grandTotal',
+    },
+    expenseCategory: {
+        header: 'Expense Category',
+        label: '🗂️ หมวดหมู่',
+        choices: company => company.categories || DEFAULT_CATEGORIES,
+        clears: flag => flag === 'conflict:expenseCategory',
+    },
+    documentType: {
+        header: 'Document Type',
+        label: '📄 ประเภทเอกสาร',
+        choices: () => DOCUMENT_TYPES,
+        clears: flag => flag === 'conflict:documentType',
+    },
+};
+
+// Decided statuses - a corrected receipt goes back to the review queue
+const DECIDED_STATUSES = ['approved', 'rejected'];
+
+// Longest seller name accepted from chat
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Split the Needs Review cell into its flags
+ * @param {string} value - Cell value ("flag; flag")
+ * @returns {Array<string>}
+ */
+function splitFlags(value) {
+    return String(value || '').split(';').map(flag => flag.trim()).filter(Boolean);
+}
+
+/**
+ * Find the rows of saved receipts
+ * @param {Object} target - Storage target (see storage.js)
+ * @param {Array<string>} receiptIds - Receipt IDs
+ * @returns {Promise<Array<Object>>} [{ index, record }] - record: cell values keyed by sheet header
+ */
+async function findReceiptRows(target, receiptIds) {
+    const headers = getSheetHeaders();
+    const idIndex = headers.indexOf('Receipt ID');
+    const rows = await storageService.listReceiptRows(target);
+
+    return rows
+        .map((row, index) => ({ index, row }))
+        .filter(({ row }) => receiptIds.includes(row[idIndex]))
+        .map(({ index, row }) => ({
+            index,
+            record: Object.fromEntries(headers.map((header, column) => [header, row[column] ?? ''])),
+        }));
+}
+
+/**
+ * Add a review flag to saved receipts and mark them Needs Review
+ * @param {Object} target - Storage target
+ * @param {Array<string>} receiptIds - Receipt IDs
+ * @param {string} flag - Review flag, e.g. 'count:disputed'
+ * @returns {Promise<number>} Number of rows updated
+ */
+async function addReviewFlag(target, receiptIds, flag) {
+    const rows = await findReceiptRows(target, receiptIds);
+
+    const updates = rows.map(({ index, record }) => {
+        const flags = splitFlags(record['Review Flags']);
+        if (!flags.includes(flag)) {
+            flags.push(flag);
+        }
+        return { index, values: { 'Review Flags': flags.join('; '), 'Needs Review': 'Yes' } };
+    });
+
+    if (updates.length > 0) {
+        await storageService.updateReceiptRows(target, updates);
+    }
+    return updates.length;
+}
+
+/**
+ * Check and normalize a corrected value
+ * @param {string} field - Key of EDITABLE_FIELDS
+ * @param {string} text - Value typed or picked by the user
+ * @param {Object} company - Company the receipt belongs to (for its categories)
+ * @returns {Object} { value } or { error } - error is a message for the user
+ */
+function parseFieldValue(field, text, company) {
+    const definition = EDITABLE_FIELDS[field];
+    const input = String(text || '').trim();
+
+    if (!definition) {
+        return { error: `แก้ไขช่องนี้ไม่ได้: ${field}` };
+    }
+    if (!input) {
+        return { error: 'กรุณาพิมพ์ค่าใหม่' };
+    }
+
+    if (definition.choices) {
+        const choices = definition.choices(company);
+        const value = choices.find(choice => choice.toLowerCase() === input.toLowerCase());
+        return value ? { value } : { error: `ต้องเป็นหนึ่งใน: ${choices.join(', ')}` };
+    }
+
+    if (field === 'invoiceDate') {
+        const value = normalizeDate(input);
+        return value && !value.startsWith("'") ? { value } : { error: 'อ่านวันที่ไม่ออก - ใช้รูปแบบ 2025-01-17 หรือ 17/01/2568' };
+    }
+
+    if (field === 'grandTotal') {
+        const value = parseNumber(input);
+        return value !== null && Number.isFinite(value) ? { value } : { error: 'ยอดรวมต้องเป็นตัวเลข เช่น 1070.00' };
+    }
+
+    if (input.length > MAX_TEXT_LENGTH) {
+        return { error: `ยาวเกิน ${MAX_TEXT_LENGTH} ตัวอักษร` };
+    }
+    return { value: input };
+}
+
+/**
+ * Correct a field of a saved receipt (all of its rows) and write it to the edit log
+ * Review flags about that field are cleared - a person has checked it.
+ * An approved or rejected receipt goes back to pending, so a reviewer sees the new value
+ * @param {Object} target - Storage target
+ * @param {string} receiptId - Receipt ID
+ * @param {string} field - Key of EDITABLE_FIELDS
+ * @param {string|number} value - New value (from parseFieldValue)
+ * @param {Object} editor - { userId, displayName } of the person making the change
+ * @returns {Promise<Object|null>} { oldValue, newValue, rows, reopenedFrom } or null if the receipt wasn't found
+ *   (reopenedFrom: the decided status that was reset, or null)
+ */
+async function editReceiptField(target, receiptId, field, value, editor = {}) {
+    const definition = EDITABLE_FIELDS[field];
+    const rows = await findReceiptRows(target, [receiptId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const oldValue = rows[0].record[definition.header];
+    const oldStatus = getStatus(rows[0].record);
+    const reopenedFrom = DECIDED_STATUSES.includes(oldStatus) ? oldStatus : null;
+    const updates = rows.map(({ index, record }) => {
+        const flags = splitFlags(record['Review Flags']).filter(flag => !definition.clears(flag));
+        const values = {
+            [definition.header]: value,
+            'Review Flags': flags.join('; '),
+            'Needs Review': flags.length > 0 ? 'Yes' : '',
+        };
+        if (field === 'invoiceDate') {
+            values['Invoice Month'] = getInvoiceMonth(value);
+        }
+        if (reopenedFrom) {
+            values['Approval Status'] = 'pending';
+            values['Approval Note'] = '';
+        }
+        return { index, values };
+    });
+
+    await storageService.updateReceiptRows(target, updates);
+
+    await writeEditLog({
+        receiptId,
+        field: definition.header,
+        oldValue,
+        newValue: value,
+        rows: updates.length,
+    }, editor);
+
+    if (reopenedFrom) {
+        await writeEditLog({
+            receiptId,
+            field: 'Approval Status',
+            oldValue: reopenedFrom,
+            newValue: 'pending',
+            rows: updates.length,
+        }, editor);
+    }
+
+    return { oldValue, newValue: value, rows: updates.length, reopenedFrom };
+}
+
+/**
+ * Delete a saved receipt (all of its rows) and write it to the edit log
+ * The stored document is kept
+ * @param {Object} target - Storage target
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} editor - { userId, displayName } of the person deleting it
+ * @returns {Promise<Object|null>} { record, rows } or null if the receipt wasn't found
+ */
+async function deleteReceipt(target, receiptId, editor = {}) {
+    const rows = await findReceiptRows(target, [receiptId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const record = rows[0].record;
+    await storageService.deleteReceiptRows(target, rows.map(({ index }) => index));
+
+    await writeEditLog({
+        receiptId,
+        field: 'Receipt',
+        oldValue: `${record['Seller Name'] || '-'} | ${record['Grand Total'] || '-'} | ${record['Image URL'] || '-'}`,
+        newValue: 'deleted',
+        rows: rows.length,
+    }, editor);
+
+    return { record, rows: rows.length };
+}
+
+/**
+ * Replace a saved receipt's rows with freshly extracted ones (same Receipt ID) and write it to the edit log
+ * The new rows are appended, so the receipt moves to the end of the sheet
+ * @param {Object} target - Storage target
+ * @param {string} receiptId - Receipt ID
+ * @param {Array<Array>} newRows - formatForSheets() rows of the receipt
+ * @param {Object} editor - { userId, displayName } of the person reprocessing it
+ * @returns {Promise<Object|null>} { record, rows } (the old first row) or null if the receipt wasn't found
+ */
+async function replaceReceipt(target, receiptId, newRows, editor = {}) {
+    const rows = await findReceiptRows(target, [receiptId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const headers = getSheetHeaders();
+    const record = rows[0].record;
+    const newRecord = Object.fromEntries(headers.map((header, column) => [header, newRows[0][column] ?? '']));
+
+    await storageService.deleteReceiptRows(target, rows.map(({ index }) => index));
+    await storageService.appendReceiptRows(newRows, target);
+
+    await writeEditLog({
+        receiptId,
+        field: 'Receipt',
+        oldValue: `${record['Seller Name'] || '-'} | ${record['Grand Total'] || '-'}`,
+        newValue: `reprocessed: ${newRecord['Seller Name'] || '-'} | ${newRecord['Grand Total'] || '-'}`,
+        rows: newRows.length,
+    }, editor);
+
+    return { record, rows: newRows.length };
+}
+
+/**
+ * Set the approval status of a saved receipt (all of its rows) and write it to the edit log
+ * @param {Object} target - Storage target
+ * @param {string} receiptId - Receipt ID
+ * @param {string} status - One of APPROVAL_STATUSES
+ * @param {string} note - Reason (rejected / needs-info), '' for none
+ * @param {Object} reviewer - { userId, displayName } of the reviewer
+ * @returns {Promise<Object|null>} { oldStatus, record, rows } or null if the receipt wasn't found
+ */
+async function setApprovalStatus(target, receiptId, status, note, reviewer = {}) {
+    if (!APPROVAL_STATUSES.includes(status)) {
+        throw new Error(`Unknown approval status: ${status}`);
+    }
+
+    const rows = await findReceiptRows(target, [receiptId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const record = rows[0].record;
+    const oldStatus = record['Approval Status'] || 'pending';
+    const approvalNote = String(note || '').trim().substring(0, MAX_TEXT_LENGTH);
+
+    await storageService.updateReceiptRows(target, rows.map(({ index }) => ({
+        index,
+        values: { 'Approval Status': status, 'Approval Note': approvalNote },
+    })));
+
+    await writeEditLog({
+        receiptId,
+        field: 'Approval Status',
+        oldValue: oldStatus,
+        newValue: approvalNote ? `${status}: ${approvalNote}` : status,
+        rows: rows.length,
+    }, reviewer);
+
+    return { oldStatus, record, rows: rows.length };
+}
+
+/**
+ * Record a change in the application log and the storage edit log
+ * @param {Object} change - { receiptId, field, oldValue, newValue, rows }
+ * @param {Object} editor - { userId, displayName }
+ */
+async function writeEditLog(change, editor) {
+    const { rows, ...fields } = change;
+    const entry = {
+        editedAt: formatDateTime(),
+        ...fields,
+        userId: editor.userId,
+        userName: editor.displayName,
+    };
+
+    logger.info('Receipt edited', { ...entry, rows });
+    try {
+        await storageService.appendEditLog(entry);
+    } catch (error) {
+        // The rows are already changed - the application log above still has it
+        logger.error('Failed to write edit log', { receiptId: entry.receiptId, error: error.message });
+    }
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    findReceiptRows,
+    addReviewFlag,
+    parseFieldValue,
+    editReceiptField,
+    deleteReceipt,
+    replaceReceipt,
+    setApprovalStatus,
+};
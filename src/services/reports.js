@@ -0,0 +1,82 @@
+/**
+ * Reports Service
+ * Monthly receipt totals read back from storage (per LINE group or per user)
+ *
+ * Rows are one per line item, so receipts are counted once by Receipt ID.
+ * Rejected receipts (Approval Status, see approvals.js) are not booked expenses and are left out.
+ */
+
+const storageService = require('./storage');
+const { getSheetHeaders, parseNumber } = require('./invoice');
+
+/**
+ * Get current month in YYYY-MM format (matches the Processed At column)
+ * @returns {string} Month
+ */
+function getCurrentMonth() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Summarize receipt rows processed in a month
+ * @param {Array<Array>} rows - Rows in the formatForSheets layout
+ * @param {Object} filter - { month (YYYY-MM), groupId, userId } - omitted fields match everything
+ * @returns {Object} { month, receipts, total, bySender: [{ userId, displayName, receipts, total }] }
+ */
+function summarizeRows(rows, { month = getCurrentMonth(), groupId = null, userId = null } = {}) {
+    const headers = getSheetHeaders();
+    const col = name => headers.indexOf(name);
+
+    const seen = new Set();
+    const senders = new Map();
+    let total = 0;
+
+    for (const row of rows) {
+        const receiptId = row[col('Receipt ID')];
+        if (!receiptId || seen.has(receiptId)) continue;
+        if (!String(row[col('Processed At')] || '').startsWith(month)) continue;
+        if (groupId && row[col('Group ID')] !== groupId) continue;
+        if (userId && row[col('User ID')] !== userId) continue;
+        if (row[col('Approval Status')] === 'rejected') continue;
+
+        seen.add(receiptId);
+
+        const amount = parseNumber(row[col('Grand Total')]) || 0;
+        total += amount;
+
+        const senderId = row[col('User ID')] || '';
+        const sender = senders.get(senderId) || {
+            userId: senderId,
+            displayName: row[col('User Name')] || '',
+            receipts: 0,
+            total: 0,
+        };
+        sender.receipts++;
+        sender.total += amount;
+        senders.set(senderId, sender);
+    }
+
+    return {
+        month,
+        receipts: seen.size,
+        total,
+        bySender: [...senders.values()].sort((a, b) => b.total - a.total),
+    };
+}
+
+/**
+ * Get this month's totals from storage
+ * @param {Object} target - Storage target (see storage.js)
+ * @param {Object} filter - { month, groupId, userId }
+ * @returns {Promise<Object>} Summary (see summarizeRows)
+ */
+async function getMonthlyTotals(target, filter = {}) {
+    const rows = await storageService.listReceiptRows(target);
+    return summarizeRows(rows, filter);
+}
+
+module.exports = {
+    summarizeRows,
+    getMonthlyTotals,
+};
@@ -0,0 +1,126 @@
+/**
+ * Document Segmentation Service
+ * Groups the pages of a multi-page PDF into separate invoices
+ *
+ * Each page is extracted on its own, then consecutive pages are joined when the later
+ * page continues the earlier one:
+ * - same invoice number (and same seller), e.g. "page 2/2" of a long tax invoice, or
+ * - no invoice number, seller name or Tax ID at all (a continuation sheet of line items)
+ * Any other page starts a new invoice.
+ */
+
+const arithmeticService = require('./arithmetic');
+
+// Header fields taken from the first page that has them
+const HEADER_FIELDS = [
+    'documentType', 'invoiceNumber', 'invoiceDate', 'sellerName', 'sellerTaxId', 'sellerTaxIdStatus',
+    'sellerBranch', 'buyerName', 'buyerTaxId', 'buyerTaxIdStatus', 'expenseCategory',
+];
+
+/**
+ * Normalize an invoice number for comparing pages (no spaces, upper case)
+ * @param {string} value - Invoice number as extracted
+ * @returns {string}
+ */
+function normalizeInvoiceNumber(value) {
+    return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check if a page continues the invoice on the previous page
+ * @param {Object} previous - Invoice extracted from the previous page
+ * @param {Object} next - Invoice extracted from this page
+ * @returns {boolean}
+ */
+function isContinuation(previous, next) {
+    if (!next.invoiceNumber && !next.sellerName && !next.sellerTaxId) {
+        return true;
+    }
+
+    const sameNumber = next.invoiceNumber &&
+        normalizeInvoiceNumber(next.invoiceNumber) === normalizeInvoiceNumber(previous.invoiceNumber);
+    const sameSeller = !next.sellerTaxId || !previous.sellerTaxId || next.sellerTaxId === previous.sellerTaxId;
+
+    return Boolean(sameNumber && sameSeller);
+}
+
+/**
+ * Merge the pages of one invoice
+ * Line items are concatenated; totals come from the last page that has a grand total
+ * @param {Array<Object>} parts - Invoices extracted from consecutive pages
+ * @returns {Object} Merged invoice
+ */
+function mergeInvoices(parts) {
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    const totals = [...parts].reverse().find(part => part.grandTotal) || parts[parts.length - 1];
+    const merged = { ...parts[0] };
+
+    for (const field of HEADER_FIELDS) {
+        const part = parts.find(p => p[field] !== null && p[field] !== undefined);
+        merged[field] = part ? part[field] : null;
+    }
+
+    merged.lineItems = parts
+        .flatMap(part => part.lineItems || [])
+        .map((item, index) => ({ ...item, itemNumber: index + 1 }));
+    merged.subtotal = totals.subtotal;
+    merged.vatAmount = totals.vatAmount;
+    merged.grandTotal = totals.grandTotal;
+    merged.confidence = Math.min(...parts.map(part => part.confidence));
+    merged.tokenUsed = parts.reduce((sum, part) => sum + (part.tokenUsed || 0), 0) || null;
+    merged.reviewFlags = [...new Set(parts.flatMap(part => part.reviewFlags || []))];
+
+    // The pages added up on their own or not - the merged invoice has to be checked again
+    return arithmeticService.applyReviewFlags(merged);
+}
+
+/**
+ * Group page results into invoices
+ * @param {Array<Object>} pageResults - Extracted invoices in page order: [{ page, invoice }]
+ *   (a page can hold several receipts)
+ * @param {number} pageCount - Pages in the PDF
+ * @returns {Array<Object>} Invoices with sourcePages: [1, 2] and sourceRef: "pages 1-2 of 5"
+ */
+function groupPages(pageResults, pageCount) {
+    const groups = [];
+
+    pageResults.forEach(({ page, invoice }) => {
+        const current = groups[groups.length - 1];
+        if (current && isContinuation(current.parts[current.parts.length - 1], invoice)) {
+            current.parts.push(invoice);
+            if (!current.pages.includes(page)) {
+                current.pages.push(page);
+            }
+        } else {
+            groups.push({ parts: [invoice], pages: [page] });
+        }
+    });
+
+    return groups.map(({ parts, pages }) => {
+        const invoice = mergeInvoices(parts);
+        const first = pages[0];
+        const last = pages[pages.length - 1];
+
+        invoice.sourcePages = pages;
+        invoice.sourceRef = first === last
+            ? `page ${first} of ${pageCount}`
+            : `pages ${first}-${last} of ${pageCount}`;
+
+        // Several receipts on one page (photographed side by side, then scanned)
+        const samePage = groups.filter(group => group.pages.length === 1 && group.pages[0] === first);
+        if (pages.length === 1 && samePage.length > 1) {
+            const position = samePage.findIndex(group => group.parts === parts) + 1;
+            invoice.sourceRef += `, receipt ${position} of ${samePage.length}`;
+        }
+        return invoice;
+    });
+}
+
+module.exports = {
+    isContinuation,
+    mergeInvoices,
+    groupPages,
+};
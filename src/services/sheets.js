@@ -8,7 +8,7 @@
 const { google } = require('googleapis');
 const config = require('../config/env');
 const logger = require('../utils/logger');
-const { getSheetHeaders } = require('./gemini');  // Updated: import from gemini.js
+const { getSheetHeaders, getLastColumn, getColumnLetter } = require('./invoice');
 
 // Initialize Sheets client
 let sheetsClient = null;
@@ -47,7 +47,7 @@ async function appendRows(rows, customSheetId = null, customSheetName = null) {
     const sheets = getClient();
     const spreadsheetId = customSheetId || config.sheets.spreadsheetId;
     const sheetName = customSheetName || config.sheets.sheetName || 'Sheet1';
-    const range = `${sheetName}!A:V`; // 22 columns: A-V
+    const range = `${sheetName}!A:${getLastColumn()}`;
 
     try {
         const response = await sheets.spreadsheets.values.append({
@@ -68,37 +68,156 @@ async function appendRows(rows, customSheetId = null, customSheetName = null) {
     }
 }
 
+/**
+ * Read all data rows (header row excluded)
+ * @param {string} customSheetId - Optional custom spreadsheet ID (for corp routing)
+ * @param {string} customSheetName - Optional custom sheet/tab name (for corp routing)
+ * @returns {Promise<Array<Array>>} Rows in the invoice layout
+ */
+async function getRows(customSheetId = null, customSheetName = null) {
+    const sheets = getClient();
+    const spreadsheetId = customSheetId || config.sheets.spreadsheetId;
+    const sheetName = customSheetName || config.sheets.sheetName || 'Sheet1';
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${sheetName}!A2:${getLastColumn()}`,
+        });
+        return response.data.values || [];
+    } catch (error) {
+        logger.error(`Failed to read rows from ${spreadsheetId}/${sheetName}`, error);
+        throw error;
+    }
+}
+
+/**
+ * Update individual cells of data rows
+ * @param {Array<Object>} updates - [{ index, values: { [header]: value } }] - index 0 = first data row
+ * @param {string} customSheetId - Optional custom spreadsheet ID (for corp routing)
+ * @param {string} customSheetName - Optional custom sheet/tab name (for corp routing)
+ * @returns {Promise<Object>} batchUpdate result
+ */
+async function updateCells(updates, customSheetId = null, customSheetName = null) {
+    const sheets = getClient();
+    const spreadsheetId = customSheetId || config.sheets.spreadsheetId;
+    const sheetName = customSheetName || config.sheets.sheetName || 'Sheet1';
+    const headers = getSheetHeaders();
+
+    const data = updates.flatMap(({ index, values }) =>
+        Object.entries(values).map(([header, value]) => {
+            const column = headers.indexOf(header);
+            if (column === -1) {
+                throw new Error(`Unknown column: ${header}`);
+            }
+            return {
+                range: `${sheetName}!${getColumnLetter(column)}${index + 2}`,  // +1 header, +1 1-indexed
+                values: [[value]],
+            };
+        })
+    );
+
+    try {
+        const response = await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                // Values typed in chat are stored as-is - never parsed as formulas, dates or locale numbers
+                valueInputOption: 'RAW',
+                data,
+            },
+        });
+
+        logger.info(`Updated ${data.length} cell(s) in ${spreadsheetId}/${sheetName}`);
+        return response.data;
+    } catch (error) {
+        logger.error(`Failed to update cells in ${spreadsheetId}/${sheetName}`, error);
+        throw error;
+    }
+}
+
+/**
+ * Delete data rows
+ * @param {Array<number>} indexes - Row positions, 0 = first data row
+ * @param {string} customSheetId - Optional custom spreadsheet ID (for corp routing)
+ * @param {string} customSheetName - Optional custom sheet/tab name (for corp routing)
+ * @returns {Promise<Object>} batchUpdate result
+ */
+async function deleteRows(indexes, customSheetId = null, customSheetName = null) {
+    const sheets = getClient();
+    const spreadsheetId = customSheetId || config.sheets.spreadsheetId;
+    const sheetName = customSheetName || config.sheets.sheetName || 'Sheet1';
+
+    try {
+        // Row deletion needs the tab's numeric ID, not its name
+        const spreadsheet = await sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties',
+        });
+        const sheet = spreadsheet.data.sheets?.find(s => s.properties?.title === sheetName);
+        if (!sheet) {
+            throw new Error(`Sheet not found: ${sheetName}`);
+        }
+
+        // Bottom-up, so earlier deletions don't shift the rows still to delete
+        const requests = [...indexes].sort((a, b) => b - a).map(index => ({
+            deleteDimension: {
+                range: {
+                    sheetId: sheet.properties.sheetId,
+                    dimension: 'ROWS',
+                    startIndex: index + 1,  // +1 header (0-indexed, end exclusive)
+                    endIndex: index + 2,
+                },
+            },
+        }));
+
+        const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: { requests },
+        });
+
+        logger.info(`Deleted ${indexes.length} row(s) from ${spreadsheetId}/${sheetName}`);
+        return response.data;
+    } catch (error) {
+        logger.error(`Failed to delete rows from ${spreadsheetId}/${sheetName}`, error);
+        throw error;
+    }
+}
+
 /**
  * Initialize the sheet with headers if empty
- * Uses the new 18-column Thai invoice format
+ * Uses the shared invoice layout from invoice.js
+ * @param {string} customSheetId - Optional custom spreadsheet ID (for corp routing)
+ * @param {string} customSheetName - Optional custom sheet/tab name (for corp routing)
  * @returns {Promise<void>}
  */
-async function initializeHeaders() {
+async function initializeHeaders(customSheetId = null, customSheetName = null) {
     const sheets = getClient();
-    const spreadsheetId = config.sheets.spreadsheetId;
-    const sheetName = config.sheets.sheetName;
+    const spreadsheetId = customSheetId || config.sheets.spreadsheetId;
+    const sheetName = customSheetName || config.sheets.sheetName || 'Sheet1';
+    const headerRange = `${sheetName}!A1:${getLastColumn()}1`;
 
     try {
         // Check if sheet has data
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId,
-            range: `${sheetName}!A1:R1`,
+            range: headerRange,
         });
 
-        if (!response.data.values || response.data.values.length === 0) {
-            // Add headers using the OCR service's header definition
-            const headers = getSheetHeaders();
+        const headers = getSheetHeaders();
+        const existingHeaders = response.data.values?.[0] || [];
 
+        if (existingHeaders.length < headers.length) {
+            // Empty sheet, or a sheet created before newer columns were added
             await sheets.spreadsheets.values.update({
                 spreadsheetId,
-                range: `${sheetName}!A1:R1`,
+                range: headerRange,
                 valueInputOption: 'RAW',
                 requestBody: {
                     values: [headers],
                 },
             });
 
-            logger.info('Initialized sheet with 18-column Thai invoice headers');
+            logger.info(`Initialized ${spreadsheetId}/${sheetName} with ${headers.length}-column invoice headers`);
         } else {
             logger.debug('Sheet already has headers');
         }
@@ -109,7 +228,7 @@ async function initializeHeaders() {
 }
 
 /**
- * Update headers to the new 18-column format (for existing sheets)
+ * Update headers to the current layout (for existing sheets)
  * @returns {Promise<void>}
  */
 async function updateHeaders() {
@@ -122,14 +241,14 @@ async function updateHeaders() {
 
         await sheets.spreadsheets.values.update({
             spreadsheetId,
-            range: `${sheetName}!A1:R1`,
+            range: `${sheetName}!A1:${getLastColumn()}1`,
             valueInputOption: 'RAW',
             requestBody: {
                 values: [headers],
             },
         });
 
-        logger.info('Updated sheet headers to 18-column format');
+        logger.info(`Updated sheet headers to ${headers.length}-column format`);
     } catch (error) {
         logger.error('Failed to update sheet headers', error);
         throw error;
@@ -137,8 +256,12 @@ async function updateHeaders() {
 }
 
 module.exports = {
+    getClient,
     appendRow,
     appendRows,
+    getRows,
+    updateCells,
+    deleteRows,
     initializeHeaders,
     updateHeaders,
 };
@@ -0,0 +1,378 @@
+/**
+ * SQLite Storage Backend
+ * Runs the whole pipeline without Google: receipt rows, usage counters, the usage ledger and the edit log in a
+ * local SQLite database, documents in a local directory (YYYYMMDD folders, like Drive)
+ *
+ * For on-prem customers and development. Requires the optional better-sqlite3 package.
+ *
+ * Implements the storage backend interface (see storage.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { formatDateFolder } = require('../utils/date');
+const { getSheetHeaders } = require('./invoice');
+
+let db = null;
+
+/**
+ * Open the database (lazily, so better-sqlite3 is only needed for this backend)
+ */
+function getDb() {
+    if (!db) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=local requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(config.storage.sqlitePath), { recursive: true });
+        db = new Database(config.storage.sqlitePath);
+        db.pragma('journal_mode = WAL');
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS receipt_rows (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                spreadsheet_id TEXT NOT NULL DEFAULT '',
+                sheet_name TEXT NOT NULL DEFAULT '',
+                receipt_id TEXT,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL DEFAULT (datetime('now'))
+            );
+            CREATE INDEX IF NOT EXISTS idx_receipt_rows_receipt_id ON receipt_rows (receipt_id);
+
+            CREATE TABLE IF NOT EXISTS usage (
+                key TEXT PRIMARY KEY,
+                count INTEGER NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE IF NOT EXISTS sequences (
+                key TEXT PRIMARY KEY,
+                value INTEGER NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE IF NOT EXISTS edits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                edited_at TEXT NOT NULL,
+                receipt_id TEXT NOT NULL,
+                field TEXT NOT NULL,
+                old_value TEXT,
+                new_value TEXT,
+                user_id TEXT,
+                user_name TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS usage_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                called_at TEXT NOT NULL,
+                month TEXT NOT NULL,
+                company_id TEXT NOT NULL,
+                user_id TEXT,
+                group_id TEXT,
+                provider TEXT,
+                model TEXT,
+                prompt_tokens INTEGER NOT NULL DEFAULT 0,
+                output_tokens INTEGER NOT NULL DEFAULT 0,
+                pages INTEGER NOT NULL DEFAULT 0,
+                retries INTEGER NOT NULL DEFAULT 0,
+                fallback_from TEXT,
+                cost REAL NOT NULL DEFAULT 0
+            );
+            CREATE INDEX IF NOT EXISTS idx_usage_ledger_month ON usage_ledger (month);
+        `);
+
+        logger.info(`Opened local SQLite storage: ${config.storage.sqlitePath}`);
+    }
+    return db;
+}
+
+/**
+ * Create the database and files directory
+ */
+async function initialize() {
+    getDb();
+    fs.mkdirSync(config.storage.filesDir, { recursive: true });
+}
+
+/**
+ * Append receipt rows (stored as JSON arrays, same layout as the sheet)
+ * @param {Array<Array>} rows - Rows from formatForSheets
+ * @param {Object} target - Optional { spreadsheetId, sheetName } (kept as labels)
+ */
+async function appendReceiptRows(rows, target = {}) {
+    const receiptIdIndex = getSheetHeaders().indexOf('Receipt ID');
+    const insert = getDb().prepare(
+        'INSERT INTO receipt_rows (spreadsheet_id, sheet_name, receipt_id, data) VALUES (?, ?, ?, ?)'
+    );
+
+    const insertAll = getDb().transaction(() => {
+        for (const row of rows) {
+            insert.run(target.spreadsheetId || '', target.sheetName || '', row[receiptIdIndex] || null, JSON.stringify(row));
+        }
+    });
+    insertAll();
+
+    logger.info(`Appended ${rows.length} row(s) to local storage`);
+    return { updates: { updatedRows: rows.length } };
+}
+
+/**
+ * Read receipt rows (in insertion order)
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @returns {Promise<Array<Array>>} Rows in the formatForSheets layout
+ */
+async function listReceiptRows(target = {}) {
+    const rows = getDb().prepare(
+        'SELECT data FROM receipt_rows WHERE spreadsheet_id = ? AND sheet_name = ? ORDER BY id'
+    ).all(target.spreadsheetId || '', target.sheetName || '');
+
+    return rows.map(row => JSON.parse(row.data));
+}
+
+/**
+ * Update cells of saved rows
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @param {Array<Object>} updates - [{ index, values: { [header]: value } }] (see storage.js)
+ */
+async function updateReceiptRows(target = {}, updates) {
+    const headers = getSheetHeaders();
+    const receiptIdIndex = headers.indexOf('Receipt ID');
+
+    const ids = getDb().prepare(
+        'SELECT id FROM receipt_rows WHERE spreadsheet_id = ? AND sheet_name = ? ORDER BY id'
+    ).all(target.spreadsheetId || '', target.sheetName || '').map(row => row.id);
+    const select = getDb().prepare('SELECT data FROM receipt_rows WHERE id = ?');
+    const update = getDb().prepare('UPDATE receipt_rows SET data = ?, receipt_id = ? WHERE id = ?');
+
+    const updateAll = getDb().transaction(() => {
+        for (const { index, values } of updates) {
+            const id = ids[index];
+            if (id === undefined) {
+                throw new Error(`No receipt row at index ${index}`);
+            }
+
+            const row = JSON.parse(select.get(id).data);
+            for (const [header, value] of Object.entries(values)) {
+                const column = headers.indexOf(header);
+                if (column === -1) {
+                    throw new Error(`Unknown column: ${header}`);
+                }
+                row[column] = value;
+            }
+            update.run(JSON.stringify(row), row[receiptIdIndex] || null, id);
+        }
+    });
+    updateAll();
+
+    logger.info(`Updated ${updates.length} row(s) in local storage`);
+}
+
+/**
+ * Delete saved rows
+ * @param {Object} target - Optional { spreadsheetId, sheetName }
+ * @param {Array<number>} indexes - Row positions in listReceiptRows()
+ */
+async function deleteReceiptRows(target = {}, indexes) {
+    const ids = getDb().prepare(
+        'SELECT id FROM receipt_rows WHERE spreadsheet_id = ? AND sheet_name = ? ORDER BY id'
+    ).all(target.spreadsheetId || '', target.sheetName || '').map(row => row.id);
+    const remove = getDb().prepare('DELETE FROM receipt_rows WHERE id = ?');
+
+    const deleteAll = getDb().transaction(() => {
+        for (const index of indexes) {
+            if (ids[index] === undefined) {
+                throw new Error(`No receipt row at index ${index}`);
+            }
+            remove.run(ids[index]);
+        }
+    });
+    deleteAll();
+
+    logger.info(`Deleted ${indexes.length} row(s) from local storage`);
+}
+
+/**
+ * Save a document to the files directory (in a YYYYMMDD folder)
+ * @param {Buffer} buffer - File data
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type (unused, kept for interface parity)
+ * @param {Object} target - Optional { folderId } - used as a sub-directory
+ * @returns {Promise<Object>} { id, name, url }
+ */
+async function storeDocument(buffer, fileName, mimeType, target = {}) {
+    const folder = path.join(config.storage.filesDir, target.folderId || '', formatDateFolder());
+    fs.mkdirSync(folder, { recursive: true });
+
+    // Never let a LINE-supplied file name escape the folder
+    const baseName = path.basename(fileName);
+    const extension = path.extname(baseName);
+
+    // Never overwrite another receipt's document - files keep the name they were sent with
+    // (two "invoice.pdf" on one day), so a taken name gets a -1, -2, ... suffix
+    let safeName = baseName;
+    let filePath = path.join(folder, safeName);
+    for (let suffix = 1; ; suffix++) {
+        try {
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            safeName = `${path.basename(baseName, extension)}-${suffix}${extension}`;
+            filePath = path.join(folder, safeName);
+        }
+    }
+
+    logger.info(`Saved document: ${filePath}`);
+
+    const relativePath = path.relative(config.storage.filesDir, filePath);
+    return {
+        id: relativePath,
+        name: safeName,
+        url: `file://${path.resolve(filePath)}`,
+    };
+}
+
+/**
+ * Read a stored document back
+ * @param {string} url - file:// URL from storeDocument (a #page=N suffix is ignored)
+ * @returns {Promise<Buffer>} File data
+ */
+async function readDocument(url) {
+    const filePath = path.resolve(String(url).replace(/^file:\/\//, '').replace(/#page=\d+$/, ''));
+    const filesDir = path.resolve(config.storage.filesDir);
+
+    // Only documents this backend stored - the URL comes from a sheet cell
+    if (!filePath.startsWith(`${filesDir}${path.sep}`)) {
+        throw new Error(`Not a stored document: ${url}`);
+    }
+    return fs.promises.readFile(filePath);
+}
+
+/**
+ * Get a usage counter
+ * @param {string} key - Counter key (e.g. YYYYMM)
+ * @returns {Promise<number>} Current count
+ */
+async function getUsageCount(key) {
+    const row = getDb().prepare('SELECT count FROM usage WHERE key = ?').get(key);
+    return row ? row.count : 0;
+}
+
+/**
+ * Increment a usage counter (atomic)
+ * @param {string} key - Counter key (e.g. YYYYMM)
+ * @param {number} amount - Amount to add (e.g. pages of a split PDF)
+ * @returns {Promise<number>} New count
+ */
+async function incrementUsage(key, amount = 1) {
+    const row = getDb().prepare(`
+        INSERT INTO usage (key, count) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET count = count + excluded.count
+        RETURNING count
+    `).get(key, amount);
+    return row.count;
+}
+
+/**
+ * Get the next value of a persistent sequence (atomic)
+ * @param {string} key - Sequence key (e.g. R250117)
+ * @returns {Promise<number>} Next value, starting at 1
+ */
+async function nextSequence(key) {
+    const row = getDb().prepare(`
+        INSERT INTO sequences (key, value) VALUES (?, 1)
+        ON CONFLICT (key) DO UPDATE SET value = value + 1
+        RETURNING value
+    `).get(key);
+    return row.value;
+}
+
+/**
+ * Record a correction made from chat
+ * @param {Object} entry - { editedAt, receiptId, field, oldValue, newValue, userId, userName }
+ */
+async function appendEditLog(entry) {
+    getDb().prepare(`
+        INSERT INTO edits (edited_at, receipt_id, field, old_value, new_value, user_id, user_name)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.editedAt,
+        entry.receiptId,
+        entry.field,
+        String(entry.oldValue ?? ''),
+        String(entry.newValue ?? ''),
+        entry.userId || null,
+        entry.userName || null
+    );
+}
+
+/**
+ * Record OCR calls with their estimated cost
+ * @param {Array<Object>} entries - Ledger entries (see storage.js)
+ */
+async function appendUsageLedger(entries) {
+    const insert = getDb().prepare(`
+        INSERT INTO usage_ledger (called_at, month, company_id, user_id, group_id, provider, model,
+            prompt_tokens, output_tokens, pages, retries, fallback_from, cost)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertAll = getDb().transaction(() => {
+        for (const entry of entries) {
+            insert.run(
+                entry.calledAt,
+                entry.month,
+                entry.companyId,
+                entry.userId || null,
+                entry.groupId || null,
+                entry.provider || null,
+                entry.model || null,
+                entry.promptTokens,
+                entry.outputTokens,
+                entry.pages,
+                entry.retries,
+                entry.fallbackFrom || null,
+                entry.cost
+            );
+        }
+    });
+    insertAll();
+}
+
+/**
+ * Read the ledger entries of a month
+ * @param {string} month - YYYYMM
+ * @returns {Promise<Array<Object>>} Ledger entries (see storage.js)
+ */
+async function listUsageLedger(month) {
+    return getDb().prepare(`
+        SELECT called_at AS calledAt, month, company_id AS companyId, user_id AS userId, group_id AS groupId,
+            provider, model, prompt_tokens AS promptTokens, output_tokens AS outputTokens, pages, retries,
+            fallback_from AS fallbackFrom, cost
+        FROM usage_ledger WHERE month = ? ORDER BY id
+    `).all(month);
+}
+
+module.exports = {
+    name: 'local',
+    rowsLabel: 'local database',
+    documentsLabel: 'local files',
+    initialize,
+    appendReceiptRows,
+    listReceiptRows,
+    updateReceiptRows,
+    deleteReceiptRows,
+    storeDocument,
+    readDocument,
+    getUsageCount,
+    incrementUsage,
+    nextSequence,
+    appendEditLog,
+    appendUsageLedger,
+    listUsageLedger,
+};
@@ -0,0 +1,68 @@
+/**
+ * Storage Service
+ * Selects where receipts, documents and usage counters are kept (STORAGE_BACKEND setting)
+ *
+ * Storage backend interface - every backend module exports:
+ * - name, rowsLabel, documentsLabel: identifiers / display names
+ * - initialize(): Promise<void> - create sheets/tables/folders if missing
+ * - appendReceiptRows(rows, target): Promise - append formatForSheets() rows
+ * - listReceiptRows(target): Promise<Array<Array>> - read rows back (same layout)
+ * - updateReceiptRows(target, updates): Promise - update cells of saved rows
+ *     updates: [{ index, values: { 'Receipt ID': 'R250117-004', ... } }]
+ *     index is the row's position in listReceiptRows(), values are keyed by sheet header
+ * - deleteReceiptRows(target, indexes): Promise - delete saved rows (positions in listReceiptRows())
+ * - storeDocument(buffer, fileName, mimeType, target): Promise<{ id, name, url }>
+ * - readDocument(url): Promise<Buffer> - read a stored document back (url from storeDocument,
+ *     optionally with a #page=N suffix)
+ * - getUsageCount(key): Promise<number>
+ * - incrementUsage(key, amount = 1): Promise<number> - add to a usage counter, returns the new count
+ * - nextSequence(key): Promise<number> - next value of a persistent counter (1, 2, ...),
+ *     unique even with concurrent callers / several instances
+ * - appendEditLog(entry): Promise - record a correction made from chat
+ *     entry: { editedAt, receiptId, field, oldValue, newValue, userId, userName }
+ * - appendUsageLedger(entries): Promise - record OCR calls with their estimated cost (see ledger.js)
+ *     entries: [{ calledAt, month, companyId, userId, groupId, provider, model,
+ *                 promptTokens, outputTokens, pages, retries, fallbackFrom, cost }]
+ * - listUsageLedger(month): Promise<Array<Object>> - ledger entries of a month (YYYYMM)
+ *
+ * target (optional, for per-company routing): { spreadsheetId, sheetName, folderId }
+ */
+
+const config = require('../config/env');
+
+// Backends are loaded lazily so unused SDKs / native modules are never loaded
+const BACKENDS = {
+    google: () => require('./googleStorage'),
+    local: () => require('./sqliteStorage'),
+};
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} Backend module
+ */
+function getBackend() {
+    const loadBackend = BACKENDS[config.storage.backend];
+
+    if (!loadBackend) {
+        throw new Error(`Unknown STORAGE_BACKEND: ${config.storage.backend} (available: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return loadBackend();
+}
+
+module.exports = {
+    getBackend,
+    initialize: (...args) => getBackend().initialize(...args),
+    appendReceiptRows: (...args) => getBackend().appendReceiptRows(...args),
+    listReceiptRows: (...args) => getBackend().listReceiptRows(...args),
+    updateReceiptRows: (...args) => getBackend().updateReceiptRows(...args),
+    deleteReceiptRows: (...args) => getBackend().deleteReceiptRows(...args),
+    storeDocument: (...args) => getBackend().storeDocument(...args),
+    readDocument: (...args) => getBackend().readDocument(...args),
+    getUsageCount: (...args) => getBackend().getUsageCount(...args),
+    incrementUsage: (...args) => getBackend().incrementUsage(...args),
+    nextSequence: (...args) => getBackend().nextSequence(...args),
+    appendEditLog: (...args) => getBackend().appendEditLog(...args),
+    appendUsageLedger: (...args) => getBackend().appendUsageLedger(...args),
+    listUsageLedger: (...args) => getBackend().listUsageLedger(...args),
+};
@@ -0,0 +1,182 @@
+/**
+ * Thai Tax ID Service
+ * Validates 13-digit Thai Tax IDs (เลขประจำตัวผู้เสียภาษีอากร) with the mod-11 check digit,
+ * and recovers the right ID from the rest of the document when the extracted one is wrong
+ *
+ * Check digit: the first 12 digits are weighted 13..2 and summed, then
+ * digit 13 = (11 - sum mod 11) mod 10
+ *
+ * Status of each extracted ID (invoice.sellerTaxIdStatus / buyerTaxIdStatus, both in the
+ * Tax ID Status column - see formatStatusCell):
+ * - 'valid':     check digit is correct
+ * - 'corrected': check digit was wrong, replaced by a valid number found elsewhere in the document
+ *                that differs in at most MAX_CORRECTED_DIGITS digits (a misread, not another party's ID)
+ * - 'invalid':   check digit is wrong and no replacement was found (can't be used to claim VAT)
+ * - null:        no Tax ID on the document
+ */
+
+// Sheet labels (Tax ID Status column)
+const STATUS_LABELS = {
+    valid: 'Valid',
+    corrected: 'Corrected',
+    invalid: 'Invalid',
+};
+
+// A replacement may differ from the extracted ID in this many digits at most
+const MAX_CORRECTED_DIGITS = 2;
+
+/**
+ * Check a Tax ID's check digit
+ * @param {string} taxId - 13 digits
+ * @returns {boolean}
+ */
+function isValidTaxId(taxId) {
+    const digits = String(taxId || '');
+    if (!/^\d{13}$/.test(digits)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(digits[i]) * (13 - i);
+    }
+    return (11 - (sum % 11)) % 10 === Number(digits[12]);
+}
+
+/**
+ * Find valid Tax IDs in free text
+ * Accepts plain 13-digit numbers and the printed form with dashes/spaces (0-1055-12345-67-8)
+ * @param {string} text - Document text
+ * @returns {Array<string>} Valid 13-digit Tax IDs, in order of appearance, without duplicates
+ */
+function findTaxIdCandidates(text) {
+    const matches = String(text || '').match(/(?<!\d)\d(?:[ -]?\d){12}(?!\d)/g) || [];
+    const candidates = matches
+        .map(match => match.replace(/\D/g, ''))
+        .filter(isValidTaxId);
+    return [...new Set(candidates)];
+}
+
+/**
+ * Number of differing digits (a misread digit or two means "probably the same ID")
+ */
+function countDifferentDigits(a, b) {
+    let count = 0;
+    for (let i = 0; i < 13; i++) {
+        if (a[i] !== b[i]) count++;
+    }
+    return count;
+}
+
+/**
+ * Verify one Tax ID, replacing an invalid one with the closest valid number in the document
+ * (only a number that differs in a digit or two - anything else is some other ID)
+ * @param {string|null} taxId - Extracted 13-digit Tax ID
+ * @param {Object} options - { documentText, exclude } - exclude: IDs that belong to the other party
+ * @returns {Object} { taxId, status }
+ */
+function verifyTaxId(taxId, { documentText = '', exclude = [] } = {}) {
+    if (!taxId) {
+        return { taxId: null, status: null };
+    }
+    if (isValidTaxId(taxId)) {
+        return { taxId, status: 'valid' };
+    }
+
+    const candidates = findTaxIdCandidates(documentText)
+        .filter(candidate => !exclude.includes(candidate))
+        .filter(candidate => countDifferentDigits(candidate, taxId) <= MAX_CORRECTED_DIGITS)
+        .sort((a, b) => countDifferentDigits(a, taxId) - countDifferentDigits(b, taxId));
+
+    if (candidates.length > 0) {
+        return { taxId: candidates[0], status: 'corrected' };
+    }
+    return { taxId, status: 'invalid' };
+}
+
+/**
+ * Verify the seller and buyer Tax IDs of an invoice
+ * @param {string|null} sellerTaxId - Extracted seller Tax ID (13 digits)
+ * @param {string|null} buyerTaxId - Extracted buyer Tax ID (13 digits)
+ * @param {string} documentText - Full document text to look for replacements in
+ * @returns {Object} { sellerTaxId, sellerTaxIdStatus, buyerTaxId, buyerTaxIdStatus, reviewFlags }
+ */
+function verifyInvoiceTaxIds(sellerTaxId, buyerTaxId, documentText = '') {
+    // The buyer's ID is printed on the same document - never "correct" the seller's ID to it
+    const seller = verifyTaxId(sellerTaxId, {
+        documentText,
+        exclude: isValidTaxId(buyerTaxId) ? [buyerTaxId] : [],
+    });
+    const buyer = verifyTaxId(buyerTaxId, {
+        documentText,
+        exclude: seller.taxId ? [seller.taxId] : [],
+    });
+
+    const reviewFlags = [];
+    if (seller.status === 'invalid' || seller.status === 'corrected') {
+        reviewFlags.push(`taxId:seller${STATUS_LABELS[seller.status]}`);
+    }
+    if (buyer.status === 'invalid' || buyer.status === 'corrected') {
+        reviewFlags.push(`taxId:buyer${STATUS_LABELS[buyer.status]}`);
+    }
+
+    return {
+        sellerTaxId: seller.taxId,
+        sellerTaxIdStatus: seller.status,
+        buyerTaxId: buyer.taxId,
+        buyerTaxIdStatus: buyer.status,
+        reviewFlags,
+    };
+}
+
+/**
+ * Sheet label for a Tax ID status
+ * @param {string|null} status - 'valid' | 'corrected' | 'invalid' | null
+ * @returns {string} Label ('' when there is no Tax ID)
+ */
+function getStatusLabel(status) {
+    return STATUS_LABELS[status] || '';
+}
+
+/**
+ * Tax ID Status cell - the result of each party that has a Tax ID
+ * @param {string|null} sellerStatus - Seller's status
+ * @param {string|null} buyerStatus - Buyer's status
+ * @returns {string} e.g. "Seller: Valid / Buyer: Invalid" ('' when there is no Tax ID)
+ */
+function formatStatusCell(sellerStatus, buyerStatus) {
+    return [['Seller', sellerStatus], ['Buyer', buyerStatus]]
+        .filter(([, status]) => STATUS_LABELS[status])
+        .map(([party, status]) => `${party}: ${STATUS_LABELS[status]}`)
+        .join(' / ');
+}
+
+/**
+ * Format Tax ID problems for the LINE reply
+ * @param {Object} invoice - Normalized invoice data
+ * @returns {Array<string>} Message lines (empty if the Tax IDs are fine)
+ */
+function formatTaxIdLines(invoice) {
+    const lines = [];
+    const parties = [
+        ['ผู้ขาย', invoice.sellerTaxId, invoice.sellerTaxIdStatus],
+        ['ผู้ซื้อ', invoice.buyerTaxId, invoice.buyerTaxIdStatus],
+    ];
+
+    for (const [party, taxId, status] of parties) {
+        if (status === 'invalid') {
+            lines.push(`⚠️ Tax ID ${party} ${taxId} ไม่ถูกต้อง (check digit ผิด)`);
+        } else if (status === 'corrected') {
+            lines.push(`⚠️ Tax ID ${party} อ่านผิด ใช้เลขที่พบในเอกสารแทน: ${taxId}`);
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    isValidTaxId,
+    findTaxIdCandidates,
+    verifyTaxId,
+    verifyInvoiceTaxIds,
+    getStatusLabel,
+    formatStatusCell,
+    formatTaxIdLines,
+};
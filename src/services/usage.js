@@ -1,43 +1,56 @@
 /**
  * Usage Tracking Service
- * Tracks OCR API usage per month with configurable limits
+ * Tracks OCR API usage per month with configurable limits - per company, and per user and
+ * group inside a company, so one heavy sender can't use up the whole company quota
+ *
+ * Counter keys: YYYYMM for the default company, <companyId>:YYYYMM for registered companies,
+ * with user:<userId>: / group:<groupId>: before the month for a member's / group's own counter
+ * (e.g. acme:user:U1234:202501)
+ *
+ * Limits, first match wins:
+ * - company: /limit (admin.js) > registry monthlyLimit > OCR_MONTHLY_LIMIT
+ * - user / group: /limit user|group (admin.js) > registry userLimits / groupLimits >
+ *   registry userLimit / groupLimit > OCR_USER_MONTHLY_LIMIT / OCR_GROUP_MONTHLY_LIMIT (0 = no limit)
+ * - budget (THB): registry monthlyBudget > OCR_MONTHLY_BUDGET, against the spend in the usage ledger (ledger.js)
  * 
- * Storage Options:
- * 1. Google Sheets (recommended for multi-instance) - stores in a dedicated sheet
- * 2. Local JSON file (simple, single instance)
- * 
- * This implementation uses Google Sheets for persistence across deployments
+ * Counters are persisted by the storage backend (storage.js):
+ * 1. Google Sheets (recommended for multi-instance) - stores in a dedicated "Usage" sheet
+ * 2. Local SQLite (on-prem / development)
  */
 
-const { google } = require('googleapis');
-const config = require('../config/env');
 const logger = require('../utils/logger');
+const storageService = require('./storage');
+const { DEFAULT_COMPANY_ID } = require('./companies');
+const adminService = require('./admin');
+const ledgerService = require('./ledger');
 
 // Usage limits - configurable via environment variables
 const MONTHLY_LIMIT = parseInt(process.env.OCR_MONTHLY_LIMIT, 10) || 975;
+const USER_MONTHLY_LIMIT = parseInt(process.env.OCR_USER_MONTHLY_LIMIT, 10) || 0;
+const GROUP_MONTHLY_LIMIT = parseInt(process.env.OCR_GROUP_MONTHLY_LIMIT, 10) || 0;
 const QUOTA_EXCEEDED_MESSAGE = process.env.OCR_QUOTA_MESSAGE || 'You are out of OCR quota, please contact admin.'
 
-// Cache for current month's usage
-let usageCache = {
-    month: null,  // Format: YYYYMM
-    count: 0,
-    lastUpdated: null,
+// Shown while an admin has paused OCR (/pause)
+const OCR_PAUSED_MESSAGE = 'ระบบหยุดอ่านใบเสร็จชั่วคราว กรุณาส่งใหม่ภายหลัง';
+
+// Why OCR stopped, by the quota that was used up
+const LIMIT_MESSAGES = {
+    company: QUOTA_EXCEEDED_MESSAGE,
+    budget: QUOTA_EXCEEDED_MESSAGE,
+    group: 'This group has used its OCR quota for this month.',
+    user: 'You have used your personal OCR quota for this month.',
 };
 
-// Initialize Sheets client
-let sheetsClient = null;
+const QUOTA_LABELS = {
+    company: '🏢 Company',
+    budget: '💸 Budget',
+    group: '👥 Group',
+    user: '👤 Personal',
+};
 
-function getClient() {
-    if (!sheetsClient) {
-        const credentials = config.google.getCredentials();
-        const auth = new google.auth.GoogleAuth({
-            credentials,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-        });
-        sheetsClient = google.sheets({ version: 'v4', auth });
-    }
-    return sheetsClient;
-}
+// Cache for current month's usage, per counter key
+// key -> { month: YYYYMM, count, lastUpdated }
+const usageCache = new Map();
 
 /**
  * Get current month key in YYYYMM format
@@ -51,221 +64,272 @@ function getCurrentMonthKey() {
 }
 
 /**
- * Get usage count for current month from Google Sheets
- * Uses a dedicated "Usage" sheet in the same spreadsheet
- * @returns {Promise<number>} Current month's usage count
+ * Get the usage counter key for a company, or for a user / group inside it
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @param {string} month - Month key (YYYYMM)
+ * @param {Object} [subject] - { kind: 'user'|'group', id } for a member's / group's own counter
+ * @returns {string} Counter key
  */
-async function getUsageCount() {
-    const currentMonth = getCurrentMonthKey();
+function getUsageKey(company, month, subject) {
+    const prefix = !company || company.id === DEFAULT_COMPANY_ID ? '' : `${company.id}:`;
+    const scope = subject ? `${subject.kind}:${subject.id}:` : '';
+    return `${prefix}${scope}${month}`;
+}
+
+/**
+ * Get the monthly limit for a company
+ * A limit set by an admin from chat wins over the configured one
+ * @param {Object} company - Company (see companies.js)
+ * @returns {number} Monthly limit
+ */
+function getMonthlyLimit(company) {
+    return adminService.getMonthlyLimit('company', company?.id || DEFAULT_COMPANY_ID) ?? (company?.monthlyLimit || MONTHLY_LIMIT);
+}
 
-    // Return cached value if still valid (same month, updated within last minute)
-    if (usageCache.month === currentMonth &&
-        usageCache.lastUpdated &&
-        Date.now() - usageCache.lastUpdated < 60000) {
-        return usageCache.count;
+/**
+ * Get the monthly limit of a user or group inside a company
+ * @param {Object} company - Company (see companies.js)
+ * @param {Object} subject - { kind: 'user'|'group', id }
+ * @returns {number|null} Monthly limit, or null for no limit of its own
+ */
+function getSubjectLimit(company, { kind, id }) {
+    const override = adminService.getMonthlyLimit(kind, id);
+    if (override !== null) {
+        return override;
     }
 
-    const sheets = getClient();
-    const spreadsheetId = config.sheets.spreadsheetId;
+    const limits = (kind === 'user' ? company?.userLimits : company?.groupLimits) || {};
+    if (limits[id] !== undefined) {
+        return limits[id];
+    }
 
-    try {
-        // Try to read from Usage sheet
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Usage!A:B',
-        });
+    const limit = kind === 'user'
+        ? company?.userLimit || USER_MONTHLY_LIMIT
+        : company?.groupLimit || GROUP_MONTHLY_LIMIT;
+    return limit || null;
+}
 
-        const rows = response.data.values || [];
+/**
+ * Users / groups with their own counter for a request
+ * @param {Object} requester - { userId, groupId } - groupId is set for receipts sent in a group
+ * @returns {Array<Object>} [{ kind, id }]
+ */
+function getSubjects(requester = {}) {
+    return [
+        requester.groupId ? { kind: 'group', id: requester.groupId } : null,
+        requester.userId ? { kind: 'user', id: requester.userId } : null,
+    ].filter(Boolean);
+}
 
-        // Find current month's row
-        for (const row of rows) {
-            if (row[0] === currentMonth) {
-                const count = parseInt(row[1], 10) || 0;
-                usageCache = { month: currentMonth, count, lastUpdated: Date.now() };
-                return count;
-            }
-        }
+/**
+ * Read a usage counter for the current month from the storage backend
+ * @param {string} key - Counter key (see getUsageKey)
+ * @returns {Promise<number>} Count
+ */
+async function readCounter(key) {
+    const currentMonth = getCurrentMonthKey();
+    const cached = usageCache.get(key);
 
-        // No entry for current month - it's 0
-        usageCache = { month: currentMonth, count: 0, lastUpdated: Date.now() };
-        return 0;
+    // Return cached value if still valid (updated within last minute)
+    if (cached && cached.lastUpdated && Date.now() - cached.lastUpdated < 60000) {
+        return cached.count;
+    }
 
+    try {
+        const count = await storageService.getUsageCount(key);
+        usageCache.set(key, { month: currentMonth, count, lastUpdated: Date.now() });
+        return count;
     } catch (error) {
-        // If Usage sheet doesn't exist, try to create it
-        if (error.message?.includes('Unable to parse range')) {
-            await initializeUsageSheet();
-            usageCache = { month: currentMonth, count: 0, lastUpdated: Date.now() };
-            return 0;
-        }
-
         logger.error('Failed to get usage count', error);
         // Return cached value or 0 on error (fail open for UX)
-        return usageCache.count || 0;
+        return cached?.count || 0;
     }
 }
 
 /**
- * Increment usage count for current month
- * @returns {Promise<number>} New usage count
+ * Add to a usage counter for the current month
+ * @param {string} key - Counter key (see getUsageKey)
+ * @param {number} count - Amount to add
+ * @returns {Promise<number>} New count
  */
-async function incrementUsage() {
+async function addToCounter(key, count) {
     const currentMonth = getCurrentMonthKey();
-    const sheets = getClient();
-    const spreadsheetId = config.sheets.spreadsheetId;
 
     try {
-        // Get current count
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Usage!A:B',
-        });
-
-        const rows = response.data.values || [];
-        let rowIndex = -1;
-        let currentCount = 0;
-
-        // Find current month's row
-        for (let i = 0; i < rows.length; i++) {
-            if (rows[i][0] === currentMonth) {
-                rowIndex = i + 1; // Sheets are 1-indexed
-                currentCount = parseInt(rows[i][1], 10) || 0;
-                break;
-            }
-        }
-
-        const newCount = currentCount + 1;
-
-        if (rowIndex > 0) {
-            // Update existing row
-            await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: `Usage!B${rowIndex}`,
-                valueInputOption: 'RAW',
-                requestBody: {
-                    values: [[newCount]],
-                },
-            });
-        } else {
-            // Append new row for this month
-            await sheets.spreadsheets.values.append({
-                spreadsheetId,
-                range: 'Usage!A:B',
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                requestBody: {
-                    values: [[currentMonth, newCount]],
-                },
-            });
-        }
+        const newCount = await storageService.incrementUsage(key, count);
 
         // Update cache
-        usageCache = { month: currentMonth, count: newCount, lastUpdated: Date.now() };
-
-        logger.info(`OCR usage incremented: ${newCount}/${MONTHLY_LIMIT}`);
+        usageCache.set(key, { month: currentMonth, count: newCount, lastUpdated: Date.now() });
         return newCount;
 
     } catch (error) {
         logger.error('Failed to increment usage', error);
         // Still increment cache for approximate tracking
-        usageCache.count = (usageCache.count || 0) + 1;
-        return usageCache.count;
+        const cached = usageCache.get(key) || { month: currentMonth, count: 0, lastUpdated: null };
+        cached.count += count;
+        usageCache.set(key, cached);
+        return cached.count;
+    }
+}
+
+/**
+ * Get usage count for current month from the storage backend
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @returns {Promise<number>} Current month's usage count
+ */
+async function getUsageCount(company) {
+    return readCounter(getUsageKey(company, getCurrentMonthKey()));
+}
+
+/**
+ * Increment usage count for current month (the company's, and the sender's and group's)
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @param {number} count - OCR runs to add (e.g. one per page of a split PDF)
+ * @param {Object} [requester] - { userId, groupId } of the sender, omit to count for the company only
+ * @returns {Promise<number>} New company usage count
+ */
+async function incrementUsage(company, count = 1, requester = {}) {
+    const currentMonth = getCurrentMonthKey();
+    const key = getUsageKey(company, currentMonth);
+
+    const newCount = await addToCounter(key, count);
+    for (const subject of getSubjects(requester)) {
+        await addToCounter(getUsageKey(company, currentMonth, subject), count);
+    }
+
+    logger.info(`OCR usage incremented: ${newCount}/${getMonthlyLimit(company)}`, { key, ...requester });
+    return newCount;
+}
+
+/**
+ * Get every quota that applies to a request, company first
+ * @param {Object} company - Company (see companies.js)
+ * @param {Object} requester - { userId, groupId }
+ * @returns {Promise<Array<Object>>} [{ kind, id, used, limit }] - limit null = no limit of its own
+ */
+async function getQuotas(company, requester = {}) {
+    const currentMonth = getCurrentMonthKey();
+    const quotas = [{
+        kind: 'company',
+        id: company?.id || DEFAULT_COMPANY_ID,
+        used: await getUsageCount(company),
+        limit: getMonthlyLimit(company),
+    }];
+
+    for (const subject of getSubjects(requester)) {
+        quotas.push({
+            ...subject,
+            used: await readCounter(getUsageKey(company, currentMonth, subject)),
+            limit: getSubjectLimit(company, subject),
+        });
     }
+    return quotas;
+}
+
+/**
+ * Format why OCR stopped for a quota that was used up
+ * @param {Object} quota - From getQuotas
+ * @returns {string} Message
+ */
+function formatLimitMessage(quota) {
+    const format = quota.kind === 'budget' ? ledgerService.formatMoney : value => value;
+    return `${LIMIT_MESSAGES[quota.kind]}\n\n${QUOTA_LABELS[quota.kind]} quota: ${format(quota.used)}/${format(quota.limit)}`;
 }
 
 /**
- * Check if OCR is available (under quota limit)
+ * Check if OCR is available (not paused by an admin, under the company, group and user limits
+ * and the company's monthly budget)
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @param {Object} [requester] - { userId, groupId } of the sender, omit to check the company only
  * @returns {Promise<Object>} Status object with canUseOCR and message
+ *   (limitHit: 'company'|'group'|'user'|'budget' when a quota is used up, remaining: the smallest remaining quota)
  */
-async function checkOCRAvailability() {
-    const count = await getUsageCount();
+async function checkOCRAvailability(company, requester = {}) {
+    const quotas = await getQuotas(company, requester);
+    const [companyQuota] = quotas;
+    const limited = quotas.filter(quota => quota.limit !== null);
+    const remaining = Math.max(0, Math.min(...limited.map(quota => quota.limit - quota.used)));
+    const status = {
+        count: companyQuota.used,
+        limit: companyQuota.limit,
+        remaining,
+    };
+
+    if (adminService.getOcrPause()) {
+        return {
+            ...status,
+            canUseOCR: false,
+            paused: true,
+            limitHit: null,
+            message: OCR_PAUSED_MESSAGE,
+        };
+    }
+
+    const hit = limited.find(quota => quota.used >= quota.limit);
+    if (hit) {
+        return {
+            ...status,
+            canUseOCR: false,
+            limitHit: hit.kind,
+            message: formatLimitMessage(hit),
+        };
+    }
 
-    if (count >= MONTHLY_LIMIT) {
+    const spend = await ledgerService.getSpendSummary(company);
+    if (spend.isBudgetExceeded) {
         return {
+            ...status,
             canUseOCR: false,
-            count,
-            limit: MONTHLY_LIMIT,
-            remaining: 0,
-            message: QUOTA_EXCEEDED_MESSAGE,
+            limitHit: 'budget',
+            message: formatLimitMessage({ kind: 'budget', used: spend.spent, limit: spend.budget }),
         };
     }
 
     return {
+        ...status,
         canUseOCR: true,
-        count,
-        limit: MONTHLY_LIMIT,
-        remaining: MONTHLY_LIMIT - count,
+        limitHit: null,
         message: null,
     };
 }
 
-/**
- * Initialize the Usage sheet if it doesn't exist
- */
-async function initializeUsageSheet() {
-    const sheets = getClient();
-    const spreadsheetId = config.sheets.spreadsheetId;
-
-    try {
-        // First, check if the sheet already exists
-        const spreadsheet = await sheets.spreadsheets.get({
-            spreadsheetId,
-        });
-
-        const usageSheetExists = spreadsheet.data.sheets?.some(
-            (sheet) => sheet.properties?.title === 'Usage'
-        );
-
-        if (!usageSheetExists) {
-            // Add Usage sheet
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                requestBody: {
-                    requests: [
-                        {
-                            addSheet: {
-                                properties: {
-                                    title: 'Usage',
-                                },
-                            },
-                        },
-                    ],
-                },
-            });
-
-            // Add header row
-            await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: 'Usage!A1:B1',
-                valueInputOption: 'RAW',
-                requestBody: {
-                    values: [['Month', 'Count']],
-                },
-            });
-
-            logger.info('Created Usage tracking sheet');
-        }
-    } catch (error) {
-        logger.error('Failed to initialize Usage sheet', error);
-        throw error;
-    }
-}
-
 /**
  * Get usage statistics for display
- * @returns {Promise<Object>} Usage stats
+ * @param {Object} company - Company (see companies.js), omit for the default company
+ * @param {Object} [requester] - { userId, groupId } to include the sender's / group's own quota
+ * @returns {Promise<Object>} Usage stats (user / group: { id, used, limit, remaining } or null;
+ *   limit and remaining are null when there is no limit of its own; spend: ledgerService.getSpendSummary())
  */
-async function getUsageStats() {
-    const count = await getUsageCount();
+async function getUsageStats(company, requester = {}) {
+    const [companyQuota, ...subjectQuotas] = await getQuotas(company, requester);
     const currentMonth = getCurrentMonthKey();
+    const { used: count, limit } = companyQuota;
+
+    const subjectStats = kind => {
+        const quota = subjectQuotas.find(candidate => candidate.kind === kind);
+        if (!quota) return null;
+        return {
+            id: quota.id,
+            used: quota.used,
+            limit: quota.limit,
+            remaining: quota.limit === null ? null : Math.max(0, quota.limit - quota.used),
+            isQuotaExceeded: quota.limit !== null && quota.used >= quota.limit,
+        };
+    };
 
     return {
+        companyId: company?.id || DEFAULT_COMPANY_ID,
         month: currentMonth,
         monthDisplay: `${currentMonth.substring(0, 4)}-${currentMonth.substring(4)}`,
         used: count,
-        limit: MONTHLY_LIMIT,
-        remaining: Math.max(0, MONTHLY_LIMIT - count),
-        percentUsed: Math.round((count / MONTHLY_LIMIT) * 100),
-        isQuotaExceeded: count >= MONTHLY_LIMIT,
+        limit,
+        remaining: Math.max(0, limit - count),
+        percentUsed: limit > 0 ? Math.round((count / limit) * 100) : 100,
+        isQuotaExceeded: count >= limit,
+        isPaused: Boolean(adminService.getOcrPause()),
+        group: subjectStats('group'),
+        user: subjectStats('user'),
+        spend: await ledgerService.getSpendSummary(company),
     };
 }
 
@@ -275,6 +339,5 @@ module.exports = {
     getUsageCount,
     incrementUsage,
     checkOCRAvailability,
-    initializeUsageSheet,
     getUsageStats,
 };
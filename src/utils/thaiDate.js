@@ -0,0 +1,174 @@
+/**
+ * Thai Date Parsing Utilities
+ * Turns dates as printed on Thai receipts into YYYY-MM-DD
+ *
+ * Handles:
+ * - Buddhist Era years (พ.ศ. = ค.ศ. + 543), 4-digit (2569) and 2-digit (69)
+ * - Thai month names, full (มกราคม) and abbreviated (ม.ค. / มค), and English names
+ * - Thai numerals (๑๑/๐๑/๒๕๖๙)
+ * - DD/MM/YYYY ordering (swapped only when the month can't be a month)
+ */
+
+const BE_OFFSET = 543;
+const THAI_DIGITS = '๐๑๒๓๔๕๖๗๘๙';
+
+// Dates more than this many days before processing are flagged as old
+const MAX_AGE_DAYS = 365;
+
+// Month names by month number (compared without dots/spaces, lowercase)
+const MONTH_NAMES = [
+    ['มกราคม', 'มค', 'jan', 'january'],
+    ['กุมภาพันธ์', 'กพ', 'feb', 'february'],
+    ['มีนาคม', 'มีค', 'mar', 'march'],
+    ['เมษายน', 'เมย', 'apr', 'april'],
+    ['พฤษภาคม', 'พค', 'may'],
+    ['มิถุนายน', 'มิย', 'jun', 'june'],
+    ['กรกฎาคม', 'กค', 'jul', 'july'],
+    ['สิงหาคม', 'สค', 'aug', 'august'],
+    ['กันยายน', 'กย', 'sep', 'sept', 'september'],
+    ['ตุลาคม', 'ตค', 'oct', 'october'],
+    ['พฤศจิกายน', 'พย', 'nov', 'november'],
+    ['ธันวาคม', 'ธค', 'dec', 'december'],
+];
+
+const MONTH_LOOKUP = new Map(
+    MONTH_NAMES.flatMap((names, index) => names.map(name => [name, index + 1]))
+);
+
+/**
+ * Replace Thai numerals with Arabic digits
+ * @param {string} text - Text that may contain ๐-๙
+ * @returns {string} Text with 0-9
+ */
+function toArabicDigits(text) {
+    return String(text).replace(/[๐-๙]/g, digit => String(THAI_DIGITS.indexOf(digit)));
+}
+
+/**
+ * Look up a month name
+ * @param {string} name - e.g. "ม.ค.", "มกราคม", "Jan"
+ * @returns {number|null} Month 1-12
+ */
+function parseMonthName(name) {
+    const key = String(name || '').replace(/[.\s]/g, '').toLowerCase();
+    return MONTH_LOOKUP.get(key) || null;
+}
+
+/**
+ * Convert a printed year to a Gregorian year
+ * 2-digit years may be BE (69 = 2569 = 2026) or CE (26 = 2026) - the one closest to the
+ * reference date wins
+ * @param {string} yearText - Printed year
+ * @param {Date} referenceDate - Processing date
+ * @param {string|null} era - 'BE' / 'CE' if the document says so (พ.ศ. / ค.ศ.)
+ * @returns {number} Gregorian year
+ */
+function resolveYear(yearText, referenceDate, era = null) {
+    const year = parseInt(yearText, 10);
+
+    if (yearText.length === 4) {
+        if (era === 'CE') return year;
+        return year >= 2400 ? year - BE_OFFSET : year;
+    }
+
+    const asBE = 2500 + year - BE_OFFSET;
+    const asCE = 2000 + year;
+    if (era === 'BE') return asBE;
+    if (era === 'CE') return asCE;
+
+    const referenceYear = referenceDate.getFullYear();
+    return Math.abs(asBE - referenceYear) < Math.abs(asCE - referenceYear) ? asBE : asCE;
+}
+
+/**
+ * Detect an explicit era marker
+ */
+function detectEra(text) {
+    if (/พ\.?\s?ศ\.?|B\.?E\./i.test(text)) return 'BE';
+    if (/ค\.?\s?ศ\.?|A\.?D\./i.test(text)) return 'CE';
+    return null;
+}
+
+/**
+ * Build YYYY-MM-DD if the date exists
+ */
+function toIsoDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a date as printed on a Thai receipt
+ * @param {string} text - e.g. "11/01/69", "11 ม.ค. 2569", "๑๑/๐๑/๒๕๖๙", "2569-01-11"
+ * @param {Date} referenceDate - Processing date (resolves 2-digit years)
+ * @returns {string|null} YYYY-MM-DD, or null if no date was recognized
+ */
+function parseThaiDate(text, referenceDate = new Date()) {
+    if (!text) return null;
+
+    const value = toArabicDigits(text).trim();
+    const era = detectEra(value);
+    let match;
+
+    // Year first: 2026-01-11, 2569/01/11
+    match = value.match(/(?<!\d)(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?!\d)/);
+    if (match) {
+        return toIsoDate(resolveYear(match[1], referenceDate, era), parseInt(match[2], 10), parseInt(match[3], 10));
+    }
+
+    // Day first: 11/01/69, 11.01.2569, 11-1-2026
+    match = value.match(/(?<!\d)(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?!\d)/);
+    if (match) {
+        let day = parseInt(match[1], 10);
+        let month = parseInt(match[2], 10);
+        if (month > 12 && day <= 12) {
+            // Only possible as MM/DD
+            [day, month] = [month, day];
+        }
+        return toIsoDate(resolveYear(match[3], referenceDate, era), month, day);
+    }
+
+    // Day, month name, year: 11 ม.ค. 2569, 11 มกราคม พ.ศ. 2569, 11 Jan 2026
+    match = value.match(/(?<!\d)(\d{1,2})\s*([ก-๛a-zA-Z.]+?)\s*(?:พ\.?\s?ศ\.?|ค\.?\s?ศ\.?)?\s*(\d{4}|\d{2})(?!\d)/);
+    if (match && parseMonthName(match[2])) {
+        return toIsoDate(resolveYear(match[3], referenceDate, era), parseMonthName(match[2]), parseInt(match[1], 10));
+    }
+
+    // Month name, day, year: Jan 11, 2026
+    match = value.match(/([a-zA-Z]+)\.?\s+(\d{1,2}),?\s+(\d{4})(?!\d)/);
+    if (match && parseMonthName(match[1])) {
+        return toIsoDate(resolveYear(match[3], referenceDate, era), parseMonthName(match[1]), parseInt(match[2], 10));
+    }
+
+    return null;
+}
+
+/**
+ * Sanity-check an invoice date against the processing date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {Date} referenceDate - Processing date
+ * @returns {string|null} 'future', 'old' (more than a year before processing) or null if plausible
+ */
+function checkDateRange(isoDate, referenceDate = new Date()) {
+    const match = String(isoDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const today = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+    const days = Math.round((date - today) / (24 * 60 * 60 * 1000));
+
+    // One day of slack for time zones
+    if (days > 1) return 'future';
+    if (days < -MAX_AGE_DAYS) return 'old';
+    return null;
+}
+
+module.exports = {
+    toArabicDigits,
+    parseMonthName,
+    parseThaiDate,
+    checkDateRange,
+};
@@ -0,0 +1,33 @@
+/**
+ * Who may edit or delete a saved receipt (src/services/admin.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').silent = true;
+const config = require('../src/config/env');
+const { canChangeReceipt } = require('../src/services/admin');
+
+config.admin.userIds = ['Uadmin'];
+
+const company = { id: 'acme', reviewers: ['Ureviewer'] };
+const record = { 'Receipt ID': 'R260115-001', 'User ID': 'Usubmitter' };
+
+test('canChangeReceipt lets the submitter change their own receipt', () => {
+    assert.equal(canChangeReceipt(company, record, 'Usubmitter'), true);
+});
+
+test('canChangeReceipt lets the company\'s reviewers and admins change any receipt', () => {
+    assert.equal(canChangeReceipt(company, record, 'Ureviewer'), true);
+    assert.equal(canChangeReceipt(company, record, 'Uadmin'), true);
+});
+
+test('canChangeReceipt refuses everyone else', () => {
+    assert.equal(canChangeReceipt(company, record, 'Uother'), false);
+});
+
+test('canChangeReceipt refuses a change without a user ID', () => {
+    assert.equal(canChangeReceipt(company, { 'User ID': '' }, ''), false);
+    assert.equal(canChangeReceipt(company, { 'User ID': undefined }, undefined), false);
+});
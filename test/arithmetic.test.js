@@ -0,0 +1,97 @@
+/**
+ * Arithmetic reconciliation (src/services/arithmetic.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkInvoice, applyReviewFlags } = require('../src/services/arithmetic');
+
+/**
+ * A receipt that adds up: 1,000 + 7% VAT
+ */
+function buildInvoice(overrides = {}) {
+    return {
+        grandTotal: 1070,
+        subtotal: 1000,
+        vatAmount: 70,
+        lineItems: [
+            { itemNumber: 1, lineType: 'item', description: 'A', quantity: 2, unitPrice: 250, amount: 500 },
+            { itemNumber: 2, lineType: 'item', description: 'B', quantity: 1, unitPrice: 500, amount: 500 },
+        ],
+        ...overrides,
+    };
+}
+
+const getChecks = invoice => checkInvoice(invoice).map(issue => issue.check);
+
+test('checkInvoice finds nothing wrong with a receipt that adds up', () => {
+    assert.deepEqual(checkInvoice(buildInvoice()), []);
+});
+
+test('checkInvoice accepts VAT as a line item', () => {
+    const invoice = buildInvoice({
+        vatAmount: null,
+        lineItems: [
+            { itemNumber: 1, lineType: 'item', description: 'A', amount: 1000 },
+            { itemNumber: 2, lineType: 'vat', description: 'VAT 7%', amount: 70 },
+        ],
+    });
+    assert.deepEqual(checkInvoice(invoice), []);
+});
+
+test('checkInvoice skips a receipt without a grand total', () => {
+    assert.deepEqual(checkInvoice(buildInvoice({ grandTotal: null })), []);
+});
+
+test('checkInvoice flags line items that do not sum to the grand total', () => {
+    const invoice = buildInvoice({
+        lineItems: [{ itemNumber: 1, lineType: 'item', description: 'A', amount: 500 }],
+    });
+    assert.deepEqual(getChecks(invoice), ['lineItemsTotal']);
+});
+
+test('checkInvoice flags a subtotal + VAT that is not the grand total', () => {
+    assert.deepEqual(getChecks(buildInvoice({ subtotal: 900 })), ['subtotalVat']);
+});
+
+test('checkInvoice flags VAT that is not 7%', () => {
+    const invoice = buildInvoice({
+        grandTotal: 1100,
+        subtotal: 1000,
+        vatAmount: 100,
+        lineItems: [],
+    });
+    assert.deepEqual(getChecks(invoice), ['vatRate']);
+});
+
+test('checkInvoice flags quantity × unit price that is not the amount', () => {
+    const invoice = buildInvoice({
+        lineItems: [
+            { itemNumber: 1, lineType: 'item', description: 'A', quantity: 3, unitPrice: 250, amount: 500 },
+            { itemNumber: 2, lineType: 'item', description: 'B', quantity: 1, unitPrice: 500, amount: 500 },
+        ],
+    });
+    const issues = checkInvoice(invoice);
+    assert.deepEqual(issues.map(issue => issue.check), ['lineAmount']);
+    assert.equal(issues[0].itemNumber, 1);
+});
+
+test('checkInvoice allows unit prices printed rounded to the satang', () => {
+    const invoice = buildInvoice({
+        grandTotal: 107,
+        subtotal: 100,
+        vatAmount: 7,
+        lineItems: [{ itemNumber: 1, lineType: 'item', description: 'A', quantity: 3, unitPrice: 33.33, amount: 100 }],
+    });
+    assert.deepEqual(checkInvoice(invoice), []);
+});
+
+test('applyReviewFlags replaces arithmetic flags and keeps the others', () => {
+    const invoice = applyReviewFlags(buildInvoice({
+        subtotal: 900,
+        reviewFlags: ['arithmetic:vatRate', 'taxId:sellerInvalid'],
+    }));
+    assert.deepEqual(invoice.reviewFlags, ['taxId:sellerInvalid', 'arithmetic:subtotalVat']);
+    assert.equal(invoice.arithmetic.issues.length, 1);
+    assert.equal(invoice.arithmetic.corrected, false);
+});
@@ -0,0 +1,79 @@
+/**
+ * Low-confidence confirmations (src/services/confirmations.js) - files in a temporary directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../src/utils/logger').silent = true;
+const config = require('../src/config/env');
+const confirmations = require('../src/services/confirmations');
+
+const HOUR = 60 * 60 * 1000;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confirmations-test-'));
+Object.assign(config.confirmations, { dir, threshold: 0.6, reminderMs: HOUR, expiryMs: 24 * HOUR });
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Leave a pending confirmation on disk, as a previous run would have
+ */
+function writePending(id, age, { withFile = true } = {}) {
+    const entry = { id, messageId: id, invoices: [{ confidence: 0.4 }], createdAt: Date.now() - age, remindedAt: null };
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(entry));
+    if (withFile) {
+        fs.writeFileSync(path.join(dir, `${id}.bin`), `document ${id}`);
+    }
+}
+
+test('needsConfirmation checks the lowest confidence against the threshold', () => {
+    assert.equal(confirmations.needsConfirmation([{ confidence: 0.9 }, { confidence: 0.5 }]), true);
+    assert.equal(confirmations.needsConfirmation([{ confidence: 0.9 }, {}]), false);
+    assert.equal(confirmations.needsConfirmation([]), false);
+});
+
+test('pending confirmations survive a restart, are reminded once and expire', async () => {
+    writePending('recent', 10 * 60 * 1000);
+    writePending('waiting', 2 * HOUR);
+    writePending('old', 25 * HOUR);
+    writePending('nofile', 0, { withFile: false });
+    fs.writeFileSync(path.join(dir, 'torn.json'), '{"id":');
+
+    const reminded = [];
+    const expired = [];
+    confirmations.onTimeout({
+        onReminder: async entry => reminded.push(entry.id),
+        onExpire: async entry => expired.push(entry.id),
+    });
+    confirmations.init();
+
+    confirmations.checkExpired();
+    confirmations.checkExpired();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(reminded, ['waiting']);
+    assert.deepEqual(expired, ['old']);
+    assert.equal(fs.existsSync(path.join(dir, 'old.bin')), false);
+    assert.equal(fs.existsSync(path.join(dir, 'nofile.json')), false);
+
+    // The reminder is saved, so a restart doesn't send it again
+    assert.notEqual(JSON.parse(fs.readFileSync(path.join(dir, 'waiting.json'), 'utf-8')).remindedAt, null);
+});
+
+test('take returns the document once and removes its files', () => {
+    const entry = confirmations.take('recent');
+    assert.equal(entry.fileBuffer.toString(), 'document recent');
+    assert.equal(fs.existsSync(path.join(dir, 'recent.json')), false);
+    assert.equal(confirmations.take('recent'), null);
+    assert.equal(confirmations.take('old'), null);
+});
+
+test('add keeps a new result on disk until it is taken', () => {
+    confirmations.add({ id: 'new', fileBuffer: Buffer.from('new document'), invoices: [{ confidence: 0.3 }] });
+    assert.equal(fs.readFileSync(path.join(dir, 'new.bin'), 'utf-8'), 'new document');
+    assert.equal(confirmations.take('new').fileBuffer.toString(), 'new document');
+});
@@ -0,0 +1,66 @@
+/**
+ * Duplicate receipt detection (src/services/duplicates.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashFile, findByFileHash, findByInvoice } = require('../src/services/duplicates');
+const { getSheetHeaders } = require('../src/services/invoice');
+
+/**
+ * A saved row in the formatForSheets layout
+ */
+function buildRow(values) {
+    const headers = getSheetHeaders();
+    const row = headers.map(() => '');
+    for (const [name, value] of Object.entries(values)) {
+        row[headers.indexOf(name)] = value;
+    }
+    return row;
+}
+
+const FILE_HASH = hashFile(Buffer.from('receipt'));
+
+// As read back from Sheets: the Tax ID and all-digit invoice number lost their leading zeros
+const rows = [
+    buildRow({
+        'Receipt ID': 'R260115-001',
+        'Seller Tax ID': 105512345671,
+        'Invoice Number': 42,
+        'Grand Total': '1,070.00',
+        'File Hash': FILE_HASH,
+    }),
+];
+
+test('findByFileHash finds the same file', () => {
+    assert.equal(findByFileHash(rows, FILE_HASH).receiptId, 'R260115-001');
+    assert.equal(findByFileHash(rows, hashFile(Buffer.from('other'))), null);
+});
+
+test('findByInvoice matches Tax ID, invoice number and grand total as saved', () => {
+    const invoice = { sellerTaxId: '0105512345671', invoiceNumber: '0042', grandTotal: 1070 };
+    const match = findByInvoice(rows, invoice);
+    assert.equal(match.reason, 'invoice');
+    assert.equal(match.receiptId, 'R260115-001');
+});
+
+test('findByInvoice needs all three to match', () => {
+    assert.equal(findByInvoice(rows, { sellerTaxId: '0105512345671', invoiceNumber: '43', grandTotal: 1070 }), null);
+    assert.equal(findByInvoice(rows, { sellerTaxId: '0105512345671', invoiceNumber: '42', grandTotal: 1080 }), null);
+    assert.equal(findByInvoice(rows, { sellerTaxId: '3101700123452', invoiceNumber: '42', grandTotal: 1070 }), null);
+});
+
+test('findByInvoice never matches a receipt without a Tax ID or invoice number', () => {
+    assert.equal(findByInvoice(rows, { sellerTaxId: null, invoiceNumber: '42', grandTotal: 1070 }), null);
+    assert.equal(findByInvoice(rows, { sellerTaxId: '0105512345671', invoiceNumber: '', grandTotal: 1070 }), null);
+});
+
+test('a rejected receipt is not the saved copy', () => {
+    const rejected = rows.map(row => {
+        const copy = [...row];
+        copy[getSheetHeaders().indexOf('Approval Status')] = 'rejected';
+        return copy;
+    });
+    assert.equal(findByFileHash(rejected, FILE_HASH), null);
+    assert.equal(findByInvoice(rejected, { sellerTaxId: '0105512345671', invoiceNumber: '42', grandTotal: 1070 }), null);
+});
@@ -0,0 +1,68 @@
+/**
+ * Gemini response parsing (src/services/gemini.js) - offline, no API calls
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').silent = true;
+const { buildInvoicePrompt, parseRawResponse } = require('../src/services/gemini');
+
+/**
+ * A raw response as returned by generateRawResponse
+ */
+function buildRaw(document) {
+    return {
+        text: JSON.stringify({ grandTotal: 107, confidence: 0.9, ...document }),
+        usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 20 },
+        model: 'gemini-2.5-flash',
+    };
+}
+
+test('the prompt asks for the buyer Tax ID and the other 13-digit numbers', () => {
+    const prompt = buildInvoicePrompt();
+    assert.match(prompt, /"buyerTaxId"/);
+    assert.match(prompt, /"taxIdCandidates"/);
+});
+
+test('parseRawResponse checks the buyer Tax ID', () => {
+    const invoice = parseRawResponse(buildRaw({ sellerTaxId: '0105512345671', buyerTaxId: '3101700123453' }));
+    assert.equal(invoice.sellerTaxIdStatus, 'valid');
+    assert.equal(invoice.buyerTaxIdStatus, 'invalid');
+    assert.deepEqual(invoice.reviewFlags, ['taxId:buyerInvalid']);
+});
+
+test('parseRawResponse corrects a misread Tax ID from the other numbers on the document', () => {
+    const invoice = parseRawResponse(buildRaw({
+        sellerTaxId: '0109512345671',
+        taxIdCandidates: ['0-1055-12345-67-1', '0812345678900'],
+    }));
+    assert.equal(invoice.sellerTaxId, '0105512345671');
+    assert.equal(invoice.sellerTaxIdStatus, 'corrected');
+});
+
+test('parseRawResponse does not search its own reply for a Tax ID', () => {
+    // A valid ID appears in the reply (as the invoice number) but isn't listed as a candidate
+    const invoice = parseRawResponse(buildRaw({ sellerTaxId: '0109512345671', invoiceNumber: '0105512345671' }));
+    assert.equal(invoice.sellerTaxId, '0109512345671');
+    assert.equal(invoice.sellerTaxIdStatus, 'invalid');
+});
+
+test('the prompt asks for the date as printed', () => {
+    const prompt = buildInvoicePrompt();
+    assert.match(prompt, /"invoiceDate": "date as printed/);
+    assert.doesNotMatch(prompt, /YYYY-MM-DD/);
+});
+
+test('parseRawResponse converts a printed Thai date', () => {
+    const referenceDate = new Date(2026, 0, 15);
+    assert.equal(parseRawResponse(buildRaw({ invoiceDate: '11/01/69' }), { referenceDate }).invoiceDate, '2026-01-11');
+    assert.equal(parseRawResponse(buildRaw({ invoiceDate: '๑๑ ม.ค. ๒๕๖๙' }), { referenceDate }).invoiceDate, '2026-01-11');
+});
+
+test('parseRawResponse flags an implausible printed date', () => {
+    const referenceDate = new Date(2026, 0, 15);
+    const invoice = parseRawResponse(buildRaw({ invoiceDate: '11/01/2570' }), { referenceDate });
+    assert.equal(invoice.invoiceDate, '2027-01-11');
+    assert.deepEqual(invoice.reviewFlags, ['date:future']);
+});
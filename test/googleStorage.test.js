@@ -0,0 +1,69 @@
+/**
+ * Receipt ID sequences on the Sequences tab (src/services/googleStorage.js) - fake Sheets client
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').silent = true;
+const sheetsService = require('../src/services/sheets');
+const { nextSequence } = require('../src/services/googleStorage');
+
+/**
+ * A Sequences tab in memory, recording every range read
+ */
+function createFakeSheet(keys = []) {
+    const rows = [['Key', 'Claimed At'], ...keys.map(key => [key, '2026-01-01T00:00:00.000Z'])];
+    const reads = [];
+
+    const client = {
+        spreadsheets: {
+            values: {
+                append: async ({ requestBody }) => {
+                    rows.push(...requestBody.values);
+                    return { data: { updates: { updatedRange: `Sequences!A${rows.length}:B${rows.length}` } } };
+                },
+                get: async ({ range }) => {
+                    const [, start, end] = range.match(/!A(\d+):A(\d+)/).map(Number);
+                    reads.push([start, end]);
+                    return { data: { values: rows.slice(start - 1, end).map(row => [row[0]]) } };
+                },
+            },
+        },
+    };
+
+    return { client, reads };
+}
+
+test('nextSequence counts up for each key on its own', async () => {
+    const sheet = createFakeSheet();
+    sheetsService.getClient = () => sheet.client;
+
+    assert.equal(await nextSequence('A260115'), 1);
+    assert.equal(await nextSequence('A260115'), 2);
+    assert.equal(await nextSequence('B260115'), 1);
+    assert.equal(await nextSequence('A260115'), 3);
+});
+
+test('nextSequence reads only back to the key\'s first claim', async () => {
+    // 1,200 claims from earlier days, then two for today
+    const earlier = Array.from({ length: 1200 }, (_, i) => `C2601${String(1 + Math.floor(i / 100)).padStart(2, '0')}`);
+    const sheet = createFakeSheet([...earlier, 'C260115', 'D260115', 'C260115']);
+    sheetsService.getClient = () => sheet.client;
+
+    assert.equal(await nextSequence('C260115'), 3);
+    assert.ok(sheet.reads.every(([start]) => start > 2), 'never reads from the top of the tab');
+
+    // The first claim is remembered - the next allocation reads from it on
+    sheet.reads.length = 0;
+    assert.equal(await nextSequence('C260115'), 4);
+    assert.deepEqual(sheet.reads, [[1202, 1206]]);
+});
+
+test('nextSequence finds a key whose claims span several blocks', async () => {
+    const keys = Array.from({ length: 1100 }, (_, i) => (i % 2 ? 'E260115' : 'F260115'));
+    const sheet = createFakeSheet(['E260114', ...keys]);
+    sheetsService.getClient = () => sheet.client;
+
+    assert.equal(await nextSequence('E260115'), 551);
+});
@@ -0,0 +1,72 @@
+/**
+ * LINE image sets (src/services/imageSets.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').silent = true;
+const config = require('../src/config/env');
+const imageSets = require('../src/services/imageSets');
+
+config.imageSets.timeoutMs = 50;
+
+let summaries = [];
+imageSets.onComplete(async summary => summaries.push(summary));
+
+/**
+ * An image event of a set
+ */
+function buildEvent(setId, index, total, replyToken = `token-${index}`) {
+    return {
+        type: 'message',
+        replyToken,
+        source: { type: 'user', userId: 'Ua' },
+        message: { type: 'image', id: `${setId}-${index}`, imageSet: { id: setId, index, total } },
+    };
+}
+
+/**
+ * Wait for the completion handler to run
+ */
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('isImageSetEvent only accepts photos of a set', () => {
+    assert.equal(imageSets.isImageSetEvent(buildEvent('s', 1, 2)), true);
+    assert.equal(imageSets.isImageSetEvent({ type: 'message', message: { type: 'image', id: '1' } }), false);
+});
+
+test('a set is summarized once, in photo order, when every result is in', async () => {
+    summaries = [];
+    imageSets.track(buildEvent('full', 1, 2));
+    imageSets.track(buildEvent('full', 2, 2));
+    imageSets.addResult(buildEvent('full', 2, 2), { status: 'failed', reason: 'อ่านไม่ได้' });
+    imageSets.addResult(buildEvent('full', 1, 2), { status: 'saved', invoices: [{ receiptId: 'R260115-001', grandTotal: 107 }] });
+    await settle();
+
+    assert.equal(summaries.length, 1);
+    const [summary] = summaries;
+    assert.deepEqual(summary.items.map(item => [item.index, item.status]), [[1, 'saved'], [2, 'failed']]);
+    assert.equal(summary.replyToken, 'token-2');
+    assert.equal(summary.pending, 0);
+    assert.equal(summary.retryable, 1);
+    assert.match(imageSets.formatSummaryMessage(summary), /บันทึกสำเร็จ 1\/2 รูป/);
+});
+
+test('takeFailed hands out the failed photos once', () => {
+    const events = imageSets.takeFailed('full');
+    assert.deepEqual(events.map(event => event.message.id), ['full-2']);
+    assert.equal(imageSets.takeFailed('full'), null);
+});
+
+test('an incomplete set is summarized after the timeout with the photos still pending', async () => {
+    summaries = [];
+    imageSets.track(buildEvent('partial', 1, 3));
+    imageSets.addResult(buildEvent('partial', 1, 3), { status: 'skipped', reason: 'ซ้ำ', retryable: false });
+    await settle(120);
+
+    assert.equal(summaries.length, 1);
+    assert.equal(summaries[0].pending, 2);
+    assert.equal(summaries[0].retryable, 0);
+    assert.equal(imageSets.takeFailed('partial'), null);
+});
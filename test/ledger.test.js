@@ -0,0 +1,69 @@
+/**
+ * Usage ledger costs and budget (src/services/ledger.js) - ledger on a temporary SQLite database
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+process.env.DATA_DIR = dir;
+process.env.STORAGE_BACKEND = 'local';
+
+require('../src/utils/logger').silent = true;
+const ledgerService = require('../src/services/ledger');
+const usageService = require('../src/services/usage');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('estimateCost prices tokens per million and pages per page', () => {
+    assert.equal(ledgerService.estimateCost({ model: 'gemini-2.5-flash', promptTokens: 1000000, outputTokens: 100000 }), 19.25);
+    assert.equal(ledgerService.estimateCost({ model: 'documentai', pages: 3 }), 1.05);
+});
+
+test('estimateCost counts a model without a price as free', () => {
+    assert.equal(ledgerService.estimateCost({ model: 'unknown-model', promptTokens: 1000000 }), 0);
+});
+
+test('projectMonthEnd extrapolates the daily rate to the whole month', () => {
+    // Ten days into a 30-day month
+    assert.equal(ledgerService.projectMonthEnd(100, new Date(2026, 3, 11)), 300);
+});
+
+test('projectMonthEnd counts at least one day', () => {
+    const firstHour = new Date(2026, 3, 1, 1);
+    assert.equal(ledgerService.projectMonthEnd(10, firstHour), 300);
+});
+
+test('getSpendSummary adds up the recorded calls of one company', async () => {
+    const company = { id: 'spend', monthlyBudget: 100 };
+    const cost = await ledgerService.recordCalls(company, [
+        { provider: 'gemini', model: 'gemini-2.5-flash', promptTokens: 1000000, outputTokens: 100000 },
+        { provider: 'gemini', model: 'gemini-2.5-flash', promptTokens: 0, outputTokens: 0, retries: 1, fallbackFrom: 'gemini-3-pro' },
+    ], { userId: 'Ua' });
+    await ledgerService.recordCalls({ id: 'other' }, [{ provider: 'documentai', model: 'documentai', pages: 1 }]);
+
+    const summary = await ledgerService.getSpendSummary(company);
+    assert.equal(cost, 19.25);
+    assert.equal(summary.spent, 19.25);
+    assert.equal(summary.remaining, 80.75);
+    assert.equal(summary.calls, 2);
+    assert.equal(summary.retries, 1);
+    assert.equal(summary.fallbacks, 1);
+    assert.equal(summary.isBudgetExceeded, false);
+    assert.deepEqual(summary.byModel['gemini-2.5-flash'], { calls: 2, promptTokens: 1000000, outputTokens: 100000, cost: 19.25 });
+});
+
+test('checkOCRAvailability stops a company over its monthly budget', async () => {
+    const company = { id: 'budget', monthlyLimit: 100, monthlyBudget: 10 };
+    await ledgerService.recordCalls(company, [
+        { provider: 'gemini', model: 'gemini-2.5-flash', promptTokens: 1000000 },
+    ]);
+
+    const status = await usageService.checkOCRAvailability(company);
+    assert.equal(status.canUseOCR, false);
+    assert.equal(status.limitHit, 'budget');
+    assert.match(status.message, /💸 Budget quota: ฿10\.50\/฿10\.00/);
+});
@@ -0,0 +1,101 @@
+/**
+ * Durable job queue (src/services/queue.js) - journal in a temporary directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../src/utils/logger').silent = true;
+const config = require('../src/config/env');
+const queue = require('../src/services/queue');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+config.queue.file = path.join(dir, 'queue.jsonl');
+config.queue.maxAttempts = 3;
+config.queue.backoffMs = 100;
+
+test.after(() => {
+    queue.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * A job as written to the journal by enqueue
+ */
+function buildJob(id, fields = {}) {
+    return { id, type: 'recovered', payload: { id }, status: 'queued', attempts: 0, nextRunAt: 0, lastError: null, ...fields };
+}
+
+/**
+ * Read the journal back as records
+ */
+function readJournal() {
+    return fs.readFileSync(config.queue.file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('init replays the journal, requeues running jobs and skips torn lines', () => {
+    fs.writeFileSync(config.queue.file, [
+        JSON.stringify({ op: 'enqueue', job: buildJob('a') }),
+        JSON.stringify({ op: 'update', id: 'a', status: 'running', attempts: 1 }),
+        JSON.stringify({ op: 'enqueue', job: buildJob('b') }),
+        JSON.stringify({ op: 'done', id: 'b' }),
+        JSON.stringify({ op: 'enqueue', job: buildJob('c', { status: 'dead', attempts: 3, lastError: 'boom' }) }),
+        '{"op":"enqueue","job":{"id":"d"',
+    ].join('\n'));
+
+    queue.init();
+
+    assert.deepEqual(queue.getStats(), { queued: 1, retrying: 0, running: 0, deadLetter: 1 });
+    assert.deepEqual(queue.getDeadLetters().map(job => job.id), ['c']);
+
+    // Compacted to the live jobs only
+    const journal = readJournal();
+    assert.deepEqual(journal.map(record => [record.op, record.job.id, record.job.status]), [
+        ['enqueue', 'a', 'queued'],
+        ['enqueue', 'c', 'dead'],
+    ]);
+});
+
+test('recovered jobs run when the worker starts', async () => {
+    const ran = new Promise(resolve => queue.registerHandler('recovered', async (payload, job) => resolve(job)));
+    queue.start();
+
+    const job = await ran;
+    assert.equal(job.id, 'a');
+    assert.equal(job.attempts, 2);
+});
+
+test('failed jobs back off exponentially and end in the dead-letter list', async () => {
+    const delays = [];
+    let failedAt = null;
+
+    queue.registerHandler('flaky', async (payload, job) => {
+        if (failedAt) delays.push(job.nextRunAt - failedAt);
+        failedAt = Date.now();
+        throw new Error(`attempt ${job.attempts}`);
+    });
+    const deadLetter = new Promise(resolve => queue.onDeadLetter((job, error) => resolve({ job, error })));
+
+    const { id } = queue.enqueue('flaky', {});
+    const { job, error } = await deadLetter;
+
+    assert.equal(job.id, id);
+    assert.equal(job.attempts, 3);
+    assert.equal(error.message, 'attempt 3');
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] >= 100 && delays[0] < 150, `first retry after ${delays[0]}ms`);
+    assert.ok(delays[1] >= 200 && delays[1] < 250, `second retry after ${delays[1]}ms`);
+    assert.ok(queue.getDeadLetters().some(dead => dead.id === id && dead.lastError === 'attempt 3'));
+});
+
+test('requeueDeadLetter runs a dead job again with fresh attempts', async () => {
+    const [job] = queue.getDeadLetters().filter(dead => dead.type === 'flaky');
+    const done = new Promise(resolve => queue.registerHandler('flaky', async (payload, running) => resolve(running.attempts)));
+
+    assert.equal(queue.requeueDeadLetter(job.id), true);
+    assert.equal(await done, 1);
+    assert.equal(queue.requeueDeadLetter('unknown'), false);
+});
@@ -0,0 +1,47 @@
+/**
+ * Monthly totals (src/services/reports.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').silent = true;
+const { summarizeRows } = require('../src/services/reports');
+const { getSheetHeaders } = require('../src/services/invoice');
+
+/**
+ * A receipt row in the formatForSheets layout
+ */
+function buildRow(values) {
+    const headers = getSheetHeaders();
+    const row = headers.map(() => '');
+    for (const [name, value] of Object.entries(values)) {
+        row[headers.indexOf(name)] = value;
+    }
+    return row;
+}
+
+const rows = [
+    // Two line items of one receipt
+    buildRow({ 'Processed At': '2026-01-05 10:00:00', 'Receipt ID': 'R260105-001', 'Grand Total': '107', 'User ID': 'Ua', 'Approval Status': 'approved' }),
+    buildRow({ 'Processed At': '2026-01-05 10:00:00', 'Receipt ID': 'R260105-001', 'Grand Total': '107', 'User ID': 'Ua', 'Approval Status': 'approved' }),
+    buildRow({ 'Processed At': '2026-01-06 10:00:00', 'Receipt ID': 'R260106-001', 'Grand Total': '50', 'User ID': 'Ub', 'Approval Status': 'pending' }),
+    buildRow({ 'Processed At': '2026-01-07 10:00:00', 'Receipt ID': 'R260107-001', 'Grand Total': '1,000', 'User ID': 'Ub', 'Approval Status': 'rejected' }),
+    buildRow({ 'Processed At': '2025-12-30 10:00:00', 'Receipt ID': 'R251230-001', 'Grand Total': '10', 'User ID': 'Ua' }),
+];
+
+test('summarizeRows counts each receipt once and leaves rejected receipts out', () => {
+    const summary = summarizeRows(rows, { month: '2026-01' });
+    assert.equal(summary.receipts, 2);
+    assert.equal(summary.total, 157);
+    assert.deepEqual(summary.bySender.map(sender => [sender.userId, sender.receipts, sender.total]), [
+        ['Ua', 1, 107],
+        ['Ub', 1, 50],
+    ]);
+});
+
+test('summarizeRows filters by sender', () => {
+    const summary = summarizeRows(rows, { month: '2026-01', userId: 'Ub' });
+    assert.equal(summary.receipts, 1);
+    assert.equal(summary.total, 50);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tax ID check digit and correction (src/services/taxId.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTaxId,
+    findTaxIdCandidates,
+    verifyTaxId,
+    verifyInvoiceTaxIds,
+    formatStatusCell,
+} = require('../src/services/taxId');
+const { formatForSheets, getSheetHeaders } = require('../src/services/invoice');
+
+// Valid mod-11 Tax IDs
+const SELLER_ID = '0105512345671';
+const BUYER_ID = '3101700123452';
+
+test('isValidTaxId checks the mod-11 check digit', () => {
+    assert.equal(isValidTaxId(SELLER_ID), true);
+    assert.equal(isValidTaxId(BUYER_ID), true);
+    assert.equal(isValidTaxId('0105512345672'), false);
+});
+
+test('isValidTaxId needs exactly 13 digits', () => {
+    assert.equal(isValidTaxId('010551234567'), false);
+    assert.equal(isValidTaxId('0-1055-12345-67-1'), false);
+    assert.equal(isValidTaxId(null), false);
+});
+
+test('findTaxIdCandidates reads plain and printed forms, valid ones only, without duplicates', () => {
+    const text = `เลขประจำตัวผู้เสียภาษี 0-1055-12345-67-1\nTel 0812345678900\nTax ID ${SELLER_ID}`;
+    assert.deepEqual(findTaxIdCandidates(text), [SELLER_ID]);
+});
+
+test('verifyTaxId keeps a valid ID', () => {
+    assert.deepEqual(verifyTaxId(SELLER_ID), { taxId: SELLER_ID, status: 'valid' });
+});
+
+test('verifyTaxId has no status without an ID', () => {
+    assert.deepEqual(verifyTaxId(null), { taxId: null, status: null });
+});
+
+test('verifyTaxId corrects a misread digit from the document text', () => {
+    const misread = '0109512345671';
+    assert.deepEqual(
+        verifyTaxId(misread, { documentText: `Tax ID ${SELLER_ID}` }),
+        { taxId: SELLER_ID, status: 'corrected' }
+    );
+});
+
+test('verifyTaxId does not replace an ID with an unrelated number', () => {
+    const misread = '1234567890123';
+    assert.deepEqual(
+        verifyTaxId(misread, { documentText: `Tax ID ${SELLER_ID}` }),
+        { taxId: misread, status: 'invalid' }
+    );
+});
+
+test('verifyTaxId skips excluded IDs', () => {
+    const misread = '0109512345671';
+    assert.deepEqual(
+        verifyTaxId(misread, { documentText: `Tax ID ${SELLER_ID}`, exclude: [SELLER_ID] }),
+        { taxId: misread, status: 'invalid' }
+    );
+});
+
+test('verifyInvoiceTaxIds never corrects the seller to the buyer and flags problems', () => {
+    const result = verifyInvoiceTaxIds('3101700123453', BUYER_ID, `ผู้ซื้อ ${BUYER_ID}`);
+    assert.equal(result.sellerTaxId, '3101700123453');
+    assert.equal(result.sellerTaxIdStatus, 'invalid');
+    assert.equal(result.buyerTaxIdStatus, 'valid');
+    assert.deepEqual(result.reviewFlags, ['taxId:sellerInvalid']);
+});
+
+test('formatStatusCell lists the result of each party with a Tax ID', () => {
+    assert.equal(formatStatusCell('valid', 'invalid'), 'Seller: Valid / Buyer: Invalid');
+    assert.equal(formatStatusCell('corrected', null), 'Seller: Corrected');
+    assert.equal(formatStatusCell(null, 'valid'), 'Buyer: Valid');
+    assert.equal(formatStatusCell(null, null), '');
+});
+
+test('the Tax ID Status column holds both statuses', () => {
+    const [row] = formatForSheets({
+        sellerTaxId: SELLER_ID,
+        sellerTaxIdStatus: 'valid',
+        buyerTaxIdStatus: 'invalid',
+        lineItems: [],
+    }, '', '2026-01-15 10:00:00');
+    assert.equal(row[getSheetHeaders().indexOf('Tax ID Status')], 'Seller: Valid / Buyer: Invalid');
+});
@@ -0,0 +1,73 @@
+/**
+ * Thai date parsing (src/utils/thaiDate.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    toArabicDigits,
+    parseMonthName,
+    parseThaiDate,
+    checkDateRange,
+} = require('../src/utils/thaiDate');
+
+// Processing date - resolves 2-digit years
+const REFERENCE_DATE = new Date(2026, 0, 15);
+
+test('toArabicDigits replaces Thai numerals', () => {
+    assert.equal(toArabicDigits('๑๑/๐๑/๒๕๖๙'), '11/01/2569');
+});
+
+test('parseMonthName accepts full, abbreviated and English names', () => {
+    assert.equal(parseMonthName('มกราคม'), 1);
+    assert.equal(parseMonthName('ม.ค.'), 1);
+    assert.equal(parseMonthName('Dec'), 12);
+    assert.equal(parseMonthName('foo'), null);
+});
+
+test('parseThaiDate converts 4-digit Buddhist Era years', () => {
+    assert.equal(parseThaiDate('11/01/2569', REFERENCE_DATE), '2026-01-11');
+    assert.equal(parseThaiDate('2569-01-11', REFERENCE_DATE), '2026-01-11');
+});
+
+test('parseThaiDate keeps 4-digit Gregorian years', () => {
+    assert.equal(parseThaiDate('11/01/2026', REFERENCE_DATE), '2026-01-11');
+});
+
+test('parseThaiDate reads a 2-digit year as BE or CE, whichever is closer', () => {
+    assert.equal(parseThaiDate('11/01/69', REFERENCE_DATE), '2026-01-11');
+    assert.equal(parseThaiDate('11/01/26', REFERENCE_DATE), '2026-01-11');
+    assert.equal(parseThaiDate('30/12/68', REFERENCE_DATE), '2025-12-30');
+});
+
+test('parseThaiDate follows an explicit era marker', () => {
+    assert.equal(parseThaiDate('11 ม.ค. พ.ศ. 69', REFERENCE_DATE), '2026-01-11');
+});
+
+test('parseThaiDate reads Thai numerals', () => {
+    assert.equal(parseThaiDate('๑๑/๐๑/๒๕๖๙', REFERENCE_DATE), '2026-01-11');
+});
+
+test('parseThaiDate reads month names', () => {
+    assert.equal(parseThaiDate('11 ม.ค. 2569', REFERENCE_DATE), '2026-01-11');
+    assert.equal(parseThaiDate('11 มกราคม พ.ศ. 2569', REFERENCE_DATE), '2026-01-11');
+    assert.equal(parseThaiDate('Jan 11, 2026', REFERENCE_DATE), '2026-01-11');
+});
+
+test('parseThaiDate reads DD/MM and swaps only when the month cannot be a month', () => {
+    assert.equal(parseThaiDate('05/01/2026', REFERENCE_DATE), '2026-01-05');
+    assert.equal(parseThaiDate('01/25/2026', REFERENCE_DATE), '2026-01-25');
+});
+
+test('parseThaiDate rejects dates that do not exist', () => {
+    assert.equal(parseThaiDate('31/02/2026', REFERENCE_DATE), null);
+    assert.equal(parseThaiDate('no date here', REFERENCE_DATE), null);
+    assert.equal(parseThaiDate('', REFERENCE_DATE), null);
+});
+
+test('checkDateRange flags future and old dates', () => {
+    assert.equal(checkDateRange('2026-01-16', REFERENCE_DATE), null);
+    assert.equal(checkDateRange('2026-02-01', REFERENCE_DATE), 'future');
+    assert.equal(checkDateRange('2024-12-01', REFERENCE_DATE), 'old');
+    assert.equal(checkDateRange('2025-06-01', REFERENCE_DATE), null);
+});
@@ -0,0 +1,76 @@
+/**
+ * OCR quotas (src/services/usage.js) - counters on a temporary SQLite database
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+process.env.DATA_DIR = dir;
+process.env.STORAGE_BACKEND = 'local';
+
+require('../src/utils/logger').silent = true;
+const usageService = require('../src/services/usage');
+const adminService = require('../src/services/admin');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const requester = { userId: 'Uheavy', groupId: 'Cteam' };
+
+test('checkOCRAvailability allows OCR under every limit and reports the smallest remaining quota', async () => {
+    const company = { id: 'under', monthlyLimit: 100, userLimit: 10, groupLimit: 20 };
+    await usageService.incrementUsage(company, 4, requester);
+
+    const status = await usageService.checkOCRAvailability(company, requester);
+    assert.equal(status.canUseOCR, true);
+    assert.equal(status.count, 4);
+    assert.equal(status.limit, 100);
+    assert.equal(status.remaining, 6);
+});
+
+test('checkOCRAvailability stops a sender who used up their own quota', async () => {
+    const company = { id: 'user', monthlyLimit: 100, userLimits: { Uheavy: 3 } };
+    await usageService.incrementUsage(company, 3, requester);
+
+    const status = await usageService.checkOCRAvailability(company, requester);
+    assert.equal(status.canUseOCR, false);
+    assert.equal(status.limitHit, 'user');
+    assert.match(status.message, /👤 Personal quota: 3\/3/);
+
+    // Other senders in the company are not affected
+    assert.equal((await usageService.checkOCRAvailability(company, { userId: 'Uother' })).canUseOCR, true);
+});
+
+test('checkOCRAvailability reports the group before the sender and the company before both', async () => {
+    const company = { id: 'group', monthlyLimit: 5, userLimit: 2, groupLimit: 2 };
+    await usageService.incrementUsage(company, 2, requester);
+    assert.equal((await usageService.checkOCRAvailability(company, requester)).limitHit, 'group');
+
+    await usageService.incrementUsage(company, 3, { userId: 'Uother' });
+    assert.equal((await usageService.checkOCRAvailability(company, requester)).limitHit, 'company');
+});
+
+test('checkOCRAvailability uses a limit set from chat over the configured one', async () => {
+    const company = { id: 'override', monthlyLimit: 100, userLimit: 1 };
+    await usageService.incrementUsage(company, 1, { userId: 'Uraised' });
+    adminService.setMonthlyLimit('user', 'Uraised', 5, 'Uadmin');
+
+    const status = await usageService.checkOCRAvailability(company, { userId: 'Uraised' });
+    assert.equal(status.canUseOCR, true);
+    assert.equal(status.remaining, 4);
+});
+
+test('checkOCRAvailability stops everyone while OCR is paused', async () => {
+    adminService.setOcrPaused(true, 'Uadmin');
+    try {
+        const status = await usageService.checkOCRAvailability({ id: 'paused', monthlyLimit: 100 }, requester);
+        assert.equal(status.canUseOCR, false);
+        assert.equal(status.paused, true);
+        assert.equal(status.limitHit, null);
+    } finally {
+        adminService.setOcrPaused(false, 'Uadmin');
+    }
+});